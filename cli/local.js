@@ -24,18 +24,26 @@ console.log("  ... DIMANA [cond]              | ... WHERE [cond]");
 console.log("  ... URUTKAN BERDASARKAN [col]  | ... ORDER BY [col] [ASC/DESC]");
 console.log("  ... HANYA [n] MULAI DARI [m]   | ... LIMIT [n] OFFSET [m]");
 console.log("  ... KELOMPOK [col]             | ... GROUP BY [col]");
+console.log("  PANEN a, SUM(x) AS t DARI ... KELOMPOK a, b | SELECT ... GROUP BY a, b");
 console.log("  ... DENGAN SYARAT [cond]       | ... HAVING [cond]");
 console.log("  PANEN UNIK [col] DARI ...      | SELECT DISTINCT [col] FROM ...");
+console.log("  PANEN a * b SEBAGAI x DARI ... | SELECT a * b AS x FROM ...");
 console.log("  PUPUK [table] DENGAN ...       | UPDATE [table] SET ...");
+console.log("  ... DENGAN stok = stok - 5     | ... SET stok = stok - 5");
 console.log("  GUSUR DARI [table]             | DELETE FROM [table]");
 console.log("\n  RELASI & GABUNGAN (JOINS):");
 console.log("  GABUNG [table] PADA [cond]     | INNER JOIN [table] ON [cond]");
 console.log("  GABUNG KIRI [table] PADA ...   | LEFT JOIN [table] ON ...");
 console.log("  GABUNG KANAN [table] PADA ...  | RIGHT JOIN [table] ON ...");
 console.log("  GABUNG SILANG [table]          | CROSS JOIN [table]");
+console.log("  DALAM (PANEN ...) / ADA (...)  | IN (SELECT ...) / EXISTS (...)");
 console.log("\n  LAIN-LAIN (MISC):");
 console.log("  INDEKS [table] PADA [field]    | CREATE INDEX ON [table]([field])");
+console.log("  LIHAT STRUKTUR [table]         | DESCRIBE [table]");
+console.log("  UBAH LAHAN [table] ...         | ALTER TABLE [table] ...");
+console.log("  PASANG URUTAN [nama]           | CREATE SEQUENCE [name]");
 console.log("  HITUNG FUNC(field) DARI ...    | SELECT AGGREGATE(...) FROM ...");
+console.log("    FUNC: COUNT SUM AVG MIN MAX MEDIAN PERCENTILE_CONT STDDEV VARIANCE STRING_AGG ARRAY_AGG");
 console.log("  JELASKAN PANEN ...             | EXPLAIN SELECT ...");
 console.log("\n  OPERATOR:");
 console.log("  =, !=, >, <, >=, <=, LIKE, IN, NOT IN, BETWEEN, IS NULL");
@@ -34,22 +34,30 @@ async function init() {
         console.log('  LAHAN [nama] | CREATE TABLE [name]         - Create table');
         console.log('  LIHAT LAHAN | SHOW TABLES                  - Show tables');
         console.log('  LIHAT INDEKS [table] | SHOW INDEXES [table]- Show indexes');
+        console.log('  LIHAT STRUKTUR [table] | DESCRIBE [table]  - Show columns & types');
+        console.log('  UBAH LAHAN [table] | ALTER TABLE [table]   - Rename table, add/drop/rename columns');
+        console.log('  PASANG URUTAN [nama] | CREATE SEQUENCE [n] - Create sequence (NEXTVAL)');
         console.log('  MANIPULASI DATA (DML):');
         console.log('  TANAM KE [table] ... BIBIT ...             - Insert Data');
         console.log('  PANEN [cols] DARI [table] DIMANA ...       - Select Data');
         console.log('  ... URUTKAN BERDASARKAN [cal] [NAIK|TURUN] - Order By');
         console.log('  ... HANYA [n] MULAI DARI [m]               - Limit & Offset');
         console.log('  ... KELOMPOK [col] DENGAN SYARAT ...       - Group By & Having');
+        console.log('  PANEN a, SUM(x), COUNT(*) DARI ... KELOMPOK a - Several aggregates');
         console.log('  PANEN UNIK [col] DARI ...                  - Select Distinct');
+        console.log('  PANEN UPPER(col), a * b AS x DARI ...      - Computed Columns');
         console.log('  PUPUK [table] DENGAN ... DIMANA ...        - Update Data');
+        console.log('  ... DENGAN stok = stok - 5                 - Update with expressions');
         console.log('  GUSUR DARI [table] DIMANA ...              - Delete Data');
         console.log('  HITUNG FUNC(field) DARI ...                - Aggregate (SUM, AVG, COUNT)');
+        console.log('  HITUNG MEDIAN(field) / COUNT(DISTINCT f) ... - Statistics (STDDEV, STRING_AGG, ...)');
         console.log('');
         console.log('  RELASI (JOINS):');
         console.log('  GABUNG [table] PADA ...                    - Inner Join');
         console.log('  GABUNG KIRI [table] PADA ...               - Left Join');
         console.log('  GABUNG KANAN [table] PADA ...              - Right Join');
         console.log('  GABUNG SILANG [table]                      - Cross Join');
+        console.log('  ... DIMANA id DALAM (PANEN ...), ADA (...) - Subqueries (IN, EXISTS, scalar)');
         console.log('');
         console.log('  LAIN-LAIN:');
         console.log('  LAHAN [nama]                               - Create Table');
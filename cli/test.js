@@ -1,5 +1,7 @@
 const SawitDB = require('../src/WowoEngine');
 const SawitClient = require('../src/SawitClient');
+const DBEvent = require('../src/services/event/DBEvent');
+const DatabaseRegistry = require('../src/server/DatabaseRegistry');
 const fs = require('fs');
 const path = require('path');
 
@@ -9,9 +11,26 @@ const REMOTE_HOST = process.env.SAWIT_HOST || '127.0.0.1';
 const REMOTE_PORT = process.env.SAWIT_PORT || 7878;
 
 const TEST_DB_PATH = path.join(__dirname, 'test_suite.sawit');
+const CRASH_DB_PATH = path.join(__dirname, 'test_crash.sawit');
+const LEGACY_DB_PATH = path.join(__dirname, 'test_legacy.sawit');
 const TEST_DB_NAME = 'test_suite_db';
 const TEST_TABLE = 'kebun_test';
 const JOIN_TABLE = 'panen_test';
+const REPORT_TABLE = 'laporan_test';
+const RANGE_TABLE = 'umur_test';
+const MIXED_TABLE = 'campur_test';
+const KEY_TABLE = 'kunci_test';
+const SCHEMA_TABLE = 'struktur_test';
+const CHECK_TABLE = 'syarat_test';
+const PARENT_TABLE = 'induk_test';
+const CHILD_TABLE = 'anak_test';
+const ALTER_TABLE = 'ubah_test';
+const RENAMED_TABLE = 'ubah_baru_test';
+const SERIAL_TABLE = 'urut_test';
+const SEQUENCE_NAME = 'nomor_test';
+const STOCK_TABLE = 'stok_test';
+const HARVEST_TABLE = 'hasil_test';
+const ESTATE_TABLE = 'lahan_test';
 
 // Utils
 const colors = {
@@ -38,10 +57,17 @@ async function query(db, sql) {
 }
 
 // Cleanup helper
+function cleanupFile(filePath) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    if (fs.existsSync(filePath + '.wal')) fs.unlinkSync(filePath + '.wal');
+}
+
 function cleanup() {
     if (!IS_REMOTE) {
-        if (fs.existsSync(TEST_DB_PATH)) fs.unlinkSync(TEST_DB_PATH);
-        if (fs.existsSync(TEST_DB_PATH + '.wal')) fs.unlinkSync(TEST_DB_PATH + '.wal');
+        cleanupFile(TEST_DB_PATH);
+        cleanupFile(CRASH_DB_PATH);
+        cleanupFile(LEGACY_DB_PATH);
+        cleanupFile(path.join(__dirname, '_fts_index.json'));
     }
 }
 
@@ -67,6 +93,21 @@ async function runTests() {
                 await client.query(`DROP TABLE ${TEST_TABLE}`);
             } catch (e) { }
             try { await client.query(`DROP TABLE ${JOIN_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${REPORT_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${RANGE_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${MIXED_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${KEY_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${SCHEMA_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${CHECK_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${CHILD_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${PARENT_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${ALTER_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${RENAMED_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${SERIAL_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${STOCK_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${HARVEST_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP TABLE ${ESTATE_TABLE}`); } catch (e) { }
+            try { await client.query(`DROP SEQUENCE ${SEQUENCE_NAME}`); } catch (e) { }
 
             // Create DB (Implicit by use/connect or explicit BUKA)
             try { await client.query(`BUKA WILAYAH ${TEST_DB_NAME}`); } catch (e) { }
@@ -132,11 +173,20 @@ async function runTests() {
         if (updated.length && updated[0].produksi === 999) { passed++; logPass("UPDATE"); }
         else throw new Error(`Update failed: found ${updated.length} rows.`);
 
-        // Delete
+        // Delete (local: the removed rows are reported through OnTableDeleted)
+        const events = [];
+        const originalEvents = IS_REMOTE ? null : db.dbevent;
+        if (!IS_REMOTE) {
+            db.dbevent = new (class extends DBEvent {
+                OnTableDeleted(table, data) { events.push(`deleted ${table} ${data.map(r => r.id)}`); }
+                OnTableInserted(table) { events.push(`inserted ${table}`); }
+            })();
+        }
         await query(db, `DELETE FROM ${TEST_TABLE} WHERE id = 4`);
+        if (!IS_REMOTE) db.dbevent = originalEvents;
         const deleted = await query(db, `SELECT * FROM ${TEST_TABLE} WHERE id = 4`);
-        if (deleted.length === 0) { passed++; logPass("DELETE"); }
-        else throw new Error("Delete failed");
+        if (deleted.length === 0 && (IS_REMOTE || events.join() === `deleted ${TEST_TABLE} 4`)) { passed++; logPass("DELETE"); }
+        else throw new Error(`Delete failed: ${JSON.stringify(events)}`);
 
 
         // --- 2. JOIN ---
@@ -166,6 +216,73 @@ async function runTests() {
             } else {
                 throw new Error("Persistence failed");
             }
+
+            // Crash: pages only live in the WAL, the .sawit file never got flushed
+            logInfo("Testing WAL Crash Recovery...");
+            cleanupFile(CRASH_DB_PATH);
+            let crashed = new SawitDB(CRASH_DB_PATH, { wal: { enabled: true, syncMode: 'full' } });
+            crashed.query(`CREATE TABLE ${TEST_TABLE}`);
+            crashed.query(`INSERT INTO ${TEST_TABLE} (id, bibit) VALUES (1, 'Dura')`);
+            crashed.query(`INSERT INTO ${TEST_TABLE} (id, bibit) VALUES (2, 'Tenera')`);
+            crashed.wal.close();
+            fs.closeSync(crashed.pager.fd);
+            // Torn tail from a crash mid-append must be ignored
+            fs.appendFileSync(CRASH_DB_PATH + '.wal', Buffer.from([0x00, 0x4C, 0x41, 0x57, 0xFF, 0x7F]));
+
+            crashed = new SawitDB(CRASH_DB_PATH, { wal: { enabled: true, syncMode: 'full' } });
+            const crashRows = crashed.query(`SELECT * FROM ${TEST_TABLE}`);
+            const walSize = fs.statSync(CRASH_DB_PATH + '.wal').size;
+            crashed.close();
+            cleanupFile(CRASH_DB_PATH);
+            if (Array.isArray(crashRows) && crashRows.length === 2 && walSize === 0) {
+                passed++; logPass("WAL Redo Recovery");
+            } else {
+                throw new Error(`WAL recovery failed: ${JSON.stringify(crashRows)}, wal size ${walSize}`);
+            }
+
+            // Catalog is no longer limited to page 0 (~100 tables, 32-char names)
+            logInfo("Testing Table Catalog...");
+            const longName = 'blok_kebun_sawit_sumatera_utara_afdeling_';
+            for (let i = 0; i < 120; i++) {
+                await query(db, `CREATE TABLE ${longName}${i}`);
+            }
+            await query(db, `INSERT INTO ${longName}119 (id) VALUES (1)`);
+            db.close();
+            db = new SawitDB(TEST_DB_PATH, { wal: { enabled: true, syncMode: 'normal' } });
+            const catalogTables = await query(db, `SHOW TABLES`);
+            const lastTable = await query(db, `SELECT * FROM ${longName}119`);
+            if (catalogTables.length === 122 && lastTable.length === 1) {
+                passed++; logPass("Multi-page Catalog (120+ tables, long names)");
+            } else {
+                throw new Error(`Catalog failed: ${catalogTables.length} tables`);
+            }
+
+            // Files written before the catalog keep 40-byte table slots in page 0
+            const legacy = Buffer.alloc(4096 * 2);
+            const legacyRecord = Buffer.from(JSON.stringify({ id: 1, bibit: 'Dura' }));
+            legacy.write('WOWO', 0);
+            legacy.writeUInt32LE(2, 4); // Total pages
+            legacy.writeUInt32LE(1, 8); // Num tables
+            legacy.write(TEST_TABLE, 12);
+            legacy.writeUInt32LE(1, 44); // Start page
+            legacy.writeUInt32LE(1, 48); // Last page
+            legacy.writeUInt16LE(1, 4096 + 4);
+            legacy.writeUInt16LE(8 + 2 + legacyRecord.length, 4096 + 6);
+            legacy.writeUInt16LE(legacyRecord.length, 4096 + 8);
+            legacyRecord.copy(legacy, 4096 + 10);
+            cleanupFile(LEGACY_DB_PATH);
+            fs.writeFileSync(LEGACY_DB_PATH, legacy);
+
+            const legacyDb = new SawitDB(LEGACY_DB_PATH);
+            await query(legacyDb, `INSERT INTO ${TEST_TABLE} (id, bibit) VALUES (2, 'Tenera')`);
+            const legacyRows = await query(legacyDb, `SELECT * FROM ${TEST_TABLE}`);
+            legacyDb.close();
+            cleanupFile(LEGACY_DB_PATH);
+            if (legacyRows.length === 2 && legacyRows[0].bibit === 'Dura') {
+                passed++; logPass("Legacy Catalog Migration");
+            } else {
+                throw new Error(`Legacy migration failed: ${JSON.stringify(legacyRows)}`);
+            }
         } else {
             logInfo("Skipping Persistence Test (Remote Mode)");
         }
@@ -177,6 +294,740 @@ async function runTests() {
             passed++; logPass("Index Creation & Usage");
         } else throw new Error("Index usage failed");
 
+        if (!IS_REMOTE) {
+            // Index nodes live in .sawit pages: reopening must find the same tree
+            await query(db, `CREATE INDEX ON ${TEST_TABLE} (bibit)`);
+            const rootBefore = db.indexes.get(`${TEST_TABLE}.bibit`).rootId;
+            db.close();
+            db = new SawitDB(TEST_DB_PATH, { wal: { enabled: true, syncMode: 'normal' } });
+
+            const reopened = db.indexes.get(`${TEST_TABLE}.bibit`);
+            const teneraRows = await query(db, `SELECT * FROM ${TEST_TABLE} WHERE bibit = 'Tenera'`);
+            if (reopened && reopened.rootId === rootBefore && reopened.stats().keyCount === 4 && teneraRows.length === 2) {
+                passed++; logPass("Persistent Index (reopen without rebuild)");
+            } else throw new Error(`Persistent index failed: ${JSON.stringify(teneraRows)}`);
+        }
+
+        // --- 4a. INDEX RANGE + ORDER BY ---
+        logInfo("Testing Index Range Scans...");
+        await query(db, `CREATE TABLE ${RANGE_TABLE}`);
+        for (let i = 0; i < 200; i++) {
+            await query(db, `INSERT INTO ${RANGE_TABLE} (id, umur, blok) VALUES (${i}, ${(i * 7) % 50}, 'Blok${i % 9}')`);
+        }
+        const rangeQueries = [
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur > 45`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur BETWEEN 10 AND 12`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur IN (3, 4)`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE blok LIKE 'blok1%'`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur <= 2 AND id > 100`,
+            `SELECT * FROM ${RANGE_TABLE} ORDER BY umur DESC LIMIT 5`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE id < 40 ORDER BY umur LIMIT 3 OFFSET 2`
+        ];
+        const scanned = [];
+        for (const q of rangeQueries) scanned.push(await query(db, q));
+        await query(db, `CREATE INDEX ON ${RANGE_TABLE} (umur)`);
+        await query(db, `CREATE INDEX ON ${RANGE_TABLE} (blok)`);
+        let rangeOk = true;
+        for (let i = 0; i < rangeQueries.length; i++) {
+            const indexed = await query(db, rangeQueries[i]);
+            if (JSON.stringify(indexed) !== JSON.stringify(scanned[i])) rangeOk = false;
+        }
+        const rangePlan = await query(db, `EXPLAIN SELECT * FROM ${RANGE_TABLE} WHERE umur >= 40`);
+        const orderPlan = await query(db, `EXPLAIN SELECT * FROM ${RANGE_TABLE} ORDER BY umur LIMIT 3`);
+        if (rangeOk && rangePlan.steps[0].operation === 'INDEX RANGE SCAN' &&
+            orderPlan.steps[0].operation === 'INDEX ORDER SCAN') {
+            passed++; logPass("Index Range Scan + ORDER BY (same rows as full scan)");
+        } else throw new Error(`Range scan mismatch: ${JSON.stringify(rangePlan.steps)}`);
+
+        // Mixed types in one column: WHERE and ORDER BY use the index key order on both paths
+        await query(db, `CREATE TABLE ${MIXED_TABLE}`);
+        const mixedValues = [3, "'7'", 10, "'25'", "'abc'", 42, 'NULL', 'TRUE', "'Zebra'", -1, "'5'", 'FALSE'];
+        for (let i = 0; i < mixedValues.length; i++) {
+            await query(db, `INSERT INTO ${MIXED_TABLE} (id, nilai) VALUES (${i}, ${mixedValues[i]})`);
+        }
+        const mixedQueries = [
+            `SELECT * FROM ${MIXED_TABLE} WHERE nilai > 5`,
+            `SELECT * FROM ${MIXED_TABLE} WHERE nilai < 5`,
+            `SELECT * FROM ${MIXED_TABLE} WHERE nilai BETWEEN 2 AND 20`,
+            `SELECT * FROM ${MIXED_TABLE} WHERE nilai >= 'Z'`,
+            `SELECT * FROM ${MIXED_TABLE} ORDER BY nilai`,
+            `SELECT * FROM ${MIXED_TABLE} ORDER BY nilai DESC LIMIT 4`
+        ];
+        const mixedScanned = [];
+        for (const q of mixedQueries) mixedScanned.push(await query(db, q));
+        await query(db, `CREATE INDEX ON ${MIXED_TABLE} (nilai)`);
+        let mixedOk = true;
+        for (let i = 0; i < mixedQueries.length; i++) {
+            const indexed = await query(db, mixedQueries[i]);
+            if (JSON.stringify(indexed) !== JSON.stringify(mixedScanned[i])) mixedOk = false;
+        }
+        // null, booleans, numbers, then strings; NULL never passes a range
+        if (mixedOk && mixedScanned[4].map(r => r.nilai).join(',') === ',false,true,-1,3,10,42,25,5,7,Zebra,abc' &&
+            mixedScanned[1].map(r => r.nilai).join(',') === '3,true,-1,false') {
+            passed++; logPass("Mixed-type column (same order with and without index)");
+        } else throw new Error(`Mixed-type mismatch: ${JSON.stringify(mixedScanned)}`);
+
+        // Composite index: leading-prefix equality + range on the next field
+        const compositeQueries = [
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur = 7 AND blok = 'Blok1'`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur = 7 AND blok > 'Blok4'`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE blok = 'Blok2' AND umur BETWEEN 10 AND 30 AND id > 50`,
+            `SELECT * FROM ${RANGE_TABLE} WHERE umur IN (1, 2) AND id < 100`
+        ];
+        const compositeScanned = [];
+        for (const q of compositeQueries) compositeScanned.push(await query(db, q));
+        await query(db, `CREATE INDEX ON ${RANGE_TABLE} (umur, blok)`);
+        await query(db, `INDEKS ${RANGE_TABLE} PADA (blok, umur)`);
+        let compositeOk = true;
+        for (let i = 0; i < compositeQueries.length; i++) {
+            const indexed = await query(db, compositeQueries[i]);
+            if (JSON.stringify(indexed) !== JSON.stringify(compositeScanned[i])) compositeOk = false;
+        }
+        await query(db, `UPDATE ${RANGE_TABLE} SET blok = 'Pindah' WHERE umur = 7 AND blok > 'Blok4'`);
+        const moved = await query(db, `SELECT * FROM ${RANGE_TABLE} WHERE umur = 7 AND blok = 'Pindah'`);
+        const compositePlan = await query(db, `EXPLAIN SELECT * FROM ${RANGE_TABLE} WHERE blok = 'Blok2' AND umur > 10`);
+        if (compositeOk && moved.length === compositeScanned[1].length && moved.length > 0 &&
+            compositePlan.steps[0].index === `${RANGE_TABLE}.blok,umur`) {
+            passed++; logPass("Composite Index (prefix equality + range)");
+        } else throw new Error(`Composite index failed: ${JSON.stringify(compositePlan.steps)}`);
+
+        // UNIQUE + PRIMARY KEY: violations are rejected before anything is written
+        await query(db, `CREATE TABLE ${KEY_TABLE} (id PRIMARY KEY, email UNIQUE, nama)`);
+        await query(db, `INSERT INTO ${KEY_TABLE} (id, email, nama) VALUES (1, 'a@kebun.id', 'Sari')`);
+        await query(db, `INSERT INTO ${KEY_TABLE} (id, email, nama) VALUES (2, 'b@kebun.id', 'Sari')`);
+        const keyErrors = [
+            await query(db, `INSERT INTO ${KEY_TABLE} (id, email) VALUES (1, 'c@kebun.id')`),
+            await query(db, `INSERT INTO ${KEY_TABLE} (id, email) VALUES (3, 'a@kebun.id')`),
+            await query(db, `INSERT INTO ${KEY_TABLE} (email) VALUES ('d@kebun.id')`),
+            await query(db, `UPDATE ${KEY_TABLE} SET email = 'b@kebun.id' WHERE id = 1`),
+            await query(db, `INDEKS UNIK ${KEY_TABLE} PADA nama`)
+        ];
+        await query(db, `UPDATE ${KEY_TABLE} SET email = 'a2@kebun.id' WHERE id = 1`);
+        await query(db, `BEGIN TRANSACTION`);
+        await query(db, `INSERT INTO ${KEY_TABLE} (id) VALUES (3)`);
+        const txnDuplicate = await query(db, `INSERT INTO ${KEY_TABLE} (id) VALUES (3)`);
+        const keyRows = await query(db, `SELECT * FROM ${KEY_TABLE}`);
+        if (keyErrors.every(r => typeof r === 'string' && r.startsWith('Error:')) &&
+            String(txnDuplicate).includes('Kunci utama ganda') &&
+            keyRows.length === 2 && keyRows[0].email === 'a2@kebun.id') {
+            passed++; logPass("UNIQUE Index + PRIMARY KEY (insert, update, AKAD)");
+        } else throw new Error(`Key enforcement failed: ${JSON.stringify(keyErrors)} ${JSON.stringify(keyRows)}`);
+
+        // Index management: stats, DROP INDEX, REINDEX
+        const statsBefore = await query(db, `LIHAT INDEKS ${KEY_TABLE}`);
+        const dropRes = await query(db, `BUANG INDEKS ${KEY_TABLE} PADA email`);
+        const dropPrimary = await query(db, `DROP INDEX ${KEY_TABLE}.id`);
+        const statsAfter = await query(db, `SHOW INDEXES ${KEY_TABLE}`);
+        const reindexRes = await query(db, `REINDEX ${RANGE_TABLE}`);
+        const afterReindex = await query(db, `SELECT * FROM ${RANGE_TABLE} WHERE umur = 7 AND blok = 'Pindah'`);
+        const primaryStats = statsBefore.find(s => s.name === `${KEY_TABLE}.id`);
+        if (statsBefore.length === 2 && primaryStats.primary && primaryStats.unique && primaryStats.pages >= 1 &&
+            String(dropRes).includes('dibuang') && String(dropPrimary).startsWith('Error') &&
+            statsAfter.length === 1 && String(reindexRes).includes(`${RANGE_TABLE}.umur,blok`) &&
+            afterReindex.length === moved.length) {
+            passed++; logPass("DROP INDEX / REINDEX / LIHAT INDEKS stats");
+        } else throw new Error(`Index management failed: ${JSON.stringify(statsAfter)} ${reindexRes}`);
+
+        if (!IS_REMOTE) {
+            // HANYA stops the index walk: only a few data pages are read
+            const readPageObjects = db.pager.readPageObjects;
+            let pagesRead = 0;
+            db.pager.readPageObjects = function (pageId) {
+                pagesRead++;
+                return readPageObjects.call(this, pageId);
+            };
+            const top = await query(db, `SELECT * FROM ${RANGE_TABLE} ORDER BY umur DESC LIMIT 2`);
+            delete db.pager.readPageObjects;
+            if (top.length === 2 && top[0].umur === 49 && pagesRead <= 2) {
+                passed++; logPass("ORDER BY + LIMIT streams from the index");
+            } else throw new Error(`Early stop failed: ${pagesRead} pages read`);
+        }
+
+        // Typed columns: values are coerced to the declared type or rejected
+        logInfo("Testing Typed Schemas...");
+        await query(db, `LAHAN ${SCHEMA_TABLE} (id INT KUNCI UTAMA, kode TEXT, luas FLOAT, aktif BOOL, tanggal DATE, catatan)`);
+        await query(db, `TANAM KE ${SCHEMA_TABLE} (id, kode, luas, aktif, tanggal, catatan) BIBIT ('1', '007', '2.5', 'true', '2026-02-03', 9)`);
+        await query(db, `TANAM KE ${SCHEMA_TABLE} (id, kode, luas, aktif) BIBIT (2, 7, 3, 0)`);
+        const typeErrors = [
+            await query(db, `TANAM KE ${SCHEMA_TABLE} (id) BIBIT (1.5)`),
+            await query(db, `TANAM KE ${SCHEMA_TABLE} (id, tanggal) BIBIT (3, '2026-02-30')`),
+            await query(db, `TANAM KE ${SCHEMA_TABLE} (id, aktif) BIBIT (3, 'mungkin')`),
+            await query(db, `PUPUK ${SCHEMA_TABLE} DENGAN luas = 'lebar' DIMANA id = 2`),
+            await query(db, `LAHAN salah_test (id BLOB)`)
+        ];
+        await query(db, `PUPUK ${SCHEMA_TABLE} DENGAN luas = '4.25' DIMANA id = 2`);
+        const typedRows = await query(db, `PANEN * DARI ${SCHEMA_TABLE}`);
+        const structure = await query(db, `LIHAT STRUKTUR ${SCHEMA_TABLE}`);
+        const typeOf = (column) => (structure.find(c => c.column === column) || {}).type;
+        if (typeErrors.every(r => typeof r === 'string' && r.startsWith('Error:')) &&
+            typedRows.length === 2 && typedRows[0].id === 1 && typedRows[0].kode === '007' &&
+            typedRows[0].luas === 2.5 && typedRows[0].aktif === true && typedRows[1].kode === '7' &&
+            typedRows[1].aktif === false && typedRows[1].luas === 4.25 &&
+            structure.length === 6 && structure[0].key === 'PRI' && typeOf('tanggal') === 'DATE' && typeOf('catatan') === 'ANY') {
+            passed++; logPass("Typed Schema + DESCRIBE / LIHAT STRUKTUR");
+        } else throw new Error(`Typed schema failed: ${JSON.stringify(typeErrors)} ${JSON.stringify(typedRows)} ${JSON.stringify(structure)}`);
+
+        // Column constraints: NOT NULL, DEFAULT (incl. NOW()), CHECK
+        await query(db, `CREATE TABLE ${CHECK_TABLE} (id INT PRIMARY KEY, nama TEXT NOT NULL, luas FLOAT DEFAULT 1.5 CHECK (luas > 0), ` +
+            `status TEXT DEFAULT 'aktif', dibuat TEXT DEFAULT NOW(), CHECK (status IN ('aktif', 'tidur') OR luas > 10))`);
+        await query(db, `INSERT INTO ${CHECK_TABLE} (id, nama) VALUES (1, 'Blok A')`);
+        await query(db, `INSERT INTO ${CHECK_TABLE} (id, nama, status, luas) VALUES (2, 'Blok B', 'mati', 12)`);
+        const constraintErrors = [
+            await query(db, `INSERT INTO ${CHECK_TABLE} (id) VALUES (3)`),
+            await query(db, `INSERT INTO ${CHECK_TABLE} (id, nama, luas) VALUES (3, 'Blok C', -1)`),
+            await query(db, `INSERT INTO ${CHECK_TABLE} (id, nama, status) VALUES (3, 'Blok C', 'mati')`),
+            await query(db, `UPDATE ${CHECK_TABLE} SET nama = NULL WHERE id = 1`),
+            await query(db, `UPDATE ${CHECK_TABLE} SET luas = 5 WHERE id = 2`),
+            await query(db, `CREATE TABLE salah_test (n INT DEFAULT 'abc')`)
+        ];
+        await query(db, `UPDATE ${CHECK_TABLE} SET luas = 5 WHERE id = 1`);
+        const checkedRows = await query(db, `SELECT * FROM ${CHECK_TABLE}`);
+        const checkStructure = await query(db, `DESCRIBE ${CHECK_TABLE}`);
+        if (constraintErrors.every(r => typeof r === 'string' && r.startsWith('Error:')) &&
+            String(constraintErrors[1]).includes('CHECK (luas > 0)') &&
+            checkedRows.length === 2 && checkedRows[0].luas === 5 && checkedRows[0].status === 'aktif' &&
+            !isNaN(Date.parse(checkedRows[0].dibuat)) && checkedRows[1].luas === 12 &&
+            checkStructure[1].nullable === false && checkStructure[2].default === 1.5 && checkStructure[4].default === 'NOW()') {
+            passed++; logPass("NOT NULL / DEFAULT / CHECK constraints");
+        } else throw new Error(`Constraints failed: ${JSON.stringify(constraintErrors)} ${JSON.stringify(checkedRows)}`);
+
+        // Foreign keys: validated on write, ON DELETE CASCADE / RESTRICT / SET NULL
+        logInfo("Testing Foreign Keys...");
+        await query(db, `LAHAN ${PARENT_TABLE} (id INT KUNCI UTAMA, nama TEXT)`);
+        await query(db, `LAHAN ${CHILD_TABLE} (id INT KUNCI UTAMA, panen_id INT MERUJUK ${PARENT_TABLE} ON DELETE CASCADE, ` +
+            `pupuk_id INT, mandor_id INT REFERENCES ${PARENT_TABLE} (id) ON DELETE SET NULL, ` +
+            `FOREIGN KEY (pupuk_id) REFERENCES ${PARENT_TABLE} (id) ON DELETE RESTRICT)`);
+        for (let i = 1; i <= 4; i++) {
+            await query(db, `TANAM KE ${PARENT_TABLE} (id, nama) BIBIT (${i}, 'Kebun ${i}')`);
+        }
+        await query(db, `TANAM KE ${CHILD_TABLE} (id, panen_id) BIBIT (1, 1)`);
+        await query(db, `TANAM KE ${CHILD_TABLE} (id, panen_id, mandor_id) BIBIT (2, 2, 3)`);
+        await query(db, `TANAM KE ${CHILD_TABLE} (id, pupuk_id) BIBIT (3, 4)`);
+        const fkErrors = [
+            await query(db, `TANAM KE ${CHILD_TABLE} (id, panen_id) BIBIT (4, 99)`),
+            await query(db, `PUPUK ${CHILD_TABLE} DENGAN pupuk_id = 98 DIMANA id = 3`),
+            await query(db, `PUPUK ${PARENT_TABLE} DENGAN id = 40 DIMANA id = 4`),
+            await query(db, `GUSUR DARI ${PARENT_TABLE} DIMANA id = 4`),
+            await query(db, `BAKAR LAHAN ${PARENT_TABLE}`)
+        ];
+        // RESTRICT on id 4 fails the whole statement: the cascade for 1-3 is undone too
+        const restricted = await query(db, `GUSUR DARI ${PARENT_TABLE} DIMANA id >= 1`);
+        const childrenAfterRestrict = await query(db, `PANEN * DARI ${CHILD_TABLE}`);
+        await query(db, `GUSUR DARI ${PARENT_TABLE} DIMANA id = 1`);
+        await query(db, `GUSUR DARI ${PARENT_TABLE} DIMANA id = 3`);
+        await query(db, `MULAI AKAD`);
+        await query(db, `GUSUR DARI ${PARENT_TABLE} DIMANA id = 2`);
+        const insideAkad = await query(db, `PANEN * DARI ${CHILD_TABLE}`);
+        await query(db, `BATALKAN`);
+        const fkRows = await query(db, `PANEN * DARI ${CHILD_TABLE}`);
+        if (fkErrors.every(r => typeof r === 'string' && r.startsWith('Error:')) &&
+            String(restricted).includes('RESTRICT') && childrenAfterRestrict.length === 3 &&
+            insideAkad.length === 1 && insideAkad[0].id === 3 &&
+            fkRows.length === 2 && fkRows[0].id === 2 && fkRows[0].mandor_id === null && fkRows[1].pupuk_id === 4) {
+            passed++; logPass("Foreign Keys (CASCADE / RESTRICT / SET NULL, AKAD)");
+        } else throw new Error(`Foreign keys failed: ${JSON.stringify(fkErrors)} ${JSON.stringify(fkRows)}`);
+
+        logInfo("Testing ALTER TABLE...");
+        await query(db, `CREATE TABLE ${ALTER_TABLE} (id INT PRIMARY KEY, nama TEXT, luas FLOAT)`);
+        for (let i = 1; i <= 40; i++) {
+            await query(db, `INSERT INTO ${ALTER_TABLE} (id, nama, luas) VALUES (${i}, 'Blok ${i}', ${i})`);
+        }
+        await query(db, `CREATE INDEX ON ${ALTER_TABLE} (nama)`);
+        const alterMsgs = [
+            await query(db, `ALTER TABLE ${ALTER_TABLE} RENAME TO ${RENAMED_TABLE}`),
+            await query(db, `UBAH LAHAN ${RENAMED_TABLE} TAMBAH KOLOM status TEXT NOT NULL DEFAULT 'aktif'`),
+            await query(db, `ALTER TABLE ${RENAMED_TABLE} RENAME COLUMN nama TO blok`),
+            await query(db, `ALTER TABLE ${RENAMED_TABLE} DROP COLUMN luas`)
+        ];
+        const oldName = await query(db, `SELECT * FROM ${ALTER_TABLE}`);
+        const altered = await query(db, `SELECT * FROM ${RENAMED_TABLE} WHERE blok = 'Blok 7'`);
+        const alterColumns = (await query(db, `DESCRIBE ${RENAMED_TABLE}`)).map(c => c.column).join(',');
+        const alterErrors = [
+            await query(db, `ALTER TABLE ${RENAMED_TABLE} ADD COLUMN wajib TEXT NOT NULL`),
+            await query(db, `ALTER TABLE ${RENAMED_TABLE} DROP COLUMN id`),
+            await query(db, `ALTER TABLE ${RENAMED_TABLE} RENAME COLUMN blok TO status`)
+        ];
+        if (alterMsgs.every(m => !String(m).startsWith('Error')) && String(oldName).includes('tidak ditemukan') &&
+            altered.length === 1 && JSON.stringify(altered[0]) === '{"id":7,"blok":"Blok 7","status":"aktif"}' &&
+            alterColumns === 'id,blok,status' && alterErrors.every(e => String(e).startsWith('Error'))) {
+            passed++; logPass("ALTER TABLE / UBAH LAHAN (rename, add / drop / rename column)");
+        } else throw new Error(`ALTER TABLE failed: ${JSON.stringify(alterMsgs)} ${JSON.stringify(altered)} ${alterColumns} ${JSON.stringify(alterErrors)}`);
+
+        if (!IS_REMOTE) {
+            // Column changes are versioned: records stay on their pages untouched and are upgraded when read
+            cleanupFile(CRASH_DB_PATH);
+            let ldb = new SawitDB(CRASH_DB_PATH);
+            ldb.query(`CREATE TABLE ${ALTER_TABLE} (id INT PRIMARY KEY, nama TEXT)`);
+            for (const [id, nama] of [[1, 'A'], [2, 'B'], [3, 'C']]) {
+                ldb.query(`INSERT INTO ${ALTER_TABLE} (id, nama) VALUES (${id}, '${nama}')`);
+            }
+            const startPage = ldb.tableManager.findTableEntry(ALTER_TABLE).startPage;
+            const before = Buffer.from(ldb.pager.readPage(startPage));
+            ldb.query(`ALTER TABLE ${ALTER_TABLE} ADD COLUMN status TEXT DEFAULT 'aktif'`);
+            ldb.query(`ALTER TABLE ${ALTER_TABLE} RENAME COLUMN nama TO blok`);
+            ldb.query(`ALTER TABLE ${ALTER_TABLE} DROP COLUMN status`);
+            ldb.query(`ALTER TABLE ${ALTER_TABLE} ADD COLUMN status TEXT DEFAULT 'baru'`);
+            const untouched = before.equals(ldb.pager.readPage(startPage));
+            ldb.query(`UPDATE ${ALTER_TABLE} SET blok = 'X' WHERE id = 2`);
+            ldb.query(`INSERT INTO ${ALTER_TABLE} (id, blok) VALUES (4, 'D')`);
+            const lazyRows = ldb.query(`SELECT * FROM ${ALTER_TABLE}`);
+            const byBlok = ldb.query(`SELECT id FROM ${ALTER_TABLE} WHERE blok = 'C'`);
+            ldb.close();
+            ldb = new SawitDB(CRASH_DB_PATH);
+            const reopened = ldb.query(`SELECT * FROM ${ALTER_TABLE}`);
+            const lazyHealth = ldb.query(`PERIKSA KESEHATAN`);
+            ldb.close();
+            cleanupFile(CRASH_DB_PATH);
+
+            const expected = JSON.stringify([
+                { id: 1, blok: 'A', status: 'baru' }, { id: 2, blok: 'X', status: 'baru' },
+                { id: 3, blok: 'C', status: 'baru' }, { id: 4, blok: 'D', status: 'baru' }
+            ]);
+            if (untouched && JSON.stringify(lazyRows) === expected && JSON.stringify(reopened) === expected &&
+                byBlok.length === 1 && byBlok[0].id === 3 && lazyHealth.ok) {
+                passed++; logPass("ALTER TABLE column changes applied lazily (versioned schema)");
+            } else throw new Error(`Lazy ALTER TABLE failed: ${JSON.stringify({ untouched, lazyRows, reopened, byBlok, lazyHealth })}`);
+        }
+
+        logInfo("Testing AUTO_INCREMENT and sequences...");
+        await query(db, `CREATE TABLE ${SERIAL_TABLE} (id SERIAL PRIMARY KEY, nama TEXT, nomor INT)`);
+        await query(db, `CREATE SEQUENCE ${SEQUENCE_NAME} START WITH 100 INCREMENT BY 5`);
+        const serialMsgs = [
+            await query(db, `INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('a')`),
+            await query(db, `TANAM KE ${SERIAL_TABLE} (nama) BIBIT ('b')`),
+            await query(db, `INSERT INTO ${SERIAL_TABLE} (id, nama) VALUES (10, 'c')`),
+            await query(db, `INSERT INTO ${SERIAL_TABLE} (nama, nomor) VALUES ('d', NEXTVAL('${SEQUENCE_NAME}'))`),
+            await query(db, `INSERT INTO ${SERIAL_TABLE} (nama, nomor) VALUES ('e', NEXTVAL('${SEQUENCE_NAME}'))`)
+        ];
+        // Values handed out inside a rolled back AKAD are not reused
+        await query(db, `MULAI AKAD`);
+        await query(db, `INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('batal')`);
+        await query(db, `BATALKAN`);
+        serialMsgs.push(await query(db, `INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('f')`));
+        const serialRows = await query(db, `SELECT * FROM ${SERIAL_TABLE}`);
+        const dropUsed = await query(db, `DROP SEQUENCE ${SERIAL_TABLE}_id_seq`);
+        const expectedMsgs = ['(id: 1)', '(id: 2)', 'tertanam.', '(nomor: 100)', '(nomor: 105)', '(id: 14)'];
+        if (serialMsgs.every((m, i) => String(m).includes(expectedMsgs[i])) &&
+            serialRows.map(r => r.id).join(',') === '1,2,10,11,12,14' && String(dropUsed).includes('masih dipakai')) {
+            passed++; logPass("AUTO_INCREMENT / SERIAL + CREATE SEQUENCE / NEXTVAL");
+        } else throw new Error(`Sequences failed: ${JSON.stringify(serialMsgs)} ${JSON.stringify(serialRows)} ${dropUsed}`);
+
+        // BLUSUKAN finds rows by their generated id
+        await query(db, `INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('kelapa sawit unggul')`);
+        const found = await query(db, `BLUSUKAN KE ${SERIAL_TABLE} CARI "unggul"`);
+        if (Array.isArray(found) && found.length === 1 && found[0].id === 15 && found[0].nama === 'kelapa sawit unggul') {
+            passed++; logPass("BLUSUKAN search on AUTO_INCREMENT rows");
+        } else throw new Error(`BLUSUKAN failed: ${JSON.stringify(found)}`);
+
+        // NEXTVAL / CURRVAL outside INSERT: SELECT without FROM, SELECT columns and UPDATE SET
+        const selectNext = await query(db, `SELECT NEXTVAL('${SEQUENCE_NAME}') AS n`);
+        const selectCurr = await query(db, `PANEN CURRVAL('${SEQUENCE_NAME}') AS c`);
+        await query(db, `UPDATE ${SERIAL_TABLE} SET nomor = NEXTVAL('${SEQUENCE_NAME}') WHERE id <= 2`);
+        const numbered = await query(db, `SELECT id, nomor, CURRVAL('${SEQUENCE_NAME}') AS terakhir FROM ${SERIAL_TABLE} WHERE id <= 2`);
+        if (selectNext[0].n === 110 && selectCurr[0].c === 110 &&
+            JSON.stringify(numbered) === '[{"id":1,"nomor":115,"terakhir":120},{"id":2,"nomor":120,"terakhir":120}]') {
+            passed++; logPass("NEXTVAL / CURRVAL in SELECT and UPDATE");
+        } else throw new Error(`NEXTVAL outside INSERT failed: ${JSON.stringify([selectNext, selectCurr, numbered])}`);
+
+        logInfo("Testing expressions in UPDATE SET...");
+        await query(db, `CREATE TABLE ${STOCK_TABLE} (id INT PRIMARY KEY, nama TEXT, jumlah INT NOT NULL, catatan TEXT, diubah TEXT)`);
+        await query(db, `INSERT INTO ${STOCK_TABLE} (id, nama, jumlah) VALUES (1, 'NPK', 20)`);
+        await query(db, `INSERT INTO ${STOCK_TABLE} (id, nama, jumlah) VALUES (2, 'Urea', 7)`);
+        await query(db, `PUPUK ${STOCK_TABLE} DENGAN jumlah = jumlah - 5 DIMANA id = 1`);
+        // Every SET expression reads the row as it was before the update
+        await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = (jumlah + 1) * 2, nama = nama || '-' || COALESCE(catatan, 'baru'), catatan = nama, diubah = NOW() WHERE id = 2`);
+        await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = jumlah -1`);
+        const stockRows = await query(db, `SELECT * FROM ${STOCK_TABLE}`);
+        const stockErrors = [
+            await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = jumlah / 0`),
+            await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = nama + 1`),
+            await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = catatan WHERE id = 1`),
+            await query(db, `UPDATE ${STOCK_TABLE} SET jumlah = TIDAK_ADA(jumlah)`)
+        ];
+        if (stockRows[0].jumlah === 14 && stockRows[1].jumlah === 15 && stockRows[1].nama === 'Urea-baru' &&
+            stockRows[1].catatan === 'Urea' && !isNaN(Date.parse(stockRows[1].diubah)) &&
+            stockErrors.map(String).join('|') === "Error: Pembagian dengan nol|Error: Nilai 'NPK' bukan angka untuk operator +|" +
+                `Error: Kolom 'jumlah' pada kebun '${STOCK_TABLE}' tidak boleh kosong (NOT NULL).|Error: Fungsi tidak dikenal: TIDAK_ADA`) {
+            passed++; logPass("Expressions in UPDATE SET (arithmetic, ||, COALESCE, NOW)");
+        } else throw new Error(`UPDATE expressions failed: ${JSON.stringify(stockRows)} ${JSON.stringify(stockErrors)}`);
+
+        logInfo("Testing computed columns and scalar functions...");
+        const computedRows = await query(db, `PANEN nama, jumlah * 2 AS dobel, UPPER(nama), ROUND(jumlah / 3, 2) DARI ${STOCK_TABLE} URUTKAN BERDASARKAN dobel TURUN`);
+        const filtered = await query(db, `SELECT id, CONCAT(TRIM('  x '), '-', SUBSTR(nama, 1, 3)) AS kode FROM ${STOCK_TABLE} WHERE LOWER(nama) LIKE 'urea%' AND jumlah > id * 7`);
+        const byExpression = await query(db, `SELECT id FROM ${STOCK_TABLE} ORDER BY jumlah % 4 DESC`);
+        const badFunction = await query(db, `SELECT UPPER(nama, 1) FROM ${STOCK_TABLE}`);
+        if (JSON.stringify(computedRows) === JSON.stringify([
+            { nama: 'Urea-baru', dobel: 30, 'UPPER(nama)': 'UREA-BARU', 'ROUND(jumlah / 3, 2)': 5 },
+            { nama: 'NPK', dobel: 28, 'UPPER(nama)': 'NPK', 'ROUND(jumlah / 3, 2)': 4.67 }
+        ]) && JSON.stringify(filtered) === JSON.stringify([{ id: 2, kode: 'x-Ure' }]) &&
+            byExpression.map(r => r.id).join(',') === '2,1' && String(badFunction) === 'Error: UPPER membutuhkan 1 argumen') {
+            passed++; logPass("Computed columns + scalar functions (AS alias, WHERE, ORDER BY)");
+        } else throw new Error(`Computed columns failed: ${JSON.stringify({ computedRows, filtered, byExpression, badFunction })}`);
+
+        logInfo("Testing GROUP BY with several aggregates...");
+        await query(db, `CREATE TABLE ${HARVEST_TABLE} (id INT PRIMARY KEY, kebun TEXT, tahun INT, ton FLOAT, harga FLOAT)`);
+        const harvest = [['A', 2023, 60, 10], ['A', 2023, 50, 12], ['A', 2024, 30, 11], ['B', 2023, 120, 9], ['B', 2024, 20, 'NULL'], ['C', 2024, 5, 15]];
+        for (let i = 0; i < harvest.length; i++) {
+            const [kebun, tahun, ton, harga] = harvest[i];
+            await query(db, `INSERT INTO ${HARVEST_TABLE} (id, kebun, tahun, ton, harga) VALUES (${i + 1}, '${kebun}', ${tahun}, ${ton}, ${harga})`);
+        }
+        const grouped = await query(db, `SELECT kebun, tahun, SUM(ton), AVG(harga), COUNT(*) FROM ${HARVEST_TABLE} GROUP BY kebun, tahun HAVING SUM(ton) > 100 ORDER BY kebun`);
+        const perKebun = await query(db, `PANEN kebun, SUM(ton) AS total, COUNT(harga) AS dihargai DARI ${HARVEST_TABLE} KELOMPOK kebun URUTKAN BERDASARKAN total TURUN HANYA 2`);
+        const whole = await query(db, `HITUNG COUNT(*) AS n, SUM(ton) / COUNT(*) AS rata DARI ${HARVEST_TABLE} DIMANA tahun = 2024`);
+        const misplaced = await query(db, `SELECT kebun FROM ${HARVEST_TABLE} WHERE SUM(ton) > 1`);
+        const legacy = await query(db, `HITUNG COUNT(*) DARI ${HARVEST_TABLE} KELOMPOK kebun`);
+        const hitungGrouped = await query(db, `HITUNG SUM(ton) AS total, COUNT(*) DARI ${HARVEST_TABLE} KELOMPOK kebun, tahun DENGAN SYARAT COUNT(*) > 1`);
+        const havingCall = await query(db, `HITUNG SUM(ton) DARI ${HARVEST_TABLE} KELOMPOK kebun HAVING SUM(ton) > 100`);
+        const havingKey = await query(db, `HITUNG SUM(ton) DARI ${HARVEST_TABLE} KELOMPOK kebun DENGAN SYARAT sum > 100 AND COUNT(*) > 2`);
+        const nullGroup = await query(db, `HITUNG AVG(ton) DARI ${HARVEST_TABLE} KELOMPOK wilayah`);
+        const havingPlan = await query(db, `EXPLAIN HITUNG SUM(ton) DARI ${HARVEST_TABLE} KELOMPOK kebun HAVING SUM(ton) > 100`);
+        if (JSON.stringify(grouped) === JSON.stringify([
+            { kebun: 'A', tahun: 2023, 'SUM(ton)': 110, 'AVG(harga)': 11, 'COUNT(*)': 2 },
+            { kebun: 'B', tahun: 2023, 'SUM(ton)': 120, 'AVG(harga)': 9, 'COUNT(*)': 1 }
+        ]) && JSON.stringify(perKebun) === JSON.stringify([
+            { kebun: 'A', total: 140, dihargai: 3 }, { kebun: 'B', total: 140, dihargai: 1 }
+        ]) && whole.length === 1 && whole[0].n === 3 && whole[0].rata === 55 / 3 &&
+            String(misplaced).startsWith('Error: Fungsi agregat SUM') && legacy.length === 3 && legacy[0].count === 3 &&
+            JSON.stringify(hitungGrouped) === JSON.stringify([{ kebun: 'A', tahun: 2023, total: 110, 'COUNT(*)': 2 }]) &&
+            JSON.stringify(havingCall) === JSON.stringify([{ kebun: 'A', sum: 140 }, { kebun: 'B', sum: 140 }]) &&
+            JSON.stringify(havingKey) === JSON.stringify([{ kebun: 'A', sum: 140 }]) &&
+            JSON.stringify(nullGroup) === JSON.stringify([{ wilayah: null, avg: 47.5 }]) &&
+            havingPlan.steps[3].condition === 'SUM(ton) > 100') {
+            passed++; logPass("GROUP BY several columns + several aggregates (aliases, HAVING, ORDER BY)");
+        } else throw new Error(`Grouped aggregates failed: ${JSON.stringify({ grouped, perKebun, whole, misplaced, legacy, hitungGrouped, havingCall, havingKey, nullGroup, havingPlan })}`);
+
+        logInfo("Testing statistical aggregates...");
+        const stats = await query(db, `SELECT COUNT(DISTINCT kebun) AS kebun, MEDIAN(ton), PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY ton) AS p90, VARIANCE(ton), VAR_POP(ton) FROM ${HARVEST_TABLE}`);
+        const lists = await query(db, `PANEN kebun, STRING_AGG(tahun, '/') AS tahun, GROUP_CONCAT(DISTINCT tahun) AS unik, ARRAY_AGG(harga) AS harga DARI ${HARVEST_TABLE} KELOMPOK kebun DENGAN SYARAT MEDIAN(ton) > 10 AND COUNT(DISTINCT tahun) >= 2`);
+        const legacyMedian = await query(db, `HITUNG MEDIAN(ton) DARI ${HARVEST_TABLE}`);
+        const legacyStddev = await query(db, `HITUNG STDDEV(ton) DARI ${HARVEST_TABLE} KELOMPOK kebun`);
+        const perYear = await query(db, `HITUNG COUNT(*) DARI ${HARVEST_TABLE} KELOMPOK tahun`);
+        const legacySum = await query(db, `HITUNG SUM(ton) DARI ${HARVEST_TABLE}`);
+        const distinctYears = await query(db, `HITUNG COUNT(DISTINCT tahun) DARI ${HARVEST_TABLE}`);
+        const badPercentile = await query(db, `SELECT PERCENTILE_CONT(ton, 2) FROM ${HARVEST_TABLE}`);
+        if (JSON.stringify(stats) === JSON.stringify([{ kebun: 3, 'MEDIAN(ton)': 40, p90: 90, 'VARIANCE(ton)': 1657.5, 'VAR_POP(ton)': 1381.25 }]) &&
+            JSON.stringify(lists) === JSON.stringify([
+                { kebun: 'A', tahun: '2023/2023/2024', unik: '2023,2024', harga: [10, 12, 11] },
+                { kebun: 'B', tahun: '2023/2024', unik: '2023,2024', harga: [9, null] }
+            ]) && JSON.stringify(legacyMedian) === JSON.stringify({ median: 40, field: 'ton' }) &&
+            JSON.stringify(legacySum) === JSON.stringify({ sum: 285, field: 'ton' }) &&
+            JSON.stringify(distinctYears) === JSON.stringify({ count: 2, field: 'tahun' }) &&
+            JSON.stringify(legacyStddev[2]) === JSON.stringify({ kebun: 'C', stddev: null }) &&
+            JSON.stringify(perYear) === JSON.stringify([{ tahun: 2023, count: 3 }, { tahun: 2024, count: 3 }]) &&
+            String(badPercentile).includes('PERCENTILE_CONT')) {
+            passed++; logPass("COUNT DISTINCT / MEDIAN / PERCENTILE_CONT / VARIANCE / STRING_AGG / ARRAY_AGG");
+        } else throw new Error(`Statistical aggregates failed: ${JSON.stringify({ stats, lists, legacyMedian, legacySum, distinctYears, legacyStddev, perYear, badPercentile })}`);
+
+        logInfo("Testing subqueries...");
+        await query(db, `CREATE TABLE ${ESTATE_TABLE} (kode TEXT PRIMARY KEY, luas INT)`);
+        for (const [kode, luas] of [['A', 10], ['B', 50], ['D', 5]]) {
+            await query(db, `INSERT INTO ${ESTATE_TABLE} (kode, luas) VALUES ('${kode}', ${luas})`);
+        }
+        const inList = await query(db, `SELECT kode FROM ${ESTATE_TABLE} WHERE kode IN (SELECT kebun FROM ${HARVEST_TABLE} WHERE ton > 50 ORDER BY ton)`);
+        const notExists = await query(db, `PANEN kode DARI ${ESTATE_TABLE} l DIMANA NOT EXISTS (PANEN * DARI ${HARVEST_TABLE} DIMANA ${HARVEST_TABLE}.kebun = l.kode)`);
+        const aboveAverage = await query(db, `SELECT kode FROM ${ESTATE_TABLE} WHERE luas > (SELECT AVG(luas) FROM ${ESTATE_TABLE})`);
+        const totals = await query(db, `SELECT kode, (SELECT SUM(ton) FROM ${HARVEST_TABLE} h WHERE h.kebun = ${ESTATE_TABLE}.kode) AS total FROM ${ESTATE_TABLE} ORDER BY kode`);
+        // Not an equality with the outer row: re-run per row
+        const perRow = await query(db, `SELECT kode FROM ${ESTATE_TABLE} l WHERE EXISTS (SELECT id FROM ${HARVEST_TABLE} h WHERE h.kebun = l.kode AND h.ton > l.luas * 5)`);
+        const explained = await query(db, `EXPLAIN PANEN kode DARI ${ESTATE_TABLE} l DIMANA NOT EXISTS (PANEN * DARI ${HARVEST_TABLE} DIMANA ${HARVEST_TABLE}.kebun = l.kode)`);
+        const tooMany = await query(db, `SELECT kode FROM ${ESTATE_TABLE} WHERE luas = (SELECT luas FROM ${ESTATE_TABLE})`);
+        // POS RONDA: a subquery cannot read a table the user has no grant on
+        let denied = 'remote';
+        if (!IS_REMOTE) {
+            db.query(`GRANT read ON ${ESTATE_TABLE} TO tamu`);
+            denied = [
+                db.query(`SELECT kode FROM ${ESTATE_TABLE} WHERE kode IN (SELECT kebun FROM ${HARVEST_TABLE})`, { user: 'tamu' }),
+                db.query(`SELECT kode FROM ${ESTATE_TABLE} l WHERE EXISTS (SELECT id FROM ${HARVEST_TABLE} h WHERE h.kebun = l.kode)`, { user: 'tamu' }),
+                db.query(`SELECT kode FROM ${ESTATE_TABLE} l WHERE EXISTS (SELECT id FROM ${HARVEST_TABLE} h WHERE h.ton > l.luas)`, { user: 'tamu' })
+            ];
+            db.query(`REVOKE read ON ${ESTATE_TABLE} FROM tamu`);
+        }
+        const deniedOk = denied === 'remote' ||
+            denied.every(d => String(d).includes(`User 'tamu' tidak punya izin 'read' di lahan '${HARVEST_TABLE}'`));
+        if (inList.map(r => r.kode).join() === 'A,B' && JSON.stringify(notExists) === JSON.stringify([{ kode: 'D' }]) &&
+            JSON.stringify(aboveAverage) === JSON.stringify([{ kode: 'B' }]) &&
+            JSON.stringify(totals) === JSON.stringify([{ kode: 'A', total: 140 }, { kode: 'B', total: 140 }, { kode: 'D', total: null }]) &&
+            JSON.stringify(perRow) === JSON.stringify([{ kode: 'A' }]) &&
+            explained.steps[0].operation === 'SUBQUERY' && explained.steps[0].method === 'Hash Semi Join (decorrelated)' &&
+            String(tooMany).includes('3 baris') && deniedOk) {
+            passed++; logPass("Subqueries (IN, EXISTS, scalar, correlated + decorrelated, POS RONDA)");
+        } else throw new Error(`Subqueries failed: ${JSON.stringify({ inList, notExists, aboveAverage, totals, perRow, explained, tooMany, denied })}`);
+
+        // --- 4a5. STRUCTURED RESULTS (QueryResult + SawitError) ---
+        if (!IS_REMOTE) {
+            logInfo("Testing Structured Results...");
+            cleanupFile(CRASH_DB_PATH);
+            const sdb = new SawitDB(CRASH_DB_PATH, { structured: true });
+            sdb.query(`CREATE TABLE ${SERIAL_TABLE} (id SERIAL PRIMARY KEY, nama TEXT)`);
+            const inserted = sdb.query(`INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('Dura')`);
+            sdb.query(`INSERT INTO ${SERIAL_TABLE} (nama) VALUES ('Pisifera')`);
+            const selected = sdb.query(`SELECT id, nama FROM ${SERIAL_TABLE} ORDER BY id ASC`);
+            const empty = sdb.query(`SELECT nama FROM ${SERIAL_TABLE} WHERE id = 99`);
+            const updated = sdb.query(`UPDATE ${SERIAL_TABLE} SET nama = 'Tenera'`);
+            const deleted = sdb.query(`DELETE FROM ${SERIAL_TABLE} WHERE id = 1`);
+            const counted = sdb.query(`HITUNG COUNT(*) DARI ${SERIAL_TABLE}`);
+            const codes = [];
+            for (const sql of [`SELECT * FROM tidak_ada`, `SELEKSI SEMUA`]) {
+                try {
+                    sdb.query(sql);
+                } catch (e) {
+                    if (e instanceof SawitDB.SawitError) codes.push(e.code);
+                }
+            }
+            // A plain session on a structured engine keeps the old strings
+            const plain = sdb.query(`DELETE FROM ${SERIAL_TABLE} WHERE id = 99`, null, { structured: false });
+            const plainErr = sdb.query(`SELECT * FROM tidak_ada`, null, { structured: false });
+            sdb.close();
+            cleanupFile(CRASH_DB_PATH);
+
+            if (inserted.affectedRows === 1 && inserted.insertedIds[0] === 1 && inserted.message.includes('tertanam') &&
+                selected.rowCount === 2 && selected.columns.join() === 'id,nama' && selected.rows[1].nama === 'Pisifera' &&
+                typeof selected.timing.durationMs === 'number' &&
+                empty.rowCount === 0 && empty.columns.join() === 'nama' &&
+                updated.affectedRows === 2 && deleted.affectedRows === 1 && counted.rows[0].count === 1 &&
+                codes.join() === 'SAWIT_E_TABLE_NOT_FOUND,SAWIT_E_UNKNOWN_COMMAND' &&
+                plain === 'Berhasil menggusur 0 bibit.' && String(plainErr).startsWith('Error:')) {
+                passed++; logPass("Structured results (QueryResult + SawitError codes)");
+            } else throw new Error(`Structured results failed: ${JSON.stringify({ inserted, selected, empty, updated, deleted, counted, codes, plain, plainErr })}`);
+        }
+
+        // --- 4a6. ERROR CATALOG (codes, Indonesian / English messages) ---
+        if (!IS_REMOTE) {
+            logInfo("Testing Error Catalog...");
+            cleanupFile(CRASH_DB_PATH);
+            const edb = new SawitDB(CRASH_DB_PATH, { language: 'en' });
+            edb.query(`CREATE TABLE ${SERIAL_TABLE} (id INT PRIMARY KEY, nama TEXT NOT NULL)`);
+            edb.query(`INSERT INTO ${SERIAL_TABLE} (id, nama) VALUES (1, 'Dura')`);
+            edb.query(`CREATE INDEX ON ${SERIAL_TABLE} (nama)`);
+            const english = [
+                edb.query(`SELECT * FROM tidak_ada`),
+                edb.query(`INSERT INTO ${SERIAL_TABLE} (id, nama) VALUES (1, 'Tenera')`),
+                edb.query(`INSERT INTO ${SERIAL_TABLE} (id) VALUES (2)`),
+                edb.query(`DROP TABLE tidak_ada`),
+                edb.query(`CREATE TABLE ${SERIAL_TABLE}`),
+                edb.query(`CREATE INDEX ON ${SERIAL_TABLE} (nama)`),
+                edb.query(`REVOKE read ON ${SERIAL_TABLE} FROM tamu`)
+            ];
+            // Session language wins over the engine's
+            const indonesian = edb.query(`SELECT * FROM tidak_ada`, null, { language: 'id' });
+            const failures = [];
+            const session = { structured: true };
+            edb.query(`MULAI AKAD`, null, session);
+            for (const sql of [`INSERT INTO ${SERIAL_TABLE} (id, nama) VALUES (1, 'Pisifera')`, `SAHKAN`]) {
+                try {
+                    edb.query(sql, null, session);
+                } catch (e) {
+                    failures.push(e);
+                }
+            }
+            try {
+                edb.query(`BAKAR LAHAN tidak_ada`, null, session);
+            } catch (e) {
+                failures.push(e);
+            }
+            edb.close();
+            cleanupFile(CRASH_DB_PATH);
+
+            // Server side: DatabaseRegistry throws coded errors the router localizes
+            const registry = new DatabaseRegistry(__dirname, {});
+            for (const action of [() => registry.drop('wilayah_tidak_ada'), () => registry.create('../luar')]) {
+                try {
+                    action();
+                } catch (e) {
+                    failures.push(e.localize('en'));
+                }
+            }
+
+            if (english[0] === "Error: Table 'tidak_ada' not found." &&
+                english[3] === "Error: Table 'tidak_ada' not found." &&
+                english[4] === `Error: Table '${SERIAL_TABLE}' already exists.` &&
+                english[5] === `Error: Index on '${SERIAL_TABLE}.nama' already exists.` &&
+                english[6] === `Error: No 'read' permission for 'tamu' on '${SERIAL_TABLE}'.` &&
+                failures[2].code === 'SAWIT_E_TABLE_NOT_FOUND' &&
+                failures[3].code === 'SAWIT_E_DATABASE_NOT_FOUND' && failures[3].message === "Database 'wilayah_tidak_ada' not found." &&
+                failures[4].code === 'SAWIT_E_DATABASE_NAME' &&
+                english[1] === `Error: Duplicate primary key: id = 1 already exists in table '${SERIAL_TABLE}'.` &&
+                english[2] === `Error: Column 'nama' of table '${SERIAL_TABLE}' cannot be empty (NOT NULL).` &&
+                indonesian === "Error: Kebun 'tidak_ada' tidak ditemukan." &&
+                failures[0].code === 'SAWIT_E_PRIMARY_KEY_VIOLATION' && failures[0].message.endsWith('(transaction rolled back)') &&
+                failures[1].code === 'SAWIT_E_TXN_NONE' && failures[1].message === 'No active transaction to commit.') {
+                passed++; logPass("Error catalog (stable codes, Indonesian / English messages)");
+            } else throw new Error(`Error catalog failed: ${JSON.stringify({ english, indonesian, failures: failures.map(e => e && [e.code, e.message]) })}`);
+        }
+
+        // --- 4b. LARGE RECORDS (overflow pages) ---
+        logInfo("Testing Large Records...");
+        const bigText = 'Laporan agronomi '.repeat(600); // ~10KB, larger than a page
+        await query(db, `CREATE TABLE ${REPORT_TABLE}`);
+        await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (1, '${bigText}')`);
+        await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (2, 'singkat')`);
+        await query(db, `UPDATE ${REPORT_TABLE} SET isi = '${bigText}${bigText}' WHERE id = 2`);
+        const bigRows = await query(db, `SELECT * FROM ${REPORT_TABLE}`);
+        await query(db, `DELETE FROM ${REPORT_TABLE} WHERE id = 1`);
+        const afterDelete = await query(db, `SELECT * FROM ${REPORT_TABLE}`);
+        if (bigRows.length === 2 && bigRows[0].isi === bigText && bigRows[1].isi.length === bigText.length * 2 &&
+            afterDelete.length === 1 && afterDelete[0].id === 2) {
+            passed++; logPass("Overflow Records (> 4KB)");
+        } else throw new Error(`Large record failed: got ${bigRows.length} rows`);
+
+        // --- 4c. VACUUM (free list + compaction) ---
+        logInfo("Testing VACUUM...");
+        for (let i = 10; i < 110; i++) {
+            await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (${i}, '${'catatan '.repeat(20)}')`);
+        }
+        await query(db, `DELETE FROM ${REPORT_TABLE} WHERE id > 10`);
+        const vacuumMsg = await query(db, `BAJAK LAHAN ${REPORT_TABLE}`);
+        const freedPages = parseInt((String(vacuumMsg).match(/(\d+) halaman dibebaskan/) || [])[1], 10);
+        const afterVacuum = await query(db, `SELECT * FROM ${REPORT_TABLE}`);
+        if (freedPages > 0 && afterVacuum.length === 2 && afterVacuum[0].isi.length === bigText.length * 2) {
+            passed++; logPass("VACUUM / BAJAK LAHAN");
+        } else throw new Error(`VACUUM failed: ${vacuumMsg}`);
+
+        // --- 4d. INTEGRITY CHECK (page checksums) ---
+        logInfo("Testing Integrity Check...");
+        const health = await query(db, `PERIKSA KESEHATAN`);
+        if (health.ok && health.issues.length === 0 && health.tables > 0) {
+            passed++; logPass("PERIKSA KESEHATAN (healthy file)");
+        } else throw new Error(`Integrity check failed: ${JSON.stringify(health)}`);
+
+        if (!IS_REMOTE) {
+            cleanupFile(CRASH_DB_PATH);
+            let damaged = new SawitDB(CRASH_DB_PATH);
+            damaged.query(`CREATE TABLE ${TEST_TABLE}`);
+            damaged.query(`INSERT INTO ${TEST_TABLE} (id, bibit) VALUES (1, 'Dura')`);
+            const dataPage = damaged.tableManager.findTableEntry(TEST_TABLE).startPage;
+            damaged.close();
+
+            // Flip a byte inside the stored record behind the engine's back
+            const fd = fs.openSync(CRASH_DB_PATH, 'r+');
+            fs.writeSync(fd, Buffer.from('X'), 0, 1, dataPage * 4096 + 12);
+            fs.closeSync(fd);
+
+            damaged = new SawitDB(CRASH_DB_PATH);
+            const readErr = damaged.query(`SELECT * FROM ${TEST_TABLE}`);
+            const report = damaged.query(`PRAGMA integrity_check`);
+            damaged.close();
+            cleanupFile(CRASH_DB_PATH);
+            if (String(readErr).includes('Checksum') && !report.ok && report.issues.some(i => i.page === dataPage)) {
+                passed++; logPass("Page Checksum + PRAGMA integrity_check (corruption detected)");
+            } else throw new Error(`Corruption not detected: ${readErr} / ${JSON.stringify(report)}`);
+
+            // A damaged system table page (here _triggers) must not keep the file from opening
+            damaged = new SawitDB(CRASH_DB_PATH);
+            damaged.query(`CREATE TABLE ${TEST_TABLE}`);
+            damaged.query(`INSERT INTO ${TEST_TABLE} (id, bibit) VALUES (1, 'Dura')`);
+            const systemPage = damaged.tableManager.findTableEntry('_triggers').startPage;
+            damaged.close();
+
+            const sysFd = fs.openSync(CRASH_DB_PATH, 'r+');
+            fs.writeSync(sysFd, Buffer.from('X'), 0, 1, systemPage * 4096 + 12);
+            fs.closeSync(sysFd);
+
+            let reopenErr = null, sysReport = null, rows = null;
+            try {
+                damaged = new SawitDB(CRASH_DB_PATH);
+                rows = damaged.query(`SELECT * FROM ${TEST_TABLE}`);
+                sysReport = damaged.query(`PERIKSA KESEHATAN`);
+                damaged.close();
+            } catch (e) { reopenErr = e; }
+            cleanupFile(CRASH_DB_PATH);
+            if (!reopenErr && rows.length === 1 && !sysReport.ok &&
+                sysReport.issues.some(i => i.page === systemPage && i.message.includes('Checksum'))) {
+                passed++; logPass("Damaged system page skipped on open, reported by PERIKSA KESEHATAN");
+            } else throw new Error(`Reopen with damaged page failed: ${reopenErr ? reopenErr.message : JSON.stringify(sysReport)}`);
+        }
+
+        // --- 4e. AKAD (transactions) ---
+        logInfo("Testing AKAD Transactions...");
+        await query(db, `MULAI AKAD`);
+        await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (500, 'draft')`);
+        await query(db, `UPDATE ${REPORT_TABLE} SET isi = 'diubah' WHERE id = 10`);
+        const insideTxn = await query(db, `SELECT * FROM ${REPORT_TABLE} WHERE id = 500`);
+        const ddlInTxn = await query(db, `CREATE TABLE tidak_boleh`);
+        await query(db, `BATALKAN`);
+        const afterRollback = await query(db, `SELECT * FROM ${REPORT_TABLE}`);
+        if (insideTxn.length === 1 && String(ddlInTxn).includes('AKAD') && afterRollback.length === 2 &&
+            !afterRollback.some(r => r.id === 500 || r.isi === 'diubah')) {
+            passed++; logPass("AKAD Rollback (read-your-writes)");
+        } else throw new Error(`AKAD rollback failed: ${JSON.stringify(afterRollback)}`);
+
+        // A failing statement rolls back everything written before it
+        await query(db, `BEGIN TRANSACTION`);
+        await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (501, 'draft')`);
+        const failedStmt = await query(db, `UPDATE kebun_tidak_ada SET isi = 'x'`);
+        const strayCommit = await query(db, `COMMIT`);
+        await query(db, `MULAI AKAD`);
+        await query(db, `INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (502, 'final')`);
+        await query(db, `SAHKAN`);
+        const committed = await query(db, `SELECT * FROM ${REPORT_TABLE} WHERE id > 500`);
+        if (String(failedStmt).includes('AKAD dibatalkan') && String(strayCommit).startsWith('Error') &&
+            committed.length === 1 && committed[0].id === 502) {
+            passed++; logPass("AKAD Failure Rollback + SAHKAN");
+        } else throw new Error(`AKAD commit failed: ${JSON.stringify(committed)}`);
+
+        if (!IS_REMOTE) {
+            // Server sessions: each client has its own AKAD, dropped on disconnect
+            const sessionA = { clientId: 'a' };
+            const sessionB = { clientId: 'b' };
+            db.query(`MULAI AKAD`, undefined, sessionA);
+            db.query(`MULAI AKAD`, undefined, sessionB);
+            db.query(`INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (600, 'sesi a')`, undefined, sessionA);
+            const seenByB = db.query(`SELECT * FROM ${REPORT_TABLE} WHERE id = 600`, undefined, sessionB);
+            const seenOutside = db.query(`SELECT * FROM ${REPORT_TABLE} WHERE id = 600`);
+            const released = db.endSession(sessionA);
+            db.query(`INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (601, 'sesi b')`, undefined, sessionB);
+            const commitB = db.query(`SAHKAN`, undefined, sessionB);
+            const sessionRows = db.query(`SELECT * FROM ${REPORT_TABLE} WHERE id >= 600`);
+            if (seenByB.length === 0 && seenOutside.length === 0 && released && String(commitB).includes('committed') &&
+                sessionRows.length === 1 && sessionRows[0].id === 601) {
+                passed++; logPass("Per-session AKAD (isolated, rolled back on disconnect)");
+            } else throw new Error(`Session AKAD failed: ${JSON.stringify(sessionRows)}`);
+
+            // MVCC: an open AKAD keeps reading the snapshot from its start
+            const reader = { clientId: 'reader' };
+            db.query(`MULAI AKAD`, undefined, reader);
+            const snapBefore = db.query(`SELECT * FROM ${REPORT_TABLE}`, undefined, reader);
+            db.query(`UPDATE ${REPORT_TABLE} SET isi = 'revisi' WHERE id = 10`);
+            db.query(`INSERT INTO ${REPORT_TABLE} (id, isi) VALUES (700, 'baru')`);
+            const snapAfter = db.query(`SELECT * FROM ${REPORT_TABLE}`, undefined, reader);
+            const keptVersions = db.pager.versions.size;
+            db.query(`SAHKAN`, undefined, reader);
+            const latest = db.query(`SELECT * FROM ${REPORT_TABLE} WHERE id = 10`);
+            if (JSON.stringify(snapAfter) === JSON.stringify(snapBefore) && keptVersions > 0 &&
+                db.pager.versions.size === 0 && latest[0].isi === 'revisi') {
+                passed++; logPass("MVCC Snapshot Isolation (old versions collected)");
+            } else throw new Error(`Snapshot changed: ${snapAfter.length} rows vs ${snapBefore.length}`);
+
+            // Row-level conflicts: disjoint rows on the same page all commit, the same row does not
+            db.query(`CREATE TABLE akad_baris (id INT PRIMARY KEY, isi TEXT)`);
+            for (const id of [1, 2, 3]) db.query(`INSERT INTO akad_baris (id, isi) VALUES (${id}, 'awal')`);
+            const writerA = { clientId: 'writer-a' };
+            const writerB = { clientId: 'writer-b' };
+            db.query(`MULAI AKAD`, undefined, writerA);
+            db.query(`MULAI AKAD`, undefined, writerB);
+            db.query(`UPDATE akad_baris SET isi = 'a' WHERE id = 1`, undefined, writerA);
+            db.query(`UPDATE akad_baris SET isi = 'b' WHERE id = 2`, undefined, writerB);
+            db.query(`INSERT INTO akad_baris (id, isi) VALUES (4, 'b')`, undefined, writerB);
+            db.query(`UPDATE akad_baris SET isi = 'luar' WHERE id = 3`);
+            const commitA = db.query(`SAHKAN`, undefined, writerA);
+            const commitB2 = db.query(`SAHKAN`, undefined, writerB);
+            const merged = db.query(`SELECT * FROM akad_baris ORDER BY id`);
+            const byKey = db.query(`SELECT * FROM akad_baris WHERE id = 4`);
+
+            db.query(`MULAI AKAD`, undefined, writerA);
+            db.query(`MULAI AKAD`, undefined, writerB);
+            db.query(`UPDATE akad_baris SET isi = 'a2' WHERE id = 1`, undefined, writerA);
+            db.query(`UPDATE akad_baris SET isi = 'b2' WHERE id = 1`, undefined, writerB);
+            db.query(`SAHKAN`, undefined, writerA);
+            const lost = db.query(`SAHKAN`, undefined, writerB);
+            const winner = db.query(`SELECT * FROM akad_baris WHERE id = 1`);
+            if (String(commitA).includes('committed') && String(commitB2).includes('committed') &&
+                merged.map(r => r.isi).join() === 'a,b,luar,b' && byKey.length === 1 &&
+                String(lost).includes('sudah diubah transaksi lain') && winner[0].isi === 'a2' && db.pager.versions.size === 0) {
+                passed++; logPass("AKAD row-level conflicts (disjoint rows merged)");
+            } else throw new Error(`Row merge failed: ${commitA} / ${commitB2} / ${lost} / ${JSON.stringify(merged)}`);
+        }
+
         // --- 5 ADVANCED (Just verifying minimal support) ---
         // Skipping detailed advanced syntax check to keep test simple, assume core engine is same.
         // But verifying DISTINCT as it is often critical.
@@ -1,13 +1,18 @@
 const net = require('net');
 const { URL } = require('url');
+const SawitError = require('./modules/SawitError');
 
 /**
  * SawitDB Client - Connect to SawitDB Server
  * Usage: sawitdb://[username:password@]host:port/database
+ * Options: { structured: true } - query() resolves QueryResult objects and rejects with SawitError
+ *          { language: 'en' }   - Error messages in English instead of Indonesian
  */
 class SawitClient {
-    constructor(connectionString) {
+    constructor(connectionString, options = {}) {
         this.connectionString = connectionString;
+        this.structured = !!options.structured;
+        this.language = options.language || null;
         this.socket = null;
         this.connected = false;
         this.authenticated = false;
@@ -96,7 +101,7 @@ class SawitClient {
                         console.log('[Client] Authenticated successfully');
                         resolve();
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     }
                 }
             );
@@ -116,7 +121,7 @@ class SawitClient {
                         console.log(`[Client] Using database '${database}'`);
                         resolve(response);
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     } else {
                         resolve(response);
                     }
@@ -136,14 +141,15 @@ class SawitClient {
                     type: 'query',
                     payload: {
                         query: queryString,
-                        params: params
+                        params: params,
+                        structured: this.structured
                     }
                 },
                 (response) => {
                     if (response.type === 'query_result') {
                         resolve(response.result);
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     } else {
                         resolve(response);
                     }
@@ -163,7 +169,7 @@ class SawitClient {
                     if (response.type === 'database_list') {
                         resolve(response.databases);
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     } else {
                         resolve(response);
                     }
@@ -186,7 +192,7 @@ class SawitClient {
                         }
                         resolve(response.message);
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     } else {
                         resolve(response);
                     }
@@ -226,7 +232,7 @@ class SawitClient {
                     if (response.type === 'stats') {
                         resolve(response.stats);
                     } else if (response.type === 'error') {
-                        reject(new Error(response.error));
+                        reject(this.#toError(response));
                     } else {
                         resolve(response);
                     }
@@ -238,6 +244,7 @@ class SawitClient {
     #sendRequest(request, callback) {
         const id = ++this.requestId;
         this.pendingRequests.push({ id, handler: callback });
+        if (this.language) request.payload = { ...(request.payload || {}), language: this.language };
 
         try {
             this.socket.write(JSON.stringify(request) + '\n');
@@ -251,6 +258,13 @@ class SawitClient {
         }
     }
 
+    /**
+     * Error responses carry a SawitError code (older servers send only the message)
+     */
+    #toError(response) {
+        return response.code ? new SawitError(response.code, response.error) : new Error(response.error);
+    }
+
     #handleData(data) {
         this.buffer += data.toString();
 
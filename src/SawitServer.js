@@ -178,6 +178,18 @@ class SawitServer {
             this.stats.errors++;
         });
 
+        // Fires after 'end' and 'error' alike: an unfinished AKAD must not outlive its client
+        socket.on('close', () => {
+            const released = this.dbRegistry.releaseSession(session);
+            if (released > 0) {
+                this.log('info', `Rolled back ${released} open transaction(s) of ${clientId}`);
+            }
+            if (this.threadPool) {
+                this.threadPool.endSession(clientId).catch(err =>
+                    this.log('error', `Releasing ${clientId} on its worker failed: ${err.message}`));
+            }
+        });
+
         socket.on('timeout', () => {
             this.log('warn', `Client timeout: ${clientId}`);
             socket.destroy();
@@ -203,8 +215,10 @@ class SawitServer {
         }
     }
 
-    sendError(socket, message) {
-        this.sendResponse(socket, { type: 'error', error: message });
+    sendError(socket, message, code = null) {
+        const response = { type: 'error', error: message };
+        if (code) response.code = code; // SawitError code (structured sessions)
+        this.sendResponse(socket, response);
     }
 
     // Utiliy for Stats
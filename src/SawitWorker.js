@@ -1,5 +1,7 @@
 const { parentPort, workerData, threadId } = require('worker_threads');
 const SawitDB = require('./WowoEngine');
+const SawitError = require('./modules/SawitError');
+const ErrorCatalog = require('./modules/ErrorCatalog');
 
 // Cache of DB instances: { [absolutePath]: SawitDB }
 // NOTE: Since threads map to "Database Engines", they must be careful about FILE LOCKING.
@@ -7,8 +9,13 @@ const SawitDB = require('./WowoEngine');
 // But this is the requested architecture.
 const dbCache = new Map();
 
+// Client sessions seen by this thread: { [clientId]: session }. ThreadPool sends every
+// task of a client to the same thread, so its AKAD lives here between tasks.
+const sessions = new Map();
+
 parentPort.on('message', async (task) => {
-    // task: { id: number, action: 'query', dbPath: string, sql: string, config: object }
+    // task: { id: number, action: 'query', dbPath: string, sql: string, params: object, session: string,
+    //         config: object, structured: boolean, language: string }
     // config can contain WAL settings etc for first open.
 
     if (task.action === 'query') {
@@ -22,13 +29,28 @@ parentPort.on('message', async (task) => {
                 // console.log(`[Thread ${threadId}] Opened DB: ${task.dbPath}`);
             }
 
+            // Result shape and error language follow the requesting session
+            let session = null;
+            if (task.session) {
+                session = sessions.get(task.session);
+                if (!session) {
+                    session = { clientId: task.session };
+                    sessions.set(task.session, session);
+                }
+                session.structured = !!task.structured;
+                session.language = task.language;
+            } else {
+                db.structured = !!task.structured;
+                db.language = ErrorCatalog.resolveLanguage(task.language);
+            }
+
             // Execute Query
             // Ensure we handle async queries (SawitDB v2.5+)
             let result;
             if (db.query.constructor.name === 'AsyncFunction') {
-                result = await db.query(task.sql);
+                result = await db.query(task.sql, task.params, session);
             } else {
-                result = db.query(task.sql);
+                result = db.query(task.sql, task.params, session);
             }
 
             // Send Success
@@ -40,9 +62,21 @@ parentPort.on('message', async (task) => {
                 id: task.id,
                 status: 'error',
                 error: err.message,
+                code: err instanceof SawitError ? err.code : undefined,
                 stack: err.stack
             });
         }
+    } else if (task.action === 'endSession') {
+        // Client disconnected: roll back what it left open in this thread
+        const session = sessions.get(task.session);
+        sessions.delete(task.session);
+        let released = 0;
+        if (session) {
+            dbCache.forEach(db => {
+                if (db.endSession(session)) released++;
+            });
+        }
+        parentPort.postMessage({ id: task.id, status: 'ok', data: released });
     } else if (task.action === 'close') {
         // Close specific DB or all?
         // Let's support clearing cache
@@ -9,6 +9,7 @@ const path = require('path');
 const TableManager = require('./services/TableManager');
 const IndexManager = require('./services/IndexManager');
 const ConditionEvaluator = require('./services/logic/ConditionEvaluator');
+const ExpressionEvaluator = require('./services/logic/ExpressionEvaluator');
 const TransactionManager = require('./services/TransactionManager');
 const ViewManager = require('./services/ViewManager');
 const TriggerManager = require('./services/TriggerManager');
@@ -16,6 +17,12 @@ const ProcedureManager = require('./services/ProcedureManager');
 const ReplicationManager = require('./services/ReplicationManager');
 const SearchManager = require('./services/SearchManager');
 const SecurityManager = require('./services/SecurityManager');
+const IntegrityChecker = require('./services/IntegrityChecker');
+const SchemaManager = require('./services/SchemaManager');
+const SequenceManager = require('./services/SequenceManager');
+const SawitError = require('./modules/SawitError');
+const ErrorCatalog = require('./modules/ErrorCatalog');
+const QueryResult = require('./modules/QueryResult');
 
 // Executors
 const SelectExecutor = require('./services/executors/SelectExecutor');
@@ -24,6 +31,22 @@ const DeleteExecutor = require('./services/executors/DeleteExecutor');
 const UpdateExecutor = require('./services/executors/UpdateExecutor');
 const AggregateExecutor = require('./services/executors/AggregateExecutor');
 
+// Schema and catalog changes keep in-memory state (indexes, views, triggers...)
+// that a page rollback cannot restore, so they are refused inside AKAD
+const NON_TRANSACTIONAL = new Set([
+    'CREATE_TABLE', 'DROP_TABLE', 'ALTER_TABLE', 'VACUUM', 'CREATE_INDEX', 'DROP_INDEX', 'REINDEX',
+    'CREATE_SEQUENCE', 'DROP_SEQUENCE',
+    'CREATE_VIEW', 'DROP_VIEW', 'CREATE_TRIGGER', 'DROP_TRIGGER',
+    'SAVE_PROCEDURE', 'DROP_PROCEDURE', 'GRANT_PERMISSION', 'REVOKE_PERMISSION',
+    'CONFIGURE_REPLICATION'
+]);
+
+// Commands that never write pages (transaction control manages its own overlay)
+const READ_ONLY = new Set([
+    'SELECT', 'SHOW_TABLES', 'SHOW_INDEXES', 'SHOW_SEQUENCES', 'DESCRIBE', 'AGGREGATE', 'EXPLAIN',
+    'FULLTEXT_SEARCH', 'INTEGRITY_CHECK', 'BEGIN_TRANSACTION', 'COMMIT', 'ROLLBACK'
+]);
+
 /**
  * SawitDB implements the Logic over the Pager
  * Refactored to use modular services and executors.
@@ -34,20 +57,24 @@ class SawitDB {
         // WAL: Optional crash safety (backward compatible - disabled by default)
         this.wal = options.wal ? new WAL(filePath, options.wal) : null;
         this.dbevent = options.dbevent ? options.dbevent : new DBEventHandler();
+        // POS RONDA user of the statement being executed (null outside a query)
+        this.currentUser = null;
+        // Structured mode: query() returns a QueryResult and throws SawitError (opt-in, per engine or session)
+        this.structured = !!options.structured;
+        // Language of error messages: 'id' (default) or 'en', per engine or session
+        this.language = ErrorCatalog.resolveLanguage(options.language);
 
         if (!this.dbevent instanceof DBEvent) {
             console.error(`dbevent is not instanceof DBEvent`);
         }
 
-        // Recovery: Replay WAL if exists
+        this.pager = new Pager(filePath, this.wal);
+
+        // Recovery: Redo logged page images the data file may have missed
         if (this.wal && this.wal.enabled) {
-            const recovered = this.wal.recover();
-            if (recovered.length > 0) {
-                console.log(`[WAL] Recovered ${recovered.length} operations from crash`);
-            }
+            this._recoverFromWAL();
         }
 
-        this.pager = new Pager(filePath, this.wal);
         this.indexes = new Map(); // Map of 'tableName.fieldName' -> BTreeIndex
         this.parser = new QueryParser();
 
@@ -58,6 +85,8 @@ class SawitDB {
         // Initialize Services
         this.tableManager = new TableManager(this);
         this.indexManager = new IndexManager(this);
+        this.schemaManager = new SchemaManager(this);
+        this.sequenceManager = new SequenceManager(this);
         this.conditionEvaluator = new ConditionEvaluator();
         this.transactionManager = new TransactionManager(this);
         this.viewManager = new ViewManager(this);
@@ -66,6 +95,7 @@ class SawitDB {
         this.replicationManager = new ReplicationManager(this);
         this.searchManager = new SearchManager(this);
         this.securityManager = new SecurityManager(this);
+        this.integrityChecker = new IntegrityChecker(this);
 
         // Initialize Executors
         this.selectExecutor = new SelectExecutor(this);
@@ -75,10 +105,22 @@ class SawitDB {
         this.aggregateExecutor = new AggregateExecutor(this);
 
         // PERSISTENCE: Initialize System Tables
-        this._initSystem();
+        // A damaged page must not keep the file from opening: loaders skip it
+        this.pager.skipBadPages = true;
+        try {
+            this._initSystem();
+        } finally {
+            this.pager.skipBadPages = false;
+        }
+        if (this.pager.badPages.size > 0) {
+            console.error(`[Pager] ${this.pager.badPages.size} halaman rusak dilewati saat memuat, jalankan PERIKSA KESEHATAN`);
+        }
     }
 
     _initSystem() {
+        // Files from before the page catalog keep their tables in page 0
+        this.tableManager.migrateLegacyCatalog();
+
         // Check if _indexes table exists, if not create it
         if (!this.tableManager.findTableEntry('_indexes')) {
             try {
@@ -91,6 +133,10 @@ class SawitDB {
         // Load Indexes
         this.indexManager.loadIndexes();
 
+        // Load column types and sequences
+        this.schemaManager.loadSchemas();
+        this.sequenceManager.loadSequences();
+
         // Load Views
         this.viewManager.loadViews();
 
@@ -103,7 +149,39 @@ class SawitDB {
         this.securityManager.init();
     }
 
+    /**
+     * Redo recovery: write every after-image newer than the last checkpoint
+     * back into the .sawit file, then checkpoint and truncate the log.
+     * Torn entries at the tail (crash mid-append) are ignored by WAL.recover().
+     */
+    _recoverFromWAL() {
+        const operations = this.wal.recover();
+        let applied = 0;
+
+        for (const op of operations) {
+            if (op.afterImage && this.pager.applyRedo(op.pageId, op.afterImage)) {
+                applied++;
+            }
+        }
+
+        if (applied > 0) {
+            console.log(`[WAL] Recovered ${applied} page writes from crash`);
+        }
+
+        this.wal.checkpoint();
+        this.wal.truncate();
+    }
+
     close() {
+        if (this.transactionManager) {
+            // Uncommitted AKAD never reaches the file
+            this.transactionManager.releaseAll();
+        }
+        if (this.pager && this.wal && this.wal.enabled) {
+            // Clean shutdown: data file is durable, nothing left to redo
+            this.pager.sync();
+            this.wal.truncate();
+        }
         if (this.wal) {
             this.wal.close();
         }
@@ -128,8 +206,40 @@ class SawitDB {
         return clone;
     }
 
-    query(queryString, params) {
-        if (!this.pager) return "Error: Database is closed.";
+    /**
+     * @param {string} queryString
+     * @param {Object} params - Bound parameters (and `user` for POS RONDA)
+     * @param {Object} session - Caller identity for AKAD (server ClientSession); null for local use
+     */
+    query(queryString, params, session = null) {
+        // Nested queries (triggers, procedures) keep plain results
+        const structured = this.transactionManager.depth === 0 &&
+            (session && session.structured !== undefined ? !!session.structured : this.structured);
+        const language = session && session.language ? ErrorCatalog.resolveLanguage(session.language) : this.language;
+        const started = process.hrtime.bigint();
+
+        try {
+            const result = this.transactionManager.run(session, () => this._query(queryString, params, structured));
+            if (structured) result.timing = { durationMs: Number(process.hrtime.bigint() - started) / 1e6 };
+            return result;
+        } catch (e) {
+            const error = SawitError.from(e).localize(language);
+            if (structured) throw error;
+            // Plain mode reports errors as strings (POS RONDA denials without prefix)
+            return error.code === 'SAWIT_E_PERMISSION_DENIED' ? error.message : `Error: ${error.message}`;
+        }
+    }
+
+    /**
+     * Drop whatever the session left behind (uncommitted AKAD)
+     * @returns {boolean} - True if a transaction was rolled back
+     */
+    endSession(session) {
+        return this.transactionManager.release(session);
+    }
+
+    _query(queryString, params, structured = false) {
+        if (!this.pager) throw SawitError.of('SAWIT_E_DB_CLOSED');
 
         // QUERY CACHE - Optimized with shallow clone
         let cmd;
@@ -153,7 +263,7 @@ class SawitDB {
                 }
                 cmd = templateCmd;
             } else {
-                return `Error: ${templateCmd.message}`;
+                throw templateCmd.error;
             }
 
             if (params) {
@@ -161,131 +271,185 @@ class SawitDB {
             }
         }
 
-        if (cmd.type === 'ERROR') return `Error: ${cmd.message}`;
+        if (cmd.type === 'ERROR') throw cmd.error;
 
         // POS RONDA: Security Check
         // Assumes session.user is passed in options or handled upstream.
         // For CLI/Local, user might be undefined -> checks handled in manager (allow all).
         // If command is system command (SHOW tables etc), table might be null or system table.
+        const user = params?.user || 'admin';
         if (cmd.table && !cmd.table.startsWith('_')) {
-            const action = (cmd.type === 'SELECT' || cmd.type === 'BLUSUKAN' || cmd.type === 'SEARCH') ? 'read' : 'write';
-            try {
-                this.securityManager.check(params?.user || 'admin', cmd.table, action);
-            } catch (e) {
-                return e.message;
-            }
+            const action = (cmd.type === 'SELECT' || cmd.type === 'DESCRIBE' || cmd.type === 'BLUSUKAN' || cmd.type === 'SEARCH') ? 'read' : 'write';
+            this.securityManager.check(user, cmd.table, action);
+        }
+
+        if (NON_TRANSACTIONAL.has(cmd.type) && this.transactionManager.isActive()) {
+            throw SawitError.of('SAWIT_E_TXN_NOT_ALLOWED', { command: cmd.type });
         }
 
+        // Subqueries check the tables they read for the same user (see SubqueryPlanner)
+        const outerUser = this.currentUser;
+        this.currentUser = user;
+        let result;
         try {
-            switch (cmd.type) {
-                case 'CREATE_TABLE':
-                    return this.tableManager.createTable(cmd.table);
+            // MVCC: with snapshots open, base pages must not be changed in place
+            result = !READ_ONLY.has(cmd.type) && this.transactionManager.needsAutocommit()
+                ? this.transactionManager.autocommit(() => this._execute(cmd))
+                : this._execute(cmd);
+        } finally {
+            this.currentUser = outerUser;
+        }
+
+        if (structured) return QueryResult.from(result, cmd);
+        return result instanceof QueryResult ? result.message : result;
+    }
 
-                case 'SHOW_TABLES':
-                    return this.tableManager.showTables();
+    _execute(cmd) {
+        switch (cmd.type) {
+            case 'CREATE_TABLE':
+                return this.tableManager.createTable(cmd.table, false, cmd);
 
-                case 'SHOW_INDEXES':
-                    return this.indexManager.showIndexes(cmd.table);
+            case 'ALTER_TABLE':
+                return this.tableManager.alterTable(cmd);
 
-                case 'INSERT':
-                    if (this.transactionManager.isActive()) {
-                        return this.transactionManager.bufferOperation('INSERT', cmd);
-                    }
+            case 'SHOW_TABLES':
+                return this.tableManager.showTables();
+
+            case 'SHOW_INDEXES':
+                return this.indexManager.showIndexes(cmd.table);
+
+            case 'DESCRIBE':
+                return this.schemaManager.describe(cmd.table);
+
+            case 'CREATE_SEQUENCE':
+                return this.sequenceManager.createSequence(cmd.name, { start: cmd.start, increment: cmd.increment });
+
+            case 'DROP_SEQUENCE':
+                return this.sequenceManager.dropSequence(cmd.name);
+
+            case 'SHOW_SEQUENCES':
+                return this.sequenceManager.showSequences();
+
+            case 'INSERT':
+                return this._write(() => {
                     const insertResult = this.insertExecutor.execute(cmd);
                     // KENTONGAN HOOK: AFTER INSERT
                     this.triggerManager.handleEvent('INSERT', cmd.table);
-                    // BLUSUKAN HOOK: Index the new row (Best effort using values)
-                    if (cmd.values) this.searchManager.indexRow(cmd.table, cmd.values.id || Date.now(), cmd.values);
+                    // BLUSUKAN HOOK: Index the new row under its id, given or generated (AUTO_INCREMENT / NEXTVAL);
+                    // rows without one are skipped, a made-up id could never be found again
+                    const [rowId] = insertResult.insertedIds;
+                    if (rowId !== undefined) {
+                        const idField = this.schemaManager.generatedColumn(cmd.table, cmd.data) || 'id';
+                        this.searchManager.indexRow(cmd.table, rowId, { ...cmd.data, [idField]: rowId }, idField);
+                    }
                     return insertResult;
+                });
 
-                case 'SELECT':
-                    // Check if table is actually a view
-                    if (this.viewManager.isView(cmd.table)) {
-                        return this.viewManager.executeView(cmd.table, cmd.criteria);
-                    }
-                    return this.selectExecutor.execute(cmd);
+            case 'SELECT':
+                // Check if table is actually a view
+                if (this.viewManager.isView(cmd.table)) {
+                    return this.viewManager.executeView(cmd.table, cmd.criteria);
+                }
+                return this.selectExecutor.execute(cmd);
 
-                case 'DELETE':
-                    if (this.transactionManager.isActive()) {
-                        return this.transactionManager.bufferOperation('DELETE', cmd);
-                    }
+            case 'DELETE':
+                return this._write(() => {
                     const deleteResult = this.deleteExecutor.execute(cmd);
                     // KENTONGAN HOOK: AFTER DELETE
                     this.triggerManager.handleEvent('DELETE', cmd.table);
                     // BLUSUKAN HOOK: De-index (Requires ID, assumes cmd.criteria.val is ID for simple case, else skip)
                     // This is limited for MVP
                     return deleteResult;
+                });
 
-                case 'UPDATE':
-                    if (this.transactionManager.isActive()) {
-                        return this.transactionManager.bufferOperation('UPDATE', cmd);
-                    }
+            case 'UPDATE':
+                return this._write(() => {
                     const updateResult = this.updateExecutor.execute(cmd);
                     // KENTONGAN HOOK: AFTER UPDATE
                     this.triggerManager.handleEvent('UPDATE', cmd.table);
                     // BLUSUKAN: Re-indexing would require old row. Skipping for MVP.
                     return updateResult;
+                });
 
-                case 'DROP_TABLE':
-                    return this.tableManager.dropTable(cmd.table);
+            case 'DROP_TABLE':
+                return this.tableManager.dropTable(cmd.table);
 
-                case 'CREATE_INDEX':
-                    return this.indexManager.createIndex(cmd.table, cmd.field);
+            case 'VACUUM':
+                return this.tableManager.vacuum(cmd.table);
 
-                case 'AGGREGATE':
-                    return this.aggregateExecutor.execute(cmd);
+            case 'INTEGRITY_CHECK':
+                return this.integrityChecker.check();
 
-                case 'EXPLAIN':
-                    return this._explain(cmd.innerCommand);
+            case 'CREATE_INDEX':
+                return this.indexManager.createIndex(cmd.table, cmd.fields || cmd.field, { unique: cmd.unique });
 
-                case 'BEGIN_TRANSACTION':
-                    return this.transactionManager.begin();
+            case 'DROP_INDEX':
+                return this.indexManager.dropIndex(cmd.table, cmd.fields);
 
-                case 'COMMIT':
-                    return this.transactionManager.commit();
+            case 'REINDEX':
+                return this.indexManager.reindex(cmd.table);
 
-                case 'ROLLBACK':
-                    return this.transactionManager.rollback();
+            case 'AGGREGATE':
+                return this.aggregateExecutor.execute(cmd);
 
-                case 'CREATE_VIEW':
-                    return this.viewManager.createView(cmd.viewName, cmd.selectCommand);
+            case 'EXPLAIN':
+                return this._explain(cmd.innerCommand);
 
-                case 'DROP_VIEW':
-                    return this.viewManager.dropView(cmd.viewName);
+            case 'BEGIN_TRANSACTION':
+                return this.transactionManager.begin();
 
-                case 'CREATE_TRIGGER':
-                    return this.triggerManager.createTrigger(cmd.name, cmd.event, cmd.table, cmd.action);
+            case 'COMMIT':
+                return this.transactionManager.commit();
 
-                case 'DROP_TRIGGER':
-                    return this.triggerManager.dropTrigger(cmd.name);
+            case 'ROLLBACK':
+                return this.transactionManager.rollback();
 
-                case 'SAVE_PROCEDURE':
-                    return this.procedureManager.saveProcedure(cmd.name, cmd.body);
+            case 'CREATE_VIEW':
+                return this.viewManager.createView(cmd.viewName, cmd.selectCommand);
 
-                case 'EXECUTE_PROCEDURE':
-                    return this.procedureManager.executeProcedure(cmd.name);
+            case 'DROP_VIEW':
+                return this.viewManager.dropView(cmd.viewName);
 
-                case 'DROP_PROCEDURE':
-                    return this.procedureManager.dropProcedure(cmd.name);
+            case 'CREATE_TRIGGER':
+                return this.triggerManager.createTrigger(cmd.name, cmd.event, cmd.table, cmd.action);
 
-                case 'CONFIGURE_REPLICATION':
-                    return this.replicationManager.configure(cmd.role, cmd.host, cmd.port);
+            case 'DROP_TRIGGER':
+                return this.triggerManager.dropTrigger(cmd.name);
 
-                case 'FULLTEXT_SEARCH':
-                    return this.searchManager.search(cmd.table, cmd.term);
+            case 'SAVE_PROCEDURE':
+                return this.procedureManager.saveProcedure(cmd.name, cmd.body);
 
-                case 'GRANT_PERMISSION':
-                    return this.securityManager.grant(cmd.user, cmd.table, cmd.action);
+            case 'EXECUTE_PROCEDURE':
+                return this.procedureManager.executeProcedure(cmd.name);
 
-                case 'REVOKE_PERMISSION':
-                    return this.securityManager.revoke(cmd.user, cmd.table, cmd.action);
+            case 'DROP_PROCEDURE':
+                return this.procedureManager.dropProcedure(cmd.name);
 
-                default:
-                    return `Perintah tidak dikenal atau belum diimplementasikan di Engine Refactor.`;
-            }
-        } catch (e) {
-            return `Error: ${e.message}`;
+            case 'CONFIGURE_REPLICATION':
+                return this.replicationManager.configure(cmd.role, cmd.host, cmd.port);
+
+            case 'FULLTEXT_SEARCH':
+                return this.searchManager.search(cmd.table, cmd.term);
+
+            case 'GRANT_PERMISSION':
+                return this.securityManager.grant(cmd.user, cmd.table, cmd.action);
+
+            case 'REVOKE_PERMISSION':
+                return this.securityManager.revoke(cmd.user, cmd.table, cmd.action);
+
+            default:
+                return `Perintah tidak dikenal atau belum diimplementasikan di Engine Refactor.`;
+        }
+    }
+
+    /**
+     * Run a write statement, inside the active AKAD if there is one
+     */
+    _write(fn) {
+        if (this.transactionManager.isActive()) {
+            return this.transactionManager.execute(fn);
         }
+        return fn();
     }
 
     // --- Core Data Access (Low Level) ---
@@ -309,6 +473,15 @@ class SawitDB {
     _updateTableLastPage(t, p) { this.tableManager.updateTableLastPage(t, p); }
     _delete(t, c, f) { return this.deleteExecutor.delete(t, c, f); }
 
+    /**
+     * Rows of a data page (cached by the pager), upgraded to the table's schema version
+     */
+    _readRows(table, pageId) {
+        const pageData = this.pager.readPageObjects(pageId);
+        this.schemaManager.upgradeRows(table, pageData.items);
+        return pageData;
+    }
+
     // Modifiy _scanTable to allow returning extended info (pageId) for internal use
     _scanTable(entry, criteria, limit = null, returnRaw = false) {
         let currentPageId = entry.startPage;
@@ -323,7 +496,7 @@ class SawitDB {
 
         while (currentPageId !== 0 && results.length < effectiveLimit) {
             // Returns { next: uint32, items: Array<Object> }
-            const pageData = this.pager.readPageObjects(currentPageId);
+            const pageData = this._readRows(entry.name, currentPageId);
 
             for (const obj of pageData.items) {
                 if (results.length >= effectiveLimit) break;
@@ -335,10 +508,6 @@ class SawitDB {
                     // Inline simple checks for speed
                     switch (criteriaOp) {
                         case '=': matches = (val == criteriaVal); break;
-                        case '>': matches = (val > criteriaVal); break;
-                        case '<': matches = (val < criteriaVal); break;
-                        case '>=': matches = (val >= criteriaVal); break;
-                        case '<=': matches = (val <= criteriaVal); break;
                         case '!=': matches = (val != criteriaVal); break;
                         case 'LIKE':
                             const pattern = criteriaVal.replace(/%/g, '.*').replace(/_/g, '.');
@@ -375,6 +544,26 @@ class SawitDB {
      * EXPLAIN - Analyze query execution plan
      * Returns information about how the query would be executed
      */
+    /**
+     * Readable form of a WHERE criteria for EXPLAIN
+     */
+    _describeCondition(criteria) {
+        if (criteria.type === 'compound') {
+            return criteria.conditions.map(c => {
+                const text = this._describeCondition(c);
+                return c.type === 'compound' ? `(${text})` : text;
+            }).join(` ${criteria.logic} `);
+        }
+        if (criteria.op === 'IS NULL' || criteria.op === 'IS NOT NULL') {
+            return `${criteria.key} ${criteria.op}`;
+        }
+        if (criteria.op === 'EXISTS' || criteria.op === 'NOT EXISTS') {
+            return `${criteria.op} ${criteria.valExpr ? ExpressionEvaluator.describe(criteria.valExpr) : JSON.stringify(criteria.val)}`;
+        }
+        if (criteria.valExpr) return `${criteria.key} ${criteria.op} ${ExpressionEvaluator.describe(criteria.valExpr)}`;
+        return `${criteria.key} ${criteria.op} ${JSON.stringify(criteria.val)}`;
+    }
+
     _explain(cmd) {
         const plan = {
             type: cmd.type,
@@ -382,6 +571,11 @@ class SawitDB {
             steps: []
         };
 
+        // Subqueries are resolved before the statement runs (see SubqueryPlanner)
+        if (['SELECT', 'UPDATE', 'DELETE'].includes(cmd.type)) {
+            plan.steps.push(...this.selectExecutor.subqueryPlanner.explain(cmd));
+        }
+
         switch (cmd.type) {
             case 'SELECT': {
                 const entry = this.tableManager.findTableEntry(cmd.table);
@@ -409,34 +603,41 @@ class SawitDB {
                             condition: join.on ? `${join.on.left} ${join.on.op} ${join.on.right}` : 'CROSS'
                         });
                     }
-                } else if (cmd.criteria) {
-                    // Check index usage
-                    const indexKey = `${cmd.table}.${cmd.criteria.key}`;
-                    const hasIndex = this.indexes.has(indexKey);
-
-                    if (hasIndex && cmd.criteria.op === '=') {
+                } else {
+                    const access = this.selectExecutor.planAccess(cmd);
+                    if (access.order) {
+                        const step = {
+                            operation: 'INDEX ORDER SCAN',
+                            table: cmd.table,
+                            index: access.order.name,
+                            method: cmd.limit ? 'B-Tree walk in sort order, stops at LIMIT' : 'B-Tree walk in sort order'
+                        };
+                        if (cmd.criteria) step.condition = this._describeCondition(cmd.criteria);
+                        plan.steps.push(step);
+                    } else if (access.lookup) {
+                        const op = access.lookup.condition.op;
                         plan.steps.push({
-                            operation: 'INDEX SCAN',
+                            operation: op === '=' || op === 'IN' ? 'INDEX SCAN' : 'INDEX RANGE SCAN',
                             table: cmd.table,
-                            index: indexKey,
-                            method: 'B-Tree Index Lookup',
-                            condition: `${cmd.criteria.key} ${cmd.criteria.op} ${JSON.stringify(cmd.criteria.val)}`
+                            index: access.lookup.index.name,
+                            method: op === '=' || op === 'IN' ? 'B-Tree Index Lookup' : 'B-Tree Range Scan',
+                            condition: this._describeCondition(cmd.criteria)
+                        });
+                    } else if (cmd.criteria) {
+                        plan.steps.push({
+                            operation: 'TABLE SCAN',
+                            table: cmd.table,
+                            method: 'Full Table Scan',
+                            condition: this._describeCondition(cmd.criteria)
                         });
                     } else {
                         plan.steps.push({
                             operation: 'TABLE SCAN',
                             table: cmd.table,
-                            method: hasIndex ? 'Full Scan (index not usable for this operator)' : 'Full Table Scan',
-                            condition: `${cmd.criteria.key} ${cmd.criteria.op} ${JSON.stringify(cmd.criteria.val)}`
+                            method: 'Full Table Scan',
+                            reason: 'No WHERE clause'
                         });
                     }
-                } else {
-                    plan.steps.push({
-                        operation: 'TABLE SCAN',
-                        table: cmd.table,
-                        method: 'Full Table Scan',
-                        reason: 'No WHERE clause'
-                    });
                 }
 
                 // DISTINCT step
@@ -447,12 +648,25 @@ class SawitDB {
                     });
                 }
 
+                // Grouping step (GROUP BY / aggregates)
+                if (Array.isArray(cmd.groupBy)) {
+                    const step = {
+                        operation: 'GROUP',
+                        groupBy: cmd.groupBy.map(node => ExpressionEvaluator.describe(node)),
+                        method: cmd.groupBy.length > 0 ? 'Hash grouping' : 'Single group (whole table)'
+                    };
+                    if (cmd.having) step.having = this._describeCondition(cmd.having);
+                    plan.steps.push(step);
+                }
+
                 // Sorting step
                 if (cmd.sort) {
+                    const indexed = !(cmd.joins && cmd.joins.length > 0) && this.selectExecutor.planAccess(cmd).order;
                     plan.steps.push({
                         operation: 'SORT',
-                        field: cmd.sort.by,
-                        direction: cmd.sort.order || 'ASC'
+                        field: cmd.sort.key,
+                        direction: cmd.sort.dir.toUpperCase(),
+                        method: indexed ? 'Index order (no sort needed)' : 'In-memory sort'
                     });
                 }
 
@@ -484,15 +698,16 @@ class SawitDB {
                 }
 
                 if (cmd.criteria) {
-                    const indexKey = `${cmd.table}.${cmd.criteria.key}`;
-                    const hasIndex = this.indexes.has(indexKey);
+                    const lookup = this.indexManager.planLookup(cmd.table, cmd.criteria);
 
-                    plan.steps.push({
+                    const step = {
                         operation: 'SCAN',
                         table: cmd.table,
-                        method: hasIndex && cmd.criteria.op === '=' ? 'Index-assisted scan' : 'Full Table Scan',
-                        condition: `${cmd.criteria.key} ${cmd.criteria.op} ${JSON.stringify(cmd.criteria.val)}`
-                    });
+                        method: lookup ? 'Index-assisted scan' : 'Full Table Scan',
+                        condition: this._describeCondition(cmd.criteria)
+                    };
+                    if (lookup) step.index = lookup.index.name;
+                    plan.steps.push(step);
                 } else {
                     plan.steps.push({
                         operation: 'SCAN',
@@ -534,7 +749,7 @@ class SawitDB {
                 if (cmd.having) {
                     plan.steps.push({
                         operation: 'HAVING',
-                        condition: `${cmd.having.field} ${cmd.having.op} ${cmd.having.val}`
+                        condition: this._describeCondition(cmd.having)
                     });
                 }
                 break;
@@ -556,4 +771,7 @@ class SawitDB {
     }
 }
 
+SawitDB.SawitError = SawitError;
+SawitDB.QueryResult = QueryResult;
+
 module.exports = SawitDB;
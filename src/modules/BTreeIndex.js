@@ -1,35 +1,203 @@
 /**
- * Simple B-Tree Index for SawitDB
+ * B+Tree Index for SawitDB
  * Provides fast lookups by key
+ *
+ * Nodes live in a node store: in memory by default, or in .sawit pages
+ * (PagerNodeStore) so the index survives restarts without a rebuild.
+ * Leaf entries are (key, value) pairs, one per row, so duplicate keys are allowed
+ * and a single row can be removed with delete(key, value).
  */
-class BTreeNode {
-    constructor(isLeaf = true) {
-        this.isLeaf = isLeaf;
-        this.keys = [];
-        this.values = []; // For leaf nodes: array of record references
-        this.children = []; // For internal nodes
+
+/**
+ * Upper bound that sorts after every key; only used to bound range walks
+ * (e.g. every composite key starting with [a, b] lies in [[a, b], [a, b, MAX_KEY]]).
+ */
+const MAX_KEY = Object.freeze({ maxKey: true });
+
+/**
+ * Type rank used to order mixed key types deterministically.
+ */
+function typeRank(v) {
+    if (v === MAX_KEY) return 6;
+    if (v === null || v === undefined) return 0;
+    if (typeof v === 'boolean') return 1;
+    if (typeof v === 'number') return 2;
+    if (typeof v === 'string') return 3;
+    if (Array.isArray(v)) return 4;
+    return 5;
+}
+
+/**
+ * Total order over index keys
+ */
+function compareKeys(a, b) {
+    const ra = typeRank(a);
+    const rb = typeRank(b);
+    if (ra !== rb) return ra - rb;
+
+    switch (ra) {
+        case 0:
+        case 6:
+            return 0;
+        case 1:
+        case 2:
+            return a < b ? -1 : (a > b ? 1 : 0);
+        case 3:
+            return a < b ? -1 : (a > b ? 1 : 0);
+        case 4: {
+            const len = Math.min(a.length, b.length);
+            for (let i = 0; i < len; i++) {
+                const c = compareKeys(a[i], b[i]);
+                if (c !== 0) return c;
+            }
+            return a.length - b.length;
+        }
+        default: {
+            const sa = JSON.stringify(a);
+            const sb = JSON.stringify(b);
+            return sa < sb ? -1 : (sa > sb ? 1 : 0);
+        }
+    }
+}
+
+/**
+ * Node store kept in process memory (standalone indexes)
+ */
+class MemoryNodeStore {
+    constructor() {
+        this.nodes = new Map();
+        this.nextId = 1;
+    }
+
+    alloc(node) {
+        const id = this.nextId++;
+        this.nodes.set(id, node);
+        return id;
+    }
+
+    get(id) {
+        return this.nodes.get(id);
+    }
+
+    put(id, node) {
+        this.nodes.set(id, node);
+    }
+
+    free(id) {
+        this.nodes.delete(id);
+    }
+}
+
+/**
+ * Node store backed by .sawit page chains.
+ * `source` is any object exposing `.pager`; it is resolved on every call
+ * so the index always follows the engine's current pager.
+ */
+class PagerNodeStore {
+    constructor(source) {
+        this.source = source;
+    }
+
+    get pager() {
+        return this.source.pager;
+    }
+
+    alloc(node) {
+        const pageId = this.pager.allocPage();
+        this.pager.writeJSON(pageId, node);
+        return pageId;
+    }
+
+    get(id) {
+        return this.pager.readJSON(id);
+    }
+
+    put(id, node) {
+        this.pager.writeJSON(id, node);
+    }
+
+    free(id) {
+        this.pager.freeChain(id);
+    }
+
+    /**
+     * Pages used by one node (a node larger than a page spans a chain)
+     */
+    pageCount(id) {
+        let count = 0;
+        for (let pageId = id; pageId !== 0; pageId = this.pager.readPage(pageId).readUInt32LE(0)) {
+            count++;
+        }
+        return count;
     }
 }
 
+function newLeaf() {
+    return { leaf: true, keys: [], values: [] };
+}
+
 class BTreeIndex {
-    constructor(order = 32) {
+    /**
+     * @param {number} order - Maximum number of keys per node
+     * @param {Object} store - Node store (defaults to in-memory)
+     * @param {number} rootId - Existing root node id (omit to create a new tree)
+     */
+    constructor(order = 32, store = null, rootId = null) {
         this.order = order; // Maximum number of keys per node
-        this.root = new BTreeNode(true);
+        this.store = store || new MemoryNodeStore();
+        this.rootId = rootId !== null && rootId !== undefined ? rootId : this.store.alloc(newLeaf());
         this.name = null;
         this.keyField = null;
+        this.fields = null; // Composite index: keys are arrays of these fields' values
+        this.unique = false; // Enforced by IndexManager.checkUnique before rows are written
+        this.primary = false;
+    }
+
+    /**
+     * Index key of a row, or undefined if the row is not indexed.
+     * Composite keys need the leading field; missing later fields are stored as null.
+     */
+    keyOf(row) {
+        const fields = this.fields || [this.keyField];
+        if (!row.hasOwnProperty(fields[0])) return undefined;
+        if (fields.length === 1) return row[fields[0]];
+        return fields.map(f => row[f] === undefined ? null : row[f]);
+    }
+
+    _compare(keyA, valueA, keyB, valueB) {
+        const c = compareKeys(keyA, keyB);
+        if (c !== 0) return c;
+        return compareKeys(valueA, valueB);
+    }
+
+    /**
+     * Binary search: first position whose key is > key (duplicates go right)
+     */
+    _upperBound(keys, key) {
+        let left = 0;
+        let right = keys.length;
+
+        while (left < right) {
+            const mid = (left + right) >>> 1;
+            if (compareKeys(keys[mid], key) <= 0) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
+        }
+        return left;
     }
 
     /**
-     * Binary search to find insertion point
-     * Returns the index where key should be inserted
+     * Binary search: first position whose key is >= key
      */
-    _binarySearchInsertPoint(keys, key) {
+    _lowerBound(keys, key) {
         let left = 0;
         let right = keys.length;
 
         while (left < right) {
             const mid = (left + right) >>> 1;
-            if (keys[mid] < key) {
+            if (compareKeys(keys[mid], key) < 0) {
                 left = mid + 1;
             } else {
                 right = mid;
@@ -39,125 +207,102 @@ class BTreeIndex {
     }
 
     /**
-     * Binary search to find exact key or insertion point
-     * Returns { found: boolean, index: number }
+     * Leaf insertion point ordered by (key, value)
      */
-    _binarySearch(keys, key) {
+    _entryInsertPoint(node, key, value) {
         let left = 0;
-        let right = keys.length - 1;
+        let right = node.keys.length;
 
-        while (left <= right) {
+        while (left < right) {
             const mid = (left + right) >>> 1;
-            if (keys[mid] === key) {
-                return { found: true, index: mid };
-            } else if (keys[mid] < key) {
+            if (this._compare(node.keys[mid], node.values[mid], key, value) <= 0) {
                 left = mid + 1;
             } else {
-                right = mid - 1;
+                right = mid;
             }
         }
-        return { found: false, index: left };
+        return left;
     }
 
     /**
      * Insert a key-value pair into the index
      * @param {*} key - The key to index
-     * @param {*} value - The value to store (usually record reference/data)
+     * @param {*} value - The value to store (row locator, e.g. data page id)
      */
     insert(key, value) {
-        const root = this.root;
+        const root = this.store.get(this.rootId);
 
-        // If root is full, split it
+        // If root is full, split it. The root id never changes:
+        // its content moves to a new left child instead.
         if (root.keys.length >= this.order) {
-            const newRoot = new BTreeNode(false);
-            newRoot.children.push(this.root);
+            const leftId = this.store.alloc(root.leaf
+                ? { leaf: true, keys: root.keys, values: root.values }
+                : { leaf: false, keys: root.keys, children: root.children });
+            const newRoot = { leaf: false, keys: [], children: [leftId] };
             this._splitChild(newRoot, 0);
-            this.root = newRoot;
+            this.store.put(this.rootId, newRoot);
         }
 
-        this._insertNonFull(this.root, key, value);
+        this._insertNonFull(this.rootId, key, value);
     }
 
-    _insertNonFull(node, key, value) {
-        if (node.isLeaf) {
-            // OPTIMIZATION: Use binary search to find insertion point
-            const insertIdx = this._binarySearchInsertPoint(node.keys, key);
-            // Use splice for O(n) insertion (still O(n) due to array shift, but search is O(log n))
+    _insertNonFull(nodeId, key, value) {
+        const node = this.store.get(nodeId);
+
+        if (node.leaf) {
+            const insertIdx = this._entryInsertPoint(node, key, value);
             node.keys.splice(insertIdx, 0, key);
             node.values.splice(insertIdx, 0, value);
-        } else {
-            // Find child to insert into using binary search
-            let i = this._binarySearchInsertPoint(node.keys, key);
-            // Adjust: if key >= keys[i], we go to child[i+1], but _binarySearchInsertPoint
-            // returns where key would be inserted, so child index is the same
-            // Actually for internal node navigation: go to child[i] where i is the index
-            // such that keys[i-1] < key <= keys[i]
-
-            // OPTIMIZATION & BUGFIX: handled undefined child proactively
-            if (!node.children[i]) {
-                // If child is missing (should not happen in valid B-Tree), default to last valid child or create? 
-                // This indicates tree corruption or logic error. 
-                // In a correct B-Tree, children count = keys count + 1.
-                // If i > keys.length, it should be the last child.
-                /* 
-                   Example: Keys [10, 20]
-                   Children: [ <10, 10-20, >20 ]
-                   i=0 (key<10), i=1 (10<key<20), i=2 (key>20)
-                */
-                // Recovery logic:
-                if (i >= node.children.length) {
-                    i = node.children.length - 1;
-                }
-            }
+            this.store.put(nodeId, node);
+            return;
+        }
 
-            if (node.children[i].keys.length >= this.order) {
-                this._splitChild(node, i);
-                if (key > node.keys[i]) {
-                    i++;
-                }
-            }
+        // Child i covers keys[i-1] <= key < keys[i]
+        let i = this._upperBound(node.keys, key);
+        const child = this.store.get(node.children[i]);
 
-            this._insertNonFull(node.children[i], key, value);
+        if (child.keys.length >= this.order) {
+            this._splitChild(node, i);
+            this.store.put(nodeId, node);
+            if (compareKeys(key, node.keys[i]) >= 0) {
+                i++;
+            }
         }
+
+        this._insertNonFull(node.children[i], key, value);
     }
 
     _splitChild(parent, index) {
-        const fullNode = parent.children[index];
-        const newNode = new BTreeNode(fullNode.isLeaf);
+        const fullId = parent.children[index];
+        const fullNode = this.store.get(fullId);
         const mid = Math.floor(this.order / 2);
+        let newNode;
+        let separator;
 
-        // Standard B+ Tree Split
         // Leaf: Split at mid. Right node includes mid. Parent gets COPY of mid key.
-        // Internal: Split at mid. Mid key MOVES to parent (not in Left or Right). Children split at mid+1.
-
-        if (fullNode.isLeaf) {
-            newNode.keys = fullNode.keys.splice(mid); // Right half
-            newNode.values = fullNode.values.splice(mid); // Right half values
-
-            // Promote copy of first key of right node
-            const middleKey = newNode.keys[0];
-            parent.keys.splice(index, 0, middleKey);
-            parent.children.splice(index + 1, 0, newNode);
+        // Internal: Split at mid. Mid key MOVES to parent. Children split at mid+1.
+        if (fullNode.leaf) {
+            newNode = {
+                leaf: true,
+                keys: fullNode.keys.splice(mid),
+                values: fullNode.values.splice(mid)
+            };
+            separator = newNode.keys[0];
         } else {
-            // Internal Node
-            // Move half of keys to new node (mid to end)
-            // fullNode has [0..mid-1], [mid], [mid+1..end]
-            // We want fullNode: [0..mid-1]
-            // newNode: [mid+1..end]
-            // pivot: [mid]
-
             const rightKeys = fullNode.keys.splice(mid);
-            const pivot = rightKeys.shift(); // Remove pivot from right keys
-            newNode.keys = rightKeys;
+            separator = rightKeys.shift();
+            newNode = {
+                leaf: false,
+                keys: rightKeys,
+                children: fullNode.children.splice(mid + 1)
+            };
+        }
 
-            // Children
-            // fullNode children: [0..mid] (Keep)
-            // newNode children: [mid+1..end] (Move)
-            newNode.children = fullNode.children.splice(mid + 1);
+        this.store.put(fullId, fullNode);
+        const newId = this.store.alloc(newNode);
 
-            parent.keys.splice(index, 0, pivot);
-            parent.children.splice(index + 1, 0, newNode);
-        }
+        parent.keys.splice(index, 0, separator);
+        parent.children.splice(index + 1, 0, newId);
     }
 
     /**
@@ -166,82 +311,68 @@ class BTreeIndex {
      * @returns {Array} - Array of values associated with the key
      */
     search(key) {
-        return this._searchNode(this.root, key);
-    }
-
-    _searchNode(node, key) {
-        // BUGFIX: Handle null/undefined node
-        if (!node) {
-            return [];
-        }
-
-        // OPTIMIZATION: Use binary search instead of linear scan
-        const { found, index: i } = this._binarySearch(node.keys, key);
-
-        // Check if key is found
-        if (found) {
-            if (node.isLeaf) {
-                return Array.isArray(node.values[i]) ? node.values[i] : [node.values[i]];
-            } else {
-                // BUGFIX: Check child exists before recursing
-                if (node.children && node.children[i + 1]) {
-                    return this._searchNode(node.children[i + 1], key);
-                }
-                return [];
-            }
-        }
-
-        // If not found and this is a leaf, return empty
-        if (node.isLeaf) {
-            return [];
-        }
-
-        // BUGFIX: Check child exists before recursing
-        if (node.children && node.children[i]) {
-            return this._searchNode(node.children[i], key);
-        }
-
-        return [];
+        return this.range(key, key);
     }
 
     /**
      * Range query: find all keys between min and max
-     * @param {*} min - Minimum key (inclusive)
-     * @param {*} max - Maximum key (inclusive)
-     * @returns {Array} - Array of values in range
+     * @param {*} min - Minimum key (inclusive, undefined = unbounded)
+     * @param {*} max - Maximum key (inclusive, undefined = unbounded)
+     * @returns {Array} - Array of values in range, in key order
      */
     range(min, max) {
         const results = [];
-        this._rangeSearch(this.root, min, max, results);
+        this.walk(min, max, (key, value) => {
+            results.push(value);
+        });
         return results;
     }
 
-    _rangeSearch(node, min, max, results) {
-        let i = 0;
+    /**
+     * Visit entries within [min, max] in key order (descending when reverse).
+     * Return false from visit to stop early.
+     * @returns {boolean} - False if the walk was stopped
+     */
+    walk(min, max, visit, reverse = false) {
+        return this._walk(this.rootId, min, max, visit, reverse);
+    }
 
-        while (i < node.keys.length) {
-            if (node.isLeaf) {
-                if (node.keys[i] >= min && node.keys[i] <= max) {
-                    const values = Array.isArray(node.values[i]) ? node.values[i] : [node.values[i]];
-                    results.push(...values);
-                }
-                i++;
-            } else {
-                if (node.keys[i] > min) {
-                    this._rangeSearch(node.children[i], min, max, results);
-                }
-                if (node.keys[i] >= min && node.keys[i] <= max) {
-                    const values = Array.isArray(node.values[i]) ? node.values[i] : [node.values[i]];
-                    results.push(...values);
-                }
-                i++;
+    /**
+     * In-order traversal of entries within [min, max].
+     * Separators equal to a bound are inclusive on both sides because
+     * duplicates of a key may straddle a split.
+     */
+    _walk(nodeId, min, max, visit, reverse) {
+        const node = this.store.get(nodeId);
+
+        if (node.leaf) {
+            const start = min === undefined ? 0 : this._lowerBound(node.keys, min);
+            const end = max === undefined ? node.keys.length : this._upperBound(node.keys, max);
+            for (let n = 0; n < end - start; n++) {
+                const i = reverse ? end - 1 - n : start + n;
+                if (visit(node.keys[i], node.values[i]) === false) return false;
             }
+            return true;
         }
 
-        // Search rightmost child
-        if (!node.isLeaf && node.children.length > i) {
-            this._rangeSearch(node.children[i], min, max, results);
+        const count = node.children.length;
+        for (let n = 0; n < count; n++) {
+            const i = reverse ? count - 1 - n : n;
+            const lo = i > 0 ? node.keys[i - 1] : undefined;
+            const hi = i < node.keys.length ? node.keys[i] : undefined;
+
+            if (min !== undefined && hi !== undefined && compareKeys(hi, min) < 0) {
+                if (reverse) break;
+                continue;
+            }
+            if (max !== undefined && lo !== undefined && compareKeys(lo, max) > 0) {
+                if (reverse) continue;
+                break;
+            }
+
+            if (this._walk(node.children[i], min, max, visit, reverse) === false) return false;
         }
+        return true;
     }
 
     /**
@@ -249,61 +380,46 @@ class BTreeIndex {
      * @returns {Array} - All values in the index
      */
     all() {
-        const results = [];
-        this._collectAll(this.root, results);
-        return results;
-    }
-
-    _collectAll(node, results) {
-        if (node.isLeaf) {
-            for (const value of node.values) {
-                const values = Array.isArray(value) ? value : [value];
-                results.push(...values);
-            }
-        } else {
-            for (let i = 0; i < node.children.length; i++) {
-                this._collectAll(node.children[i], results);
-            }
-        }
+        return this.range(undefined, undefined);
     }
 
     /**
-     * Delete a key from the index
+     * Delete an entry from the index
      * @param {*} key - The key to delete
+     * @param {*} value - Only remove the entry with this value (omit to remove one entry for key)
+     * @returns {boolean} - True if an entry was removed
      */
-    delete(key) {
-        this._deleteFromNode(this.root, key);
-
-        // If root is empty after deletion, make its only child the new root
-        if (this.root.keys.length === 0 && !this.root.isLeaf) {
-            this.root = this.root.children[0];
-        }
+    delete(key, value) {
+        // Nodes are not rebalanced; empty leaves are simply left in place.
+        return this._deleteFromNode(this.rootId, key, value);
     }
 
-    _deleteFromNode(node, key) {
-        let i = 0;
-        while (i < node.keys.length && key > node.keys[i]) {
-            i++;
-        }
-
-        if (i < node.keys.length && key === node.keys[i]) {
-            if (node.isLeaf) {
-                // Remove key and value
-                node.keys.splice(i, 1);
-                node.values.splice(i, 1);
-                return true;
-            } else {
-                // Internal node deletion (simplified - not fully balanced)
-                return this._deleteFromNode(node.children[i + 1], key);
+    _deleteFromNode(nodeId, key, value) {
+        const node = this.store.get(nodeId);
+
+        if (node.leaf) {
+            for (let i = this._lowerBound(node.keys, key); i < node.keys.length; i++) {
+                if (compareKeys(node.keys[i], key) !== 0) break;
+                if (value === undefined || compareKeys(node.values[i], value) === 0) {
+                    node.keys.splice(i, 1);
+                    node.values.splice(i, 1);
+                    this.store.put(nodeId, node);
+                    return true;
+                }
             }
+            return false;
         }
 
-        if (node.isLeaf) {
-            return false; // Key not found
-        }
+        for (let i = 0; i < node.children.length; i++) {
+            const lo = i > 0 ? node.keys[i - 1] : undefined;
+            const hi = i < node.keys.length ? node.keys[i] : undefined;
 
-        // Recursively delete from child
-        return this._deleteFromNode(node.children[i], key);
+            if (hi !== undefined && compareKeys(hi, key) < 0) continue;
+            if (lo !== undefined && compareKeys(lo, key) > 0) break;
+
+            if (this._deleteFromNode(node.children[i], key, value)) return true;
+        }
+        return false;
     }
 
     /**
@@ -314,14 +430,17 @@ class BTreeIndex {
         let leafCount = 0;
         let keyCount = 0;
         let maxDepth = 0;
+        let pages = 0;
 
-        const traverse = (node, depth) => {
+        const traverse = (nodeId, depth) => {
+            const node = this.store.get(nodeId);
             nodeCount++;
-            keyCount += node.keys.length;
+            if (this.store.pageCount) pages += this.store.pageCount(nodeId);
             maxDepth = Math.max(maxDepth, depth);
 
-            if (node.isLeaf) {
+            if (node.leaf) {
                 leafCount++;
+                keyCount += node.keys.length;
             } else {
                 for (const child of node.children) {
                     traverse(child, depth + 1);
@@ -329,25 +448,54 @@ class BTreeIndex {
             }
         };
 
-        traverse(this.root, 0);
+        traverse(this.rootId, 0);
 
         return {
             name: this.name,
             keyField: this.keyField,
+            fields: this.fields || [this.keyField],
             nodeCount,
             leafCount,
             keyCount,
             maxDepth,
-            order: this.order
+            order: this.order,
+            unique: this.unique,
+            primary: this.primary,
+            pages: this.store.pageCount ? pages : null, // Size on disk (null for in-memory indexes)
+            rootPage: this.rootId
         };
     }
 
     /**
-     * Clear the index
+     * Clear the index (root id is kept)
      */
     clear() {
-        this.root = new BTreeNode(true);
+        const root = this.store.get(this.rootId);
+        if (!root.leaf) {
+            for (const child of root.children) this._freeNode(child);
+        }
+        this.store.put(this.rootId, newLeaf());
+    }
+
+    /**
+     * Release every node, including the root
+     */
+    destroy() {
+        this._freeNode(this.rootId);
+    }
+
+    _freeNode(nodeId) {
+        const node = this.store.get(nodeId);
+        if (!node.leaf) {
+            for (const child of node.children) this._freeNode(child);
+        }
+        this.store.free(nodeId);
     }
 }
 
+BTreeIndex.compareKeys = compareKeys;
+BTreeIndex.MAX_KEY = MAX_KEY;
+BTreeIndex.MemoryNodeStore = MemoryNodeStore;
+BTreeIndex.PagerNodeStore = PagerNodeStore;
+
 module.exports = BTreeIndex;
@@ -0,0 +1,28 @@
+/**
+ * CRC32 (IEEE 802.3, same polynomial as zlib) for page checksums
+ */
+const CRC_TABLE = new Int32Array(256);
+
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    CRC_TABLE[n] = c;
+}
+
+/**
+ * @param {Buffer} buf
+ * @param {number} start - Inclusive
+ * @param {number} end - Exclusive
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(buf, start = 0, end = buf.length) {
+    let crc = -1;
+    for (let i = start; i < end; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,407 @@
+/**
+ * ErrorCatalog - Stable SawitDB error codes with Indonesian (id) and English (en) messages
+ *
+ * Placeholders are written {name} and filled from the params of SawitError.of().
+ * A param may be a nested SawitError (rendered in the same language), a term from TERMS,
+ * an array (joined with ', ') or any other value (String()).
+ * Codes are part of the public API: never rename or reuse one, add a new code instead.
+ */
+
+const LANGUAGES = ['id', 'en'];
+const DEFAULT_LANGUAGE = 'id';
+
+const MESSAGES = {
+    // --- General ---
+    SAWIT_E_QUERY: { id: '{reason}', en: '{reason}' },
+    SAWIT_E_PARSE: { id: '{reason}', en: '{reason}' },
+    SAWIT_E_DB_CLOSED: { id: 'Database sudah ditutup.', en: 'Database is closed.' },
+    SAWIT_E_PERMISSION_DENIED: {
+        id: "POS RONDA: Akses Ditolak! User '{user}' tidak punya izin '{action}' di lahan '{table}'.",
+        en: "POS RONDA: Access denied! User '{user}' has no '{action}' permission on table '{table}'."
+    },
+    SAWIT_E_PERMISSION_NOT_FOUND: {
+        id: "Izin '{action}' untuk '{user}' di '{table}' tidak ditemukan.",
+        en: "No '{action}' permission for '{user}' on '{table}'."
+    },
+    SAWIT_E_CHECKSUM_MISMATCH: {
+        id: 'Checksum halaman {page} tidak cocok (data rusak)',
+        en: 'Checksum mismatch on page {page} (corrupted data)'
+    },
+
+    // --- Query syntax (QueryParser) ---
+    SAWIT_E_UNKNOWN_COMMAND: { id: 'Perintah tidak dikenal: {command}', en: 'Unknown command: {command}' },
+    SAWIT_E_SYNTAX: { id: 'Sintaks: {usage}', en: 'Syntax: {usage}' },
+    SAWIT_E_EXPECTED: { id: 'Diharapkan {expected}', en: 'Expected {expected}' },
+    SAWIT_E_UNCLOSED_PARENTHESIS: { id: "Kurung '(' tidak ditutup", en: 'Unclosed parenthesis' },
+    SAWIT_E_COLUMN_VALUE_MISMATCH: {
+        id: 'Jumlah kolom dan nilai tidak sama',
+        en: 'Columns and values count mismatch'
+    },
+    SAWIT_E_PRIMARY_KEY_TWICE: { id: 'Kunci utama hanya boleh satu per kebun', en: 'A table can have only one primary key' },
+    SAWIT_E_CHECK_CONDITION_REQUIRED: {
+        id: 'CHECK membutuhkan kondisi, contoh: CHECK (luas > 0)',
+        en: 'CHECK needs a condition, e.g. CHECK (luas > 0)'
+    },
+    SAWIT_E_FK_ON_DELETE_ONLY: {
+        id: 'Hanya ON DELETE yang didukung untuk FOREIGN KEY',
+        en: 'Only ON DELETE is supported for FOREIGN KEY'
+    },
+    SAWIT_E_DEFAULT_VALUE_REQUIRED: {
+        id: "DEFAULT untuk '{column}' membutuhkan nilai",
+        en: "DEFAULT for '{column}' needs a value"
+    },
+    SAWIT_E_DEFAULT_UNSUPPORTED: {
+        id: "DEFAULT '{value}' untuk '{column}' tidak didukung",
+        en: "DEFAULT '{value}' for '{column}' is not supported"
+    },
+    SAWIT_E_ALTER_ONE_COLUMN: {
+        id: 'ADD COLUMN menambah satu kolom sekaligus',
+        en: 'ADD COLUMN adds one column at a time'
+    },
+    SAWIT_E_ALTER_UNSUPPORTED: {
+        id: 'ALTER TABLE mendukung RENAME TO, ADD COLUMN, DROP COLUMN, RENAME COLUMN',
+        en: 'ALTER TABLE supports RENAME TO, ADD COLUMN, DROP COLUMN, RENAME COLUMN'
+    },
+    SAWIT_E_SEQUENCE_OPTION: { id: 'Opsi urutan tidak dikenal: {option}', en: 'Unknown sequence option: {option}' },
+    SAWIT_E_INTEGER_REQUIRED: { id: '{option} membutuhkan bilangan bulat', en: '{option} needs an integer' },
+    SAWIT_E_INDEX_FIELD_REQUIRED: { id: 'Indeks membutuhkan minimal satu kolom', en: 'Index needs at least one field' },
+    SAWIT_E_VIEW_NAME_REQUIRED: { id: 'Nama TEROPONG wajib diisi', en: 'View name required' },
+    SAWIT_E_EXPLAIN_QUERY_REQUIRED: {
+        id: 'JELASKAN membutuhkan query untuk dianalisis',
+        en: 'EXPLAIN requires a query to analyze'
+    },
+    SAWIT_E_EXPLAIN_UNSUPPORTED: {
+        id: 'JELASKAN tidak mendukung: {command}',
+        en: 'EXPLAIN not supported for: {command}'
+    },
+
+    // --- Names ---
+    SAWIT_E_NAME_EMPTY: { id: 'Nama {type} tidak boleh kosong', en: '{type} name cannot be empty' },
+    SAWIT_E_NAME_TOO_LONG: { id: 'Nama {type} maksimal {max} karakter', en: '{type} name can be at most {max} characters' },
+    SAWIT_E_NAME_INVALID: {
+        id: 'Nama {type} hanya boleh huruf, angka, underscore, dan harus dimulai dengan huruf atau underscore',
+        en: '{type} name may only contain letters, digits and underscores, and must start with a letter or underscore'
+    },
+    SAWIT_E_NAME_RESERVED: { id: "Nama {type} '{name}' adalah nama terproteksi", en: "{type} name '{name}' is reserved" },
+    SAWIT_E_NAME_TAKEN: { id: "Nama '{name}' sudah dipakai.", en: "Name '{name}' is already in use." },
+
+    // --- Tables and columns ---
+    SAWIT_E_TABLE_NOT_FOUND: { id: "Kebun '{table}' tidak ditemukan.", en: "Table '{table}' not found." },
+    SAWIT_E_TABLE_EXISTS: { id: "Kebun '{table}' sudah ada.", en: "Table '{table}' already exists." },
+    SAWIT_E_SYSTEM_TABLE: {
+        id: "Kebun sistem '{table}' tidak bisa diubah.",
+        en: "System table '{table}' cannot be altered."
+    },
+    SAWIT_E_TABLE_REFERENCED: {
+        id: "Kebun '{table}' masih dirujuk oleh kebun '{child}'. Bakar '{child}' dulu.",
+        en: "Table '{table}' is still referenced by table '{child}'. Drop '{child}' first."
+    },
+    SAWIT_E_COLUMN_NOT_FOUND: {
+        id: "Kolom '{column}' tidak ada di kebun '{table}'.",
+        en: "Column '{column}' does not exist in table '{table}'."
+    },
+    SAWIT_E_COLUMN_EXISTS: {
+        id: "Kolom '{column}' sudah ada di kebun '{table}'.",
+        en: "Column '{column}' already exists in table '{table}'."
+    },
+    SAWIT_E_COLUMN_DEFINED_TWICE: { id: "Kolom '{column}' didefinisikan dua kali.", en: "Column '{column}' is defined twice." },
+    SAWIT_E_COLUMN_IN_PRIMARY_KEY: {
+        id: "Kolom '{column}' bagian dari kunci utama '{key}'.",
+        en: "Column '{column}' is part of primary key '{key}'."
+    },
+    SAWIT_E_COLUMN_REFERENCED: {
+        id: "Kolom '{table}.{column}' masih dirujuk oleh kebun '{child}'.",
+        en: "Column '{table}.{column}' is still referenced by table '{child}'."
+    },
+    SAWIT_E_UNKNOWN_TYPE: {
+        id: "Tipe kolom '{type}' untuk '{column}' tidak dikenal.",
+        en: "Unknown column type '{type}' for '{column}'."
+    },
+    SAWIT_E_EMPTY_DATA: {
+        id: 'Data kosong / fiktif? Ini melanggar integritas (Korupsi Data).',
+        en: 'Empty data: nothing to insert.'
+    },
+    SAWIT_E_ALTER_PRIMARY_KEY: {
+        id: 'KUNCI UTAMA tidak bisa ditambahkan lewat ALTER TABLE.',
+        en: 'PRIMARY KEY cannot be added through ALTER TABLE.'
+    },
+    SAWIT_E_ALTER_GENERATED: {
+        id: 'Kolom AUTO_INCREMENT / NEXTVAL tidak bisa ditambahkan lewat ALTER TABLE.',
+        en: 'AUTO_INCREMENT / NEXTVAL columns cannot be added through ALTER TABLE.'
+    },
+    SAWIT_E_ALTER_UNIQUE_DUPLICATE: {
+        id: "Kolom unik '{columns}' akan berisi {key} lebih dari sekali.",
+        en: "Unique column '{columns}' would contain {key} more than once."
+    },
+
+    // --- Constraints ---
+    SAWIT_E_NOT_NULL_VIOLATION: {
+        id: "Kolom '{column}' pada kebun '{table}' tidak boleh kosong (NOT NULL).",
+        en: "Column '{column}' of table '{table}' cannot be empty (NOT NULL)."
+    },
+    SAWIT_E_NOT_NULL_DEFAULT_NULL: {
+        id: "Kolom '{column}' NOT NULL tidak boleh DEFAULT NULL.",
+        en: "NOT NULL column '{column}' cannot have DEFAULT NULL."
+    },
+    SAWIT_E_TYPE_MISMATCH: {
+        id: "Kolom '{column}' pada kebun '{table}' harus bertipe {type}, bukan {value}.",
+        en: "Column '{column}' of table '{table}' must be {type}, not {value}."
+    },
+    SAWIT_E_CHECK_VIOLATION: {
+        id: "Bibit melanggar CHECK ({check}) pada kebun '{table}'.",
+        en: "Row violates CHECK ({check}) on table '{table}'."
+    },
+    SAWIT_E_PRIMARY_KEY_REQUIRED: {
+        id: "Kunci utama '{column}' pada kebun '{table}' wajib diisi.",
+        en: "Primary key '{column}' of table '{table}' is required."
+    },
+    SAWIT_E_PRIMARY_KEY_VIOLATION: {
+        id: "Kunci utama ganda: {key} sudah ada di kebun '{table}'.",
+        en: "Duplicate primary key: {key} already exists in table '{table}'."
+    },
+    SAWIT_E_UNIQUE_VIOLATION: {
+        id: "Nilai unik ganda: {key} sudah ada di kebun '{table}'.",
+        en: "Duplicate unique value: {key} already exists in table '{table}'."
+    },
+    SAWIT_E_FK_VIOLATION: {
+        id: "Rujukan ({columns}) = ({values}) tidak ada di kebun '{table}'.",
+        en: "Reference ({columns}) = ({values}) does not exist in table '{table}'."
+    },
+    SAWIT_E_FK_RESTRICT: {
+        id: "Bibit di kebun '{table}' masih dirujuk oleh {count} bibit di '{child}' (ON DELETE RESTRICT).",
+        en: "Rows of table '{table}' are still referenced by {count} rows in '{child}' (ON DELETE RESTRICT)."
+    },
+    SAWIT_E_FK_KEY_REFERENCED: {
+        id: "Kunci {table}({columns}) masih dirujuk oleh kebun '{child}', tidak bisa diubah.",
+        en: "Key {table}({columns}) is still referenced by table '{child}' and cannot be changed."
+    },
+    SAWIT_E_FK_CASCADE_TOO_DEEP: {
+        id: "Rantai ON DELETE CASCADE terlalu dalam di kebun '{table}' (rujukan melingkar?).",
+        en: "ON DELETE CASCADE chain too deep at table '{table}' (circular reference?)."
+    },
+    SAWIT_E_FK_COLUMN_NOT_FOUND: {
+        id: "Kolom '{column}' untuk FOREIGN KEY tidak ada di definisi kebun.",
+        en: "FOREIGN KEY column '{column}' is not in the table definition."
+    },
+    SAWIT_E_FK_SET_NULL_NOT_NULL: {
+        id: "Kolom '{column}' NOT NULL tidak bisa ON DELETE SET NULL.",
+        en: "NOT NULL column '{column}' cannot be ON DELETE SET NULL."
+    },
+    SAWIT_E_FK_TABLE_NOT_FOUND: { id: "Kebun rujukan '{table}' tidak ditemukan.", en: "Referenced table '{table}' not found." },
+    SAWIT_E_FK_NO_PRIMARY_KEY: {
+        id: "Kebun '{table}' tidak punya kunci utama untuk dirujuk.",
+        en: "Table '{table}' has no primary key to reference."
+    },
+    SAWIT_E_FK_COLUMN_COUNT: {
+        id: 'FOREIGN KEY ({columns}) dan rujukan ({refColumns}) harus sama jumlah kolomnya.',
+        en: 'FOREIGN KEY ({columns}) and its reference ({refColumns}) must have the same number of columns.'
+    },
+    SAWIT_E_FK_NOT_UNIQUE: {
+        id: 'Rujukan {table}({columns}) harus KUNCI UTAMA atau UNIK.',
+        en: 'Reference {table}({columns}) must be a PRIMARY KEY or UNIQUE.'
+    },
+
+    // --- Indexes ---
+    SAWIT_E_INDEX_NOT_FOUND: { id: "Indeks pada '{index}' tidak ditemukan.", en: "No index on '{index}'." },
+    SAWIT_E_INDEX_EXISTS: { id: "Indeks pada '{index}' sudah ada.", en: "Index on '{index}' already exists." },
+    SAWIT_E_INDEX_REPEATED_FIELDS: {
+        id: 'Kolom indeks tidak boleh berulang: {fields}',
+        en: 'Index fields cannot repeat: {fields}'
+    },
+    SAWIT_E_INDEX_PRIMARY_DROP: {
+        id: "Indeks '{index}' adalah kunci utama, tidak bisa dibuang.",
+        en: "Index '{index}' is a primary key and cannot be dropped."
+    },
+    SAWIT_E_UNIQUE_INDEX_FAILED: {
+        id: "Indeks unik '{index}' tidak bisa dibuat: {reason}",
+        en: "Unique index '{index}' cannot be created: {reason}"
+    },
+    SAWIT_E_UNIQUE_REINDEX_FAILED: {
+        id: "Indeks unik '{index}' tidak bisa dibangun ulang: {reason}",
+        en: "Unique index '{index}' cannot be rebuilt: {reason}"
+    },
+    SAWIT_E_PRIMARY_KEY_EMPTY_ROWS: {
+        id: "kunci utama '{column}' kosong pada sebagian baris",
+        en: "primary key '{column}' is empty in some rows"
+    },
+    SAWIT_E_DUPLICATE_ROWS: { id: '{key} muncul lebih dari sekali', en: '{key} appears more than once' },
+
+    // --- Sequences ---
+    SAWIT_E_SEQUENCE_NOT_FOUND: { id: "Urutan '{sequence}' tidak ditemukan.", en: "Sequence '{sequence}' not found." },
+    SAWIT_E_SEQUENCE_EXISTS: { id: "Urutan '{sequence}' sudah ada.", en: "Sequence '{sequence}' already exists." },
+    SAWIT_E_SEQUENCE_IN_USE: {
+        id: "Urutan '{sequence}' masih dipakai kolom '{column}'.",
+        en: "Sequence '{sequence}' is still used by column '{column}'."
+    },
+    SAWIT_E_SEQUENCE_NO_VALUE: {
+        id: "Urutan '{sequence}' belum memberi nilai: panggil NEXTVAL dulu.",
+        en: "Sequence '{sequence}' has not handed out a value yet: call NEXTVAL first."
+    },
+    SAWIT_E_SEQUENCE_MISPLACED: {
+        id: '{name} hanya boleh di kolom PANEN, PUPUK ... SET dan TANAM',
+        en: '{name} is only allowed in SELECT columns, UPDATE ... SET and INSERT'
+    },
+    SAWIT_E_SEQUENCE_ZERO_INCREMENT: {
+        id: 'LANGKAH / INCREMENT urutan tidak boleh 0.',
+        en: 'Sequence INCREMENT cannot be 0.'
+    },
+    SAWIT_E_AUTO_INCREMENT_TYPE: {
+        id: "Kolom AUTO_INCREMENT '{column}' harus bertipe INT.",
+        en: "AUTO_INCREMENT column '{column}' must be INT."
+    },
+    SAWIT_E_AUTO_INCREMENT_DEFAULT: {
+        id: "Kolom AUTO_INCREMENT '{column}' tidak boleh punya DEFAULT.",
+        en: "AUTO_INCREMENT column '{column}' cannot have a DEFAULT."
+    },
+
+    // --- Views, triggers, procedures, replication ---
+    SAWIT_E_VIEW_EXISTS: { id: "TEROPONG '{view}' sudah ada.", en: "View '{view}' already exists." },
+    SAWIT_E_VIEW_NOT_FOUND: { id: "TEROPONG '{view}' tidak ditemukan.", en: "View '{view}' does not exist." },
+    SAWIT_E_VIEW_NOT_SELECT: {
+        id: 'TEROPONG hanya bisa dibuat dari query SELECT.',
+        en: 'Views can only be created from SELECT queries.'
+    },
+    SAWIT_E_TRIGGER_EXISTS: { id: "KENTONGAN '{trigger}' sudah ada.", en: "Trigger '{trigger}' already exists." },
+    SAWIT_E_TRIGGER_NOT_FOUND: { id: "KENTONGAN '{trigger}' tidak ditemukan.", en: "Trigger '{trigger}' not found." },
+    SAWIT_E_TRIGGER_EVENT: {
+        id: 'Event KENTONGAN tidak valid: {event}. Harus INSERT, UPDATE, atau DELETE.',
+        en: 'Invalid trigger event: {event}. Must be INSERT, UPDATE, or DELETE.'
+    },
+    SAWIT_E_PROCEDURE_NOT_FOUND: { id: "SOP '{procedure}' tidak ditemukan.", en: "Procedure '{procedure}' not found." },
+    SAWIT_E_REPLICA_HOST_REQUIRED: {
+        id: 'CABANG membutuhkan Host dan Port dari induk.',
+        en: 'Replica requires Host and Port of Primary.'
+    },
+
+    // --- Expressions ---
+    SAWIT_E_UNKNOWN_FUNCTION: { id: 'Fungsi tidak dikenal: {name}', en: 'Unknown function: {name}' },
+    SAWIT_E_FUNCTION_ARGS: {
+        id: '{name} membutuhkan {expected} argumen',
+        en: '{name} expects {expected} argument(s)'
+    },
+    SAWIT_E_NOT_A_NUMBER: {
+        id: "Nilai '{value}' bukan angka untuk operator {operator}",
+        en: "Value '{value}' is not a number for operator {operator}"
+    },
+    SAWIT_E_DIVISION_BY_ZERO: { id: 'Pembagian dengan nol', en: 'Division by zero' },
+
+    // --- Aggregates ---
+    SAWIT_E_AGGREGATE_FIELD_REQUIRED: { id: '{func} membutuhkan kolom', en: '{func} requires a field' },
+    SAWIT_E_AGGREGATE_UNKNOWN: { id: 'Fungsi agregat tidak dikenal: {func}', en: 'Unknown aggregate function: {func}' },
+    SAWIT_E_PERCENTILE_RANGE: {
+        id: 'PERCENTILE_CONT membutuhkan pecahan antara 0 dan 1, bukan {value}',
+        en: 'PERCENTILE_CONT needs a fraction between 0 and 1, not {value}'
+    },
+    SAWIT_E_AGGREGATE_MISPLACED: {
+        id: 'Fungsi agregat {func} hanya boleh di kolom PANEN, HAVING atau ORDER BY',
+        en: 'Aggregate function {func} is only allowed in SELECT columns, HAVING or ORDER BY'
+    },
+    SAWIT_E_SUBQUERY_ROWS: {
+        id: 'Subquery dari {table} mengembalikan {count} baris, padahal hanya boleh satu nilai',
+        en: 'Subquery on {table} returned {count} rows where a single value is expected'
+    },
+    SAWIT_E_SUBQUERY_COLUMNS: {
+        id: 'Subquery dari {table} harus memilih tepat satu kolom',
+        en: 'Subquery on {table} must select exactly one column'
+    },
+    SAWIT_E_SUBQUERY_MISPLACED: {
+        id: 'Subquery hanya boleh di PANEN, PUPUK, GUSUR dan HITUNG',
+        en: 'Subqueries are only allowed in SELECT, UPDATE, DELETE and aggregate queries'
+    },
+
+    // --- Transactions (AKAD) ---
+    SAWIT_E_TXN_NOT_ALLOWED: {
+        id: '{command} tidak bisa dijalankan di dalam AKAD. SAHKAN atau BATALKAN dulu.',
+        en: '{command} cannot run inside a transaction. COMMIT or ROLLBACK first.'
+    },
+    SAWIT_E_TXN_ACTIVE: {
+        id: 'AKAD sudah berjalan. SAHKAN atau BATALKAN dulu.',
+        en: 'Transaction already active. COMMIT or ROLLBACK first.'
+    },
+    SAWIT_E_TXN_NONE: { id: 'Tidak ada AKAD aktif untuk di-{action}.', en: 'No active transaction to {action}.' },
+    SAWIT_E_TXN_CONFLICT: {
+        id: 'Halaman {page} sudah diubah transaksi lain',
+        en: 'Page {page} was changed by another transaction'
+    },
+    SAWIT_E_TXN_ROW_CONFLICT: {
+        id: "Baris {key} di '{table}' sudah diubah transaksi lain",
+        en: "Row {key} in '{table}' was changed by another transaction"
+    },
+    SAWIT_E_TXN_COMMIT_FAILED: { id: 'AKAD gagal disahkan: {reason}', en: 'Transaction commit failed: {reason}' },
+    SAWIT_E_VACUUM_WAITS: {
+        id: 'BAJAK LAHAN harus menunggu semua AKAD selesai.',
+        en: 'VACUUM must wait for all open transactions to finish.'
+    },
+
+    // --- Server (RequestRouter) ---
+    SAWIT_E_AUTH_REQUIRED: { id: 'Autentikasi diperlukan', en: 'Authentication required' },
+    SAWIT_E_UNKNOWN_REQUEST: { id: 'Jenis request tidak dikenal: {type}', en: 'Unknown request type: {type}' },
+    SAWIT_E_DATABASE_NAME: {
+        id: 'Nama wilayah hanya boleh huruf, angka, _ dan -',
+        en: 'Database name can only contain letters, numbers, underscore, and dash'
+    },
+    SAWIT_E_DATABASE_NAME_REQUIRED: { id: 'Nama wilayah wajib diisi', en: 'Database name required' },
+    SAWIT_E_DATABASE_NOT_FOUND: { id: "Wilayah '{database}' tidak ditemukan.", en: "Database '{database}' not found." },
+    SAWIT_E_DATABASE_EXISTS: { id: "Wilayah '{database}' sudah ada.", en: "Database '{database}' already exists." },
+    SAWIT_E_NO_DATABASE: {
+        id: 'Anda belum masuk wilayah manapun. Gunakan: MASUK WILAYAH [nama]',
+        en: 'No database selected. Use: USE [name]'
+    },
+    SAWIT_E_DATABASE_FAILED: { id: 'Gagal {operation} wilayah: {reason}', en: 'Failed to {operation} database: {reason}' }
+};
+
+// Words used inside messages
+const TERMS = {
+    table: { id: 'kebun', en: 'table' },
+    column: { id: 'kolom', en: 'column' },
+    sequence: { id: 'urutan', en: 'sequence' },
+    commit: { id: 'SAHKAN', en: 'commit' },
+    rollback: { id: 'BATALKAN', en: 'roll back' },
+    list: { id: 'melihat', en: 'list' },
+    open: { id: 'membuka', en: 'open' },
+    use: { id: 'memakai', en: 'use' },
+    drop: { id: 'membakar', en: 'drop' },
+    rolledBack: { id: '(AKAD dibatalkan)', en: '(transaction rolled back)' }
+};
+
+/**
+ * Supported language for the given name, or the default one
+ */
+function resolveLanguage(language) {
+    const lang = typeof language === 'string' ? language.toLowerCase() : null;
+    return LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+function has(code) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES, code);
+}
+
+function term(key) {
+    return TERMS[key] || { id: key, en: key };
+}
+
+/**
+ * A term in the given language
+ */
+function text(key, language = DEFAULT_LANGUAGE) {
+    return term(key)[resolveLanguage(language)];
+}
+
+function _renderValue(value, language) {
+    if (value && typeof value.localize === 'function') return value.localize(language).message;
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object' && LANGUAGES.every(l => typeof value[l] === 'string')) return value[language];
+    return String(value);
+}
+
+/**
+ * Message for a code in the given language
+ */
+function render(code, params = {}, language = DEFAULT_LANGUAGE) {
+    const lang = resolveLanguage(language);
+    const template = has(code) ? MESSAGES[code][lang] : '{reason}';
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined ? match : _renderValue(params[name], lang));
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, MESSAGES, TERMS, resolveLanguage, has, term, text, render };
@@ -1,7 +1,26 @@
 const fs = require('fs');
+const { crc32 } = require('./Checksum');
+const SawitError = require('./SawitError');
 
 const PAGE_SIZE = 4096;
 const MAGIC = 'WOWO';
+const CHAIN_HEADER_SIZE = 8;
+const DATA_HEADER_SIZE = 8;
+const OVERFLOW_MARKER = 0xFFFF; // Record length value meaning "stored in an overflow chain"
+const OVERFLOW_SLOT_SIZE = 2 + 8; // [marker][firstPage: uint32][totalLen: uint32]
+
+// Page 0 header: [MAGIC][totalPages][numTables][catalog marker][catalog page][free list head][flags]
+const CATALOG_MARKER = 0x54414300; // "\0CAT" - legacy table names never start with NUL
+const CATALOG_MARKER_OFFSET = 12;
+const CATALOG_PAGE_OFFSET = 16;
+const FREE_LIST_OFFSET = 20;
+const FLAGS_OFFSET = 24;
+const LEGACY_FREE_LIST_OFFSET = PAGE_SIZE - 4; // Before the catalog moved out of page 0
+
+// With FLAG_CHECKSUMS every page ends with a CRC32 of the bytes before it
+const FLAG_CHECKSUMS = 0x1;
+const CHECKSUM_SIZE = 4;
+const CHECKSUM_OFFSET = PAGE_SIZE - CHECKSUM_SIZE;
 
 /**
  * Pager handles 4KB page I/O
@@ -27,7 +46,28 @@ class Pager {
         this.objectCache = new Map(); // pageId -> { next: uint32, items: [] }
         this.dirtyObjects = new Set(); // pageIds
 
+        // MVCC: every write gets a sequence number. While snapshots are open, the image a
+        // write replaces is kept so readers of an older snapshot still see it.
+        this.writeSeq = 0;
+        this.pageVersions = new Map(); // pageId -> seq of the last write
+        this.snapshots = new Map(); // snapshot seq -> open count
+        this.versions = new Map(); // pageId -> [{ until: seq that replaced it, buf }], oldest first
+
+        // Set by _open(): files created before page checksums keep the full page
+        this.checksums = false;
+        this.usableSize = PAGE_SIZE;
+
+        // While set (engine startup), a data page failing its checksum reads as empty
+        // and lands in badPages instead of throwing; PERIKSA KESEHATAN reports it
+        this.skipBadPages = false;
+        this.badPages = new Set();
+
         this._open();
+
+        // WAL checkpoints must only be written once logged pages are on disk
+        if (this.wal && this.wal.enabled) {
+            this.wal.setCheckpointHandler(() => this.sync());
+        }
     }
 
     _open() {
@@ -36,7 +76,26 @@ class Pager {
             this._initNewFile();
         } else {
             this.fd = fs.openSync(this.filePath, 'r+');
+            this._readFlags();
         }
+        this._setLayout();
+    }
+
+    /**
+     * Header flags are read straight from disk: page 0 can only be
+     * verified once we know whether the file carries checksums.
+     */
+    _readFlags() {
+        const header = Buffer.alloc(FLAGS_OFFSET + 4);
+        fs.readSync(this.fd, header, 0, header.length, 0);
+        if (header.readUInt32LE(CATALOG_MARKER_OFFSET) !== CATALOG_MARKER) return; // Legacy header
+        this.checksums = (header.readUInt32LE(FLAGS_OFFSET) & FLAG_CHECKSUMS) !== 0;
+    }
+
+    _setLayout() {
+        this.usableSize = this.checksums ? CHECKSUM_OFFSET : PAGE_SIZE;
+        this.chainPayloadSize = this.usableSize - CHAIN_HEADER_SIZE;
+        this.maxInlineRecord = this.usableSize - DATA_HEADER_SIZE - 2;
     }
 
     _initNewFile() {
@@ -44,9 +103,31 @@ class Pager {
         buf.write(MAGIC, 0);
         buf.writeUInt32LE(1, 4); // Total Pages = 1
         buf.writeUInt32LE(0, 8); // Num Tables = 0
+        buf.writeUInt32LE(CATALOG_MARKER, CATALOG_MARKER_OFFSET);
+        buf.writeUInt32LE(0, CATALOG_PAGE_OFFSET); // Catalog page allocated on first table
+        buf.writeUInt32LE(0, FREE_LIST_OFFSET);
+        buf.writeUInt32LE(FLAG_CHECKSUMS, FLAGS_OFFSET);
+        this.checksums = true;
+        this._stampChecksum(buf);
         fs.writeSync(this.fd, buf, 0, PAGE_SIZE, 0);
     }
 
+    _stampChecksum(buf) {
+        if (this.checksums) {
+            buf.writeUInt32LE(crc32(buf, 0, CHECKSUM_OFFSET), CHECKSUM_OFFSET);
+        }
+    }
+
+    /**
+     * Check the CRC of a page image as read from disk.
+     * All-zero pages are accepted: they were allocated but never written.
+     */
+    verifyChecksum(buf) {
+        if (!this.checksums) return true;
+        if (buf.readUInt32LE(CHECKSUM_OFFSET) === crc32(buf, 0, CHECKSUM_OFFSET)) return true;
+        return buf.every(b => b === 0);
+    }
+
     _allocBuffer() {
         if (this.bufferPool.length > 0) {
             return this.bufferPool.pop();
@@ -78,25 +159,37 @@ class Pager {
         const count = buffer.readUInt16LE(4);
 
         const items = [];
-        let offset = 8;
+        let offset = DATA_HEADER_SIZE;
 
         for (let i = 0; i < count; i++) {
-            const len = buffer.readUInt16LE(offset);
-            const jsonStr = buffer.toString('utf8', offset + 2, offset + 2 + len);
+            const record = this.readRecord(buffer, offset);
             try {
-                const obj = JSON.parse(jsonStr);
+                const obj = JSON.parse(record.json);
                 // Inject hint? No, kept clean.
                 items.push(obj);
             } catch (e) { }
-            offset += 2 + len;
+            offset += record.slotSize;
         }
 
         const entry = { next, items };
 
-        this.objectCache.set(pageId, entry);
+        if (!this.badPages.has(pageId)) this.objectCache.set(pageId, entry);
         return entry;
     }
 
+    /**
+     * Decode a page with a custom parser; cached like readPageObjects
+     * and invalidated by writePage.
+     */
+    readParsed(pageId, decode) {
+        if (this.objectCache.has(pageId)) {
+            return this.objectCache.get(pageId);
+        }
+        const value = decode(this.readPage(pageId));
+        if (!this.badPages.has(pageId)) this.objectCache.set(pageId, value);
+        return value;
+    }
+
     /**
      * Serialize Objects back to Buffer
      */
@@ -110,16 +203,16 @@ class Pager {
         buffer.writeUInt32LE(entry.next, 0);
         buffer.writeUInt16LE(entry.items.length, 4);
 
-        let offset = 8;
+        let offset = DATA_HEADER_SIZE;
         for (const obj of entry.items) {
-            const jsonStr = JSON.stringify(obj);
-            const len = Buffer.byteLength(jsonStr, 'utf8');
+            const slot = this.encodeRecord(JSON.stringify(obj));
 
-            if (offset + 2 + len > Pager.PAGE_SIZE) break;
+            if (offset + slot.length > this.usableSize) {
+                throw new Error(`Page ${pageId} penuh: record tidak muat`);
+            }
 
-            buffer.writeUInt16LE(len, offset);
-            buffer.write(jsonStr, offset + 2, len, 'utf8');
-            offset += 2 + len;
+            slot.copy(buffer, offset);
+            offset += slot.length;
         }
 
         // Free offset update? 
@@ -149,13 +242,25 @@ class Pager {
         const buf = this._allocBuffer(); // Use pool
         const offset = pageId * PAGE_SIZE;
         try {
-            fs.readSync(this.fd, buf, 0, PAGE_SIZE, offset);
+            const bytesRead = fs.readSync(this.fd, buf, 0, PAGE_SIZE, offset);
+            if (bytesRead < PAGE_SIZE) buf.fill(0, bytesRead); // Past the end of file
         } catch (e) {
             // Return buffer to pool on error
             if (e.code !== 'EOF') {
                 this._releaseBuffer(buf);
                 throw e;
             }
+            buf.fill(0);
+        }
+
+        if (!this.verifyChecksum(buf)) {
+            this._releaseBuffer(buf);
+            // Never cached, so later reads and writes still see the damage
+            if (this.skipBadPages && pageId !== 0) {
+                this.badPages.add(pageId);
+                return Buffer.alloc(PAGE_SIZE);
+            }
+            throw SawitError.of('SAWIT_E_CHECKSUM_MISMATCH', { page: pageId });
         }
 
         this.cache.set(pageId, buf);
@@ -179,25 +284,123 @@ class Pager {
     writePage(pageId, buf) {
         if (buf.length !== PAGE_SIZE) throw new Error("Buffer must be 4KB");
 
-        // WAL: Log before-image and after-image
+        // The empty stand-in for a damaged page must not overwrite what is left of it
+        if (this.badPages.has(pageId)) {
+            if (this.skipBadPages) throw SawitError.of('SAWIT_E_CHECKSUM_MISMATCH', { page: pageId });
+            this.badPages.delete(pageId);
+        }
+
+        // WAL: Log before-image and after-image before the page can reach the data file
         if (this.wal && this.wal.enabled) {
-            // Note: Optimizing this to avoid readPage if already in cache is good
-            // but readPage handles cache check.
-            // For max speed, we might want to skip logging full pages if not needed, 
-            // but for safety we keep it. 
-            // Async WAL will handle the throughput.
-            const beforeImage = this.cache.get(pageId) || buf; // Approximation if new page
+            // Approximation if new page (callers usually mutate the cached buffer in place)
+            const beforeImage = this.cache.get(pageId) || buf;
             this.wal.logOperation('UPDATE', 'page', pageId, beforeImage, buf);
         }
 
+        if (this.snapshots.size > 0) this._keepVersion(pageId, buf);
+
         this.cache.set(pageId, buf);
         this.objectCache.delete(pageId); // INVALIDATE OBJECT CACHE
+        this._bumpVersion(pageId);
 
         if (this.lazyWrite) {
             this.dirtyPages.add(pageId);
         } else {
             this._flushPage(pageId);
         }
+
+        // Only now: a checkpoint must also flush the page just logged
+        if (this.wal && this.wal.enabled) {
+            this.wal.checkpointIfDue();
+        }
+    }
+
+    _bumpVersion(pageId) {
+        this.pageVersions.set(pageId, ++this.writeSeq);
+    }
+
+    /**
+     * Sequence number of the last write to pageId (0 = not written since open)
+     */
+    pageVersion(pageId) {
+        return this.pageVersions.get(pageId) || 0;
+    }
+
+    /**
+     * Start a read snapshot: readPageAt() with the returned seq sees the file as it is now
+     */
+    openSnapshot() {
+        const seq = this.writeSeq;
+        this.snapshots.set(seq, (this.snapshots.get(seq) || 0) + 1);
+        return seq;
+    }
+
+    releaseSnapshot(seq) {
+        const count = this.snapshots.get(seq);
+        if (!count) return;
+        if (count > 1) {
+            this.snapshots.set(seq, count - 1);
+        } else {
+            this.snapshots.delete(seq);
+        }
+        this._collectVersions();
+    }
+
+    hasSnapshots() {
+        return this.snapshots.size > 0;
+    }
+
+    /**
+     * Seq of the oldest open snapshot (null when none is open)
+     */
+    oldestSnapshot() {
+        return this.snapshots.size > 0 ? Math.min(...this.snapshots.keys()) : null;
+    }
+
+    /**
+     * Page content as of snapshot seq
+     */
+    readPageAt(pageId, seq) {
+        const versions = this.versions.get(pageId);
+        if (versions) {
+            for (const version of versions) {
+                if (version.until > seq) return version.buf;
+            }
+        }
+        return this.readPage(pageId);
+    }
+
+    /**
+     * Keep the image about to be replaced. Writers must pass a new buffer here:
+     * an in-place mutated cache buffer has already lost its old content
+     * (which is why writes run on a TxnPager overlay while snapshots are open).
+     */
+    _keepVersion(pageId, buf) {
+        const current = this.cache.get(pageId) || this.readPage(pageId);
+        if (current === buf) return;
+
+        if (!this.versions.has(pageId)) this.versions.set(pageId, []);
+        this.versions.get(pageId).push({ until: this.writeSeq + 1, buf: Buffer.from(current) });
+    }
+
+    /**
+     * Garbage-collect versions no open snapshot can reach
+     */
+    _collectVersions() {
+        const oldest = this.oldestSnapshot();
+        if (oldest === null) {
+            this.versions.clear();
+            return;
+        }
+
+        for (const [pageId, versions] of this.versions) {
+            const live = versions.filter(v => v.until > oldest);
+            if (live.length === 0) {
+                this.versions.delete(pageId);
+            } else if (live.length !== versions.length) {
+                this.versions.set(pageId, live);
+            }
+        }
     }
 
     _flushPage(pageId) {
@@ -207,6 +410,7 @@ class Pager {
 
         const buf = this.cache.get(pageId);
         if (!buf) return;
+        this._stampChecksum(buf);
         const offset = pageId * PAGE_SIZE;
         fs.writeSync(this.fd, buf, 0, PAGE_SIZE, offset);
         this.dirtyPages.delete(pageId);
@@ -225,14 +429,48 @@ class Pager {
         }
     }
 
+    /**
+     * Flush dirty pages and fsync the data file.
+     * Used by WAL checkpoints: after this returns, the log before it can be discarded.
+     */
+    sync() {
+        if (this.fd === null) return;
+        this.flush();
+        fs.fsyncSync(this.fd);
+    }
+
+    /**
+     * Redo a page image from the WAL straight into the data file.
+     * Caches are dropped for that page so the next read sees the recovered image.
+     */
+    applyRedo(pageId, image) {
+        if (!image || image.length !== PAGE_SIZE) return false;
+
+        // Logged images are taken before flush, so their checksum is recomputed here
+        const buf = Buffer.from(image);
+        this._stampChecksum(buf);
+        fs.writeSync(this.fd, buf, 0, PAGE_SIZE, pageId * PAGE_SIZE);
+        this.cache.delete(pageId);
+        this.objectCache.delete(pageId);
+        this.dirtyPages.delete(pageId);
+        this.dirtyObjects.delete(pageId);
+        return true;
+    }
+
     allocPage() {
         const page0 = this.readPage(0);
         const totalPages = page0.readUInt32LE(4);
+        const freeHead = page0.readUInt32LE(FREE_LIST_OFFSET);
+        let newPageId;
 
-        const newPageId = totalPages;
-        const newTotal = totalPages + 1;
-
-        page0.writeUInt32LE(newTotal, 4);
+        if (freeHead !== 0) {
+            // Reuse a released page before growing the file
+            newPageId = freeHead;
+            page0.writeUInt32LE(this.readPage(freeHead).readUInt32LE(0), FREE_LIST_OFFSET);
+        } else {
+            newPageId = totalPages;
+            page0.writeUInt32LE(totalPages + 1, 4);
+        }
         this.writePage(0, page0);
 
         const newPage = this._allocBuffer();
@@ -245,6 +483,236 @@ class Pager {
         return newPageId;
     }
 
+    /**
+     * FREE LIST: released pages are linked through their first 4 bytes,
+     * the head lives in page 0. allocPage() draws from it.
+     */
+    freePage(pageId) {
+        if (pageId <= 0) return;
+
+        const page0 = this.readPage(0);
+        const buf = Buffer.alloc(PAGE_SIZE);
+        buf.writeUInt32LE(page0.readUInt32LE(FREE_LIST_OFFSET), 0);
+        this.writePage(pageId, buf);
+
+        page0.writeUInt32LE(pageId, FREE_LIST_OFFSET);
+        this.writePage(0, page0);
+    }
+
+    /**
+     * Release every page of a chain (data pages, chain pages)
+     */
+    freeChain(pageId) {
+        let currentPageId = pageId;
+        while (currentPageId !== 0) {
+            const next = this.readPage(currentPageId).readUInt32LE(0);
+            this.freePage(currentPageId);
+            currentPageId = next;
+        }
+    }
+
+    freePageCount() {
+        let count = 0;
+        let pageId = this.readPage(0).readUInt32LE(FREE_LIST_OFFSET);
+        while (pageId !== 0) {
+            count++;
+            pageId = this.readPage(pageId).readUInt32LE(0);
+        }
+        return count;
+    }
+
+    /**
+     * Give free pages at the end of the file back to the filesystem.
+     * The remaining free list is relinked lowest page first so new pages stay near the front.
+     * @returns {number} - Number of pages cut from the file
+     */
+    shrink() {
+        const page0 = this.readPage(0);
+        const oldTotal = page0.readUInt32LE(4);
+
+        const freePages = [];
+        let pageId = page0.readUInt32LE(FREE_LIST_OFFSET);
+        while (pageId !== 0) {
+            freePages.push(pageId);
+            pageId = this.readPage(pageId).readUInt32LE(0);
+        }
+
+        const freeSet = new Set(freePages);
+        let totalPages = oldTotal;
+        while (totalPages > 1 && freeSet.has(totalPages - 1)) {
+            totalPages--;
+        }
+
+        // Relink the remaining free pages, lowest first
+        const remaining = freePages.filter(id => id < totalPages).sort((a, b) => a - b);
+        let next = 0;
+        for (let i = remaining.length - 1; i >= 0; i--) {
+            const buf = Buffer.alloc(PAGE_SIZE);
+            buf.writeUInt32LE(next, 0);
+            this.writePage(remaining[i], buf);
+            next = remaining[i];
+        }
+
+        page0.writeUInt32LE(next, FREE_LIST_OFFSET);
+        page0.writeUInt32LE(totalPages, 4);
+        this.writePage(0, page0);
+
+        if (totalPages === oldTotal) return 0;
+
+        // Forget cut pages, make everything durable, then truncate.
+        // The checkpoint keeps WAL redo from writing the cut pages back.
+        for (let id = totalPages; id < oldTotal; id++) {
+            this._bumpVersion(id);
+            this.cache.delete(id);
+            this.objectCache.delete(id);
+            this.dirtyPages.delete(id);
+            this.dirtyObjects.delete(id);
+        }
+        if (this.wal && this.wal.enabled) {
+            this.wal.checkpoint();
+        } else {
+            this.sync();
+        }
+        fs.ftruncateSync(this.fd, totalPages * PAGE_SIZE);
+
+        return oldTotal - totalPages;
+    }
+
+    /**
+     * CHAIN PAGES: store a byte payload larger than one page.
+     * Layout per page: [next: uint32][length: uint16][reserved: uint16][payload...]
+     * Used for B-Tree index nodes and overflow records.
+     */
+    readChain(pageId) {
+        const parts = [];
+        let currentPageId = pageId;
+
+        while (currentPageId !== 0) {
+            const buf = this.readPage(currentPageId);
+            const len = Math.min(buf.readUInt16LE(4), this.chainPayloadSize);
+            parts.push(Buffer.from(buf.slice(CHAIN_HEADER_SIZE, CHAIN_HEADER_SIZE + len)));
+            currentPageId = buf.readUInt32LE(0);
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Overwrite the chain starting at pageId with data.
+     * Existing chain pages are reused, extra pages are allocated on demand.
+     */
+    writeChain(pageId, data) {
+        let currentPageId = pageId;
+        let offset = 0;
+
+        do {
+            const existing = this.readPage(currentPageId);
+            let nextPageId = existing.readUInt32LE(0);
+            const len = Math.min(this.chainPayloadSize, data.length - offset);
+            const last = offset + len >= data.length;
+
+            if (last) {
+                // Chain got shorter: release the unused tail
+                if (nextPageId !== 0) this.freeChain(nextPageId);
+                nextPageId = 0;
+            } else if (nextPageId === 0) {
+                nextPageId = this.allocPage();
+            }
+
+            const buf = Buffer.alloc(PAGE_SIZE);
+            buf.writeUInt32LE(nextPageId, 0);
+            buf.writeUInt16LE(len, 4);
+            data.copy(buf, CHAIN_HEADER_SIZE, offset, offset + len);
+            this.writePage(currentPageId, buf);
+
+            offset += len;
+            currentPageId = nextPageId;
+        } while (currentPageId !== 0);
+    }
+
+    /**
+     * RECORD SLOTS in data pages:
+     * inline:   [len: uint16][json...]
+     * overflow: [0xFFFF][firstPage: uint32][totalLen: uint32], json stored in a page chain
+     */
+    readRecord(buf, offset) {
+        const len = buf.readUInt16LE(offset);
+        if (len !== OVERFLOW_MARKER) {
+            return {
+                json: buf.toString('utf8', offset + 2, offset + 2 + len),
+                slotSize: 2 + len,
+                overflowPage: 0
+            };
+        }
+
+        const firstPage = buf.readUInt32LE(offset + 2);
+        const totalLen = buf.readUInt32LE(offset + 6);
+        return {
+            json: this.readChain(firstPage).toString('utf8', 0, totalLen),
+            slotSize: OVERFLOW_SLOT_SIZE,
+            overflowPage: firstPage
+        };
+    }
+
+    /**
+     * Size of the record slot at offset, without reading overflow pages
+     */
+    recordSlotSize(buf, offset) {
+        const len = buf.readUInt16LE(offset);
+        return len === OVERFLOW_MARKER ? OVERFLOW_SLOT_SIZE : 2 + len;
+    }
+
+    /**
+     * Free the overflow chain referenced by a record slot (no-op for inline records)
+     */
+    releaseRecord(buf, offset) {
+        if (buf.readUInt16LE(offset) === OVERFLOW_MARKER) {
+            this.freeChain(buf.readUInt32LE(offset + 2));
+        }
+    }
+
+    /**
+     * Build the slot bytes for a JSON record.
+     * Records too large for an empty data page go to an overflow chain;
+     * pass reusePage to overwrite an existing chain instead of allocating one.
+     */
+    encodeRecord(jsonStr, reusePage = 0) {
+        const data = Buffer.from(jsonStr, 'utf8');
+
+        if (data.length <= this.maxInlineRecord && !reusePage) {
+            const slot = Buffer.allocUnsafe(2 + data.length);
+            slot.writeUInt16LE(data.length, 0);
+            data.copy(slot, 2);
+            return slot;
+        }
+
+        const firstPage = reusePage || this.allocPage();
+        this.writeChain(firstPage, data);
+
+        const slot = Buffer.alloc(OVERFLOW_SLOT_SIZE);
+        slot.writeUInt16LE(OVERFLOW_MARKER, 0);
+        slot.writeUInt32LE(firstPage, 2);
+        slot.writeUInt32LE(data.length, 6);
+        return slot;
+    }
+
+    /**
+     * Read a JSON document stored in a page chain (cached as an object).
+     */
+    readJSON(pageId) {
+        if (this.objectCache.has(pageId)) {
+            return this.objectCache.get(pageId);
+        }
+        const obj = JSON.parse(this.readChain(pageId).toString('utf8'));
+        this.objectCache.set(pageId, obj);
+        return obj;
+    }
+
+    writeJSON(pageId, obj) {
+        this.writeChain(pageId, Buffer.from(JSON.stringify(obj), 'utf8'));
+        this.objectCache.set(pageId, obj);
+    }
+
     close() {
         if (this.fd !== null) {
             this.flush(); // Ensure all data is written
@@ -275,5 +743,15 @@ class Pager {
 }
 
 Pager.PAGE_SIZE = PAGE_SIZE;
+Pager.CHAIN_HEADER_SIZE = CHAIN_HEADER_SIZE;
+Pager.OVERFLOW_MARKER = OVERFLOW_MARKER;
+Pager.CATALOG_MARKER = CATALOG_MARKER;
+Pager.CATALOG_MARKER_OFFSET = CATALOG_MARKER_OFFSET;
+Pager.CATALOG_PAGE_OFFSET = CATALOG_PAGE_OFFSET;
+Pager.FREE_LIST_OFFSET = FREE_LIST_OFFSET;
+Pager.FLAGS_OFFSET = FLAGS_OFFSET;
+Pager.FLAG_CHECKSUMS = FLAG_CHECKSUMS;
+Pager.CHECKSUM_OFFSET = CHECKSUM_OFFSET;
+Pager.LEGACY_FREE_LIST_OFFSET = LEGACY_FREE_LIST_OFFSET;
 
 module.exports = Pager;
@@ -1,3 +1,18 @@
+const SawitError = require('./SawitError');
+
+// Aggregate functions usable in PANEN / SELECT columns, HAVING and ORDER BY
+const AGGREGATE_FUNCTIONS = [
+    'COUNT', 'SUM', 'AVG', 'MIN', 'MAX',
+    'MEDIAN', 'PERCENTILE_CONT', 'STDDEV', 'STDDEV_POP', 'VARIANCE', 'VAR_POP',
+    'STRING_AGG', 'GROUP_CONCAT', 'ARRAY_AGG'
+];
+
+// Words that may follow the table of PANEN / SELECT, so they are never taken as its alias
+const TABLE_CLAUSE_KEYWORDS = [
+    'JOIN', 'GABUNG', 'INNER', 'LEFT', 'KIRI', 'RIGHT', 'KANAN', 'FULL', 'PENUH', 'CROSS', 'SILANG',
+    'DIMANA', 'WHERE', 'GROUP', 'KELOMPOK', 'HAVING', 'PUNYA', 'DENGAN', 'ORDER', 'URUTKAN',
+    'LIMIT', 'HANYA', 'OFFSET', 'MULAI', 'LANGKAHI'
+];
 
 /**
  * QueryParser handles tokenizing and parsing SQL-like commands
@@ -10,7 +25,8 @@ class QueryParser {
         // Regex to match tokens
         // Updated to handle escaped quotes in strings: 'It\'s me'
         // Updated to handle floats: 12.34, negative numbers: -5
-        const tokenRegex = /\s*(=>|!=|>=|<=|<>|[a-zA-Z_]\w*(?:\.[a-zA-Z_]\w*)?|@\w+|-?\d+(?:\.\d+)?|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[(),=*.<>?])\s*/g;
+        // Arithmetic operators (+ - / % ||) for expressions
+        const tokenRegex = /\s*(=>|!=|>=|<=|<>|\|\||[a-zA-Z_]\w*(?:\.[a-zA-Z_]\w*)?|@\w+|-?\d+(?:\.\d+)?|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[(),=*.<>?+\-\/%])\s*/g;
         const tokens = [];
         let match;
         while ((match = tokenRegex.exec(sql)) !== null) {
@@ -30,7 +46,7 @@ class QueryParser {
             switch (cmd) {
                 case 'LAHAN':
                 case 'CREATE':
-                    if (tokens[1] && tokens[1].toUpperCase() === 'INDEX') {
+                    if (tokens[1] && ['INDEX', 'UNIQUE'].includes(tokens[1].toUpperCase())) {
                         command = this.parseCreateIndex(tokens);
                     } else if (tokens[1] && tokens[1].toUpperCase() === 'TRIGGER') {
                         command = this.parseCreateTrigger(tokens);
@@ -38,12 +54,19 @@ class QueryParser {
                         command = this.parseSaveProcedure(tokens);
                     } else if (tokens[1] && tokens[1].toUpperCase() === 'VIEW') {
                         command = this.parseCreateView(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'SEQUENCE') {
+                        command = this.parseCreateSequence(tokens);
                     } else {
                         command = this.parseCreate(tokens);
                     }
                     break;
+                case 'UBAH':
+                case 'ALTER':
+                    command = this.parseAlter(tokens);
+                    break;
                 case 'LIHAT':
                 case 'SHOW':
+                case 'DESCRIBE':
                     command = this.parseShow(tokens);
                     break;
                 case 'TANAM':
@@ -70,12 +93,23 @@ class QueryParser {
                         command = this.parseDropProcedure(tokens);
                     } else if (tokens[1] && tokens[1].toUpperCase() === 'VIEW') {
                         command = this.parseDropView(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'INDEX') {
+                        command = this.parseDropIndex(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'SEQUENCE') {
+                        command = this.parseDropSequence(tokens);
                     } else {
                         command = this.parseDrop(tokens);
                     }
                     break;
                 case 'INDEKS':
-                    command = this.parseCreateIndex(tokens);
+                    if (tokens[1] && tokens[1].toUpperCase() === 'ULANG') {
+                        command = this.parseReindex(tokens);
+                    } else {
+                        command = this.parseCreateIndex(tokens);
+                    }
+                    break;
+                case 'REINDEX':
+                    command = this.parseReindex(tokens);
                     break;
                 case 'HITUNG':
                     command = this.parseAggregate(tokens);
@@ -101,6 +135,8 @@ class QueryParser {
                 case 'PASANG':
                     if (tokens[1] && tokens[1].toUpperCase() === 'KENTONGAN') {
                         command = this.parseCreateTrigger(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'URUTAN') {
+                        command = this.parseCreateSequence(tokens);
                     } else {
                         command = this.parseCreateView(tokens);
                     }
@@ -110,6 +146,10 @@ class QueryParser {
                         command = this.parseDropTrigger(tokens);
                     } else if (tokens[1] && tokens[1].toUpperCase() === 'SOP') {
                         command = this.parseDropProcedure(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'INDEKS') {
+                        command = this.parseDropIndex(tokens);
+                    } else if (tokens[1] && tokens[1].toUpperCase() === 'URUTAN') {
+                        command = this.parseDropSequence(tokens);
                     } else {
                         command = this.parseDropView(tokens);
                     }
@@ -132,6 +172,14 @@ class QueryParser {
                 case 'SEARCH':
                     command = this.parseSearch(tokens);
                     break;
+                case 'BAJAK':
+                case 'VACUUM':
+                    command = this.parseVacuum(tokens);
+                    break;
+                case 'PERIKSA':
+                case 'PRAGMA':
+                    command = this.parseIntegrityCheck(tokens);
+                    break;
                 case 'BERI':
                 case 'GRANT':
                     command = this.parseGrant(tokens);
@@ -141,7 +189,7 @@ class QueryParser {
                     command = this.parseRevoke(tokens);
                     break;
                 default:
-                    throw new Error(`Perintah tidak dikenal: ${cmd}`);
+                    throw SawitError.of('SAWIT_E_UNKNOWN_COMMAND', { command: cmd });
             }
 
             if (params) {
@@ -149,7 +197,8 @@ class QueryParser {
             }
             return command;
         } catch (e) {
-            return { type: 'ERROR', message: e.message };
+            const error = SawitError.from(e, 'SAWIT_E_PARSE');
+            return { type: 'ERROR', message: error.message, error };
         }
     }
 
@@ -178,7 +227,7 @@ class QueryParser {
         if (tokens[i] && tokens[i].toUpperCase() === 'CARI') i++;
 
         const term = tokens[i];
-        if (!term) throw new Error("Syntax: BLUSUKAN KE [table] CARI \"term\" | SEARCH [table] \"term\"");
+        if (!term) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BLUSUKAN KE [table] CARI \"term\" | SEARCH [table] \"term\"" });
 
         // Strip quotes if present
         let cleanTerm = term;
@@ -220,7 +269,7 @@ class QueryParser {
             i++;
         }
 
-        if (!user || !table) throw new Error("Syntax: GRANT [action] ON [table] TO [user] | BERI IZIN ... KEPADA ... DI ...");
+        if (!user || !table) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "GRANT [action] ON [table] TO [user] | BERI IZIN ... KEPADA ... DI ..." });
 
         return { type: 'GRANT_PERMISSION', user, table, action };
     }
@@ -250,21 +299,296 @@ class QueryParser {
             i++;
         }
 
-        if (!user || !table) throw new Error("Syntax: REVOKE [action] ON [table] FROM [user]");
+        if (!user || !table) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "REVOKE [action] ON [table] FROM [user]" });
 
         return { type: 'REVOKE_PERMISSION', user, table, action };
     }
 
     parseCreate(tokens) {
+        // Tani: LAHAN [nama] [( kolom [TIPE] [KUNCI UTAMA | UNIK | TIDAK KOSONG | BAWAAN v | PERIKSA (..) | MERUJUK t (k)
+        //       | OTOMATIS], ... | KUNCI UTAMA (k1, k2) | PERIKSA (kondisi) | KUNCI ASING (k) MERUJUK t (k) )]
+        // Generic: CREATE TABLE [name] [( col [TYPE | SERIAL] [PRIMARY KEY | UNIQUE | NOT NULL | DEFAULT v | CHECK (..)
+        //       | REFERENCES t (c) | AUTO_INCREMENT], ... | PRIMARY KEY (c1, c2) | CHECK (condition)
+        //       | FOREIGN KEY (c) REFERENCES t (c) [ON DELETE ...] )]
         let name;
+        let i;
         if (tokens[0].toUpperCase() === 'CREATE') {
-            if (tokens[1].toUpperCase() !== 'TABLE') throw new Error("Syntax: CREATE TABLE [name]");
+            if (tokens[1].toUpperCase() !== 'TABLE') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CREATE TABLE [name]" });
             name = tokens[2];
+            i = 3;
         } else {
-            if (tokens.length < 2) throw new Error("Syntax: LAHAN [nama_kebun]");
+            if (tokens.length < 2) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "LAHAN [nama_kebun]" });
             name = tokens[1];
+            i = 2;
+        }
+
+        const command = { type: 'CREATE_TABLE', table: name };
+        if (tokens[i] === '(') {
+            Object.assign(command, this._parseTableDefinition(tokens, i));
+        }
+        return command;
+    }
+
+    /**
+     * Column list of CREATE TABLE, starting at the opening parenthesis.
+     * Returns { columns: [{ name, type, notNull, default, autoIncrement }], primaryKey: [fields],
+     * unique: [[fields], ...], checks: [criteria], foreignKeys: [{ columns, refTable, refColumns, onDelete }] }.
+     * type is the declared type name as written (checked by SchemaManager), or null;
+     * default is { value }, { fn: 'NOW' } or { fn: 'NEXTVAL', sequence }; refColumns is null for
+     * "the referenced primary key".
+     */
+    _parseTableDefinition(tokens, i) {
+        const upper = (k) => tokens[k] ? tokens[k].toUpperCase() : '';
+        const isPrimary = (k) => (upper(k) === 'PRIMARY' && upper(k + 1) === 'KEY') ||
+            (upper(k) === 'KUNCI' && upper(k + 1) === 'UTAMA');
+        const isUnique = (k) => ['UNIQUE', 'UNIK'].includes(upper(k));
+        const isNotNull = (k) => (upper(k) === 'NOT' && upper(k + 1) === 'NULL') ||
+            (upper(k) === 'TIDAK' && upper(k + 1) === 'KOSONG');
+        const isCheck = (k) => ['CHECK', 'PERIKSA'].includes(upper(k)) && tokens[k + 1] === '(';
+        const isForeign = (k) => (upper(k) === 'FOREIGN' && upper(k + 1) === 'KEY') ||
+            (upper(k) === 'KUNCI' && upper(k + 1) === 'ASING');
+        const isReferences = (k) => ['REFERENCES', 'MERUJUK'].includes(upper(k));
+        const isAutoIncrement = (k) => ['AUTO_INCREMENT', 'AUTOINCREMENT', 'OTOMATIS'].includes(upper(k));
+        const isOption = (k) => isPrimary(k) || isUnique(k) || isNotNull(k) || isCheck(k) || isReferences(k) ||
+            isAutoIncrement(k) || ['NULL', 'DEFAULT', 'BAWAAN'].includes(upper(k));
+
+        let primaryKey = null;
+        const unique = [];
+        const columns = [];
+        const checks = [];
+        const foreignKeys = [];
+        const setPrimary = (fields) => {
+            if (primaryKey) throw SawitError.of('SAWIT_E_PRIMARY_KEY_TWICE');
+            primaryKey = fields;
+        };
+        // CHECK (condition): the condition uses WHERE syntax
+        const parseCheck = (k) => {
+            const close = this._matchingParen(tokens, k + 1);
+            const criteria = this.parseWhere(tokens.slice(k + 2, close), 0);
+            if (!criteria) throw SawitError.of('SAWIT_E_CHECK_CONDITION_REQUIRED');
+            checks.push(criteria);
+            return close + 1;
+        };
+
+        i++; // Skip (
+        while (i < tokens.length && tokens[i] !== ')') {
+            if (tokens[i] === ',') {
+                i++;
+                continue;
+            }
+
+            // Table constraint: PRIMARY KEY (a, b) / UNIQUE (a, b) / CHECK (cond)
+            if (isPrimary(i) && tokens[i + 2] === '(') {
+                setPrimary(this._parseIndexFields(tokens, i + 2));
+                i = tokens.indexOf(')', i + 2) + 1;
+                continue;
+            }
+            if (isUnique(i) && tokens[i + 1] === '(') {
+                unique.push(this._parseIndexFields(tokens, i + 1));
+                i = tokens.indexOf(')', i + 1) + 1;
+                continue;
+            }
+            if (isCheck(i)) {
+                i = parseCheck(i);
+                continue;
+            }
+            // FOREIGN KEY (a, b) REFERENCES t (x, y) [ON DELETE ...]
+            if (isForeign(i) && tokens[i + 2] === '(') {
+                const fields = this._parseIndexFields(tokens, i + 2);
+                i = tokens.indexOf(')', i + 2) + 1;
+                if (!isReferences(i)) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "FOREIGN KEY (kolom) REFERENCES [kebun] (kolom)" });
+                i = this._parseReferences(tokens, i + 1, fields, foreignKeys);
+                continue;
+            }
+
+            // Column: name [TYPE[(size)]] [options...]
+            const column = { name: tokens[i], type: null, notNull: false };
+            i++;
+            if (i < tokens.length && tokens[i] !== ',' && tokens[i] !== ')' && !isOption(i)) {
+                column.type = upper(i);
+                i++;
+                // VARCHAR(50), DECIMAL(10, 2): size is accepted but not enforced
+                if (tokens[i] === '(') {
+                    i = tokens.indexOf(')', i) + 1;
+                    if (i === 0) throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+                }
+            }
+            columns.push(column);
+
+            while (i < tokens.length && tokens[i] !== ',' && tokens[i] !== ')') {
+                if (isPrimary(i)) {
+                    setPrimary([column.name]);
+                    i += 2;
+                } else if (isUnique(i)) {
+                    unique.push([column.name]);
+                    i++;
+                } else if (isNotNull(i)) {
+                    column.notNull = true;
+                    i += 2;
+                } else if (isCheck(i)) {
+                    i = parseCheck(i);
+                } else if (upper(i) === 'DEFAULT' || upper(i) === 'BAWAAN') {
+                    i = this._parseDefault(tokens, i + 1, column);
+                } else if (isReferences(i)) {
+                    i = this._parseReferences(tokens, i + 1, [column.name], foreignKeys);
+                } else if (isAutoIncrement(i)) {
+                    column.autoIncrement = true;
+                    i++;
+                } else {
+                    i++;
+                }
+            }
+        }
+        if (tokens[i] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+
+        return { columns, primaryKey, unique, checks, foreignKeys };
+    }
+
+    /**
+     * REFERENCES target: [kebun] [(kolom, ...)] [ON DELETE CASCADE | RESTRICT | NO ACTION | SET NULL],
+     * starting at the table name. Returns the index after the clause.
+     */
+    _parseReferences(tokens, i, columns, foreignKeys) {
+        const refTable = tokens[i];
+        if (!refTable || refTable === '(' || refTable === ',' || refTable === ')') {
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "REFERENCES [kebun] (kolom)" });
+        }
+        i++;
+
+        let refColumns = null;
+        if (tokens[i] === '(') {
+            refColumns = this._parseIndexFields(tokens, i);
+            i = tokens.indexOf(')', i) + 1;
+        }
+
+        let onDelete = 'RESTRICT';
+        while (tokens[i] && tokens[i].toUpperCase() === 'ON') {
+            const event = tokens[i + 1] ? tokens[i + 1].toUpperCase() : '';
+            if (event !== 'DELETE') throw SawitError.of('SAWIT_E_FK_ON_DELETE_ONLY');
+            const action = tokens[i + 2] ? tokens[i + 2].toUpperCase() : '';
+            const next = tokens[i + 3] ? tokens[i + 3].toUpperCase() : '';
+            if (action === 'CASCADE' || action === 'RESTRICT') {
+                onDelete = action;
+                i += 3;
+            } else if (action === 'SET' && next === 'NULL') {
+                onDelete = 'SET NULL';
+                i += 4;
+            } else if (action === 'NO' && next === 'ACTION') {
+                onDelete = 'RESTRICT';
+                i += 4;
+            } else {
+                throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ON DELETE CASCADE | RESTRICT | NO ACTION | SET NULL" });
+            }
+        }
+
+        foreignKeys.push({ columns, refTable, refColumns, onDelete });
+        return i;
+    }
+
+    /**
+     * DEFAULT value of a column: a literal, or NOW() / CURRENT_TIMESTAMP / CURRENT_DATE
+     * evaluated at insert time. Returns the index after the expression.
+     */
+    _parseDefault(tokens, i, column) {
+        const token = tokens[i];
+        if (token === undefined || token === ',' || token === ')') {
+            throw SawitError.of('SAWIT_E_DEFAULT_VALUE_REQUIRED', { column: column.name });
+        }
+
+        const upper = token.toUpperCase();
+        if ((upper === 'NOW' || upper === 'SEKARANG') && tokens[i + 1] === '(' && tokens[i + 2] === ')') {
+            column.default = { fn: 'NOW' };
+            return i + 3;
+        }
+        if (upper === 'CURRENT_TIMESTAMP' || upper === 'CURRENT_DATE') {
+            column.default = { fn: upper === 'CURRENT_DATE' ? 'CURRENT_DATE' : 'NOW' };
+            return i + 1;
+        }
+        if (this._isNextval(tokens, i)) {
+            column.default = this._parseNextval(tokens, i);
+            return i + 4;
         }
-        return { type: 'CREATE_TABLE', table: name };
+
+        let value = token;
+        if (token.startsWith("'") || token.startsWith('"')) value = token.slice(1, -1);
+        else if (upper === 'NULL') value = null;
+        else if (upper === 'TRUE') value = true;
+        else if (upper === 'FALSE') value = false;
+        else if (!isNaN(token)) value = Number(token);
+        else throw SawitError.of('SAWIT_E_DEFAULT_UNSUPPORTED', { value: token, column: column.name });
+
+        column.default = { value };
+        return i + 1;
+    }
+
+    /**
+     * NEXTVAL('urutan') at position i: four tokens
+     */
+    _isNextval(tokens, i) {
+        return tokens[i] && tokens[i].toUpperCase() === 'NEXTVAL' && tokens[i + 1] === '(';
+    }
+
+    _parseNextval(tokens, i) {
+        let sequence = tokens[i + 2];
+        if (!sequence || tokens[i + 3] !== ')') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "NEXTVAL('urutan')" });
+        if (sequence.startsWith("'") || sequence.startsWith('"')) sequence = sequence.slice(1, -1);
+        return { fn: 'NEXTVAL', sequence };
+    }
+
+    /**
+     * Index of the ')' closing the '(' at position open
+     */
+    _matchingParen(tokens, open) {
+        let depth = 0;
+        for (let k = open; k < tokens.length; k++) {
+            if (tokens[k] === '(') depth++;
+            else if (tokens[k] === ')' && --depth === 0) return k;
+        }
+        throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+    }
+
+    parseAlter(tokens) {
+        // Tani: UBAH LAHAN [kebun] GANTI NAMA MENJADI [baru] | TAMBAH KOLOM [kolom] [TIPE] [opsi...]
+        //       | BUANG KOLOM [kolom] | GANTI KOLOM [lama] MENJADI [baru]
+        // Generic: ALTER TABLE [name] RENAME TO [new] | ADD [COLUMN] [col] [TYPE] [options...]
+        //       | DROP [COLUMN] [col] | RENAME COLUMN [old] TO [new]
+        const upper = (k) => tokens[k] ? tokens[k].toUpperCase() : '';
+        if (!['TABLE', 'LAHAN'].includes(upper(1)) || !tokens[2]) {
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ALTER TABLE [name] ... | UBAH LAHAN [kebun] ..." });
+        }
+        const table = tokens[2];
+        const action = upper(3);
+        const isTo = (k) => ['TO', 'MENJADI'].includes(upper(k));
+
+        if ((action === 'RENAME' && isTo(4)) || (action === 'GANTI' && upper(4) === 'NAMA' && isTo(5))) {
+            const newName = tokens[action === 'RENAME' ? 5 : 6];
+            if (!newName) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ALTER TABLE [name] RENAME TO [new]" });
+            return { type: 'ALTER_TABLE', table, action: 'RENAME_TABLE', newName };
+        }
+
+        if ((action === 'RENAME' || action === 'GANTI') && ['COLUMN', 'KOLOM'].includes(upper(4))) {
+            const column = tokens[5];
+            const newName = tokens[7];
+            if (!column || !isTo(6) || !newName) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ALTER TABLE [name] RENAME COLUMN [old] TO [new]" });
+            return { type: 'ALTER_TABLE', table, action: 'RENAME_COLUMN', column, newName };
+        }
+
+        if (action === 'ADD' || action === 'TAMBAH') {
+            const start = ['COLUMN', 'KOLOM'].includes(upper(4)) ? 5 : 4;
+            if (!tokens[start]) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ALTER TABLE [name] ADD COLUMN [col] [TYPE] ..." });
+            // Same grammar as one column of CREATE TABLE
+            const definition = this._parseTableDefinition(['(', ...tokens.slice(start), ')'], 0);
+            if (definition.columns.length !== 1) throw SawitError.of('SAWIT_E_ALTER_ONE_COLUMN');
+            return { type: 'ALTER_TABLE', table, action: 'ADD_COLUMN', column: definition.columns[0].name, definition };
+        }
+
+        if (action === 'DROP' || action === 'BUANG') {
+            const column = tokens[['COLUMN', 'KOLOM'].includes(upper(4)) ? 5 : 4];
+            if (!column) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "ALTER TABLE [name] DROP COLUMN [col]" });
+            return { type: 'ALTER_TABLE', table, action: 'DROP_COLUMN', column };
+        }
+
+        throw SawitError.of('SAWIT_E_ALTER_UNSUPPORTED');
     }
 
     parseShow(tokens) {
@@ -274,12 +598,17 @@ class QueryParser {
         if (cmd === 'LIHAT') {
             if (sub === 'LAHAN') return { type: 'SHOW_TABLES' };
             if (sub === 'INDEKS') return { type: 'SHOW_INDEXES', table: tokens[2] || null };
+            if (sub === 'STRUKTUR' && tokens[2]) return { type: 'DESCRIBE', table: tokens[2] };
+            if (sub === 'URUTAN') return { type: 'SHOW_SEQUENCES' };
         } else if (cmd === 'SHOW') {
             if (sub === 'TABLES') return { type: 'SHOW_TABLES' };
             if (sub === 'INDEXES') return { type: 'SHOW_INDEXES', table: tokens[2] || null };
+            if (sub === 'SEQUENCES') return { type: 'SHOW_SEQUENCES' };
+        } else if (cmd === 'DESCRIBE' && sub) {
+            return { type: 'DESCRIBE', table: tokens[1] };
         }
 
-        throw new Error("Syntax: LIHAT LAHAN | SHOW TABLES | LIHAT INDEKS [table] | SHOW INDEXES");
+        throw SawitError.of('SAWIT_E_SYNTAX', { usage: "LIHAT LAHAN | SHOW TABLES | LIHAT INDEKS [table] | SHOW INDEXES | LIHAT STRUKTUR [table] | DESCRIBE [table] | LIHAT URUTAN | SHOW SEQUENCES" });
     }
 
     parseDrop(tokens) {
@@ -292,7 +621,57 @@ class QueryParser {
                 return { type: 'DROP_TABLE', table: tokens[2] };
             }
         }
-        throw new Error("Syntax: BAKAR LAHAN [nama] | DROP TABLE [nama]");
+        throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BAKAR LAHAN [nama] | DROP TABLE [nama]" });
+    }
+
+    parseDropIndex(tokens) {
+        // AQL: BUANG INDEKS [table] PADA [field] | BUANG INDEKS [table] PADA ([f1], [f2])
+        // Generic: DROP INDEX ON [table] ([field], ...) | DROP INDEX [table].[field]
+        if (tokens[0].toUpperCase() === 'DROP') {
+            if (tokens[2] && tokens[2].toUpperCase() === 'ON') {
+                if (tokens[4] !== '(') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "DROP INDEX ON [table] ( [field] )" });
+                return { type: 'DROP_INDEX', table: tokens[3], fields: this._parseIndexFields(tokens, 4) };
+            }
+            const name = tokens[2] || '';
+            const dot = name.indexOf('.');
+            if (dot < 1) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "DROP INDEX [table].[field] | DROP INDEX ON [table] ( [field] )" });
+            return { type: 'DROP_INDEX', table: name.slice(0, dot), fields: [name.slice(dot + 1)] };
+        }
+
+        if (tokens.length < 5 || tokens[3].toUpperCase() !== 'PADA') {
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BUANG INDEKS [kebun] PADA [field]" });
+        }
+        const fields = tokens[4] === '(' ? this._parseIndexFields(tokens, 4) : [tokens[4]];
+        return { type: 'DROP_INDEX', table: tokens[2], fields };
+    }
+
+    parseReindex(tokens) {
+        // AQL: INDEKS ULANG [table]
+        // Generic: REINDEX [table] (omit table = all indexes)
+        const table = tokens[0].toUpperCase() === 'INDEKS' ? tokens[2] : tokens[1];
+        return { type: 'REINDEX', table: table || null };
+    }
+
+    parseVacuum(tokens) {
+        // AQL: BAJAK LAHAN [table]
+        // Generic: VACUUM [table]
+        if (tokens[0].toUpperCase() === 'BAJAK') {
+            if (!tokens[1] || tokens[1].toUpperCase() !== 'LAHAN') {
+                throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BAJAK LAHAN [nama] | VACUUM [nama]" });
+            }
+            return { type: 'VACUUM', table: tokens[2] || null };
+        }
+        return { type: 'VACUUM', table: tokens[1] || null };
+    }
+
+    parseIntegrityCheck(tokens) {
+        // AQL: PERIKSA KESEHATAN
+        // Generic: PRAGMA integrity_check
+        const keyword = tokens[0].toUpperCase() === 'PERIKSA' ? 'KESEHATAN' : 'INTEGRITY_CHECK';
+        if (!tokens[1] || tokens[1].toUpperCase() !== keyword) {
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "PERIKSA KESEHATAN | PRAGMA integrity_check" });
+        }
+        return { type: 'INTEGRITY_CHECK' };
     }
 
     parseInsert(tokens) {
@@ -300,10 +679,10 @@ class QueryParser {
         let table;
 
         if (tokens[0].toUpperCase() === 'INSERT') {
-            if (tokens[1].toUpperCase() !== 'INTO') throw new Error("Syntax: INSERT INTO [table] ...");
+            if (tokens[1].toUpperCase() !== 'INTO') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "INSERT INTO [table] ..." });
             i = 2;
         } else {
-            if (tokens[1].toUpperCase() !== 'KE') throw new Error("Syntax: TANAM KE [kebun] ...");
+            if (tokens[1].toUpperCase() !== 'KE') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "TANAM KE [kebun] ..." });
             i = 2;
         }
 
@@ -316,21 +695,27 @@ class QueryParser {
             while (tokens[i] !== ')') {
                 if (tokens[i] !== ',') cols.push(tokens[i]);
                 i++;
-                if (i >= tokens.length) throw new Error("Unclosed parenthesis in columns");
+                if (i >= tokens.length) throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
             }
             i++;
         } else {
-            throw new Error("Syntax: ... [table] (col1, ...) ...");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "... [table] (col1, ...) ..." });
         }
 
         const valueKeyword = tokens[i].toUpperCase();
-        if (valueKeyword !== 'BIBIT' && valueKeyword !== 'VALUES') throw new Error("Expected BIBIT or VALUES");
+        if (valueKeyword !== 'BIBIT' && valueKeyword !== 'VALUES') throw SawitError.of('SAWIT_E_EXPECTED', { expected: "BIBIT or VALUES" });
         i++;
 
         const vals = [];
         if (tokens[i] === '(') {
             i++;
             while (tokens[i] !== ')') {
+                if (this._isNextval(tokens, i)) {
+                    // Resolved per row when inserted, like a NEXTVAL default
+                    vals.push(this._parseNextval(tokens, i));
+                    i += 4;
+                    continue;
+                }
                 if (tokens[i] !== ',') {
                     let val = tokens[i];
                     if (val.startsWith("'") || val.startsWith('"')) val = val.slice(1, -1);
@@ -343,10 +728,10 @@ class QueryParser {
                 i++;
             }
         } else {
-            throw new Error("Syntax: ... VALUES (val1, ...)");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "... VALUES (val1, ...)" });
         }
 
-        if (cols.length !== vals.length) throw new Error("Columns and Values count mismatch");
+        if (cols.length !== vals.length) throw SawitError.of('SAWIT_E_COLUMN_VALUE_MISMATCH');
 
         const data = {};
         for (let k = 0; k < cols.length; k++) {
@@ -356,7 +741,10 @@ class QueryParser {
         return { type: 'INSERT', table, data };
     }
 
-    parseSelect(tokens) {
+    /**
+     * @param {boolean} projectGroupKeys - Put the GROUP BY keys in front of the output columns (HITUNG)
+     */
+    parseSelect(tokens, projectGroupKeys = false) {
         let i = 1;
 
         // Check for DISTINCT keyword
@@ -366,18 +754,49 @@ class QueryParser {
             i++;
         }
 
+        // Computed columns (luas * produktivitas AS estimasi, UPPER(varietas)) go to computed,
+        // keyed by their output name; plain columns stay names only
         const cols = [];
+        const computed = {};
         while (i < tokens.length && !['DARI', 'FROM'].includes(tokens[i].toUpperCase())) {
-            if (tokens[i] !== ',') cols.push(tokens[i]);
-            i++;
+            if (tokens[i] === ',') { i++; continue; }
+            if (tokens[i] === '*') { cols.push('*'); i++; continue; }
+
+            const start = i;
+            const { node, next } = this._parseExpression(tokens, i);
+            i = next;
+            let name = node.type === 'column' ? node.name : this._expressionText(tokens, start, next);
+            let aliased = false;
+            if (tokens[i] && ['AS', 'SEBAGAI'].includes(tokens[i].toUpperCase())) {
+                if (!tokens[i + 1]) throw SawitError.of('SAWIT_E_EXPECTED', { expected: 'alias' });
+                name = tokens[i + 1].replace(/^['"]|['"]$/g, '');
+                aliased = true;
+                i += 2;
+            }
+            if (aliased || node.type !== 'column') computed[name] = node;
+            cols.push(name);
         }
 
-        if (i >= tokens.length) throw new Error("Expected DARI or FROM");
+        // Without FROM: one row of expressions (PANEN NEXTVAL('nota'))
+        if (i >= tokens.length && cols.length > 0 && cols.every(c => computed[c] && !this._hasAggregate(computed[c]))) {
+            return { type: 'SELECT', table: null, cols, computed, joins: [], criteria: null, sort: null, limit: null, offset: null, distinct };
+        }
+        if (i >= tokens.length) throw SawitError.of('SAWIT_E_EXPECTED', { expected: "DARI or FROM" });
         i++;
 
         const table = tokens[i];
         i++;
 
+        // Table alias: kebun k / kebun AS k, so a correlated subquery can name the outer row
+        let alias = null;
+        if (i < tokens.length && ['AS', 'SEBAGAI'].includes(tokens[i].toUpperCase())) {
+            alias = tokens[i + 1];
+            i += 2;
+        } else if (i < tokens.length && /^[A-Za-z_]\w*$/.test(tokens[i]) && !TABLE_CLAUSE_KEYWORDS.includes(tokens[i].toUpperCase())) {
+            alias = tokens[i];
+            i++;
+        }
+
         // Parse JOINs - supports: JOIN, LEFT JOIN, RIGHT JOIN, CROSS JOIN, INNER JOIN
         // Also AQL: GABUNG, GABUNG KIRI, GABUNG KANAN, GABUNG SILANG
         const joins = [];
@@ -450,7 +869,7 @@ class QueryParser {
             }
 
             if (i >= tokens.length || !['ON', 'PADA'].includes(tokens[i].toUpperCase())) {
-                throw new Error(`Syntax: ${joinType} JOIN [table] ON [condition]`);
+                throw SawitError.of('SAWIT_E_SYNTAX', { usage: `${joinType} JOIN [table] ON [condition]` });
             }
             i++; // Skip ON/PADA
 
@@ -471,10 +890,36 @@ class QueryParser {
             // Calculate whereEndIndex by checking for ORDER or LIMIT or END
             criteria = this.parseWhere(tokens, i);
             // Move i past the WHERE clause
-            while (i < tokens.length &&
-                !['ORDER', 'URUTKAN', 'LIMIT', 'HANYA', 'OFFSET', 'MULAI'].includes(tokens[i].toUpperCase())) {
+            i = this._skipClause(tokens, i, ['ORDER', 'URUTKAN', 'LIMIT', 'HANYA', 'OFFSET', 'MULAI', 'GROUP', 'KELOMPOK', 'HAVING', 'PUNYA'], true);
+        }
+
+        // GROUP BY / KELOMPOK [BERDASARKAN] expr, ... and HAVING / DENGAN SYARAT [cond]
+        const groupBy = [];
+        if (i < tokens.length && ['GROUP', 'KELOMPOK'].includes(tokens[i].toUpperCase())) {
+            i++;
+            if (tokens[i] && ['BY', 'BERDASARKAN'].includes(tokens[i].toUpperCase())) i++;
+            const keys = [];
+            while (true) {
+                const start = i;
+                const { node, next } = this._parseExpression(tokens, i);
+                groupBy.push(node);
+                i = next;
+                const name = node.type === 'column' ? node.name : this._expressionText(tokens, start, next);
+                if (projectGroupKeys && !cols.includes(name) && !keys.includes(name)) {
+                    if (node.type !== 'column') computed[name] = node;
+                    keys.push(name);
+                }
+                if (tokens[i] !== ',') break;
                 i++;
             }
+            cols.unshift(...keys);
+        }
+
+        let having = null;
+        if (i < tokens.length && (['HAVING', 'PUNYA'].includes(tokens[i].toUpperCase()) || this._isHavingSyarat(tokens, i))) {
+            i += this._isHavingSyarat(tokens, i) ? 2 : 1;
+            having = this.parseWhere(tokens, i);
+            i = this._skipClause(tokens, i, ['ORDER', 'URUTKAN', 'LIMIT', 'HANYA', 'OFFSET', 'MULAI']);
         }
 
         let sort = null;
@@ -490,8 +935,12 @@ class QueryParser {
             }
 
             if (i < tokens.length && (tokens[i - 1].toUpperCase() === 'BY' || tokens[i - 1].toUpperCase() === 'BERDASARKAN')) {
-                const key = tokens[i];
-                i++;
+                // A column, an output alias or an expression
+                const start = i;
+                const { node, next } = this._parseExpression(tokens, i);
+                i = next;
+                const key = node.type === 'column' ? node.name : this._expressionText(tokens, start, next);
+                const expr = node.type === 'column' ? computed[key] : node;
                 let dir = 'asc';
                 if (i < tokens.length && ['ASC', 'DESC', 'NAIK', 'TURUN'].includes(tokens[i].toUpperCase())) {
                     const d = tokens[i].toUpperCase();
@@ -499,6 +948,7 @@ class QueryParser {
                     i++;
                 }
                 sort = { key, dir };
+                if (expr) sort.expr = expr;
             }
         }
 
@@ -527,7 +977,16 @@ class QueryParser {
             }
         }
 
-        return { type: 'SELECT', table, cols, joins, criteria, sort, limit, offset, distinct };
+        const command = { type: 'SELECT', table, cols, joins, criteria, sort, limit, offset, distinct };
+        if (alias) command.alias = alias;
+        if (Object.keys(computed).length > 0) command.computed = computed;
+
+        // Grouped query: one output row per group, or one for the whole table with aggregates alone
+        if (groupBy.length > 0 || having || Object.values(computed).some(node => this._hasAggregate(node))) {
+            command.groupBy = groupBy;
+            command.having = having;
+        }
+        return command;
     }
 
     parseWhere(tokens, startIndex) {
@@ -547,14 +1006,30 @@ class QueryParser {
                 continue;
             }
 
-            if (['DENGAN', 'ORDER', 'URUTKAN', 'LIMIT', 'HANYA', 'OFFSET', 'MULAI', 'LANGKAHI', 'GROUP', 'KELOMPOK', ')', ';'].includes(upper)) {
+            if (['DENGAN', 'ORDER', 'URUTKAN', 'LIMIT', 'HANYA', 'OFFSET', 'MULAI', 'LANGKAHI', 'GROUP', 'KELOMPOK', 'HAVING', 'PUNYA', ')', ';'].includes(upper)) {
                 break;
             }
 
+            // EXISTS / ADA (subquery), NOT EXISTS / TIDAK ADA (subquery)
+            const negated = ['NOT', 'TIDAK'].includes(upper) && tokens[i + 1] && ['EXISTS', 'ADA'].includes(tokens[i + 1].toUpperCase());
+            const existsAt = negated ? i + 1 : i;
+            if ((negated || ['EXISTS', 'ADA'].includes(upper)) && this._isSubquery(tokens, existsAt + 1)) {
+                const { node, next } = this._parseSubquery(tokens, existsAt + 1, 'exists');
+                simpleConditions.push({ type: 'cond', key: 'EXISTS', op: negated ? 'NOT EXISTS' : 'EXISTS', val: null, valExpr: node });
+                i = next;
+                continue;
+            }
+
             // Parse Single condition
             if (i < tokens.length - 1) {
-                const key = tokens[i];
-                const rawOp = tokens[i + 1].toUpperCase();
+                // Left side: a column or an expression (UPPER(nama), luas * 2); j is its last token
+                const left = this._parseExpression(tokens, i);
+                const expr = left.node.type === 'column' ? null : left.node;
+                const key = expr ? this._expressionText(tokens, i, left.next) : left.node.name;
+                const j = left.next - 1;
+                if (j + 1 >= tokens.length) break;
+                const conditionCount = simpleConditions.length;
+                const rawOp = tokens[j + 1].toUpperCase();
                 let op = rawOp;
 
                 // Map AQL Ops? 
@@ -567,8 +1042,8 @@ class QueryParser {
 
                 if (op === 'BETWEEN' || op === 'ANTARA') {
                     op = 'BETWEEN'; // Standardize
-                    let v1 = tokens[i + 2];
-                    let v2 = tokens[i + 4];
+                    let v1 = tokens[j + 2];
+                    let v2 = tokens[j + 4];
                     // ... normalization ...
                     if (v1 && (v1.startsWith("'") || v1.startsWith('"'))) v1 = v1.slice(1, -1);
                     else if (!isNaN(v1)) v1 = Number(v1);
@@ -578,22 +1053,22 @@ class QueryParser {
 
                     simpleConditions.push({ type: 'cond', key, op: 'BETWEEN', val: [v1, v2] });
                     consumed = 5;
-                    const connector = tokens[i + 3].toUpperCase();
-                    if (connector !== 'AND' && connector !== 'DAN') throw new Error("Syntax: ... BETWEEN val1 AND val2");
+                    const connector = tokens[j + 3].toUpperCase();
+                    if (connector !== 'AND' && connector !== 'DAN') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "... BETWEEN val1 AND val2" });
 
                 } else if (op === 'IS') { // ADALAH?
                     // ... existing IS NULL logic ...
-                    const next = tokens[i + 2].toUpperCase();
+                    const next = tokens[j + 2].toUpperCase();
                     if (next === 'NULL' || next === 'KOSONG') {
                         simpleConditions.push({ type: 'cond', key, op: 'IS NULL', val: null });
                         consumed = 3;
                     } else if (next === 'NOT' || next === 'TIDAK') {
-                        const next2 = tokens[i + 3].toUpperCase();
+                        const next2 = tokens[j + 3].toUpperCase();
                         if (next2 === 'NULL' || next2 === 'KOSONG') {
                             simpleConditions.push({ type: 'cond', key, op: 'IS NOT NULL', val: null });
                             consumed = 4;
-                        } else { throw new Error("Syntax: IS NOT NULL"); }
-                    } else { throw new Error("Syntax: IS NULL or IS NOT NULL"); }
+                        } else { throw SawitError.of('SAWIT_E_SYNTAX', { usage: "IS NOT NULL" }); }
+                    } else { throw SawitError.of('SAWIT_E_SYNTAX', { usage: "IS NULL or IS NOT NULL" }); }
 
                 } else if (op === 'IN' || op === 'DALAM') {
                     // ... existing IN logic ...
@@ -608,17 +1083,25 @@ class QueryParser {
                     // But key is variable name usually.
                 }
 
-                if (op === 'IN' || op === 'DALAM' || op === 'NOT' || op === 'TIDAK') {
+                if (op === 'BETWEEN' || op === 'IS') {
+                    // Already pushed above
+                } else if (op === 'IN' || op === 'DALAM' || op === 'NOT' || op === 'TIDAK') {
                     // Re-implement IN logic
                     if (op === 'NOT' || op === 'TIDAK') {
-                        const next = tokens[i + 2].toUpperCase();
+                        const next = tokens[j + 2].toUpperCase();
                         if (next !== 'IN' && next !== 'DALAM') break; // Not valid
                         consumed++;
                     }
                     // Expect ( v1, v2 )
-                    let p = (op === 'NOT' || op === 'TIDAK') ? i + 3 : i + 2;
+                    let p = (op === 'NOT' || op === 'TIDAK') ? j + 3 : j + 2;
                     let values = [];
-                    if (tokens[p] === '(') {
+                    let valExpr = null;
+                    if (this._isSubquery(tokens, p)) {
+                        // IN (PANEN kebun_id DARI panen ...): the values come from the subquery
+                        const subquery = this._parseSubquery(tokens, p, 'list');
+                        valExpr = subquery.node;
+                        consumed = subquery.next - j;
+                    } else if (tokens[p] === '(') {
                         p++;
                         while (tokens[p] !== ')') {
                             if (tokens[p] !== ',') {
@@ -631,22 +1114,23 @@ class QueryParser {
                             if (p >= tokens.length) break;
                         }
                         val = values;
-                        consumed = (p - i) + 1;
+                        consumed = (p - j) + 1;
                     }
                     const finalOp = (op === 'NOT' || op === 'TIDAK') ? 'NOT IN' : 'IN';
-                    simpleConditions.push({ type: 'cond', key, op: finalOp, val });
+                    const condition = { type: 'cond', key, op: finalOp, val };
+                    if (valExpr) condition.valExpr = valExpr;
+                    simpleConditions.push(condition);
                 } else {
-                    // Normal Ops
-                    val = tokens[i + 2];
-                    if (val && (val.startsWith("'") || val.startsWith('"'))) {
-                        val = val.slice(1, -1);
-                    } else if (val && !isNaN(val)) {
-                        val = Number(val);
-                    }
-                    simpleConditions.push({ type: 'cond', key, op, val });
-                    consumed = 3;
+                    // Normal Ops: a literal, or an expression evaluated per row (stok < minimum * 2)
+                    const right = this._parseExpression(tokens, j + 2);
+                    const condition = { type: 'cond', key, op, val: null };
+                    if (right.node.type === 'literal') condition.val = right.node.value;
+                    else condition.valExpr = right.node;
+                    simpleConditions.push(condition);
+                    consumed = right.next - j;
                 }
-                i += consumed;
+                if (expr && simpleConditions.length > conditionCount) simpleConditions[simpleConditions.length - 1].expr = expr;
+                i = j + consumed;
             } else {
                 break;
             }
@@ -696,11 +1180,11 @@ class QueryParser {
         let i;
 
         if (tokens[0].toUpperCase() === 'DELETE') {
-            if (tokens[1].toUpperCase() !== 'FROM') throw new Error("Syntax: DELETE FROM [table] ...");
+            if (tokens[1].toUpperCase() !== 'FROM') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "DELETE FROM [table] ..." });
             table = tokens[2];
             i = 3;
         } else {
-            if (tokens[1].toUpperCase() !== 'DARI') throw new Error("Syntax: GUSUR DARI [kebun] ...");
+            if (tokens[1].toUpperCase() !== 'DARI') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "GUSUR DARI [kebun] ..." });
             table = tokens[2];
             i = 3;
         }
@@ -720,25 +1204,35 @@ class QueryParser {
 
         if (tokens[0].toUpperCase() === 'UPDATE') {
             table = tokens[1];
-            if (tokens[2].toUpperCase() !== 'SET') throw new Error("Expected SET");
+            if (tokens[2].toUpperCase() !== 'SET') throw SawitError.of('SAWIT_E_EXPECTED', { expected: "SET" });
             i = 3;
         } else {
-            if (tokens.length < 3) throw new Error("Syntax: PUPUK [kebun] DENGAN ...");
+            if (tokens.length < 3) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "PUPUK [kebun] DENGAN ..." });
             table = tokens[1];
-            if (tokens[2].toUpperCase() !== 'DENGAN') throw new Error("Expected DENGAN");
+            if (tokens[2].toUpperCase() !== 'DENGAN') throw SawitError.of('SAWIT_E_EXPECTED', { expected: "DENGAN" });
             i = 3;
         }
 
+        // Literal values go to updates; anything computed (stok = stok - 5) to expressions,
+        // which UpdateExecutor evaluates against each matched row
         const updates = {};
+        const expressions = {};
         while (i < tokens.length && !['DIMANA', 'WHERE'].includes(tokens[i].toUpperCase())) {
             if (tokens[i] === ',') { i++; continue; }
             const key = tokens[i];
-            if (tokens[i + 1] !== '=') throw new Error("Syntax: key=value in update list");
-            let val = tokens[i + 2];
-            if (val.startsWith("'") || val.startsWith('"')) val = val.slice(1, -1);
-            else if (!isNaN(val)) val = Number(val);
-            updates[key] = val;
-            i += 3;
+            if (tokens[i + 1] !== '=') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "key=value in update list" });
+            const { node, next } = this._parseExpression(tokens, i + 2);
+            if (next < tokens.length && tokens[next] !== ',' && !['DIMANA', 'WHERE'].includes(tokens[next].toUpperCase())) {
+                throw SawitError.of('SAWIT_E_SYNTAX', { usage: "key=value in update list" });
+            }
+            if (node.type === 'literal') {
+                updates[key] = node.value;
+                delete expressions[key];
+            } else {
+                expressions[key] = node;
+                delete updates[key];
+            }
+            i = next;
         }
 
         let criteria = null;
@@ -746,15 +1240,239 @@ class QueryParser {
             i++;
             criteria = this.parseWhere(tokens, i);
         }
-        return { type: 'UPDATE', table, updates, criteria };
+        const command = { type: 'UPDATE', table, updates, criteria };
+        if (Object.keys(expressions).length > 0) command.expressions = expressions;
+        return command;
+    }
+
+    /**
+     * Expression starting at tokens[i]: literals, column references, @params, + - * / % ||,
+     * parentheses and function calls. Returns { node, next } (see ExpressionEvaluator).
+     */
+    _parseExpression(tokens, i) {
+        let { node, next } = this._parseTerm(tokens, i);
+        while (next < tokens.length) {
+            const token = tokens[next];
+            if (token === '+' || token === '-' || token === '||') {
+                const right = this._parseTerm(tokens, next + 1);
+                node = { type: 'binary', op: token, left: node, right: right.node };
+                next = right.next;
+            } else if (this._isNegativeNumber(token)) {
+                // "stok -5" tokenizes as a negative number: subtraction
+                const right = this._parseTerm(tokens, next, true);
+                node = { type: 'binary', op: '-', left: node, right: right.node };
+                next = right.next;
+            } else {
+                break;
+            }
+        }
+        return { node, next };
+    }
+
+    _parseTerm(tokens, i, negated = false) {
+        let { node, next } = this._parseUnary(tokens, i, negated);
+        while (next < tokens.length && ['*', '/', '%'].includes(tokens[next])) {
+            const op = tokens[next];
+            const right = this._parseUnary(tokens, next + 1);
+            node = { type: 'binary', op, left: node, right: right.node };
+            next = right.next;
+        }
+        return { node, next };
+    }
+
+    _parseUnary(tokens, i, negated = false) {
+        if (tokens[i] === '-') {
+            const { node, next } = this._parseUnary(tokens, i + 1);
+            if (node.type === 'literal' && typeof node.value === 'number') {
+                return { node: { type: 'literal', value: -node.value }, next };
+            }
+            return { node: { type: 'unary', op: '-', operand: node }, next };
+        }
+        if (negated) {
+            // Negative number token read as "- number"
+            return { node: { type: 'literal', value: -Number(tokens[i]) }, next: i + 1 };
+        }
+        return this._parsePrimary(tokens, i);
+    }
+
+    _parsePrimary(tokens, i) {
+        const token = tokens[i];
+        if (token === undefined || [',', ')', '='].includes(token) || ['DIMANA', 'WHERE'].includes(token.toUpperCase())) {
+            throw SawitError.of('SAWIT_E_EXPECTED', { expected: 'nilai' });
+        }
+
+        if (this._isSubquery(tokens, i)) return this._parseSubquery(tokens, i, 'scalar');
+        if (token === '(') {
+            const { node, next } = this._parseExpression(tokens, i + 1);
+            if (tokens[next] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+            return { node, next: next + 1 };
+        }
+
+        if (token.startsWith("'") || token.startsWith('"')) return { node: { type: 'literal', value: token.slice(1, -1) }, next: i + 1 };
+        if (token.startsWith('@')) return { node: { type: 'literal', value: token }, next: i + 1 };
+        if (!isNaN(token)) return { node: { type: 'literal', value: Number(token) }, next: i + 1 };
+
+        const upper = token.toUpperCase();
+        if (upper === 'NULL') return { node: { type: 'literal', value: null }, next: i + 1 };
+        if (upper === 'TRUE') return { node: { type: 'literal', value: true }, next: i + 1 };
+        if (upper === 'FALSE') return { node: { type: 'literal', value: false }, next: i + 1 };
+
+        if (tokens[i + 1] === '(' && AGGREGATE_FUNCTIONS.includes(upper)) return this._parseAggregateCall(tokens, i, upper);
+        if (tokens[i + 1] === '(') {
+            const args = [];
+            let next = i + 2;
+            if (tokens[next] !== ')') {
+                while (true) {
+                    const arg = this._parseExpression(tokens, next);
+                    args.push(arg.node);
+                    next = arg.next;
+                    if (tokens[next] !== ',') break;
+                    next++;
+                }
+            }
+            if (tokens[next] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+            return { node: { type: 'call', name: upper, args }, next: next + 1 };
+        }
+        if (upper === 'CURRENT_DATE' || upper === 'CURRENT_TIMESTAMP') {
+            return { node: { type: 'call', name: upper, args: [] }, next: i + 1 };
+        }
+
+        return { node: { type: 'column', name: token }, next: i + 1 };
+    }
+
+    /**
+     * Source text of tokens[start..end), used as the name of an unaliased expression
+     */
+    _expressionText(tokens, start, end) {
+        return tokens.slice(start, end).join(' ')
+            .replace(/(\w) \(/g, '$1(')
+            .replace(/\( /g, '(')
+            .replace(/ ([),])/g, '$1');
+    }
+
+    /**
+     * FUNC([DISTINCT | UNIK] arg [, param]) at tokens[i], where param is the separator of STRING_AGG /
+     * GROUP_CONCAT or the fraction of PERCENTILE_CONT(ton, 0.9). The standard
+     * PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY ton [DESC]) is read into the same node.
+     */
+    _parseAggregateCall(tokens, i, func) {
+        let next = i + 2;
+        let distinct = false;
+        if (tokens[next] && ['DISTINCT', 'UNIK'].includes(tokens[next].toUpperCase())) {
+            distinct = true;
+            next++;
+        }
+
+        let args = [];
+        while (tokens[next] !== ')') {
+            const arg = this._parseExpression(tokens, next);
+            args.push(arg.node);
+            next = arg.next;
+            if (tokens[next] !== ',') break;
+            next++;
+        }
+        if (tokens[next] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+        next++;
+
+        let descending = false;
+        if (tokens[next] && tokens[next].toUpperCase() === 'WITHIN') {
+            if (!tokens[next + 1] || tokens[next + 1].toUpperCase() !== 'GROUP' || tokens[next + 2] !== '(' ||
+                !tokens[next + 3] || tokens[next + 3].toUpperCase() !== 'ORDER' || !tokens[next + 4] || tokens[next + 4].toUpperCase() !== 'BY') {
+                throw SawitError.of('SAWIT_E_SYNTAX', { usage: `${func}(p) WITHIN GROUP (ORDER BY kolom)` });
+            }
+            const order = this._parseExpression(tokens, next + 5);
+            next = order.next;
+            if (tokens[next] && ['ASC', 'DESC', 'NAIK', 'TURUN'].includes(tokens[next].toUpperCase())) {
+                descending = ['DESC', 'TURUN'].includes(tokens[next].toUpperCase());
+                next++;
+            }
+            if (tokens[next] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+            next++;
+            args = [order.node, ...args];
+        }
+
+        if (args.length < 1 || args.length > 2) throw SawitError.of('SAWIT_E_FUNCTION_ARGS', { name: func, expected: '1-2' });
+        // arg null: COUNT(*)
+        const star = args[0].type === 'column' && args[0].name === '*';
+        const node = { type: 'aggregate', func, arg: star ? null : args[0] };
+        if (distinct) node.distinct = true;
+        if (args[1]) node.param = args[1];
+        if (descending) node.descending = true;
+        return { node, next };
+    }
+
+    _hasAggregate(node) {
+        switch (node.type) {
+            case 'aggregate': return true;
+            case 'unary': return this._hasAggregate(node.operand);
+            case 'binary': return this._hasAggregate(node.left) || this._hasAggregate(node.right);
+            case 'call': return node.args.some(arg => this._hasAggregate(arg));
+        }
+        return false;
+    }
+
+    /**
+     * ( PANEN ... ) / ( SELECT ... ) at tokens[i]
+     */
+    _isSubquery(tokens, i) {
+        return tokens[i] === '(' && tokens[i + 1] !== undefined && ['PANEN', 'SELECT'].includes(tokens[i + 1].toUpperCase());
+    }
+
+    /**
+     * Subquery in parentheses at tokens[i]. mode is how the outer query uses it: 'scalar' (one value),
+     * 'list' (IN) or 'exists'; SubqueryPlanner runs it before the outer query does.
+     */
+    _parseSubquery(tokens, i, mode) {
+        const close = this._closingParenthesis(tokens, i);
+        const query = this.parseSelect(tokens.slice(i + 1, close));
+        return { node: { type: 'subquery', mode, query }, next: close + 1 };
+    }
+
+    _closingParenthesis(tokens, open) {
+        let depth = 0;
+        for (let k = open; k < tokens.length; k++) {
+            if (tokens[k] === '(') depth++;
+            else if (tokens[k] === ')' && --depth === 0) return k;
+        }
+        throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+    }
+
+    /**
+     * Index of the first stop keyword at tokens[i..] outside parentheses, so a subquery's own
+     * ORDER BY or GROUP BY does not end the outer clause
+     */
+    _skipClause(tokens, i, stops, havingSyarat = false) {
+        let depth = 0;
+        while (i < tokens.length) {
+            if (tokens[i] === '(') depth++;
+            else if (tokens[i] === ')') depth--;
+            else if (depth === 0 && (stops.includes(tokens[i].toUpperCase()) || (havingSyarat && this._isHavingSyarat(tokens, i)))) break;
+            i++;
+        }
+        return i;
+    }
+
+    _isHavingSyarat(tokens, i) {
+        return tokens[i] && tokens[i].toUpperCase() === 'DENGAN' && tokens[i + 1] && tokens[i + 1].toUpperCase() === 'SYARAT';
+    }
+
+    _isNegativeNumber(token) {
+        return typeof token === 'string' && token.length > 1 && token.startsWith('-') && !isNaN(token);
     }
 
     parseCreateIndex(tokens) {
-        // Tani: INDEKS [table] PADA [field]
-        // Generic: CREATE INDEX [name] ON [table] ( [field] )
-        // OR: CREATE INDEX ON [table] ( [field] )
+        // Tani: INDEKS [table] PADA [field] | INDEKS [table] PADA ([field1], [field2], ...)
+        // Generic: CREATE INDEX [name] ON [table] ( [field], ... )
+        // OR: CREATE INDEX ON [table] ( [field], ... )
+        // Unique: INDEKS UNIK [table] PADA ... | CREATE UNIQUE INDEX ...
+
+        let unique = false;
+        if (tokens[1] && ['UNIK', 'UNIQUE'].includes(tokens[1].toUpperCase())) {
+            unique = true;
+            tokens = [tokens[0], ...tokens.slice(2)];
+        }
 
-        if (tokens[0].toUpperCase() === 'CREATE' && tokens[1].toUpperCase() === 'INDEX') {
+        if (tokens[0].toUpperCase() === 'CREATE' && tokens[1] && tokens[1].toUpperCase() === 'INDEX') {
             let i = 2;
             // Optional Index Name (skip if present, look for ON)
             // If tokens[i] is 'ON', then no name provided. Use generic.
@@ -764,29 +1482,40 @@ class QueryParser {
                 i++; // Skip name
             }
 
-            if (tokens[i].toUpperCase() !== 'ON') throw new Error("Syntax: CREATE INDEX ... ON [table] ...");
+            if (tokens[i].toUpperCase() !== 'ON') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CREATE INDEX ... ON [table] ..." });
             i++;
 
             const table = tokens[i];
             i++;
 
-            if (tokens[i] !== '(') throw new Error("Syntax: ... ON [table] ( [field] )");
-            i++;
-
-            const field = tokens[i];
-            i++;
-
-            if (tokens[i] !== ')') throw new Error("Unclosed parenthesis for index field");
+            if (tokens[i] !== '(') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "... ON [table] ( [field] )" });
+            const fields = this._parseIndexFields(tokens, i);
 
-            return { type: 'CREATE_INDEX', table, field };
+            return { type: 'CREATE_INDEX', table, field: fields.join(','), fields, unique };
         }
 
         // Tani Fallback
-        if (tokens.length < 4) throw new Error("Syntax: INDEKS [table] PADA [field]");
+        if (tokens[0].toUpperCase() !== 'INDEKS') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CREATE [UNIQUE] INDEX ... ON [table] ( [field] )" });
+        if (tokens.length < 4) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "INDEKS [UNIK] [table] PADA [field]" });
         const table = tokens[1];
-        if (tokens[2].toUpperCase() !== 'PADA') throw new Error("Expected PADA");
-        const field = tokens[3];
-        return { type: 'CREATE_INDEX', table, field };
+        if (tokens[2].toUpperCase() !== 'PADA') throw SawitError.of('SAWIT_E_EXPECTED', { expected: "PADA" });
+        const fields = tokens[3] === '(' ? this._parseIndexFields(tokens, 3) : [tokens[3]];
+        return { type: 'CREATE_INDEX', table, field: fields.join(','), fields, unique };
+    }
+
+    /**
+     * Field list of an index, starting at the opening parenthesis
+     */
+    _parseIndexFields(tokens, i) {
+        const fields = [];
+        i++; // Skip (
+        while (i < tokens.length && tokens[i] !== ')') {
+            if (tokens[i] !== ',') fields.push(tokens[i]);
+            i++;
+        }
+        if (tokens[i] !== ')') throw SawitError.of('SAWIT_E_UNCLOSED_PARENTHESIS');
+        if (fields.length === 0) throw SawitError.of('SAWIT_E_INDEX_FIELD_REQUIRED');
+        return fields;
     }
 
 
@@ -795,24 +1524,12 @@ class QueryParser {
     parseAggregate(tokens) {
         // Syntax: HITUNG FUNC ( field ) DARI [table] ...
         // Tokens: ['HITUNG', 'SUM', '(', 'stock', ')', 'DARI', ...]
-        let i = 1;
-
-        const aggFunc = tokens[i].toUpperCase();
-        i++;
+        // Several aggregates, aliases or GROUP BY a, b: a grouped PANEN (see parseSelect) led by the group keys
+        const single = this._singleAggregate(tokens);
+        if (!single) return this.parseSelect(['PANEN', ...tokens.slice(1)], true);
 
-        if (tokens[i] !== '(') throw new Error("Syntax: HITUNG FUNC(field) ...");
-        i++;
-
-        const aggField = tokens[i] === '*' ? null : tokens[i];
-        i++;
-
-        if (tokens[i] !== ')') throw new Error("Expected closing parenthesis");
-        i++;
-
-        if (!tokens[i] || (tokens[i].toUpperCase() !== 'DARI' && tokens[i].toUpperCase() !== 'FROM')) {
-            throw new Error("Expected DARI or FROM");
-        }
-        i++;
+        const aggregate = single.node;
+        let i = single.next + 1;
 
         const table = tokens[i];
         i++;
@@ -822,9 +1539,7 @@ class QueryParser {
             i++;
             criteria = this.parseWhere(tokens, i);
             // Fast forward past WHERE clause
-            while (i < tokens.length && !['KELOMPOK', 'GROUP', 'DENGAN', 'HAVING'].includes(tokens[i].toUpperCase())) {
-                i++;
-            }
+            i = this._skipClause(tokens, i, ['KELOMPOK', 'GROUP', 'DENGAN', 'HAVING']);
         }
 
         let groupField = null;
@@ -841,7 +1556,7 @@ class QueryParser {
         }
 
         // HAVING clause - filter after grouping
-        // Syntax: HAVING aggregate_result op value (e.g., HAVING count > 5)
+        // Syntax: HAVING aggregate_result op value (e.g., HAVING count > 5) or HAVING SUM(ton) > 100
         let having = null;
         if (i < tokens.length) {
             const token = tokens[i].toUpperCase();
@@ -850,28 +1565,33 @@ class QueryParser {
             if (token === 'HAVING' || token === 'PUNYA') {
                 isHaving = true;
                 i++;
-            } else if (token === 'DENGAN' && tokens[i + 1] && tokens[i + 1].toUpperCase() === 'SYARAT') {
+            } else if (this._isHavingSyarat(tokens, i)) {
                 isHaving = true;
                 i += 2;
             }
 
-            if (isHaving) {
-                // Parse HAVING condition: field op value
-                const havingField = tokens[i];
-                i++;
-                const havingOp = tokens[i];
-                i++;
-                let havingVal = tokens[i];
-                // Try to parse as number
-                if (!isNaN(Number(havingVal))) {
-                    havingVal = Number(havingVal);
-                }
-                having = { field: havingField, op: havingOp, val: havingVal };
-            }
+            if (isHaving) having = this.parseWhere(tokens, i);
         }
 
-        return { type: 'AGGREGATE', table, func: aggFunc, field: aggField, criteria, groupBy: groupField, having };
+        const field = aggregate.arg && aggregate.arg.type === 'column' ? aggregate.arg.name : null;
+        return { type: 'AGGREGATE', table, func: aggregate.func, field, aggregate, criteria, groupBy: groupField, having };
+    }
+    /**
+     * HITUNG FUNC(arg) DARI ... [KELOMPOK field]: the original form, answered with its result key
+     * ({ count }, { sum, field }, { median, field }, ...). Returns the parsed call, or null when the
+     * query has several aggregates, an alias or several group keys.
+     */
+    _singleAggregate(tokens) {
+        const func = tokens[1] && tokens[1].toUpperCase();
+        if (!AGGREGATE_FUNCTIONS.includes(func) || tokens[2] !== '(') return null;
+        const call = this._parseAggregateCall(tokens, 1, func);
+        if (!tokens[call.next] || !['DARI', 'FROM'].includes(tokens[call.next].toUpperCase())) return null;
+        const group = tokens.findIndex((t, i) => i > call.next && ['GROUP', 'KELOMPOK'].includes(t.toUpperCase()));
+        if (group === -1) return call;
+        const field = tokens[group].toUpperCase() === 'GROUP' ? group + 2 : group + 1;
+        return tokens[field + 1] !== ',' ? call : null;
     }
+
     _bindParameters(command, params) {
         if (!command) return;
 
@@ -889,7 +1609,10 @@ class QueryParser {
             }
             return val;
         };
+        this._bindCommand(command, bindValue);
+    }
 
+    _bindCommand(command, bindValue) {
         // 1. Bind Criteria (SELECT, DELETE, UPDATE, AGGREGATE)
         if (command.criteria) {
             this._info_bindCriteria(command.criteria, bindValue);
@@ -908,6 +1631,41 @@ class QueryParser {
                 command.updates[key] = bindValue(command.updates[key]);
             }
         }
+        if (command.expressions) {
+            for (const key in command.expressions) {
+                this._bindExpression(command.expressions[key], bindValue);
+            }
+        }
+
+        // 4. Bind computed columns and ORDER BY expressions (SELECT)
+        if (command.computed) {
+            for (const key in command.computed) {
+                this._bindExpression(command.computed[key], bindValue);
+            }
+        }
+        if (command.sort && command.sort.expr && !Object.values(command.computed || {}).includes(command.sort.expr)) {
+            this._bindExpression(command.sort.expr, bindValue);
+        }
+        if (command.having && command.having.type) {
+            this._info_bindCriteria(command.having, bindValue);
+        }
+        if (Array.isArray(command.groupBy)) {
+            command.groupBy.forEach(node => this._bindExpression(node, bindValue));
+        }
+    }
+
+    _bindExpression(node, bindFunc) {
+        if (node.type === 'literal') node.value = bindFunc(node.value);
+        else if (node.type === 'aggregate') {
+            if (node.arg) this._bindExpression(node.arg, bindFunc);
+            if (node.param) this._bindExpression(node.param, bindFunc);
+        }
+        else if (node.type === 'unary') this._bindExpression(node.operand, bindFunc);
+        else if (node.type === 'binary') {
+            this._bindExpression(node.left, bindFunc);
+            this._bindExpression(node.right, bindFunc);
+        } else if (node.type === 'call') node.args.forEach(arg => this._bindExpression(arg, bindFunc));
+        else if (node.type === 'subquery') this._bindCommand(node.query, bindFunc);
     }
 
     _info_bindCriteria(criteria, bindFunc) {
@@ -917,6 +1675,8 @@ class QueryParser {
             }
         } else {
             // Single condition
+            if (criteria.expr) this._bindExpression(criteria.expr, bindFunc);
+            if (criteria.valExpr) this._bindExpression(criteria.valExpr, bindFunc);
             if (Array.isArray(criteria.val)) {
                 criteria.val = criteria.val.map(v => bindFunc(v));
             } else {
@@ -937,12 +1697,12 @@ class QueryParser {
         if (tokens[0].toUpperCase() === 'PASANG') {
             i = 2; // PASANG KENTONGAN
             name = tokens[i]; i++;
-            if (tokens[i].toUpperCase() !== 'PADA') throw new Error("Syntax: PASANG KENTONGAN [nama] PADA ...");
+            if (tokens[i].toUpperCase() !== 'PADA') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "PASANG KENTONGAN [nama] PADA ..." });
             i++;
         } else {
             i = 2; // CREATE TRIGGER
             name = tokens[i]; i++;
-            if (tokens[i].toUpperCase() !== 'ON') throw new Error("Syntax: CREATE TRIGGER [name] ON ...");
+            if (tokens[i].toUpperCase() !== 'ON') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CREATE TRIGGER [name] ON ..." });
             i++;
         }
 
@@ -950,7 +1710,7 @@ class QueryParser {
         table = tokens[i]; i++;
 
         if (tokens[i].toUpperCase() !== 'LAKUKAN' && tokens[i].toUpperCase() !== 'DO') {
-            throw new Error("Syntax: ... LAKUKAN/DO [query]");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "... LAKUKAN/DO [query]" });
         }
         i++;
 
@@ -964,6 +1724,38 @@ class QueryParser {
         return { type: 'DROP_TRIGGER', name: tokens[2] };
     }
 
+    // --- Sequences (URUTAN) ---
+
+    parseCreateSequence(tokens) {
+        // Tani: PASANG URUTAN [nama] [MULAI n] [LANGKAH n]
+        // Generic: CREATE SEQUENCE [name] [START [WITH] n] [INCREMENT [BY] n]
+        const name = tokens[2];
+        if (!name) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CREATE SEQUENCE [name] [START WITH n] [INCREMENT BY n]" });
+
+        const command = { type: 'CREATE_SEQUENCE', name };
+        let i = 3;
+        while (i < tokens.length) {
+            const word = tokens[i].toUpperCase();
+            let key;
+            if (word === 'START' || word === 'MULAI') key = 'start';
+            else if (word === 'INCREMENT' || word === 'LANGKAH') key = 'increment';
+            else throw SawitError.of('SAWIT_E_SEQUENCE_OPTION', { option: tokens[i] });
+            i++;
+            if (tokens[i] && ['WITH', 'BY', 'DARI'].includes(tokens[i].toUpperCase())) i++;
+            const value = Number(tokens[i]);
+            if (!Number.isInteger(value)) throw SawitError.of('SAWIT_E_INTEGER_REQUIRED', { option: word });
+            command[key] = value;
+            i++;
+        }
+        return command;
+    }
+
+    parseDropSequence(tokens) {
+        // BUANG URUTAN [nama] | DROP SEQUENCE [name]
+        if (!tokens[2]) throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BUANG URUTAN [nama] | DROP SEQUENCE [name]" });
+        return { type: 'DROP_SEQUENCE', name: tokens[2] };
+    }
+
     // --- Procedures (SOP) ---
 
     parseSaveProcedure(tokens) {
@@ -975,11 +1767,11 @@ class QueryParser {
         if (tokens[0].toUpperCase() === 'SIMPAN') {
             name = tokens[2];
             i = 3;
-            if (tokens[i].toUpperCase() !== 'SEBAGAI') throw new Error("Syntax: SEBAGAI");
+            if (tokens[i].toUpperCase() !== 'SEBAGAI') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "SEBAGAI" });
         } else {
             name = tokens[2];
             i = 3;
-            if (tokens[i].toUpperCase() !== 'AS') throw new Error("Syntax: AS");
+            if (tokens[i].toUpperCase() !== 'AS') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "AS" });
         }
         i++; // Skip SEBAGAI/AS
 
@@ -1007,15 +1799,15 @@ class QueryParser {
 
         let i = 0;
         if (tokens[0].toUpperCase() === 'SETEL') {
-            if (tokens[1].toUpperCase() !== 'CABANG') throw new Error("Check Syntax SETEL CABANG");
+            if (tokens[1].toUpperCase() !== 'CABANG') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "SETEL CABANG ..." });
             i = 2;
         } else {
-            if (tokens[1].toUpperCase() !== 'REPLICATION') throw new Error("Check Syntax CONFIGURE REPLICATION");
+            if (tokens[1].toUpperCase() !== 'REPLICATION') throw SawitError.of('SAWIT_E_SYNTAX', { usage: "CONFIGURE REPLICATION ..." });
             i = 2;
         }
 
         if (tokens[i].toUpperCase() !== 'SEBAGAI' && tokens[i].toUpperCase() !== 'AS') {
-            throw new Error("Expected SEBAGAI / AS");
+            throw SawitError.of('SAWIT_E_EXPECTED', { expected: "SEBAGAI / AS" });
         }
         i++;
 
@@ -1037,7 +1829,7 @@ class QueryParser {
         // Skip EXPLAIN/JELASKAN keyword
         const innerTokens = tokens.slice(1);
         if (innerTokens.length === 0) {
-            throw new Error("EXPLAIN requires a query to analyze");
+            throw SawitError.of('SAWIT_E_EXPLAIN_QUERY_REQUIRED');
         }
 
         const innerCmd = innerTokens[0].toUpperCase();
@@ -1060,7 +1852,7 @@ class QueryParser {
                 innerCommand = this.parseAggregate(innerTokens);
                 break;
             default:
-                throw new Error(`EXPLAIN not supported for: ${innerCmd}`);
+                throw SawitError.of('SAWIT_E_EXPLAIN_UNSUPPORTED', { command: innerCmd });
         }
 
         return { type: 'EXPLAIN', innerCommand };
@@ -1072,7 +1864,7 @@ class QueryParser {
             if (tokens[1] && tokens[1].toUpperCase() === 'AKAD') {
                 return { type: 'BEGIN_TRANSACTION' };
             }
-            throw new Error("Syntax: MULAI AKAD");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "MULAI AKAD" });
         }
         return { type: 'BEGIN_TRANSACTION' };
     }
@@ -1080,20 +1872,20 @@ class QueryParser {
     parseCreateView(tokens) {
         // PASANG TEROPONG [nama] SEBAGAI [SELECT query]
         if (tokens[0].toUpperCase() !== 'PASANG') {
-            throw new Error("Syntax: PASANG TEROPONG [nama] SEBAGAI [query]");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "PASANG TEROPONG [nama] SEBAGAI [query]" });
         }
 
         if (tokens[1].toUpperCase() !== 'TEROPONG') {
-            throw new Error("Expected TEROPONG after PASANG");
+            throw SawitError.of('SAWIT_E_EXPECTED', { expected: "TEROPONG after PASANG" });
         }
 
         const viewName = tokens[2];
         if (!viewName) {
-            throw new Error("View name required");
+            throw SawitError.of('SAWIT_E_VIEW_NAME_REQUIRED');
         }
 
         if (tokens[3].toUpperCase() !== 'SEBAGAI') {
-            throw new Error("Expected SEBAGAI after view name");
+            throw SawitError.of('SAWIT_E_EXPECTED', { expected: "SEBAGAI after view name" });
         }
 
         // Parse the SELECT query (rest of tokens)
@@ -1106,16 +1898,16 @@ class QueryParser {
     parseDropView(tokens) {
         // BUANG TEROPONG [nama]
         if (tokens[0].toUpperCase() !== 'BUANG') {
-            throw new Error("Syntax: BUANG TEROPONG [nama]");
+            throw SawitError.of('SAWIT_E_SYNTAX', { usage: "BUANG TEROPONG [nama]" });
         }
 
         if (tokens[1].toUpperCase() !== 'TEROPONG') {
-            throw new Error("Expected TEROPONG after BUANG");
+            throw SawitError.of('SAWIT_E_EXPECTED', { expected: "TEROPONG after BUANG" });
         }
 
         const viewName = tokens[2];
         if (!viewName) {
-            throw new Error("View name required");
+            throw SawitError.of('SAWIT_E_VIEW_NAME_REQUIRED');
         }
 
         return { type: 'DROP_VIEW', viewName };
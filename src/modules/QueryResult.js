@@ -0,0 +1,57 @@
+/**
+ * QueryResult - Uniform result of SawitDB.query in structured mode:
+ * { rows, rowCount, affectedRows, insertedIds, columns, message, timing }
+ *
+ * INSERT / UPDATE / DELETE executors return one (with message, affectedRows, insertedIds);
+ * every other command result (row arrays, aggregate objects, messages) is wrapped by from().
+ * In the default mode only the message of a QueryResult is returned.
+ */
+class QueryResult {
+    constructor({ rows = [], affectedRows = 0, insertedIds = [], columns = null, message = null } = {}) {
+        this.rows = rows;
+        this.rowCount = rows.length;
+        this.affectedRows = affectedRows;
+        this.insertedIds = insertedIds;
+        this.columns = columns || QueryResult.columnsOf(rows);
+        this.message = message;
+        this.timing = null;
+    }
+
+    /**
+     * Structured form of any command result
+     * @param {*} value - What the command returned
+     * @param {Object} cmd - Parsed command (explicit SELECT columns when no row came back)
+     */
+    static from(value, cmd = null) {
+        if (value instanceof QueryResult) return value;
+        if (typeof value === 'string') return new QueryResult({ message: value });
+        if (value === null || value === undefined) return new QueryResult();
+
+        const rows = Array.isArray(value) ? value : [value];
+        let columns = null;
+        if (rows.length === 0 && cmd && Array.isArray(cmd.cols) && !cmd.cols.includes('*')) {
+            columns = [...cmd.cols];
+        }
+        return new QueryResult({ rows, columns });
+    }
+
+    /**
+     * Column names in order of first appearance
+     */
+    static columnsOf(rows) {
+        const columns = [];
+        const seen = new Set();
+        for (const row of rows) {
+            if (!row || typeof row !== 'object') continue;
+            for (const key of Object.keys(row)) {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    columns.push(key);
+                }
+            }
+        }
+        return columns;
+    }
+}
+
+module.exports = QueryResult;
@@ -0,0 +1,74 @@
+const ErrorCatalog = require('./ErrorCatalog');
+
+/**
+ * SawitError - Error with a stable code from the ErrorCatalog
+ * Thrown by the services with SawitError.of(code, params); the message is rendered in Indonesian
+ * and re-rendered with localize() for callers that asked for another language.
+ * Survives JSON transport (server -> client) through toJSON() / fromJSON().
+ */
+class SawitError extends Error {
+    /**
+     * @param {string} code - e.g. 'SAWIT_E_TABLE_NOT_FOUND'
+     * @param {string} message
+     * @param {Object} params - Catalog placeholders; null for errors without a catalog message
+     */
+    constructor(code, message, params = null) {
+        super(message);
+        this.name = 'SawitError';
+        this.code = code;
+        this.params = params;
+        this.rolledBack = false; // Failed inside AKAD, which was rolled back
+        this._rawMessage = message;
+    }
+
+    /**
+     * Error for a catalog code
+     */
+    static of(code, params = {}) {
+        return new SawitError(code, ErrorCatalog.render(code, params), params);
+    }
+
+    /**
+     * Wrap any thrown value; SawitErrors pass through unchanged
+     */
+    static from(err, code = 'SAWIT_E_QUERY') {
+        if (err instanceof SawitError) return err;
+        return new SawitError(code, err && err.message !== undefined ? err.message : String(err));
+    }
+
+    static fromJSON(data) {
+        return new SawitError(data.code || 'SAWIT_E_QUERY', data.message || data.error, data.params || null);
+    }
+
+    /**
+     * Word for a message placeholder, translated with the message (see ErrorCatalog.TERMS)
+     */
+    static term(key) {
+        return ErrorCatalog.term(key);
+    }
+
+    /**
+     * Mark the error as the cause of an AKAD rollback
+     */
+    markRolledBack() {
+        this.rolledBack = true;
+        return this.localize(ErrorCatalog.DEFAULT_LANGUAGE);
+    }
+
+    /**
+     * Re-render the message in language ('id' / 'en'); errors outside the catalog keep their text
+     */
+    localize(language) {
+        const message = this.params ? ErrorCatalog.render(this.code, this.params, language) : this._rawMessage;
+        this.message = this.rolledBack
+            ? `${message} ${ErrorCatalog.text('rolledBack', language)}`
+            : message;
+        return this;
+    }
+
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, params: this.params };
+    }
+}
+
+module.exports = SawitError;
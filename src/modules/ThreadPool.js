@@ -1,6 +1,7 @@
 const { Worker } = require('worker_threads');
 const path = require('path');
 const os = require('os');
+const SawitError = require('./SawitError');
 
 class ThreadPool {
     constructor(workerCount = 0) {
@@ -12,6 +13,7 @@ class ThreadPool {
         this.isReady = false;
         this.pendingRequests = new Map(); // id -> { resolve, reject, timeout, workerIndex }
         this.requestIdCounter = 0;
+        this.sessionWorkers = new Map(); // clientId -> workerIndex (a session's AKAD lives in one worker)
 
         // Stats & Load Balancing
         this.workerStats = new Array(this.workerCount).fill(0); // Total processed
@@ -37,6 +39,7 @@ class ThreadPool {
             if (code !== 0) {
                 console.error(`[ThreadPool] Worker ${index + 1} crashed (code ${code}). Restarting...`);
                 this._cleanupTasks(index); // Reject pending tasks for this dead worker
+                this._forgetSessions(index); // Their AKADs died with it
                 this.activeTasks[index] = 0;
                 this._spawnWorker(index);
             }
@@ -56,6 +59,12 @@ class ThreadPool {
         }
     }
 
+    _forgetSessions(workerIndex) {
+        for (const [sessionId, index] of this.sessionWorkers.entries()) {
+            if (index === workerIndex) this.sessionWorkers.delete(sessionId);
+        }
+    }
+
     _getBestWorker() {
         // Least Busy Strategy
         let minLoad = Infinity;
@@ -74,14 +83,20 @@ class ThreadPool {
         return bestIndex;
     }
 
-    async execute(dbPath, sql, config = {}) {
+    /**
+     * @param {Object} options - { structured, language, params, session } where session is the
+     *                           client id: all its queries run on one worker, which keeps its AKAD
+     */
+    async execute(dbPath, sql, config = {}, options = {}) {
         if (!this.isReady) throw new Error("ThreadPool not started");
 
-        const workerIndex = this._getBestWorker();
+        const pinned = options.session ? this.sessionWorkers.get(options.session) : undefined;
+        const workerIndex = pinned !== undefined ? pinned : this._getBestWorker();
         const worker = this.workers[workerIndex];
 
         // Safety check if worker is restarting
         if (!worker) throw new Error("Worker unavailable (restarting)");
+        if (options.session) this.sessionWorkers.set(options.session, workerIndex);
 
         // Update Stats & Load
         this.workerStats[workerIndex]++;
@@ -111,11 +126,33 @@ class ThreadPool {
                 action: 'query',
                 dbPath,
                 sql,
-                config
+                params: options.params || null,
+                session: options.session || null,
+                config,
+                structured: !!options.structured,
+                language: options.language || null
             });
         });
     }
 
+    /**
+     * Roll back what a disconnected client left open on its worker
+     * @returns {Promise<number>} - Number of transactions rolled back
+     */
+    endSession(sessionId) {
+        const workerIndex = this.sessionWorkers.get(sessionId);
+        this.sessionWorkers.delete(sessionId);
+        const worker = workerIndex === undefined ? null : this.workers[workerIndex];
+        if (!worker) return Promise.resolve(0);
+
+        this.activeTasks[workerIndex]++;
+        const id = ++this.requestIdCounter;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject, timeout: null, workerIndex });
+            worker.postMessage({ id, action: 'endSession', session: sessionId });
+        });
+    }
+
     _handleMessage(msg) {
         // msg: { id, status, data, error }
         const req = this.pendingRequests.get(msg.id);
@@ -132,7 +169,7 @@ class ThreadPool {
         if (msg.status === 'ok') {
             req.resolve(msg.data);
         } else {
-            req.reject(new Error(msg.error));
+            req.reject(msg.code ? new SawitError(msg.code, msg.error) : new Error(msg.error));
         }
     }
 
@@ -0,0 +1,89 @@
+const Pager = require('./Pager');
+const SawitError = require('./SawitError');
+
+/**
+ * TxnPager - private page overlay for one AKAD transaction
+ * Pages are copied from the base pager on read and kept here once written,
+ * so the transaction sees its own writes and nobody else does until commit().
+ * Rollback simply drops the overlay. Everything above the page level
+ * (allocPage, chains, records, objects) is inherited from Pager unchanged.
+ *
+ * Unwritten pages are read from a snapshot taken at begin, so every statement
+ * of the transaction sees the same committed state (snapshot isolation).
+ */
+class TxnPager extends Pager {
+    constructor(base) {
+        super(base.filePath, null);
+        this.base = base;
+        this.checksums = base.checksums;
+        this._setLayout();
+
+        this.pages = new Map(); // pageId -> Buffer written by this transaction
+        // Rows changed through this overlay, { table, old, row } (kept by TransactionManager.trackRows)
+        this.rowChanges = [];
+        this.snapshot = base.openSnapshot();
+        this.closed = false;
+    }
+
+    // Pages live in the base pager's file
+    _open() { }
+
+    readPage(pageId) {
+        if (this.pages.has(pageId)) {
+            return this.pages.get(pageId);
+        }
+        // Callers mutate the returned buffer before writePage(): never hand out the base copy
+        return Buffer.from(this.base.readPageAt(pageId, this.snapshot));
+    }
+
+    writePage(pageId, buf) {
+        if (buf.length !== Pager.PAGE_SIZE) throw new Error("Buffer must be 4KB");
+
+        this.pages.set(pageId, buf);
+        this.objectCache.delete(pageId);
+    }
+
+    /**
+     * Publish every written page to the base pager.
+     * Fails without writing anything if another commit changed one of these pages
+     * after the snapshot was taken (TransactionManager then merges the row changes).
+     * @returns {number} - Number of pages written
+     */
+    commit() {
+        for (const pageId of this.pages.keys()) {
+            if (this.base.pageVersion(pageId) > this.snapshot) {
+                throw SawitError.of('SAWIT_E_TXN_CONFLICT', { page: pageId });
+            }
+        }
+
+        // Released first: no need to keep versions for our own snapshot
+        this._releaseSnapshot();
+
+        const pageIds = Array.from(this.pages.keys()).sort((a, b) => a - b);
+        for (const pageId of pageIds) {
+            this.base.writePage(pageId, this.pages.get(pageId));
+        }
+
+        const count = this.pages.size;
+        this.rollback();
+        return count;
+    }
+
+    rollback() {
+        this.pages.clear();
+        this.objectCache.clear();
+        this._releaseSnapshot();
+    }
+
+    _releaseSnapshot() {
+        if (this.closed) return;
+        this.closed = true;
+        this.base.releaseSnapshot(this.snapshot);
+    }
+
+    shrink() {
+        throw SawitError.of('SAWIT_E_TXN_NOT_ALLOWED', { command: 'VACUUM' });
+    }
+}
+
+module.exports = TxnPager;
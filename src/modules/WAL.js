@@ -1,6 +1,9 @@
 const fs = require('fs');
 const crypto = require('crypto');
 
+const ENTRY_MAGIC = 0x57414C00;
+const ENTRY_HEADER_SIZE = 61; // magic + size + lsn + opCode + table(32) + pageId + beforeSize + afterSize
+
 /**
  * Write-Ahead Logging (WAL) for SawitDB - OPTIMIZED VERSION
  * Redis-level performance with crash safety
@@ -26,6 +29,11 @@ class WAL {
         this.syncTimer = null;
         this.lastSyncTime = Date.now();
 
+        // Called before a CHECKPOINT marker is written. The Pager registers a
+        // handler that flushes + fsyncs the data file, so every page image
+        // logged before the marker is guaranteed to be in the .sawit file.
+        this.checkpointHandler = null;
+
         if (this.enabled) {
             this._init();
             this._startSyncTimer();
@@ -42,18 +50,11 @@ class WAL {
             this.lsn = 0;
         }
 
-        // 2. Async Write Stream for runtime
-        this.stream = fs.createWriteStream(this.walPath, { flags: 'a' });
-
-        // Capture fd for manual fsync if needed
-        this.stream.on('open', (fd) => {
-            this.fd = fd;
-        });
-
-        // Handle errors
-        this.stream.on('error', (err) => {
-            console.error('[WAL] Stream error:', err);
-        });
+        // 2. Append-only fd for runtime.
+        // Writes are synchronous so CHECKPOINT markers land after the entries
+        // they cover and truncate() never races with pending async writes.
+        // Throughput comes from the in-memory write buffer + group commit.
+        this.fd = fs.openSync(this.walPath, 'a');
     }
 
     // Helper for _init extraction
@@ -66,11 +67,12 @@ class WAL {
         fs.readSync(fd, buffer, 0, stats.size, 0);
 
         let offset = 0;
-        while (offset < buffer.length) {
+        while (offset + ENTRY_HEADER_SIZE <= buffer.length) {
             const magic = buffer.readUInt32LE(offset);
-            if (magic !== 0x57414C00) break;
+            if (magic !== ENTRY_MAGIC) break;
 
             const entrySize = buffer.readUInt32LE(offset + 4);
+            if (entrySize < ENTRY_HEADER_SIZE || offset + entrySize > buffer.length) break; // Torn tail
             const lsn = Number(buffer.readBigUInt64LE(offset + 8));
 
             if (lsn > maxLSN) maxLSN = lsn;
@@ -93,8 +95,7 @@ class WAL {
             }
 
             // 2. Force OS to persist to Disk (fsync)
-            // We use the raw fd from the stream
-            if (this.fd) {
+            if (this.fd !== null) {
                 fs.fsync(this.fd, (err) => {
                     if (err) console.error('[WAL] fsync warning:', err.message);
                 });
@@ -112,37 +113,30 @@ class WAL {
         const entry = this._createLogEntry(this.lsn, opCode, table, pageId, beforeImage, afterImage);
 
         if (this.syncMode === 'full') {
-            // FULL: Force sync immediately (blocking, safest)
-            // We bypass stream buffer for FULL to ensure it hits disk now?
-            // Actually, mixing stream and raw sync write is bad.
-            // For FULL mode, we just write to stream and sync immediately?
-            // Stream write is async. 
-            // To support 'FULL' (Strict Durability) correctly with Streams, we'd need to write and wait for callback.
-            // But logOperation is synchronous in current SawitDB architecture.
-            // Trade-off: We write to stream, but we can't block easily without de-optimizing.
-            // Fallback for FULL: Use fs.writeSync directly?
-            // If we use writeSync, we need a separate FD or ensure stream state is okay.
-            // Mixing is risky.
-            // Safe approach for FULL: Use _flushBuffer() then explicit sync?
+            // FULL: Write through and fsync before returning (blocking, safest)
             this._writeToBuffer(entry);
-            this._flushBuffer(); // Pushes to stream
-            // Force sync on stream fd (might block event loop if we use fsyncSync)
-            if (this.fd) {
+            this._flushBuffer();
+            if (this.fd !== null) {
                 try { fs.fsyncSync(this.fd); } catch (e) { }
             }
         } else {
             // NORMAL / OFF
             this._writeToBuffer(entry);
         }
+    }
 
-        // Auto checkpoint (less frequent)
+    /**
+     * Auto checkpoint (less frequent). Called by the pager once the logged page
+     * is in its cache, so the marker covers every earlier LSN.
+     */
+    checkpointIfDue() {
         if (this.operationCount >= this.checkpointInterval) {
             this.checkpoint();
         }
     }
 
     _writeToBuffer(entry) {
-        // If buffer is full, flush it to stream
+        // If buffer is full, flush it to disk
         if (this.bufferOffset + entry.length > this.bufferSize) {
             this._flushBuffer();
         }
@@ -152,11 +146,9 @@ class WAL {
     }
 
     _flushBuffer() {
-        if (this.bufferOffset === 0) return;
+        if (this.bufferOffset === 0 || this.fd === null) return;
 
-        // WRITE TO ASYNC STREAM
-        const chunk = this.writeBuffer.slice(0, this.bufferOffset);
-        this.stream.write(chunk);
+        fs.writeSync(this.fd, this.writeBuffer, 0, this.bufferOffset);
 
         this.bufferOffset = 0;
         this.lastSyncTime = Date.now();
@@ -189,7 +181,7 @@ class WAL {
         const entry = Buffer.allocUnsafe(entrySize);
 
         let offset = 0;
-        entry.writeUInt32LE(0x57414C00, offset); offset += 4;
+        entry.writeUInt32LE(ENTRY_MAGIC, offset); offset += 4;
         entry.writeUInt32LE(entrySize, offset); offset += 4;
         entry.writeBigUInt64LE(BigInt(lsn), offset); offset += 8;
         entry.writeUInt8(opCode, offset); offset += 1;
@@ -211,7 +203,7 @@ class WAL {
     }
 
     _writeEntry(entry) {
-        if (!this.fd) return;
+        if (this.fd === null) return;
         fs.writeSync(this.fd, entry);
     }
 
@@ -223,11 +215,24 @@ class WAL {
         this.pendingOps = [];
     }
 
+    /**
+     * Register the callback that makes logged pages durable in the data file.
+     * @param {Function} handler
+     */
+    setCheckpointHandler(handler) {
+        this.checkpointHandler = handler;
+    }
+
     checkpoint() {
         if (!this.enabled) return;
 
         this._flushPendingOps();
 
+        // Data file first: the marker promises every earlier LSN is on disk
+        if (this.checkpointHandler) {
+            this.checkpointHandler();
+        }
+
         const checkpointEntry = this._createLogEntry(
             ++this.lsn,
             this._getOpCode('CHECKPOINT'),
@@ -237,22 +242,31 @@ class WAL {
             null
         );
         this._writeEntry(checkpointEntry);
-        if (this.fd) {
+        if (this.fd !== null) {
             try {
                 fs.fsyncSync(this.fd);
             } catch (e) {
-                // Ignore invalid fd if stream closed or not ready
+                // Ignore invalid fd if already closed
             }
         }
 
         this.operationCount = 0;
     }
 
+    /**
+     * Read the log and return the page images that must be redone.
+     * Only entries newer than the last CHECKPOINT are returned (older ones are
+     * already in the data file), ordered by LSN. Parsing stops at the first
+     * torn or garbage entry, which is what a crash mid-append leaves behind.
+     * @returns {Array<{lsn, opCode, tableName, pageId, beforeImage, afterImage}>}
+     */
     recover() {
         if (!this.enabled || !fs.existsSync(this.walPath)) {
             return [];
         }
 
+        this._flushBuffer();
+
         const stats = fs.statSync(this.walPath);
         if (stats.size === 0) return [];
 
@@ -262,26 +276,34 @@ class WAL {
         fs.closeSync(fd);
 
         const operations = [];
+        const checkpointOp = this._getOpCode('CHECKPOINT');
+        let checkpointLSN = 0;
         let offset = 0;
 
-        while (offset < buffer.length) {
-            try {
-                const magic = buffer.readUInt32LE(offset);
-                if (magic !== 0x57414C00) break;
-
-                const entrySize = buffer.readUInt32LE(offset + 4);
-                const lsn = Number(buffer.readBigUInt64LE(offset + 8));
-                const opCode = buffer.readUInt8(offset + 16);
-                const tableName = buffer.toString('utf8', offset + 17, offset + 49).replace(/\0/g, '');
-                const pageId = buffer.readUInt32LE(offset + 49);
-                const beforeSize = buffer.readUInt32LE(offset + 53);
-                const afterSize = buffer.readUInt32LE(offset + 57);
-
-                let dataOffset = offset + 61;
-                const beforeImage = beforeSize > 0 ? buffer.slice(dataOffset, dataOffset + beforeSize) : null;
-                dataOffset += beforeSize;
-                const afterImage = afterSize > 0 ? buffer.slice(dataOffset, dataOffset + afterSize) : null;
+        while (offset + ENTRY_HEADER_SIZE <= buffer.length) {
+            const magic = buffer.readUInt32LE(offset);
+            if (magic !== ENTRY_MAGIC) break;
 
+            const entrySize = buffer.readUInt32LE(offset + 4);
+            if (entrySize < ENTRY_HEADER_SIZE || offset + entrySize > buffer.length) break; // Torn tail
+
+            const lsn = Number(buffer.readBigUInt64LE(offset + 8));
+            const opCode = buffer.readUInt8(offset + 16);
+            const tableName = buffer.toString('utf8', offset + 17, offset + 49).replace(/\0/g, '');
+            const pageId = buffer.readUInt32LE(offset + 49);
+            const beforeSize = buffer.readUInt32LE(offset + 53);
+            const afterSize = buffer.readUInt32LE(offset + 57);
+
+            if (ENTRY_HEADER_SIZE + beforeSize + afterSize !== entrySize) break; // Garbage sizes
+
+            let dataOffset = offset + ENTRY_HEADER_SIZE;
+            const beforeImage = beforeSize > 0 ? buffer.slice(dataOffset, dataOffset + beforeSize) : null;
+            dataOffset += beforeSize;
+            const afterImage = afterSize > 0 ? buffer.slice(dataOffset, dataOffset + afterSize) : null;
+
+            if (opCode === checkpointOp) {
+                if (lsn > checkpointLSN) checkpointLSN = lsn;
+            } else {
                 operations.push({
                     lsn,
                     opCode,
@@ -290,24 +312,25 @@ class WAL {
                     beforeImage,
                     afterImage
                 });
-
-                offset += entrySize;
-            } catch (e) {
-                break;
             }
+
+            offset += entrySize;
         }
 
-        return operations;
+        return operations
+            .filter(op => op.lsn > checkpointLSN)
+            .sort((a, b) => a.lsn - b.lsn);
     }
 
     truncate() {
         if (!this.enabled) return;
 
-        this._flushBuffer(); // Flush any pending first (async)
-        // Note: fs.truncateSync works on path or fd. 
-        // With stream, it might be tricky if stream is writing.
-        // Best effort:
-        try { fs.truncateSync(this.walPath, 0); } catch (e) { }
+        this.bufferOffset = 0; // Everything buffered is covered by the caller's checkpoint
+        if (this.fd !== null) {
+            try { fs.ftruncateSync(this.fd, 0); } catch (e) { }
+        } else {
+            try { fs.truncateSync(this.walPath, 0); } catch (e) { }
+        }
         this.lsn = 0;
         this.operationCount = 0;
     }
@@ -324,12 +347,8 @@ class WAL {
         // Final flush
         this._flushBuffer();
 
-        if (this.stream) {
-            this.stream.end();
-            this.stream = null;
-        }
-
-        if (this.syncMode === 'full' && this.fd) {
+        if (this.fd !== null) {
+            try { fs.fsyncSync(this.fd); } catch (e) { }
             try { fs.closeSync(this.fd); } catch (e) { }
         }
 
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const SawitDB = require('../WowoEngine');
+const SawitError = require('../modules/SawitError');
 
 class DatabaseRegistry {
     constructor(dataDir, config) {
@@ -17,14 +18,11 @@ class DatabaseRegistry {
 
     validateName(name) {
         if (!name || typeof name !== 'string') {
-            throw new Error("Database name required");
+            throw SawitError.of('SAWIT_E_DATABASE_NAME_REQUIRED');
         }
         // Prevent Path Traversal and illegal chars
-        if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
-            throw new Error("Invalid database name. Only alphanumeric, hyphen, and underscore allowed.");
-        }
-        if (name.includes('..') || name.includes('/') || name.includes('\\')) {
-            throw new Error("Invalid database name (Path Traversal attempt).");
+        if (!/^[a-zA-Z0-9_-]+$/.test(name) || name.includes('..') || name.includes('/') || name.includes('\\')) {
+            throw SawitError.of('SAWIT_E_DATABASE_NAME');
         }
         return true;
     }
@@ -57,7 +55,7 @@ class DatabaseRegistry {
         this.validateName(name);
         const dbPath = path.join(this.dataDir, `${name}.sawit`);
         if (!fs.existsSync(dbPath)) {
-            throw new Error(`Database '${name}' does not exist`);
+            throw SawitError.of('SAWIT_E_DATABASE_NOT_FOUND', { database: name });
         }
 
         // Close if open
@@ -76,6 +74,18 @@ class DatabaseRegistry {
             .map((file) => file.replace('.sawit', ''));
     }
 
+    /**
+     * Roll back every transaction a disconnected client left open
+     * @returns {number} - Number of transactions rolled back
+     */
+    releaseSession(session) {
+        let released = 0;
+        for (const db of this.databases.values()) {
+            if (db.endSession(session)) released++;
+        }
+        return released;
+    }
+
     closeAll() {
         for (const [name, db] of this.databases) {
             try {
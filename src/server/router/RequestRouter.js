@@ -1,3 +1,6 @@
+const SawitError = require('../../modules/SawitError');
+const QueryResult = require('../../modules/QueryResult');
+
 class RequestRouter {
     constructor(server) {
         this.server = server;
@@ -8,9 +11,12 @@ class RequestRouter {
     handle(socket, request, session) {
         const { type, payload } = request;
 
+        // Language of error messages: chosen by the client and kept for the session
+        if (payload && typeof payload.language === 'string') session.setLanguage(payload.language);
+
         // Authentication check
         if (this.authManager.isEnabled() && !session.authenticated && type !== 'auth') {
-            return this.server.sendError(socket, 'Authentication required');
+            return this._fail(socket, session, SawitError.of('SAWIT_E_AUTH_REQUIRED'));
         }
 
         switch (type) {
@@ -31,7 +37,7 @@ class RequestRouter {
                 break;
 
             case 'list_databases':
-                this.handleListDatabases(socket);
+                this.handleListDatabases(socket, session);
                 break;
 
             case 'drop_database':
@@ -43,7 +49,7 @@ class RequestRouter {
                 break;
 
             default:
-                this.server.sendError(socket, `Unknown request type: ${type}`);
+                this._fail(socket, session, SawitError.of('SAWIT_E_UNKNOWN_REQUEST', { type }));
         }
     }
 
@@ -51,15 +57,12 @@ class RequestRouter {
         const { database } = payload;
 
         if (!database || typeof database !== 'string') {
-            return this.server.sendError(socket, 'Invalid database name');
+            return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_NAME'));
         }
 
         // Validate database name (alphanumeric, underscore, dash)
         if (!/^[a-zA-Z0-9_-]+$/.test(database)) {
-            return this.server.sendError(
-                socket,
-                'Database name can only contain letters, numbers, underscore, and dash'
-            );
+            return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_NAME'));
         }
 
         try {
@@ -71,7 +74,7 @@ class RequestRouter {
                 message: `Switched to database '${database}'`
             });
         } catch (err) {
-            this.server.sendError(socket, `Failed to use database: ${err.message}`);
+            this._fail(socket, session, this._databaseError('use', err));
         }
     }
 
@@ -79,6 +82,9 @@ class RequestRouter {
         const { query, params } = payload;
         const startTime = Date.now();
 
+        // Result mode is chosen by the client and kept for the session
+        if (typeof payload.structured === 'boolean') session.setStructured(payload.structured);
+
         // --- Intercept Server-Level Commands (Wilayah Management) ---
         const qUpper = query.trim().toUpperCase();
 
@@ -92,12 +98,12 @@ class RequestRouter {
 
                 return this.server.sendResponse(socket, {
                     type: 'query_result',
-                    result,
+                    result: this._result(session, result),
                     query,
                     executionTime: Date.now() - startTime
                 });
             } catch (err) {
-                return this.server.sendError(socket, `Gagal melihat wilayah: ${err.message}`);
+                return this._fail(socket, session, this._databaseError('list', err));
             }
         }
 
@@ -106,33 +112,28 @@ class RequestRouter {
             const parts = query.trim().split(/\s+/);
             // Index 2 is name (BUKA WILAYAH name OR CREATE DATABASE name)
             if (parts.length < 3) {
-                return this.server.sendError(socket, 'Syntax: BUKA WILAYAH [nama]');
+                return this._fail(socket, session, SawitError.of('SAWIT_E_SYNTAX', { usage: 'BUKA WILAYAH [nama] | CREATE DATABASE [name]' }));
             }
             const dbName = parts[2];
 
             try {
                 if (!/^[a-zA-Z0-9_-]+$/.test(dbName)) {
-                    return this.server.sendError(socket, 'Nama wilayah hanya boleh huruf, angka, _ dan -');
+                    return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_NAME'));
                 }
 
                 if (this.dbRegistry.exists(dbName)) {
-                    return this.server.sendResponse(socket, {
-                        type: 'query_result',
-                        result: `Wilayah '${dbName}' sudah ada.`,
-                        query,
-                        executionTime: Date.now() - startTime
-                    });
+                    return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_EXISTS', { database: dbName }));
                 }
 
                 this.dbRegistry.create(dbName);
                 return this.server.sendResponse(socket, {
                     type: 'query_result',
-                    result: `Wilayah '${dbName}' berhasil dibuka.`,
+                    result: this._result(session, `Wilayah '${dbName}' berhasil dibuka.`),
                     query,
                     executionTime: Date.now() - startTime
                 });
             } catch (err) {
-                return this.server.sendError(socket, `Gagal membuka wilayah: ${err.message}`);
+                return this._fail(socket, session, this._databaseError('open', err));
             }
         }
 
@@ -141,16 +142,16 @@ class RequestRouter {
             const parts = query.trim().split(/\s+/);
             const dbName = parts[1] === 'WILAYAH' ? parts[2] : parts[1]; // Handle MASUK WILAYAH vs USE
 
-            if (!dbName) return this.server.sendError(socket, 'Syntax: MASUK WILAYAH [nama]');
+            if (!dbName) return this._fail(socket, session, SawitError.of('SAWIT_E_SYNTAX', { usage: 'MASUK WILAYAH [nama] | USE [name]' }));
 
             if (!this.dbRegistry.exists(dbName)) {
-                return this.server.sendError(socket, `Wilayah '${dbName}' tidak ditemukan.`);
+                return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_NOT_FOUND', { database: dbName }));
             }
 
             session.setDatabase(dbName);
             return this.server.sendResponse(socket, {
                 type: 'query_result',
-                result: `Selamat datang di wilayah '${dbName}'.`,
+                result: this._result(session, `Selamat datang di wilayah '${dbName}'.`),
                 query,
                 executionTime: Date.now() - startTime
             });
@@ -165,7 +166,7 @@ class RequestRouter {
             const nameIndex = qUpper.startsWith('BAKAR') ? 2 : 2;
             const targetName = parts[nameIndex];
 
-            if (!targetName) return this.server.sendError(socket, 'Syntax: BAKAR WILAYAH [nama]');
+            if (!targetName) return this._fail(socket, session, SawitError.of('SAWIT_E_SYNTAX', { usage: 'BAKAR WILAYAH [nama] | DROP DATABASE [name]' }));
 
             try {
                 this.dbRegistry.drop(targetName);
@@ -174,22 +175,19 @@ class RequestRouter {
                 }
                 return this.server.sendResponse(socket, {
                     type: 'query_result',
-                    result: `Wilayah '${targetName}' telah hangus terbakar.`,
+                    result: this._result(session, `Wilayah '${targetName}' telah hangus terbakar.`),
                     query,
                     executionTime: Date.now() - startTime
                 });
             } catch (err) {
-                return this.server.sendError(socket, `Gagal membakar wilayah: ${err.message}`);
+                return this._fail(socket, session, this._databaseError('drop', err));
             }
         }
 
         // --- End Intercept ---
 
         if (!session.currentDatabase) {
-            return this.server.sendError(
-                socket,
-                'Anda belum masuk wilayah manapun. Gunakan: MASUK WILAYAH [nama]'
-            );
+            return this._fail(socket, session, SawitError.of('SAWIT_E_NO_DATABASE'));
         }
 
         try {
@@ -201,11 +199,17 @@ class RequestRouter {
                 // Let's rely on Registry.get(name) returning db instance.
                 // But ThreadPool needs path.
                 const fullPath = require('path').join(this.dbRegistry.dataDir, `${session.currentDatabase}.sawit`);
-                result = await this.server.threadPool.execute(fullPath, query, this.server.dbRegistry.walConfig);
+                result = await this.server.threadPool.execute(fullPath, query, this.server.dbRegistry.walConfig, {
+                    structured: session.structured,
+                    language: session.language,
+                    params,
+                    session: session.clientId
+                });
             } else {
                 // Local Execution
                 const db = this.dbRegistry.get(session.currentDatabase);
-                result = await Promise.resolve(db.query(query, params));
+                // Session scopes AKAD: each client gets its own transaction
+                result = await Promise.resolve(db.query(query, params, session));
             }
 
             const duration = Date.now() - startTime;
@@ -221,11 +225,34 @@ class RequestRouter {
         } catch (err) {
             this.server.log('error', `Query failed: ${err.message}`);
             this.server.stats.errors++;
-            this.server.sendError(socket, `Query error: ${err.message}`);
+            this._fail(socket, session, SawitError.from(err));
         }
     }
 
-    handleListDatabases(socket) {
+    /**
+     * Server-level command result in the session's result mode
+     */
+    _result(session, result) {
+        return session.structured ? QueryResult.from(result) : result;
+    }
+
+    /**
+     * Coded errors of DatabaseRegistry (name, not found) as they are, anything else as a failed operation
+     */
+    _databaseError(operation, err) {
+        if (err instanceof SawitError) return err;
+        return SawitError.of('SAWIT_E_DATABASE_FAILED', { operation: SawitError.term(operation), reason: SawitError.from(err) });
+    }
+
+    /**
+     * Send an error in the session's language, with its code
+     */
+    _fail(socket, session, error) {
+        error.localize(session.language);
+        return this.server.sendError(socket, error.message, error.code);
+    }
+
+    handleListDatabases(socket, session) {
         try {
             const databases = this.dbRegistry.list();
             this.server.sendResponse(socket, {
@@ -234,13 +261,13 @@ class RequestRouter {
                 count: databases.length
             });
         } catch (err) {
-            this.server.sendError(socket, `Failed to list databases: ${err.message}`);
+            this._fail(socket, session, this._databaseError('list', err));
         }
     }
 
     handleDropDatabase(socket, payload, session) {
         const { database } = payload;
-        if (!database) return this.server.sendError(socket, 'Database name required');
+        if (!database) return this._fail(socket, session, SawitError.of('SAWIT_E_DATABASE_NAME'));
 
         try {
             this.dbRegistry.drop(database);
@@ -253,7 +280,7 @@ class RequestRouter {
                 message: `Database '${database}' has been burned (dropped)`
             });
         } catch (err) {
-            this.server.sendError(socket, `Failed to drop database: ${err.message}`);
+            this._fail(socket, session, this._databaseError('drop', err));
         }
     }
 
@@ -1,9 +1,13 @@
+const ErrorCatalog = require('../../modules/ErrorCatalog');
+
 class ClientSession {
     constructor(socket, clientId) {
         this.socket = socket;
         this.clientId = clientId;
         this.authenticated = false;
         this.currentDatabase = null;
+        this.structured = false; // QueryResult / SawitError instead of plain results
+        this.language = null; // Error message language ('id' / 'en'); null uses the engine's
         this.connectedAt = Date.now();
     }
 
@@ -14,6 +18,14 @@ class ClientSession {
     setDatabase(databaseName) {
         this.currentDatabase = databaseName;
     }
+
+    setStructured(structured) {
+        this.structured = structured;
+    }
+
+    setLanguage(language) {
+        this.language = ErrorCatalog.resolveLanguage(language);
+    }
 }
 
 module.exports = ClientSession;
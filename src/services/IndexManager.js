@@ -1,4 +1,8 @@
 const BTreeIndex = require('../modules/BTreeIndex');
+const SawitError = require('../modules/SawitError');
+
+// Preferred operator for the non-equality part of a lookup (lower is narrower)
+const LOOKUP_RANK = { '=': 0, 'IN': 1, 'BETWEEN': 2, '>': 3, '>=': 3, '<': 3, '<=': 3, 'LIKE': 4 };
 
 class IndexManager {
     constructor(db) {
@@ -11,98 +15,557 @@ class IndexManager {
         return this.db.indexes;
     }
 
-    createIndex(table, field) {
+    /**
+     * @param {string|string[]} fields - One field, or several for a composite index
+     * @param {Object} options - { unique, primary } (a primary key is a unique index
+     *   whose fields must always be filled)
+     */
+    createIndex(table, fields, options = {}) {
         const entry = this.db.tableManager
             ? this.db.tableManager.findTableEntry(table)
             : this.db._findTableEntry(table);
 
-        if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table });
+
+        if (!Array.isArray(fields)) fields = [fields];
+        if (new Set(fields).size !== fields.length) {
+            throw SawitError.of('SAWIT_E_INDEX_REPEATED_FIELDS', { fields });
+        }
 
+        // Composite indexes are named after all their fields: 'panen.kebun_id,tanggal'
+        const field = fields.join(',');
         const indexKey = `${table}.${field}`;
         if (this.indexes.has(indexKey)) {
-            return `Indeks pada '${table}.${field}' sudah ada.`;
+            throw SawitError.of('SAWIT_E_INDEX_EXISTS', { index: indexKey });
         }
 
-        // Create index
-        const index = new BTreeIndex();
-        index.name = indexKey;
-        index.keyField = field;
+        const unique = !!(options.unique || options.primary);
+        const primary = !!options.primary;
 
-        // Build index from existing data
-        // We need a way to scan the table. 
-        // If TableManager has no scan capability yet, use db._select or db._scanTable fallback
-        // Ideally this logic belongs here or uses a Scanner service.
-        // For now, assuming db._select or similar is available or we replicate scan logic.
-        // Actually, db._select depends on QueryExecutor now?
-        // Let's rely on db._select being available (maybe delegating to SelectExecutor!)
-        // Circular dependency risk: SelectExecutor needs IndexManager, IndexManager needs SelectExecutor logic?
-        // Index building needs a simple table scan.
-        // Let's imply we can use db._scanTable directly if available.
-
-        let allRecords = [];
-        if (this.db._scanTable) {
-            // Use low-level scan if available, WITH HINTS to capture _pageId
-            allRecords = this.db._scanTable(entry, null, null, true);
-        } else if (this.db.query) {
-            // Use high level query? Risky.
-            // Assume _scanTable is preserved or moved to a Scanner.
-            // For now, let's assume WowoEngine keeps _scanTable or we move it to TableScanner.
-            // Let's use `db._scanTable` assuming it exists.
-            allRecords = this.db._scanTable(entry, null, null, true);
-        }
+        // Create index: nodes are stored in .sawit pages, root page id stays fixed
+        const index = this._openIndex(table, field, null, { unique, primary });
 
-        for (const record of allRecords) {
-            if (record.hasOwnProperty(field)) {
-                index.insert(record[field], record);
+        // Build index from existing data (with hints to capture _pageId)
+        const allRecords = this._buildIndex(index, entry);
+
+        if (unique) {
+            const problem = this._findUniqueProblem(index, allRecords);
+            if (problem) {
+                index.destroy();
+                throw SawitError.of('SAWIT_E_UNIQUE_INDEX_FAILED', { index: indexKey, reason: problem });
             }
         }
 
         this.indexes.set(indexKey, index);
 
-        // PERSISTENCE: Save to _indexes table
+        // PERSISTENCE: Save definition + root page to _indexes table
         try {
-            // Use db._insert to persist request. 
-            // If InsertExecutor delegates to db._insert, or db._insert uses InsertExecutor?
-            // Safer to allow db._insert if it resolves to the executor.
-            this.db._insert('_indexes', { table, field });
+            const definition = { table, field, root: index.rootId };
+            if (unique) definition.unique = true;
+            if (primary) definition.primary = true;
+            this.db._insert('_indexes', definition);
         } catch (e) {
             console.error("Failed to persist index definition", e);
         }
 
-        return `Indeks dibuat pada '${table}.${field}' (${allRecords.length} records indexed)`;
+        const kind = primary ? 'Kunci utama' : (unique ? 'Indeks unik' : 'Indeks');
+        return `${kind} dibuat pada '${table}.${field}' (${allRecords.length} records indexed)`;
     }
 
-    updateIndexes(table, newObj, oldObj) {
-        // If oldObj is null, it's an INSERT. If newObj is null, it's a DELETE. Both? Update.
+    _openIndex(table, field, rootPage, options = {}) {
+        const index = new BTreeIndex(32, new BTreeIndex.PagerNodeStore(this.db), rootPage);
+        index.name = `${table}.${field}`;
+        index.table = table;
+        index.keyField = field;
+        const fields = field.split(',');
+        if (fields.length > 1) index.fields = fields;
+        index.unique = !!options.unique;
+        index.primary = !!options.primary;
+        return index;
+    }
+
+    _buildIndex(index, entry) {
+        const allRecords = this.db._scanTable(entry, null, null, true);
+        for (const record of allRecords) {
+            const key = index.keyOf(record);
+            if (key !== undefined) {
+                index.insert(key, record._pageId);
+            }
+        }
+        return allRecords;
+    }
 
-        for (const [indexKey, index] of this.indexes) {
-            const [tbl, field] = indexKey.split('.');
-            if (tbl !== table) continue; // Wrong table
+    /**
+     * BUANG INDEKS / DROP INDEX: release the tree's pages and forget its definition
+     */
+    dropIndex(table, fields) {
+        const field = fields.join(',');
+        const indexKey = `${table}.${field}`;
+        const index = this.indexes.get(indexKey);
+        if (!index) throw SawitError.of('SAWIT_E_INDEX_NOT_FOUND', { index: indexKey });
+        if (index.primary) throw SawitError.of('SAWIT_E_INDEX_PRIMARY_DROP', { index: indexKey });
 
-            // 1. Remove old value from index (if exists and changed)
-            if (oldObj && oldObj.hasOwnProperty(field)) {
-                // Only remove if value changed OR it's a delete (newObj is null)
-                // If update, check if value diff
-                if (!newObj || newObj[field] !== oldObj[field]) {
-                    index.delete(oldObj[field]);
+        index.destroy();
+        this.indexes.delete(indexKey);
+        this.db._delete('_indexes', this._definitionCriteria(table, field));
+
+        return `Indeks '${indexKey}' dibuang.`;
+    }
+
+    /**
+     * REINDEX / INDEKS ULANG: build every index of table (all tables if omitted)
+     * into a fresh tree from a table scan, then release the old tree.
+     * An old tree too damaged to walk leaves its pages orphaned (PERIKSA KESEHATAN shows them).
+     */
+    reindex(table = null) {
+        if (table && !this.db.tableManager.findTableEntry(table)) {
+            throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table });
+        }
+
+        const rebuilt = [];
+        for (const [indexKey, old] of Array.from(this.indexes)) {
+            if (table && old.table !== table) continue;
+            const entry = this.db.tableManager.findTableEntry(old.table);
+            if (!entry) continue;
+
+            const index = this._openIndex(old.table, old.keyField, null, { unique: old.unique, primary: old.primary });
+            const records = this._buildIndex(index, entry);
+            if (index.unique) {
+                const problem = this._findUniqueProblem(index, records);
+                if (problem) {
+                    index.destroy();
+                    throw SawitError.of('SAWIT_E_UNIQUE_REINDEX_FAILED', { index: indexKey, reason: problem });
                 }
             }
 
-            // 2. Insert new value (if exists)
-            if (newObj && newObj.hasOwnProperty(field)) {
-                // Only insert if it's new OR value changed
-                if (!oldObj || newObj[field] !== oldObj[field]) {
-                    index.insert(newObj[field], newObj);
+            try {
+                old.destroy();
+            } catch (e) {
+                // Unreadable nodes: nothing more to release
+            }
+            this.indexes.set(indexKey, index);
+            this.db.updateExecutor.update('_indexes', { root: index.rootId }, this._definitionCriteria(old.table, old.keyField));
+            rebuilt.push(`${indexKey} (${records.length} records)`);
+        }
+
+        if (rebuilt.length === 0) return table ? `Tidak ada indeks pada '${table}'` : 'Tidak ada indeks.';
+        return `Indeks dibangun ulang: ${rebuilt.join(', ')}`;
+    }
+
+    /**
+     * Indexes of table that contain field (single or composite)
+     */
+    indexesOn(table, field) {
+        return Array.from(this.indexes.values())
+            .filter(index => index.table === table && (index.fields || [index.keyField]).includes(field));
+    }
+
+    /**
+     * ALTER TABLE ... RENAME TO: indexes keep their trees, only names and definitions move
+     */
+    renameTable(from, to) {
+        for (const [indexKey, index] of Array.from(this.indexes)) {
+            if (index.table !== from) continue;
+            this.indexes.delete(indexKey);
+            index.table = to;
+            index.name = `${to}.${index.keyField}`;
+            this.indexes.set(index.name, index);
+        }
+        this.db.updateExecutor.update('_indexes', { table: to }, { key: 'table', op: '=', val: from });
+    }
+
+    /**
+     * ALTER TABLE ... RENAME COLUMN: keys are values, so trees stay valid under the new field name
+     */
+    renameField(table, from, to) {
+        for (const index of this.indexesOn(table, from)) {
+            const oldField = index.keyField;
+            const fields = (index.fields || [index.keyField]).map(f => f === from ? to : f);
+            this.indexes.delete(index.name);
+            index.keyField = fields.join(',');
+            if (index.fields) index.fields = fields;
+            index.name = `${table}.${index.keyField}`;
+            this.indexes.set(index.name, index);
+            this.db.updateExecutor.update('_indexes', { field: index.keyField }, this._definitionCriteria(table, oldField));
+        }
+    }
+
+    /**
+     * Criteria selecting the _indexes row of an index
+     */
+    _definitionCriteria(table, field) {
+        return {
+            type: 'compound',
+            logic: 'AND',
+            conditions: [
+                { key: 'table', op: '=', val: table },
+                { key: 'field', op: '=', val: field }
+            ]
+        };
+    }
+
+    /**
+     * Empty every index of a table (root pages are kept)
+     */
+    clearIndexes(table) {
+        for (const index of this.indexes.values()) {
+            if (index.table === table) index.clear();
+        }
+    }
+
+    /**
+     * Rebuild every index of a table from a full scan (row locations changed)
+     */
+    rebuildIndexes(table) {
+        const entry = this.db.tableManager.findTableEntry(table);
+        if (!entry) return;
+
+        for (const index of this.indexes.values()) {
+            if (index.table !== table) continue;
+            index.clear();
+            this._buildIndex(index, entry);
+        }
+    }
+
+    /**
+     * Index on table.field, or null
+     */
+    indexFor(table, field) {
+        return this.indexes.get(`${table}.${field}`) || null;
+    }
+
+    /**
+     * Choose an index for criteria: a single condition, or the best indexed
+     * conditions of an AND. The other conditions are rechecked per row.
+     * @returns {{index: BTreeIndex, condition: Object, ranges: Array<{min, max}>}|null}
+     */
+    planLookup(table, criteria) {
+        if (!criteria) return null;
+
+        const conditions = [];
+        this._collectAndConditions(criteria, conditions);
+
+        let best = null;
+        for (const index of this.indexes.values()) {
+            if (index.table !== table) continue;
+            const plan = this._planIndex(index, conditions);
+            if (plan && (!best || this._comparePlans(plan, best) < 0)) best = plan;
+        }
+        return best;
+    }
+
+    /**
+     * Simple conditions that every matching row must satisfy (nested ANDs flattened)
+     */
+    _collectAndConditions(criteria, out) {
+        if (criteria.type !== 'compound') {
+            out.push(criteria);
+        } else if (criteria.logic === 'AND') {
+            for (const c of criteria.conditions) this._collectAndConditions(c, out);
+        }
+    }
+
+    /**
+     * Match conditions against the index fields: the longest leading run of `=`,
+     * optionally followed by one range / IN / LIKE condition on the next field.
+     */
+    _planIndex(index, conditions) {
+        const fields = index.fields || [index.keyField];
+        const prefix = [];
+        let tail = null;
+
+        for (const field of fields) {
+            const usable = conditions.filter(c => c.key === field && !c.expr && !c.valExpr && this._keyRanges(c));
+            const equality = usable.find(c => c.op === '=');
+            if (equality) {
+                prefix.push(equality);
+                continue;
+            }
+            usable.sort((a, b) => LOOKUP_RANK[a.op] - LOOKUP_RANK[b.op]);
+            tail = usable[0] || null;
+            break;
+        }
+        if (prefix.length === 0 && !tail) return null;
+
+        const condition = tail || prefix[prefix.length - 1];
+        let ranges;
+        if (!index.fields) {
+            ranges = this._keyRanges(condition);
+        } else {
+            // Composite keys are arrays: bound them by the equality prefix
+            const head = prefix.map(c => c.val);
+            const tailRanges = tail ? this._keyRanges(tail) : [{ min: undefined, max: undefined }];
+            ranges = tailRanges.map(({ min, max }) => ({
+                min: min === undefined ? head : [...head, min],
+                max: max === undefined ? [...head, BTreeIndex.MAX_KEY] : [...head, max, BTreeIndex.MAX_KEY]
+            }));
+        }
+
+        return { index, condition, ranges, equalities: prefix.length, tail };
+    }
+
+    /**
+     * Negative if plan a is narrower than plan b
+     */
+    _comparePlans(a, b) {
+        if (a.equalities !== b.equalities) return b.equalities - a.equalities;
+        if (!a.tail !== !b.tail) return a.tail ? -1 : 1;
+        if (!a.tail) return 0;
+        return LOOKUP_RANK[a.tail.op] - LOOKUP_RANK[b.tail.op];
+    }
+
+    /**
+     * Key ranges (inclusive, sorted, undefined = unbounded) that cover every row
+     * matching condition. Index keys are typed, so like equality lookups a number
+     * never matches a numeric string here.
+     */
+    _keyRanges(condition) {
+        const val = condition.val;
+        switch (condition.op) {
+            case '=':
+                return [{ min: val, max: val }];
+            case '>':
+            case '>=':
+                return [{ min: val, max: undefined }];
+            case '<':
+            case '<=':
+                return [{ min: undefined, max: val }];
+            case 'BETWEEN':
+                if (!Array.isArray(val) || BTreeIndex.compareKeys(val[0], val[1]) > 0) return null;
+                return [{ min: val[0], max: val[1] }];
+            case 'IN': {
+                if (!Array.isArray(val)) return null;
+                const keys = [...val].sort(BTreeIndex.compareKeys)
+                    .filter((k, i, all) => i === 0 || BTreeIndex.compareKeys(all[i - 1], k) !== 0);
+                return keys.map(k => ({ min: k, max: k }));
+            }
+            case 'LIKE':
+                return this._prefixRanges(val);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * LIKE 'prefix%' is case-insensitive and matches String(value), so the scan
+     * covers every case variant of the prefix plus all null/boolean/number keys.
+     */
+    _prefixRanges(pattern) {
+        if (typeof pattern !== 'string') return null;
+        const prefix = pattern.split(/[%_]/)[0];
+        if (!prefix) return null;
+
+        const upper = prefix.toUpperCase();
+        const lower = prefix.toLowerCase();
+        if (upper.length !== prefix.length || lower.length !== prefix.length) return null;
+
+        return [
+            { min: undefined, max: Infinity },
+            { min: upper, max: lower + '\uffff' }
+        ];
+    }
+
+    /**
+     * Data pages that may hold rows matching criteria on an indexed field.
+     * Returns null when no index applies (caller must scan the table).
+     */
+    lookupPages(table, criteria) {
+        const plan = this.planLookup(table, criteria);
+        if (!plan) return null;
+
+        const pageIds = new Set();
+        for (const { min, max } of plan.ranges) {
+            plan.index.walk(min, max, (key, pageId) => {
+                pageIds.add(pageId);
+            });
+        }
+        return Array.from(pageIds).sort((a, b) => a - b);
+    }
+
+    /**
+     * Rows in the order of index (ORDER BY on the indexed field), filtered by criteria.
+     * The walk stops as soon as limit rows were found. Rows without the field
+     * are not in the index and are not returned.
+     */
+    orderedRows(index, ranges, criteria, reverse = false, limit = Infinity) {
+        const results = [];
+        if (limit <= 0) return results;
+
+        // Entries are (key, pageId): rows sharing a key are read page by page
+        let groupKey;
+        let groupPages = [];
+        const flushGroup = () => {
+            // Ties keep scan order, like the in-memory sort
+            const pageIds = reverse ? groupPages.reverse() : groupPages;
+            for (const pageId of pageIds) {
+                for (const obj of this.db._readRows(index.table, pageId).items) {
+                    const key = index.keyOf(obj);
+                    if (key === undefined || BTreeIndex.compareKeys(key, groupKey) !== 0) continue;
+                    if (criteria && !this.db.conditionEvaluator.checkMatch(obj, criteria)) continue;
+                    results.push(obj);
+                    if (results.length >= limit) return false;
                 }
             }
+            groupPages = [];
+            return true;
+        };
+
+        const ordered = reverse ? [...ranges].reverse() : ranges;
+        for (const { min, max } of ordered) {
+            const finished = index.walk(min, max, (key, pageId) => {
+                if (groupPages.length > 0 && BTreeIndex.compareKeys(key, groupKey) !== 0) {
+                    if (!flushGroup()) return false;
+                }
+                if (groupPages.length === 0) groupKey = key;
+                if (groupPages[groupPages.length - 1] !== pageId) groupPages.push(pageId);
+            }, reverse);
+
+            if (!finished || (groupPages.length > 0 && !flushGroup())) break;
+        }
+        return results;
+    }
+
+    /**
+     * Read rows from the given data pages, filtered by criteria
+     */
+    fetchRows(table, pageIds, criteria, returnRaw = false) {
+        const results = [];
+        for (const pageId of pageIds) {
+            const pageData = this.db._readRows(table, pageId);
+            for (const obj of pageData.items) {
+                if (criteria && !this.db.conditionEvaluator.checkMatch(obj, criteria)) continue;
+                if (returnRaw) {
+                    Object.defineProperty(obj, '_pageId', {
+                        value: pageId,
+                        enumerable: false,
+                        writable: true
+                    });
+                }
+                results.push(obj);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * A key without value: not indexed, or null in one of its fields.
+     * UNIQUE lets any number of rows have one (like SQL NULL); a primary key does not.
+     */
+    _isEmptyKey(key) {
+        if (key === undefined || key === null) return true;
+        return Array.isArray(key) && key.some(v => v === null);
+    }
+
+    _describeKey(index, key) {
+        const fields = index.fields || [index.keyField];
+        if (fields.length === 1) return `${fields[0]} = ${JSON.stringify(key)}`;
+        return `(${fields.join(', ')}) = (${key.map(v => JSON.stringify(v)).join(', ')})`;
+    }
+
+    /**
+     * Reason a freshly built unique index is not unique (a SawitError to quote in the message), or null
+     */
+    _findUniqueProblem(index, records) {
+        if (index.primary) {
+            const empty = records.find(r => this._isEmptyKey(index.keyOf(r)));
+            if (empty) return SawitError.of('SAWIT_E_PRIMARY_KEY_EMPTY_ROWS', { column: index.keyField });
+        }
+
+        let previous;
+        let problem = null;
+        index.walk(undefined, undefined, (key) => {
+            if (!this._isEmptyKey(key) && previous !== undefined && BTreeIndex.compareKeys(previous, key) === 0) {
+                problem = SawitError.of('SAWIT_E_DUPLICATE_ROWS', { key: this._describeKey(index, key) });
+                return false;
+            }
+            previous = key;
+        });
+        return problem;
+    }
+
+    /**
+     * True if writing these fields can affect a UNIQUE index of table
+     */
+    touchesUnique(table, fields) {
+        for (const index of this.indexes.values()) {
+            if (index.table !== table || !index.unique) continue;
+            if ((index.fields || [index.keyField]).some(f => fields.includes(f))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Reject rows that would duplicate a key of a UNIQUE index or leave a
+     * primary key empty. Called before anything is written.
+     * @param {Object[]} rows - Rows about to be stored
+     * @param {Object[]} replaced - Rows they overwrite (UPDATE); their entries do not count
+     */
+    checkUnique(table, rows, replaced = []) {
+        for (const index of this.indexes.values()) {
+            if (index.table !== table || !index.unique) continue;
+
+            const released = new Map(); // Key JSON -> entries that go away
+            for (const row of replaced) {
+                const key = index.keyOf(row);
+                if (this._isEmptyKey(key)) continue;
+                const k = JSON.stringify(key);
+                released.set(k, (released.get(k) || 0) + 1);
+            }
+
+            const seen = new Set();
+            for (const row of rows) {
+                const key = index.keyOf(row);
+                if (this._isEmptyKey(key)) {
+                    if (index.primary) {
+                        throw SawitError.of('SAWIT_E_PRIMARY_KEY_REQUIRED', { column: index.keyField, table });
+                    }
+                    continue;
+                }
+
+                const k = JSON.stringify(key);
+                if (seen.has(k) || index.search(key).length > (released.get(k) || 0)) {
+                    const code = index.primary ? 'SAWIT_E_PRIMARY_KEY_VIOLATION' : 'SAWIT_E_UNIQUE_VIOLATION';
+                    throw SawitError.of(code, { key: this._describeKey(index, key), table });
+                }
+                seen.add(k);
+            }
+        }
+    }
+
+    updateIndexes(table, newObj, oldObj) {
+        // If oldObj is null, it's an INSERT. If newObj is null, it's a DELETE. Both? Update.
+        // Entries are (value, _pageId) so both objects must carry the page hint.
+
+        for (const index of this.indexes.values()) {
+            if (index.table !== table) continue; // Wrong table
+
+            const oldKey = oldObj ? index.keyOf(oldObj) : undefined;
+            const newKey = newObj ? index.keyOf(newObj) : undefined;
+
+            // Skip when neither the key nor the row location changed
+            if (oldKey !== undefined && newKey !== undefined && oldObj._pageId === newObj._pageId &&
+                BTreeIndex.compareKeys(oldKey, newKey) === 0) {
+                continue;
+            }
+
+            // 1. Remove old entry from index (if exists)
+            if (oldKey !== undefined) {
+                index.delete(oldKey, oldObj._pageId);
+            }
+
+            // 2. Insert new entry (if exists)
+            if (newKey !== undefined) {
+                index.insert(newKey, newObj._pageId);
+            }
         }
     }
 
     removeFromIndexes(table, data) {
-        for (const [indexKey, index] of this.indexes) {
-            const [tbl, field] = indexKey.split('.');
-            if (tbl === table && data.hasOwnProperty(field)) {
-                index.delete(data[field]); // Basic deletion from B-Tree
+        for (const index of this.indexes.values()) {
+            if (index.table !== table) continue;
+            const key = index.keyOf(data);
+            if (key !== undefined) {
+                index.delete(key, data._pageId);
             }
         }
     }
@@ -127,13 +590,7 @@ class IndexManager {
 
     // Initial loader
     loadIndexes() {
-        if (!this.db._select) return; // Wait until ready?
-
-        // Re-implement load indexes to include Hints
-        // We need to read _indexes.
-        // db._select might use SelectExecutor, which uses IndexManager... 
-        // Bootstrapping issue.
-        // We should use low-level scan for bootstrapping.
+        // Bootstrapping: read _indexes with a low-level scan (SelectExecutor needs us)
 
         let indexRecords = [];
         try {
@@ -151,30 +608,28 @@ class IndexManager {
             const table = rec.table;
             const field = rec.field;
             const indexKey = `${table}.${field}`;
+            if (this.indexes.has(indexKey)) continue;
 
-            if (!this.indexes.has(indexKey)) {
-                const index = new BTreeIndex();
-                index.name = indexKey;
-                index.keyField = field;
-
-                try {
-                    // Fetch all records with Hints
-                    const entry = this.db.tableManager
-                        ? this.db.tableManager.findTableEntry(table)
-                        : this.db._findTableEntry(table);
-
-                    if (entry && this.db._scanTable) {
-                        const allRecords = this.db._scanTable(entry, null, null, true); // true for Hints
-                        for (const record of allRecords) {
-                            if (record.hasOwnProperty(field)) {
-                                index.insert(record[field], record);
-                            }
-                        }
-                        this.indexes.set(indexKey, index);
-                    }
-                } catch (e) {
-                    console.error(`Failed to rebuild index ${indexKey}: ${e.message}`);
-                }
+            const options = { unique: rec.unique, primary: rec.primary };
+
+            // Persistent index: open the stored tree, no table scan needed
+            if (rec.root) {
+                this.indexes.set(indexKey, this._openIndex(table, field, rec.root, options));
+                continue;
+            }
+
+            // Legacy definition (pre on-disk indexes): build once, then remember the root page
+            try {
+                const entry = this.db.tableManager.findTableEntry(table);
+                if (!entry) continue;
+
+                const index = this._openIndex(table, field, null, options);
+                this._buildIndex(index, entry);
+                this.indexes.set(indexKey, index);
+
+                this.db.updateExecutor.update('_indexes', { root: index.rootId }, this._definitionCriteria(table, field));
+            } catch (e) {
+                console.error(`Failed to rebuild index ${indexKey}: ${e.message}`);
             }
         }
     }
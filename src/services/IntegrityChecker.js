@@ -0,0 +1,347 @@
+const fs = require('fs');
+const Pager = require('../modules/Pager');
+const BTreeIndex = require('../modules/BTreeIndex');
+
+/**
+ * IntegrityChecker - PERIKSA KESEHATAN / PRAGMA integrity_check
+ * Walks every structure in the .sawit file (catalog, table chains, overflow chains,
+ * index trees, free list) and reports what does not add up instead of throwing.
+ * Every page must belong to exactly one structure; the rest are orphans.
+ */
+class IntegrityChecker {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Checks the committed file, also while an AKAD overlay is active
+    get pager() {
+        return this.db.pager.base || this.db.pager;
+    }
+
+    check() {
+        const pager = this.pager;
+        pager.flush(); // Checksums are verified against what is on disk
+
+        this.issues = [];
+        this.owners = new Map(); // pageId -> owner label
+        this.badPages = new Set(); // Failed checksum, not parsed further
+        this.chainsCut = 0; // Chains that stop at an unreadable page
+
+        const p0 = pager.readPage(0);
+        this.totalPages = p0.readUInt32LE(4);
+
+        const filePages = Math.ceil(fs.fstatSync(pager.fd).size / Pager.PAGE_SIZE);
+        if (filePages < this.totalPages) {
+            this._report(0, `Header mencatat ${this.totalPages} halaman, file hanya berisi ${filePages}`);
+        }
+
+        if (pager.checksums) {
+            this._verifyChecksums(Math.min(this.totalPages, filePages));
+        }
+
+        this.owners.set(0, 'header');
+        const tables = this._checkCatalog(p0);
+        let rows = 0;
+        for (const table of tables) {
+            rows += this._checkTable(table);
+        }
+        const indexes = this._checkIndexes(tables);
+        const freePages = this._walkChain(p0.readUInt32LE(Pager.FREE_LIST_OFFSET), 'free list').length;
+
+        const orphans = [];
+        for (let pageId = 1; pageId < this.totalPages; pageId++) {
+            if (!this.owners.has(pageId)) orphans.push(pageId);
+        }
+        if (this.chainsCut > 0 && orphans.length > 0) {
+            // Whatever sat behind an unreadable page cannot be attributed
+            this._report(orphans[0], `${orphans.length} halaman tidak terjangkau karena ${this.chainsCut} rantai terputus`);
+        } else {
+            for (const pageId of orphans) {
+                this._report(pageId, `Halaman ${pageId} yatim (tidak dipakai dan tidak ada di free list)`);
+            }
+        }
+
+        return {
+            ok: this.issues.length === 0,
+            checksums: pager.checksums,
+            totalPages: this.totalPages,
+            tables: tables.length,
+            rows,
+            indexes,
+            freePages,
+            issues: this.issues
+        };
+    }
+
+    _report(page, message) {
+        this.issues.push({ page, message });
+    }
+
+    _verifyChecksums(pageCount) {
+        const buf = Buffer.alloc(Pager.PAGE_SIZE);
+        for (let pageId = 0; pageId < pageCount; pageId++) {
+            fs.readSync(this.pager.fd, buf, 0, Pager.PAGE_SIZE, pageId * Pager.PAGE_SIZE);
+            if (!this.pager.verifyChecksum(buf)) {
+                this.badPages.add(pageId);
+                this._report(pageId, `Checksum halaman ${pageId} tidak cocok (data rusak)`);
+            }
+        }
+    }
+
+    /**
+     * Mark a page as used by owner; false if it cannot be used
+     */
+    _claim(pageId, owner) {
+        if (pageId <= 0 || pageId >= this.totalPages) {
+            this._report(pageId, `Pointer ke halaman ${pageId} di luar file (${owner})`);
+            return false;
+        }
+        const previous = this.owners.get(pageId);
+        if (previous === owner) {
+            this._report(pageId, `Siklus pada rantai ${owner} di halaman ${pageId}`);
+            return false;
+        }
+        if (previous) {
+            this._report(pageId, `Halaman ${pageId} dipakai ganda: ${previous} dan ${owner}`);
+            return false;
+        }
+        this.owners.set(pageId, owner);
+        return true;
+    }
+
+    _readPage(pageId) {
+        if (this.badPages.has(pageId)) return null;
+        try {
+            return this.pager.readPage(pageId);
+        } catch (e) {
+            this.badPages.add(pageId);
+            this._report(pageId, e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Follow `next` links from pageId, claiming each page.
+     * visit(buf, pageId) is called for every readable page.
+     * @returns {number[]} - Page ids of the chain, in order (`complete` is false if it broke off)
+     */
+    _walkChain(firstPage, owner, visit) {
+        const pages = [];
+        pages.complete = false;
+        let pageId = firstPage;
+        while (pageId !== 0) {
+            if (!this._claim(pageId, owner)) return pages;
+            pages.push(pageId);
+            const buf = this._readPage(pageId);
+            if (!buf) {
+                this.chainsCut++;
+                return pages;
+            }
+            if (visit) visit(buf, pageId);
+            pageId = buf.readUInt32LE(0);
+        }
+        pages.complete = true;
+        return pages;
+    }
+
+    _checkCatalog(p0) {
+        const tables = [];
+        if (p0.readUInt32LE(Pager.CATALOG_MARKER_OFFSET) !== Pager.CATALOG_MARKER) {
+            this._report(0, 'Header halaman 0 tidak memiliki penanda katalog');
+            return tables;
+        }
+
+        this._walkChain(p0.readUInt32LE(Pager.CATALOG_PAGE_OFFSET), 'katalog', (buf, pageId) => {
+            try {
+                tables.push(...this.db.tableManager._decodeCatalogPage(buf, pageId).entries);
+            } catch (e) {
+                this._report(pageId, `Halaman katalog ${pageId} tidak bisa dibaca`);
+            }
+        });
+
+        const numTables = p0.readUInt32LE(8);
+        if (numTables !== tables.length) {
+            this._report(0, `Header mencatat ${numTables} kebun, katalog berisi ${tables.length}`);
+        }
+        return tables;
+    }
+
+    /**
+     * Walk a table chain, parse every record and collect what indexes should contain
+     * @returns {number} - Number of readable rows
+     */
+    _checkTable(table) {
+        const owner = `kebun ${table.name}`;
+        const usableSize = this.pager.usableSize;
+        table.pageSet = new Set();
+        table.rows = []; // { obj, pageId }
+
+        const pages = this._walkChain(table.startPage, owner, (buf, pageId) => {
+            const count = buf.readUInt16LE(4);
+            const freeOffset = buf.readUInt16LE(6);
+            let offset = 8;
+
+            for (let i = 0; i < count; i++) {
+                if (offset + 2 > usableSize) {
+                    this._report(pageId, `${owner}: halaman ${pageId} mencatat ${count} record, hanya ${i} yang muat`);
+                    return;
+                }
+                const slotSize = this.pager.recordSlotSize(buf, offset);
+                if (offset + slotSize > usableSize) {
+                    this._report(pageId, `${owner}: record ${i} di halaman ${pageId} melewati batas halaman`);
+                    return;
+                }
+
+                const json = this._readRecordJSON(buf, offset, owner, pageId, i);
+                offset += slotSize;
+                if (json === null) continue;
+
+                try {
+                    table.rows.push({ obj: this.db.schemaManager.upgradeRow(table.name, JSON.parse(json)), pageId });
+                } catch (e) {
+                    this._report(pageId, `${owner}: record ${i} di halaman ${pageId} tidak bisa di-parse`);
+                }
+            }
+
+            if (offset !== freeOffset) {
+                this._report(pageId, `${owner}: jumlah record (${count}) tidak cocok dengan freeOffset ${freeOffset} di halaman ${pageId}`);
+            }
+        });
+
+        for (const pageId of pages) table.pageSet.add(pageId);
+        table.chainComplete = pages.complete;
+
+        if (pages.complete && pages.length > 0 && pages[pages.length - 1] !== table.lastPage) {
+            this._report(table.lastPage, `${owner}: lastPage ${table.lastPage} bukan ujung rantai (${pages[pages.length - 1]})`);
+        }
+        return table.rows.length;
+    }
+
+    /**
+     * JSON text of a record slot; overflow chains are walked (and claimed) here
+     * instead of Pager.readChain so a broken chain cannot loop forever.
+     */
+    _readRecordJSON(buf, offset, owner, pageId, index) {
+        const len = buf.readUInt16LE(offset);
+        if (len !== Pager.OVERFLOW_MARKER) {
+            return buf.toString('utf8', offset + 2, offset + 2 + len);
+        }
+
+        const firstPage = buf.readUInt32LE(offset + 2);
+        const totalLen = buf.readUInt32LE(offset + 6);
+        const parts = [];
+        this._walkChain(firstPage, `overflow ${owner}`, chainBuf => {
+            const len = Math.min(chainBuf.readUInt16LE(4), this.pager.chainPayloadSize);
+            parts.push(chainBuf.slice(Pager.CHAIN_HEADER_SIZE, Pager.CHAIN_HEADER_SIZE + len));
+        });
+
+        const data = Buffer.concat(parts);
+        if (data.length < totalLen) {
+            this._report(pageId, `${owner}: overflow record ${index} di halaman ${pageId} terpotong (${data.length}/${totalLen} byte)`);
+            return null;
+        }
+        return data.toString('utf8', 0, totalLen);
+    }
+
+    /**
+     * Check every loaded index tree against the rows of its table
+     * @returns {number} - Number of indexes checked
+     */
+    _checkIndexes(tables) {
+        const byName = new Map(tables.map(t => [t.name, t]));
+        let checked = 0;
+
+        for (const index of this.db.indexes.values()) {
+            if (!(index.store instanceof BTreeIndex.PagerNodeStore)) continue;
+            const owner = `indeks ${index.name}`;
+            const table = byName.get(index.table);
+            if (!table) {
+                this._report(index.rootId, `${owner}: kebun '${index.table}' tidak ada di katalog`);
+                continue;
+            }
+            checked++;
+
+            // Expected (key, pageId) entries, as a multiset
+            const expected = new Map();
+            for (const { obj, pageId } of table.rows) {
+                const key = index.keyOf(obj);
+                if (key === undefined) continue;
+                const k = JSON.stringify([key, pageId]);
+                expected.set(k, (expected.get(k) || 0) + 1);
+            }
+
+            let stray = 0;
+            let outside = 0;
+            const uniqueKeys = index.unique ? new Set() : null;
+            let duplicates = 0;
+            this._checkIndexNode(index.rootId, owner, (key, pageId) => {
+                if (uniqueKeys && key !== null && !(Array.isArray(key) && key.includes(null))) {
+                    const k = JSON.stringify(key);
+                    if (uniqueKeys.has(k)) duplicates++;
+                    else uniqueKeys.add(k);
+                }
+                if (this.badPages.has(pageId)) return; // Rows there were not readable either
+                if (!table.pageSet.has(pageId)) {
+                    if (table.chainComplete) outside++; // Otherwise the page may sit behind the break
+                    return;
+                }
+                const k = JSON.stringify([key, pageId]);
+                const n = expected.get(k) || 0;
+                if (n === 0) stray++;
+                else expected.set(k, n - 1);
+            });
+
+            if (duplicates > 0) {
+                this._report(index.rootId, `${owner}: ${duplicates} kunci ganda pada indeks unik`);
+            }
+            if (outside > 0) {
+                this._report(index.rootId, `${owner}: ${outside} entri menunjuk halaman di luar kebun ${table.name}`);
+            }
+
+            let missing = 0;
+            for (const n of expected.values()) missing += n;
+            if (stray > 0 || missing > 0) {
+                this._report(index.rootId, `${owner}: ${stray} entri tanpa baris, ${missing} baris tanpa entri`);
+            }
+        }
+        return checked;
+    }
+
+    _checkIndexNode(nodeId, owner, visit) {
+        const parts = [];
+        const pages = this._walkChain(nodeId, owner, buf => {
+            const len = Math.min(buf.readUInt16LE(4), this.pager.chainPayloadSize);
+            parts.push(buf.slice(Pager.CHAIN_HEADER_SIZE, Pager.CHAIN_HEADER_SIZE + len));
+        });
+        if (!pages.complete) return;
+
+        let node;
+        try {
+            node = JSON.parse(Buffer.concat(parts).toString('utf8'));
+        } catch (e) {
+            this._report(nodeId, `${owner}: node ${nodeId} tidak bisa di-parse`);
+            return;
+        }
+
+        if (node.leaf) {
+            if (!Array.isArray(node.keys) || !Array.isArray(node.values) || node.keys.length !== node.values.length) {
+                this._report(nodeId, `${owner}: leaf ${nodeId} rusak (keys/values tidak sepadan)`);
+                return;
+            }
+            for (let i = 0; i < node.keys.length; i++) {
+                visit(node.keys[i], node.values[i]);
+            }
+            return;
+        }
+
+        if (!Array.isArray(node.keys) || !Array.isArray(node.children) || node.children.length !== node.keys.length + 1) {
+            this._report(nodeId, `${owner}: node ${nodeId} rusak (jumlah anak tidak sesuai)`);
+            return;
+        }
+        for (const child of node.children) {
+            this._checkIndexNode(child, owner, visit);
+        }
+    }
+}
+
+module.exports = IntegrityChecker;
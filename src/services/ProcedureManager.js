@@ -1,3 +1,5 @@
+const SawitError = require('../modules/SawitError');
+
 /**
  * ProcedureManager - Manages Stored Procedures (SOP) for SawitDB
  * Allows saving and executing script blocks / macros.
@@ -69,7 +71,7 @@ class ProcedureManager {
      */
     executeProcedure(name) {
         if (!this.procedures.has(name)) {
-            throw new Error(`Procedure '${name}' not found.`);
+            throw SawitError.of('SAWIT_E_PROCEDURE_NOT_FOUND', { procedure: name });
         }
 
         const body = this.procedures.get(name);
@@ -80,7 +82,7 @@ class ProcedureManager {
 
     dropProcedure(name) {
         if (!this.procedures.has(name)) {
-            throw new Error(`Procedure '${name}' not found.`);
+            throw SawitError.of('SAWIT_E_PROCEDURE_NOT_FOUND', { procedure: name });
         }
 
         this.engine.deleteExecutor.execute({
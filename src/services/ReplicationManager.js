@@ -1,4 +1,5 @@
 const net = require('net');
+const SawitError = require('../modules/SawitError');
 
 /**
  * ReplicationManager - Manages Replication (CABANG) for SawitDB
@@ -25,7 +26,7 @@ class ReplicationManager {
             return `Server configured as PRIMARY. Listening for replicas...`;
 
         } else if (role === 'REPLICA' || role === 'CABANG') {
-            if (!host || !port) throw new Error("Replica requires Host and Port of Primary.");
+            if (!host || !port) throw SawitError.of('SAWIT_E_REPLICA_HOST_REQUIRED');
 
             this.role = 'REPLICA';
             this._connectToPrimary(host, port);
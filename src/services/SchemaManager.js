@@ -0,0 +1,851 @@
+/**
+ * SchemaManager - Typed column definitions for SawitDB tables
+ * Tables created with a column list (CREATE TABLE t (id INT, nama TEXT)) keep their
+ * declared types and constraints (NOT NULL, DEFAULT, CHECK, FOREIGN KEY) in the _schema
+ * system table. Inserts and updates are coerced to those types and validated before anything
+ * is written; columns that are not declared (or declared without a type) stay schemaless.
+ * Deletes apply the ON DELETE action of every foreign key that references the table.
+ * AUTO_INCREMENT / SERIAL columns take their values from a sequence of their own (SequenceManager).
+ * ALTER TABLE column changes are versioned: existing records are upgraded when read (upgradeRow).
+ */
+const ConditionEvaluator = require('./logic/ConditionEvaluator');
+const ExpressionEvaluator = require('./logic/ExpressionEvaluator');
+const SequenceManager = require('./SequenceManager');
+const SawitError = require('../modules/SawitError');
+
+// Declared type name -> canonical type
+const TYPE_ALIASES = {
+    INT: 'INT', INTEGER: 'INT', BIGINT: 'INT', SMALLINT: 'INT', BULAT: 'INT',
+    FLOAT: 'FLOAT', REAL: 'FLOAT', DOUBLE: 'FLOAT', DECIMAL: 'FLOAT', NUMERIC: 'FLOAT', PECAHAN: 'FLOAT',
+    TEXT: 'TEXT', VARCHAR: 'TEXT', CHAR: 'TEXT', STRING: 'TEXT', TEKS: 'TEXT',
+    BOOL: 'BOOL', BOOLEAN: 'BOOL',
+    DATE: 'DATE', TANGGAL: 'DATE'
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// CASCADE chains deeper than this are treated as a reference cycle
+const MAX_CASCADE_DEPTH = 32;
+
+// Schema version a record was written at, stored in records of tables changed by ALTER TABLE
+const VERSION_FIELD = '_v';
+
+class SchemaManager {
+    constructor(engine) {
+        this.engine = engine;
+        // tableName -> { columns: [{ name, type, notNull, default, autoIncrement }], checks: [criteria],
+        //               foreignKeys: [{ columns, refTable, refColumns, onDelete }] }
+        this.schemas = new Map();
+        // tableName -> { version, changes: [{ version, action: 'ADD' | 'DROP' | 'RENAME', column, ... }] }
+        this.versions = new Map();
+        this.conditionEvaluator = new ConditionEvaluator();
+        this.cascadeDepth = 0;
+    }
+
+    /**
+     * Canonical type for a declared type name, or undefined if unknown
+     */
+    static normalizeType(typeName) {
+        return TYPE_ALIASES[String(typeName).toUpperCase()];
+    }
+
+    /**
+     * Validate a table definition and resolve type aliases.
+     * Called before the table exists so a bad definition creates nothing.
+     * @param {Object} definition - { table, columns: [{ name, type, notNull, default }], checks: [criteria],
+     *   foreignKeys, primaryKey, unique } as produced by the parser; types as declared (aliases allowed)
+     * @returns {{columns: Array, checks: Array, foreignKeys: Array}}
+     */
+    normalizeSchema(definition) {
+        const seen = new Set();
+        const columns = definition.columns.map(col => {
+            if (seen.has(col.name)) throw SawitError.of('SAWIT_E_COLUMN_DEFINED_TWICE', { column: col.name });
+            seen.add(col.name);
+
+            // SERIAL is INT AUTO_INCREMENT
+            const serial = ['SERIAL', 'BIGSERIAL'].includes(String(col.type).toUpperCase());
+            const type = serial ? 'INT' : (col.type ? SchemaManager.normalizeType(col.type) : null);
+            if (col.type && !type) throw SawitError.of('SAWIT_E_UNKNOWN_TYPE', { type: col.type, column: col.name });
+
+            const column = { name: col.name, type, notNull: !!col.notNull };
+            if (serial || col.autoIncrement) {
+                if (type && type !== 'INT') throw SawitError.of('SAWIT_E_AUTO_INCREMENT_TYPE', { column: col.name });
+                if (col.default) throw SawitError.of('SAWIT_E_AUTO_INCREMENT_DEFAULT', { column: col.name });
+                // The sequence is created with the table (defineSchema)
+                Object.assign(column, { type: 'INT', notNull: true, autoIncrement: true });
+            } else if (col.default && col.default.fn === 'NEXTVAL') {
+                if (!this.engine.sequenceManager.sequences.has(col.default.sequence)) {
+                    throw SawitError.of('SAWIT_E_SEQUENCE_NOT_FOUND', { sequence: col.default.sequence });
+                }
+                column.default = col.default;
+            } else if (col.default) {
+                column.default = col.default;
+                // A default that can never be stored is a definition error, not an insert error
+                const value = this.coerceValue(definition.table || 'baru', column, this._defaultValue(column));
+                if (column.notNull && value === null) {
+                    throw SawitError.of('SAWIT_E_NOT_NULL_DEFAULT_NULL', { column: col.name });
+                }
+            }
+            return column;
+        });
+
+        const foreignKeys = (definition.foreignKeys || []).map(fk => this._normalizeForeignKey(definition, columns, fk));
+
+        return { columns, checks: definition.checks || [], foreignKeys };
+    }
+
+    /**
+     * A foreign key must point at the primary key or a UNIQUE column set of an existing table
+     * (or of the table being created, for self references). Omitted target columns mean its primary key.
+     */
+    _normalizeForeignKey(definition, columns, fk) {
+        for (const name of fk.columns) {
+            const col = columns.find(c => c.name === name);
+            if (!col) throw SawitError.of('SAWIT_E_FK_COLUMN_NOT_FOUND', { column: name });
+            if (fk.onDelete === 'SET NULL' && col.notNull) {
+                throw SawitError.of('SAWIT_E_FK_SET_NULL_NOT_NULL', { column: name });
+            }
+        }
+
+        // Self reference in CREATE TABLE: the keys are in the definition, not in indexes yet
+        const self = fk.refTable === definition.table && !this.engine.tableManager.findTableEntry(fk.refTable);
+        if (!self && !this.engine.tableManager.findTableEntry(fk.refTable)) {
+            throw SawitError.of('SAWIT_E_FK_TABLE_NOT_FOUND', { table: fk.refTable });
+        }
+
+        // Key column sets of the target: [{ fields, primary }]
+        const keys = self
+            ? [
+                ...(definition.primaryKey ? [{ fields: definition.primaryKey, primary: true }] : []),
+                ...(definition.unique || []).map(fields => ({ fields, primary: false }))
+            ]
+            : [...this.engine.indexes.values()]
+                .filter(index => index.unique && index.name.startsWith(fk.refTable + '.'))
+                .map(index => ({ fields: index.fields || [index.keyField], primary: index.primary }));
+
+        let refColumns = fk.refColumns;
+        if (!refColumns) {
+            const primary = keys.find(key => key.primary);
+            if (!primary) throw SawitError.of('SAWIT_E_FK_NO_PRIMARY_KEY', { table: fk.refTable });
+            refColumns = primary.fields;
+        }
+        if (refColumns.length !== fk.columns.length) {
+            throw SawitError.of('SAWIT_E_FK_COLUMN_COUNT', { columns: fk.columns, refColumns });
+        }
+        if (!keys.some(key => key.fields.join(',') === refColumns.join(','))) {
+            throw SawitError.of('SAWIT_E_FK_NOT_UNIQUE', { table: fk.refTable, columns: refColumns });
+        }
+
+        return { columns: fk.columns, refTable: fk.refTable, refColumns, onDelete: fk.onDelete || 'RESTRICT' };
+    }
+
+    /**
+     * Store the (normalized) schema of a new table
+     */
+    defineSchema(table, schema) {
+        for (const col of schema.columns) {
+            if (col.autoIncrement && !col.default) {
+                col.default = { fn: 'NEXTVAL', sequence: this.engine.sequenceManager.createOwnedSequence(table, col.name) };
+            }
+        }
+        this.schemas.set(table, schema);
+        this._persistSchema(table);
+    }
+
+    /**
+     * Replace the schema of an existing table (ALTER TABLE)
+     */
+    setSchema(table, schema) {
+        if (!this.schemas.has(table) && !this.versions.has(table)) {
+            this.defineSchema(table, schema);
+            return;
+        }
+        this.schemas.set(table, schema);
+        this._saveSchema(table);
+    }
+
+    /**
+     * ALTER TABLE ... ADD COLUMN: the table's schema with one more column (not stored yet).
+     * Schemaless tables get a schema holding just the new column.
+     * @param {Object} definition - Parsed column definition (see QueryParser._parseTableDefinition)
+     */
+    withColumn(table, definition) {
+        const current = this.schemas.get(table) || { columns: [], checks: [], foreignKeys: [] };
+        const column = definition.columns[0];
+        if (current.columns.some(col => col.name === column.name)) {
+            throw SawitError.of('SAWIT_E_COLUMN_EXISTS', { column: column.name, table });
+        }
+        // Existing rows would all get the value of one NEXTVAL call
+        if (column.autoIncrement || ['SERIAL', 'BIGSERIAL'].includes(String(column.type).toUpperCase()) ||
+            (column.default && column.default.fn === 'NEXTVAL')) {
+            throw SawitError.of('SAWIT_E_ALTER_GENERATED');
+        }
+
+        // Validated like a new table whose other columns already exist as declared
+        const added = this.normalizeSchema({
+            table,
+            columns: [column],
+            checks: definition.checks,
+            foreignKeys: definition.foreignKeys,
+            unique: definition.unique
+        });
+        return {
+            columns: [...current.columns, ...added.columns],
+            checks: [...current.checks, ...added.checks],
+            foreignKeys: [...current.foreignKeys, ...added.foreignKeys]
+        };
+    }
+
+    /**
+     * ALTER TABLE ... ADD COLUMN: the change giving existing rows the new (last) column of schema.
+     * The default is evaluated once, so NOW() is the same for every existing row.
+     */
+    addColumnChange(table, schema) {
+        const col = schema.columns[schema.columns.length - 1];
+        const value = col.default ? this.coerceValue(table, col, this._defaultValue(col)) : undefined;
+        return { action: 'ADD', column: col.name, type: col.type, value };
+    }
+
+    /**
+     * Function giving an existing row a column change and checking it against the new schema,
+     * for ALTER TABLE to try on every row before the change is logged
+     */
+    columnFiller(table, schema, change) {
+        return (row) => {
+            const result = { ...row };
+            this._applyColumnChange(table, result, change);
+            this.validateRow(table, result, schema);
+            return result;
+        };
+    }
+
+    /**
+     * Log an ALTER TABLE column change as the table's next schema version. Records are not
+     * rewritten: the ones written before are upgraded when read, new ones carry the version.
+     * @param {Object} change - { action: 'ADD', column, type, value } | { action: 'DROP', column }
+     *   | { action: 'RENAME', column, to }
+     */
+    logColumnChange(table, change) {
+        const stored = this.schemas.has(table) || this.versions.has(table);
+        const log = this.versions.get(table) || { version: 0, changes: [] };
+        log.version++;
+        log.changes.push({ ...change, version: log.version });
+        this.versions.set(table, log);
+
+        if (stored) this._saveSchema(table);
+        else this._persistSchema(table);
+    }
+
+    /**
+     * Bring a record read from disk to the table's schema version, in place. The version
+     * then stays on the row as a hidden property, so cached rows are upgraded only once.
+     */
+    upgradeRow(table, row) {
+        const log = this.versions.get(table);
+        if (!log) return row;
+
+        const version = row[VERSION_FIELD] || 0;
+        if (version === log.version && !Object.prototype.propertyIsEnumerable.call(row, VERSION_FIELD)) return row;
+        for (const change of log.changes) {
+            if (change.version > version) this._applyColumnChange(table, row, change);
+        }
+        Object.defineProperty(row, VERSION_FIELD, { value: log.version, enumerable: false, writable: true, configurable: true });
+        return row;
+    }
+
+    upgradeRows(table, rows) {
+        if (this.versions.has(table)) {
+            for (const row of rows) this.upgradeRow(table, row);
+        }
+        return rows;
+    }
+
+    /**
+     * Record as it is written to disk: tagged with the schema version once the table has one
+     */
+    stampRow(table, row) {
+        const log = this.versions.get(table);
+        return log ? { ...row, [VERSION_FIELD]: log.version } : row;
+    }
+
+    _applyColumnChange(table, row, change) {
+        const has = Object.prototype.hasOwnProperty.call(row, change.column);
+        switch (change.action) {
+            case 'ADD':
+                // Rows that already carry the field keep their value
+                if (has) row[change.column] = this.coerceValue(table, { name: change.column, type: change.type }, row[change.column]);
+                else if (change.value !== undefined) row[change.column] = change.value;
+                break;
+            case 'DROP':
+                delete row[change.column];
+                break;
+            case 'RENAME': {
+                if (!has) break;
+                // Keep the field's position in the record
+                const entries = Object.entries(row);
+                entries.forEach(([key]) => delete row[key]);
+                for (const [key, value] of entries) {
+                    row[key === change.column ? change.to : key] = value;
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * ALTER TABLE ... DROP COLUMN: the schema without the column, its CHECKs and its foreign keys
+     * (null for schemaless tables). Columns other tables reference cannot be dropped.
+     */
+    withoutColumn(table, column) {
+        const ref = this.referencesTo(table).find(r => r.table !== table && r.fk.refColumns.includes(column));
+        if (ref) throw SawitError.of('SAWIT_E_COLUMN_REFERENCED', { table, column, child: ref.table });
+
+        const current = this.schemas.get(table);
+        if (!current) return null;
+        return {
+            columns: current.columns.filter(col => col.name !== column),
+            checks: current.checks.filter(check => !this._checkFields(check).includes(column)),
+            foreignKeys: current.foreignKeys.filter(fk => !fk.columns.includes(column) && !(fk.refTable === table && fk.refColumns.includes(column)))
+        };
+    }
+
+    /**
+     * ALTER TABLE ... RENAME COLUMN: the schema with the column renamed everywhere it is named
+     * (null for schemaless tables). Foreign keys of other tables follow in renameColumn().
+     */
+    withRenamedColumn(table, from, to) {
+        const current = this.schemas.get(table);
+        if (!current) return null;
+
+        const rename = (name) => name === from ? to : name;
+        return {
+            columns: current.columns.map(col => ({ ...col, name: rename(col.name) })),
+            checks: current.checks.map(check => this._renameCheckField(check, from, to)),
+            foreignKeys: current.foreignKeys.map(fk => ({
+                ...fk,
+                columns: fk.columns.map(rename),
+                refColumns: fk.refTable === table ? fk.refColumns.map(rename) : fk.refColumns
+            }))
+        };
+    }
+
+    /**
+     * Store the renamed column's schema and point other tables' foreign keys at the new name
+     */
+    renameColumn(table, from, to, schema) {
+        if (schema) this.setSchema(table, schema);
+        for (const { table: child, fk } of this.referencesTo(table)) {
+            if (child === table || !fk.refColumns.includes(from)) continue;
+            fk.refColumns = fk.refColumns.map(name => name === from ? to : name);
+            this._saveSchema(child);
+        }
+    }
+
+    /**
+     * ALTER TABLE ... RENAME TO: move the schema and retarget foreign keys that point at the table
+     */
+    renameTable(from, to) {
+        for (const [child, schema] of this.schemas) {
+            let changed = false;
+            for (const fk of schema.foreignKeys) {
+                if (fk.refTable === from) {
+                    fk.refTable = to;
+                    changed = true;
+                }
+            }
+            if (changed && child !== from) this._saveSchema(child);
+        }
+
+        const schema = this.schemas.get(from);
+        const log = this.versions.get(from);
+        if (!schema && !log) return;
+        if (schema) {
+            this.schemas.delete(from);
+            this.schemas.set(to, schema);
+        }
+        if (log) {
+            this.versions.delete(from);
+            this.versions.set(to, log);
+        }
+        this.engine.updateExecutor.update('_schema', schema ? { table: to, foreignKeys: schema.foreignKeys } : { table: to },
+            { key: 'table', op: '=', val: from });
+    }
+
+    _renameCheckField(criteria, from, to) {
+        if (criteria.type === 'compound') {
+            return { ...criteria, conditions: criteria.conditions.map(c => this._renameCheckField(c, from, to)) };
+        }
+        if (criteria.expr || criteria.valExpr) {
+            const renamed = { ...criteria };
+            if (criteria.expr) {
+                renamed.expr = ExpressionEvaluator.renameColumn(criteria.expr, from, to);
+                renamed.key = ExpressionEvaluator.describe(renamed.expr);
+            } else if (criteria.key === from) {
+                renamed.key = to;
+            }
+            if (criteria.valExpr) renamed.valExpr = ExpressionEvaluator.renameColumn(criteria.valExpr, from, to);
+            return renamed;
+        }
+        return criteria.key === from ? { ...criteria, key: to } : criteria;
+    }
+
+    getSchema(table) {
+        return this.schemas.get(table) || null;
+    }
+
+    dropSchema(table) {
+        const schema = this.schemas.get(table);
+        if (!schema && !this.versions.has(table)) return;
+        for (const col of schema ? schema.columns : []) {
+            if (col.autoIncrement) this.engine.sequenceManager.dropOwnedSequence(col.default.sequence);
+        }
+        this.schemas.delete(table);
+        this.versions.delete(table);
+        this.engine.deleteExecutor.execute({
+            type: 'DELETE',
+            table: '_schema',
+            criteria: { key: 'table', op: '=', val: table }
+        });
+    }
+
+    /**
+     * Row as it will be inserted: NEXTVAL values and defaults filled in for missing columns
+     * (AUTO_INCREMENT also for NULL), declared columns coerced, then NOT NULL, CHECK and
+     * FOREIGN KEY enforced. Returns a copy; throws on the first violation.
+     */
+    prepareInsert(table, row) {
+        row = this.engine.sequenceManager.resolveRow(row);
+        const schema = this.schemas.get(table);
+        if (!schema) return row;
+
+        const result = { ...row };
+        for (const col of schema.columns) {
+            const missing = !Object.prototype.hasOwnProperty.call(result, col.name);
+            if (col.default && (missing || (col.autoIncrement && this._isNull(result[col.name])))) {
+                result[col.name] = this._defaultValue(col);
+            }
+        }
+        const coerced = this.coerceRow(table, result);
+        this.validateRow(table, coerced);
+
+        // Explicit ids move the counter past them, so generated ones never collide
+        for (const col of schema.columns) {
+            if (col.autoIncrement) this.engine.sequenceManager.advance(col.default.sequence, coerced[col.name]);
+        }
+        return coerced;
+    }
+
+    /**
+     * Column of table whose value an INSERT of row generates (AUTO_INCREMENT, NEXTVAL default or
+     * NEXTVAL in VALUES), reported back to the caller; null if none
+     */
+    generatedColumn(table, row) {
+        const explicit = Object.keys(row).find(key => SequenceManager.isNextval(row[key]));
+        if (explicit) return explicit;
+
+        const schema = this.schemas.get(table);
+        if (!schema) return null;
+        const col = schema.columns.find(c => c.default && c.default.fn === 'NEXTVAL' &&
+            (!Object.prototype.hasOwnProperty.call(row, c.name) || (c.autoIncrement && this._isNull(row[c.name]))));
+        return col ? col.name : null;
+    }
+
+    /**
+     * 'table.column' of the column whose values come from sequence name, or null
+     */
+    sequenceUser(name) {
+        for (const [table, schema] of this.schemas) {
+            const col = schema.columns.find(c => c.default && c.default.fn === 'NEXTVAL' && c.default.sequence === name);
+            if (col) return `${table}.${col.name}`;
+        }
+        return null;
+    }
+
+    /**
+     * SET list of an UPDATE, coerced. Columns set to NULL are checked here;
+     * CHECK and FOREIGN KEY need the whole row (see validatesFields / validateUpdate).
+     */
+    prepareUpdate(table, updates) {
+        const schema = this.schemas.get(table);
+        if (!schema) return updates;
+
+        const coerced = this.coerceRow(table, updates);
+        for (const col of schema.columns) {
+            if (col.notNull && Object.prototype.hasOwnProperty.call(coerced, col.name) && this._isNull(coerced[col.name])) {
+                throw SawitError.of('SAWIT_E_NOT_NULL_VIOLATION', { column: col.name, table });
+            }
+        }
+        return coerced;
+    }
+
+    /**
+     * Does a CHECK or foreign key read any of these fields, or do other tables reference them?
+     * UPDATE then validates the changed rows (validateUpdate) before rewriting pages.
+     */
+    validatesFields(table, fields) {
+        const touches = (columns) => columns.some(field => fields.includes(field));
+        const schema = this.schemas.get(table);
+        if (schema && (schema.checks.some(check => touches(this._checkFields(check))) ||
+            schema.foreignKeys.some(fk => touches(fk.columns)))) {
+            return true;
+        }
+        return this.referencesTo(table).some(ref => touches(ref.fk.refColumns));
+    }
+
+    /**
+     * Whole-row checks for an UPDATE: every new row must satisfy NOT NULL, CHECK and its
+     * foreign keys, and a referenced key cannot change while rows still point at it.
+     */
+    validateUpdate(table, oldRows, newRows) {
+        newRows.forEach(row => this.validateRow(table, row));
+
+        for (const { table: child, fk } of this.referencesTo(table)) {
+            const changed = oldRows.filter((row, i) =>
+                fk.refColumns.some(col => !this._sameValue(row[col], newRows[i][col])));
+            const keys = this._keysOf(changed, fk.refColumns);
+            if (keys.length > 0 && this._findRows(child, this._keyCriteria(fk.columns, keys)).length > 0) {
+                throw SawitError.of('SAWIT_E_FK_KEY_REFERENCED', { table, columns: fk.refColumns, child });
+            }
+        }
+    }
+
+    /**
+     * NOT NULL, CHECK and FOREIGN KEY for a complete row. A CHECK that reads a missing / NULL
+     * column passes, as in SQL (the condition is unknown, not false); so does a foreign key
+     * with a NULL column. ALTER TABLE passes the schema it is about to store.
+     */
+    validateRow(table, row, schema = this.schemas.get(table)) {
+        if (!schema) return;
+
+        for (const col of schema.columns) {
+            if (col.notNull && this._isNull(row[col.name])) {
+                throw SawitError.of('SAWIT_E_NOT_NULL_VIOLATION', { column: col.name, table });
+            }
+        }
+        for (const check of schema.checks) {
+            if (this._checkFields(check).some(field => this._isNull(row[field]))) continue;
+            if (!this.conditionEvaluator.checkMatch(row, check)) {
+                throw SawitError.of('SAWIT_E_CHECK_VIOLATION', { check: SchemaManager.describeCheck(check), table });
+            }
+        }
+        for (const fk of schema.foreignKeys) {
+            const keys = this._keysOf([row], fk.columns);
+            if (keys.length === 0) continue;
+            // A row may reference itself (tree roots, self-managed records)
+            if (fk.refTable === table && fk.refColumns.every((col, i) => this._sameValue(row[col], keys[0][i]))) continue;
+            if (this._findRows(fk.refTable, this._keyCriteria(fk.refColumns, keys)).length === 0) {
+                const values = fk.columns.map(col => JSON.stringify(row[col]));
+                throw SawitError.of('SAWIT_E_FK_VIOLATION', { columns: fk.columns, values, table: fk.refTable });
+            }
+        }
+    }
+
+    /**
+     * Foreign keys of other tables (or the table itself) that point at this table
+     * @returns {Array<{table: string, fk: Object}>}
+     */
+    referencesTo(table) {
+        const refs = [];
+        for (const [child, schema] of this.schemas) {
+            for (const fk of schema.foreignKeys) {
+                if (fk.refTable === table) refs.push({ table: child, fk });
+            }
+        }
+        return refs;
+    }
+
+    /**
+     * ON DELETE for rows about to be deleted from table: RESTRICT refuses, CASCADE deletes
+     * the referencing rows (recursively, through DeleteExecutor), SET NULL clears their key.
+     * Runs before the rows themselves are removed.
+     */
+    applyDeleteActions(table, rows, criteria) {
+        const refs = this.referencesTo(table);
+        if (refs.length === 0 || rows.length === 0) return;
+
+        if (this.cascadeDepth >= MAX_CASCADE_DEPTH) {
+            throw SawitError.of('SAWIT_E_FK_CASCADE_TOO_DEEP', { table });
+        }
+
+        this.cascadeDepth++;
+        try {
+            for (const { table: child, fk } of refs) {
+                const keys = this._keysOf(rows, fk.refColumns);
+                if (keys.length === 0) continue;
+
+                const childCriteria = this._keyCriteria(fk.columns, keys);
+                let children = this._findRows(child, childCriteria);
+                // Self reference: rows deleted by this same statement do not count
+                if (child === table) children = children.filter(row => !this.conditionEvaluator.checkMatch(row, criteria));
+                if (children.length === 0) continue;
+
+                // Within one table the children are addressed by their own key
+                const target = child === table
+                    ? this._keyCriteria(fk.refColumns, this._keysOf(children, fk.refColumns))
+                    : childCriteria;
+                if (fk.onDelete === 'CASCADE') {
+                    this.engine.deleteExecutor.delete(child, target);
+                } else if (fk.onDelete === 'SET NULL') {
+                    const updates = {};
+                    fk.columns.forEach(col => { updates[col] = null; });
+                    this.engine.updateExecutor.update(child, updates, target);
+                } else {
+                    throw SawitError.of('SAWIT_E_FK_RESTRICT', { table, count: children.length, child });
+                }
+            }
+        } finally {
+            this.cascadeDepth--;
+        }
+    }
+
+    /**
+     * DROP TABLE is refused while another table's foreign key points at it
+     */
+    checkDrop(table) {
+        const child = this.referencesTo(table).find(ref => ref.table !== table);
+        if (child) {
+            throw SawitError.of('SAWIT_E_TABLE_REFERENCED', { table, child: child.table });
+        }
+    }
+
+    _findRows(table, criteria) {
+        const entry = this.engine.tableManager.findTableEntry(table);
+        if (!entry) return [];
+        const pages = this.engine.indexManager.lookupPages(table, criteria);
+        return pages ? this.engine.indexManager.fetchRows(table, pages, criteria) : this.engine._scanTable(entry, criteria);
+    }
+
+    /**
+     * Distinct key tuples of rows for these columns; tuples with a NULL are skipped
+     */
+    _keysOf(rows, columns) {
+        const keys = new Map();
+        for (const row of rows) {
+            const key = columns.map(col => row[col]);
+            if (key.some(v => this._isNull(v))) continue;
+            keys.set(JSON.stringify(key), key);
+        }
+        return [...keys.values()];
+    }
+
+    /**
+     * Criteria matching rows whose columns equal one of the key tuples
+     */
+    _keyCriteria(columns, keys) {
+        if (columns.length === 1) {
+            return { type: 'cond', key: columns[0], op: 'IN', val: keys.map(key => key[0]) };
+        }
+        const tuples = keys.map(key => ({
+            type: 'compound',
+            logic: 'AND',
+            conditions: columns.map((col, i) => ({ type: 'cond', key: col, op: '=', val: key[i] }))
+        }));
+        return tuples.length === 1 ? tuples[0] : { type: 'compound', logic: 'OR', conditions: tuples };
+    }
+
+    _sameValue(a, b) {
+        return this._isNull(a) ? this._isNull(b) : a === b;
+    }
+
+    /**
+     * Copy of a row with declared columns coerced to their types.
+     * Throws when a value cannot be represented in its column type.
+     */
+    coerceRow(table, row) {
+        const schema = this.schemas.get(table);
+        if (!schema) return row;
+
+        const result = { ...row };
+        for (const col of schema.columns) {
+            if (col.type && Object.prototype.hasOwnProperty.call(result, col.name)) {
+                result[col.name] = this.coerceValue(table, col, result[col.name]);
+            }
+        }
+        return result;
+    }
+
+    coerceValue(table, col, value) {
+        if (value === null || value === undefined) return value;
+
+        const coerced = SchemaManager._coerce(col.type, value);
+        if (coerced === undefined) {
+            throw SawitError.of('SAWIT_E_TYPE_MISMATCH', { column: col.name, table, type: col.type, value: JSON.stringify(value) });
+        }
+        return coerced;
+    }
+
+    _describeDefault(def) {
+        if (def.fn === 'NOW') return 'NOW()';
+        if (def.fn === 'NEXTVAL') return `NEXTVAL('${def.sequence}')`;
+        return def.fn || def.value;
+    }
+
+    _defaultValue(col) {
+        if (col.default.fn === 'NOW') return new Date().toISOString();
+        if (col.default.fn === 'CURRENT_DATE') return new Date().toISOString().slice(0, 10);
+        if (col.default.fn === 'NEXTVAL') return this.engine.sequenceManager.nextval(col.default.sequence);
+        return col.default.value;
+    }
+
+    _isNull(value) {
+        return value === null || value === undefined;
+    }
+
+    _checkFields(criteria) {
+        if (criteria.type === 'compound') return criteria.conditions.flatMap(c => this._checkFields(c));
+        const fields = criteria.expr ? ExpressionEvaluator.columnsOf(criteria.expr) : [criteria.key];
+        return criteria.valExpr ? fields.concat(ExpressionEvaluator.columnsOf(criteria.valExpr)) : fields;
+    }
+
+    /**
+     * Condition back in WHERE syntax, for messages and DESCRIBE
+     */
+    static describeCheck(criteria) {
+        if (criteria.type === 'compound') {
+            return criteria.conditions.map(c => {
+                const text = SchemaManager.describeCheck(c);
+                return c.type === 'compound' ? `(${text})` : text;
+            }).join(` ${criteria.logic} `);
+        }
+        const literal = (v) => typeof v === 'string' ? `'${v}'` : String(v);
+        if (criteria.op === 'IS NULL' || criteria.op === 'IS NOT NULL') return `${criteria.key} ${criteria.op}`;
+        if (criteria.op === 'BETWEEN') return `${criteria.key} BETWEEN ${literal(criteria.val[0])} AND ${literal(criteria.val[1])}`;
+        if (Array.isArray(criteria.val)) return `${criteria.key} ${criteria.op} (${criteria.val.map(literal).join(', ')})`;
+        if (criteria.valExpr) return `${criteria.key} ${criteria.op} ${ExpressionEvaluator.describe(criteria.valExpr)}`;
+        return `${criteria.key} ${criteria.op} ${literal(criteria.val)}`;
+    }
+
+    /**
+     * @returns {*} the coerced value, or undefined if it does not fit the type
+     */
+    static _coerce(type, value) {
+        switch (type) {
+            case 'INT': {
+                if (typeof value === 'number') return Number.isInteger(value) ? value : undefined;
+                if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) return Number(value);
+                return undefined;
+            }
+            case 'FLOAT': {
+                if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+                if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+                return undefined;
+            }
+            case 'TEXT':
+                if (typeof value === 'string') return value;
+                if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+                return undefined;
+            case 'BOOL': {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).toLowerCase();
+                if (text === 'true' || text === '1') return true;
+                if (text === 'false' || text === '0') return false;
+                return undefined;
+            }
+            case 'DATE': {
+                if (value instanceof Date) return isNaN(value) ? undefined : value.toISOString().slice(0, 10);
+                if (typeof value !== 'string') return undefined;
+                // Timestamps keep only their date part
+                const text = value.length > 10 && value[10] === 'T' ? value.slice(0, 10) : value;
+                const match = DATE_PATTERN.exec(text);
+                if (!match) return undefined;
+                const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+                return date.getUTCDate() === +match[3] && date.getUTCMonth() === +match[2] - 1 ? text : undefined;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * DESCRIBE / LIHAT STRUKTUR: one row per column with its type, key role and constraints.
+     * Schemaless tables list the fields found in their records with type ANY.
+     */
+    describe(table) {
+        const entry = this.engine.tableManager.findTableEntry(table);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table });
+
+        const schema = this.schemas.get(table);
+        let columns = schema ? schema.columns : null;
+        if (!columns) {
+            const names = new Set();
+            for (const row of this.engine._scanTable(entry, null)) {
+                Object.keys(row).forEach(name => names.add(name));
+            }
+            columns = [...names].map(name => ({ name, type: null }));
+        }
+
+        const indexes = [...this.engine.indexes.values()].filter(index => index.name.startsWith(table + '.'));
+        const checks = schema ? schema.checks : [];
+        const foreignKeys = schema ? schema.foreignKeys : [];
+        return columns.map(col => {
+            const key = this._keyRole(indexes, col.name);
+            const colChecks = checks.filter(check => this._checkFields(check).includes(col.name));
+            const fk = foreignKeys.find(f => f.columns.includes(col.name));
+            return {
+                column: col.name,
+                type: col.type || 'ANY',
+                key,
+                nullable: !col.notNull && key !== 'PRI',
+                default: col.default ? this._describeDefault(col.default) : null,
+                check: colChecks.length > 0 ? colChecks.map(SchemaManager.describeCheck).join('; ') : null,
+                references: fk ? `${fk.refTable}(${fk.refColumns.join(', ')}) ON DELETE ${fk.onDelete}` : null
+            };
+        });
+    }
+
+    _keyRole(indexes, column) {
+        const fields = (index) => index.fields || [index.keyField];
+        if (indexes.some(index => index.primary && fields(index).includes(column))) return 'PRI';
+        if (indexes.some(index => index.unique && fields(index).length === 1 && fields(index)[0] === column)) return 'UNI';
+        if (indexes.some(index => fields(index)[0] === column)) return 'MUL';
+        return '';
+    }
+
+    /**
+     * Load schemas from system table
+     */
+    loadSchemas() {
+        const schemaTable = this.engine.tableManager.findTableEntry('_schema');
+        if (!schemaTable) return;
+
+        for (const row of this.engine._scanTable(schemaTable, null)) {
+            if (row.table && Array.isArray(row.columns)) {
+                this.schemas.set(row.table, { columns: row.columns, checks: row.checks || [], foreignKeys: row.foreignKeys || [] });
+            }
+            if (row.table && row.version) {
+                this.versions.set(row.table, { version: row.version, changes: row.changes || [] });
+            }
+        }
+    }
+
+    /**
+     * _schema row of a table: its columns (null for schemaless tables) and its version log
+     */
+    _schemaFields(table) {
+        const schema = this.schemas.get(table);
+        const log = this.versions.get(table);
+        const fields = schema
+            ? { columns: schema.columns, checks: schema.checks, foreignKeys: schema.foreignKeys }
+            : { columns: null };
+        if (log) Object.assign(fields, { version: log.version, changes: log.changes });
+        return fields;
+    }
+
+    _saveSchema(table) {
+        this.engine.updateExecutor.update('_schema', this._schemaFields(table), { key: 'table', op: '=', val: table });
+    }
+
+    _persistSchema(table) {
+        if (!this.engine.tableManager.findTableEntry('_schema')) {
+            this.engine.tableManager.createTable('_schema', true);
+        }
+
+        this.engine.insertExecutor.execute({
+            type: 'INSERT',
+            table: '_schema',
+            data: { table, ...this._schemaFields(table) }
+        });
+    }
+}
+
+module.exports = SchemaManager;
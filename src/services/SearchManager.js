@@ -56,8 +56,9 @@ class SearchManager {
     /**
      * Index a row's data
      * Called on INSERT/UPDATE
+     * @param {string} idField - Column holding id ('id', or the AUTO_INCREMENT / NEXTVAL column)
      */
-    indexRow(table, id, data) {
+    indexRow(table, id, data, idField = 'id') {
         for (const [col, val] of Object.entries(data)) {
             const tokens = this.tokenize(val);
             for (const token of tokens) {
@@ -66,7 +67,7 @@ class SearchManager {
                 // Avoid duplicates
                 const exists = this.index[token].find(entry => entry.t === table && entry.id === id);
                 if (!exists) {
-                    this.index[token].push({ t: table, id: id });
+                    this.index[token].push(idField === 'id' ? { t: table, id: id } : { t: table, id: id, f: idField });
                 }
             }
         }
@@ -100,10 +101,12 @@ class SearchManager {
         // Let's do AND logic for "term term"
 
         let candidateIds = null;
+        const idFields = new Set();
 
         for (const token of tokens) {
-            const entries = this.index[token] || [];
-            const ids = entries.filter(e => e.t === table).map(e => e.id);
+            const entries = (this.index[token] || []).filter(e => e.t === table);
+            const ids = entries.map(e => e.id);
+            entries.forEach(e => idFields.add(e.f || 'id'));
 
             if (candidateIds === null) {
                 candidateIds = new Set(ids);
@@ -116,48 +119,14 @@ class SearchManager {
             if (candidateIds.size === 0) break;
         }
 
-        if (!candidateIds) return [];
+        if (!candidateIds || candidateIds.size === 0) return [];
 
-        // Retrieve actual rows
-        const manager = this.engine.tableManagers[table];
-        if (!manager) return [];
+        // Retrieve actual rows: no row-id lookup, so scan the table and match the indexed ids
+        const entry = this.engine.tableManager.findTableEntry(table);
+        if (!entry) return [];
 
-        const results = [];
-        for (const id of candidateIds) {
-            const row = manager.pager.getRow(id); // direct access if supported or via scan
-            // WowoEngine usually scans. We need a way to getByID.
-            // If TableManager doesn't support getRow(id), we might have to filter.
-            // Assumption: TableManager has basic get capabilities or we filter execution.
-            // For now, let's assume we return IDs and the engine filters? 
-            // Or better: Load the row efficiently.
-
-            // NOTE: WowoEngine v3 might not have RowID direct lookup exposed publicly easily
-            // without index. We'll iterate table and match IDs if we must, 
-            // BUT SearchManager is supposed to be fast.
-            // Let's assume we return the rows if we can resolve them.
-            // If not, we return a virtual result set.
-
-            if (row) results.push(row);
-        }
-
-        // Return full rows?
-        // Actually, the engine's SELECT executor usually scans.
-        // We might need to extend TableManager to fetch by ID list.
-        // For MVP, we will assume we can scan or the user accepts IDs?
-        // Let's return IDs and let the caller handle?
-        // No, 'BLUSUKAN' command usually returns results.
-
-        // HACK for MVP: We restart table scan and match offsets (RowID).
-        // OR better: use ID if available. 
-        // Let's return objects with `_id` and score.
-        // Since we can't easily fetch randomly without index, 
-        // we might leave fetching to the engine if we return a criteria?
-        // But BLUSUKAN is a separate command.
-
-        // Implementation:
-        // We will scan the table and filter by ID. Optimized scan.
-        const allRows = manager.getAllRows(); // Expensive but safe fallback
-        return allRows.filter(r => candidateIds.has(r._id) || candidateIds.has(r.id));
+        return this.engine._scanTable(entry, null)
+            .filter(r => [...idFields].some(field => candidateIds.has(r[field])));
     }
 }
 
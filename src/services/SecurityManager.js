@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const SawitError = require('../modules/SawitError');
 
 /**
  * SecurityManager (POS RONDA)
@@ -64,7 +65,21 @@ class SecurityManager {
         if (this.permissions.length < initialLength) {
             return `Izin '${action}' dicabut dari '${user}' untuk '${table}'.`;
         }
-        return `Izin tidak ditemukan.`;
+        throw SawitError.of('SAWIT_E_PERMISSION_NOT_FOUND', { user, table, action });
+    }
+
+    /**
+     * ALTER TABLE ... RENAME TO: grants follow the table
+     */
+    renameTable(from, to) {
+        let changed = false;
+        for (const p of this.permissions) {
+            if (p.table === from) {
+                p.table = to;
+                changed = true;
+            }
+        }
+        if (changed) this.save();
     }
 
     /**
@@ -85,7 +100,7 @@ class SecurityManager {
         );
 
         if (!hasPerm) {
-            throw new Error(`POS RONDA: Akses Ditolak! User '${user}' tidak punya izin '${action}' di lahan '${table}'.`);
+            throw SawitError.of('SAWIT_E_PERMISSION_DENIED', { user, action, table });
         }
         return true;
     }
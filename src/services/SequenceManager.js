@@ -0,0 +1,180 @@
+const SawitError = require('../modules/SawitError');
+
+/**
+ * SequenceManager - Named number generators (URUTAN) for SawitDB
+ * CREATE SEQUENCE objects and AUTO_INCREMENT / SERIAL columns hand out values through NEXTVAL.
+ * The last value of each sequence is kept in the _sequences system table and written
+ * outside any open AKAD: a rolled back transaction leaves a gap, never a reused value.
+ */
+class SequenceManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.sequences = new Map(); // name -> { value, start, increment }
+    }
+
+    /**
+     * CREATE SEQUENCE / PASANG URUTAN
+     * @param {Object} options - { start, increment }
+     */
+    createSequence(name, options = {}) {
+        this.engine.tableManager.validateName(name, 'sequence');
+        if (this.sequences.has(name)) throw SawitError.of('SAWIT_E_SEQUENCE_EXISTS', { sequence: name });
+
+        const increment = options.increment === undefined ? 1 : options.increment;
+        if (increment === 0) throw SawitError.of('SAWIT_E_SEQUENCE_ZERO_INCREMENT');
+        const sequence = {
+            value: null, // Last value handed out
+            start: options.start === undefined ? 1 : options.start,
+            increment
+        };
+        this.sequences.set(name, sequence);
+        this._persistSequence(name, sequence);
+
+        return `Urutan '${name}' dibuat.`;
+    }
+
+    /**
+     * Sequence for an AUTO_INCREMENT column: named table_column_seq (suffixed if taken)
+     */
+    createOwnedSequence(table, column) {
+        let name = `${table}_${column}_seq`;
+        for (let n = 2; this.sequences.has(name); n++) {
+            name = `${table}_${column}_seq${n}`;
+        }
+        this.createSequence(name);
+        return name;
+    }
+
+    /**
+     * DROP SEQUENCE / BUANG URUTAN. Sequences still used by a column cannot be dropped.
+     */
+    dropSequence(name) {
+        if (!this.sequences.has(name)) throw SawitError.of('SAWIT_E_SEQUENCE_NOT_FOUND', { sequence: name });
+
+        const user = this.engine.schemaManager.sequenceUser(name);
+        if (user) throw SawitError.of('SAWIT_E_SEQUENCE_IN_USE', { sequence: name, column: user });
+
+        this._removeSequence(name);
+        return `Urutan '${name}' dibuang.`;
+    }
+
+    /**
+     * Drop the sequence of an AUTO_INCREMENT column together with its table / column
+     */
+    dropOwnedSequence(name) {
+        if (this.sequences.has(name)) this._removeSequence(name);
+    }
+
+    /**
+     * Next value of a sequence, stored before it is returned
+     */
+    nextval(name) {
+        const sequence = this.sequences.get(name);
+        if (!sequence) throw SawitError.of('SAWIT_E_SEQUENCE_NOT_FOUND', { sequence: name });
+
+        sequence.value = sequence.value === null ? sequence.start : sequence.value + sequence.increment;
+        this._saveValue(name, sequence.value);
+        return sequence.value;
+    }
+
+    /**
+     * Last value handed out by a sequence (by any session: values are not kept per connection)
+     */
+    currval(name) {
+        const sequence = this.sequences.get(name);
+        if (!sequence) throw SawitError.of('SAWIT_E_SEQUENCE_NOT_FOUND', { sequence: name });
+        if (sequence.value === null) throw SawitError.of('SAWIT_E_SEQUENCE_NO_VALUE', { sequence: name });
+        return sequence.value;
+    }
+
+    /**
+     * An explicit value was stored in an AUTO_INCREMENT column: later values continue after it
+     */
+    advance(name, value) {
+        const sequence = this.sequences.get(name);
+        if (!sequence || !Number.isInteger(value)) return;
+
+        const current = sequence.value === null ? sequence.start - sequence.increment : sequence.value;
+        const ahead = sequence.increment > 0 ? value > current : value < current;
+        if (!ahead) return;
+
+        sequence.value = value;
+        this._saveValue(name, value);
+    }
+
+    /**
+     * Copy of row with NEXTVAL('urutan') values (from INSERT ... VALUES) replaced by numbers
+     */
+    resolveRow(row) {
+        let result = row;
+        for (const [key, value] of Object.entries(row)) {
+            if (SequenceManager.isNextval(value)) {
+                if (result === row) result = { ...row };
+                result[key] = this.nextval(value.sequence);
+            }
+        }
+        return result;
+    }
+
+    static isNextval(value) {
+        return !!value && typeof value === 'object' && value.fn === 'NEXTVAL';
+    }
+
+    /**
+     * LIHAT URUTAN / SHOW SEQUENCES
+     */
+    showSequences() {
+        return Array.from(this.sequences, ([name, s]) => ({
+            name,
+            value: s.value,
+            start: s.start,
+            increment: s.increment,
+            column: this.engine.schemaManager.sequenceUser(name)
+        }));
+    }
+
+    /**
+     * Load sequences from system table
+     */
+    loadSequences() {
+        const sequencesTable = this.engine.tableManager.findTableEntry('_sequences');
+        if (!sequencesTable) return;
+
+        for (const row of this.engine._scanTable(sequencesTable, null)) {
+            this.sequences.set(row.name, {
+                value: row.value === undefined ? null : row.value,
+                start: row.start,
+                increment: row.increment
+            });
+        }
+    }
+
+    _persistSequence(name, sequence) {
+        if (!this.engine.tableManager.findTableEntry('_sequences')) {
+            this.engine.tableManager.createTable('_sequences', true);
+        }
+
+        this.engine.insertExecutor.execute({
+            type: 'INSERT',
+            table: '_sequences',
+            data: { name, ...sequence }
+        });
+    }
+
+    _saveValue(name, value) {
+        this.engine.transactionManager.outside(() => {
+            this.engine.updateExecutor.update('_sequences', { value }, { key: 'name', op: '=', val: name });
+        });
+    }
+
+    _removeSequence(name) {
+        this.sequences.delete(name);
+        this.engine.deleteExecutor.execute({
+            type: 'DELETE',
+            table: '_sequences',
+            criteria: { key: 'name', op: '=', val: name }
+        });
+    }
+}
+
+module.exports = SequenceManager;
@@ -1,87 +1,228 @@
 const Pager = require('../modules/Pager'); // Assuming module structure is maintained
+const SawitError = require('../modules/SawitError');
 
+const MAX_NAME_LENGTH = 128;
+
+/**
+ * Table catalog
+ * Entries live in a chain of catalog pages (head pointer in page 0), so the number
+ * of tables is not limited by page 0. Catalog pages use the data page header
+ * ([next][count][freeOffset]) followed by entries:
+ * [nameLen: uint16][name][startPage: uint32][lastPage: uint32]
+ */
 class TableManager {
     constructor(db) {
         this.db = db;
-        this.pager = db.pager;
+    }
+
+    // Always the engine's current pager
+    get pager() {
+        return this.db.pager;
+    }
+
+    _decodeCatalogPage(buf, pageId) {
+        const count = buf.readUInt16LE(4);
+        const entries = [];
+        let offset = 8;
+        for (let i = 0; i < count; i++) {
+            const nameLen = buf.readUInt16LE(offset);
+            const name = buf.toString('utf8', offset + 2, offset + 2 + nameLen);
+            entries.push({
+                name,
+                catalogPage: pageId,
+                offset,
+                startPage: buf.readUInt32LE(offset + 2 + nameLen),
+                lastPage: buf.readUInt32LE(offset + 6 + nameLen)
+            });
+            offset += 10 + nameLen;
+        }
+        return { next: buf.readUInt32LE(0), entries };
+    }
+
+    _readCatalogPage(pageId) {
+        return this.pager.readParsed(pageId, buf => this._decodeCatalogPage(buf, pageId));
+    }
+
+    /**
+     * Iterate all catalog entries (cached per page)
+     */
+    *_catalogEntries() {
+        let pageId = this.pager.readPage(0).readUInt32LE(Pager.CATALOG_PAGE_OFFSET);
+        while (pageId !== 0) {
+            const page = this._readCatalogPage(pageId);
+            yield* page.entries;
+            pageId = page.next;
+        }
     }
 
     findTableEntry(name) {
-        const p0 = this.pager.readPage(0);
-        const numTables = p0.readUInt32LE(8);
-        let offset = 12;
+        for (const entry of this._catalogEntries()) {
+            if (entry.name === name) return { ...entry };
+        }
+        return null;
+    }
 
-        for (let i = 0; i < numTables; i++) {
-            const tName = p0.toString('utf8', offset, offset + 32).replace(/\0/g, '');
-            if (tName === name) {
-                return {
-                    index: i,
-                    offset: offset,
-                    startPage: p0.readUInt32LE(offset + 32),
-                    lastPage: p0.readUInt32LE(offset + 36)
-                };
+    /**
+     * All table names
+     * @param {boolean} includeSystem - Include tables starting with '_'
+     */
+    listTables(includeSystem = false) {
+        const tables = [];
+        for (const entry of this._catalogEntries()) {
+            if (includeSystem || !entry.name.startsWith('_')) {
+                tables.push(entry.name);
             }
-            offset += 40;
         }
-        return null;
+        return tables;
     }
 
     showTables() {
+        return this.listTables(false); // Hide system tables
+    }
+
+    /**
+     * Append an entry to the catalog, growing the chain when the last page is full
+     */
+    _addCatalogEntry(name, startPage, lastPage) {
+        const nameBuf = Buffer.from(name, 'utf8');
+        const entryLen = 10 + nameBuf.length;
+
         const p0 = this.pager.readPage(0);
+        let pageId = p0.readUInt32LE(Pager.CATALOG_PAGE_OFFSET);
+        let prevPageId = 0;
+
+        while (pageId !== 0) {
+            const buf = this.pager.readPage(pageId);
+            if (buf.readUInt16LE(6) + entryLen <= this.pager.usableSize) break;
+            prevPageId = pageId;
+            pageId = buf.readUInt32LE(0);
+        }
+
+        if (pageId === 0) {
+            pageId = this.pager.allocPage();
+            if (prevPageId === 0) {
+                p0.writeUInt32LE(pageId, Pager.CATALOG_PAGE_OFFSET);
+                this.pager.writePage(0, p0);
+            } else {
+                const prev = this.pager.readPage(prevPageId);
+                prev.writeUInt32LE(pageId, 0);
+                this.pager.writePage(prevPageId, prev);
+            }
+        }
+
+        const buf = this.pager.readPage(pageId);
+        const offset = buf.readUInt16LE(6);
+        buf.writeUInt16LE(nameBuf.length, offset);
+        nameBuf.copy(buf, offset + 2);
+        buf.writeUInt32LE(startPage, offset + 2 + nameBuf.length);
+        buf.writeUInt32LE(lastPage, offset + 6 + nameBuf.length);
+        buf.writeUInt16LE(buf.readUInt16LE(4) + 1, 4);
+        buf.writeUInt16LE(offset + entryLen, 6);
+        this.pager.writePage(pageId, buf);
+
+        const page0 = this.pager.readPage(0);
+        page0.writeUInt32LE(page0.readUInt32LE(8) + 1, 8);
+        this.pager.writePage(0, page0);
+    }
+
+    _removeCatalogEntry(entry) {
+        const buf = this.pager.readPage(entry.catalogPage);
+        const entryLen = 10 + Buffer.byteLength(entry.name, 'utf8');
+        const freeOffset = buf.readUInt16LE(6);
+
+        // Shift following entries over the removed one
+        buf.copy(buf, entry.offset, entry.offset + entryLen, freeOffset);
+        buf.fill(0, freeOffset - entryLen, freeOffset);
+        buf.writeUInt16LE(buf.readUInt16LE(4) - 1, 4);
+        buf.writeUInt16LE(freeOffset - entryLen, 6);
+        this.pager.writePage(entry.catalogPage, buf);
+
+        const p0 = this.pager.readPage(0);
+        p0.writeUInt32LE(p0.readUInt32LE(8) - 1, 8);
+        this.pager.writePage(0, p0);
+    }
+
+    /**
+     * Upgrade files whose table entries still live in page 0
+     * (40-byte slots: 32-byte name, startPage, lastPage).
+     * @returns {number} - Number of migrated tables (0 if already upgraded)
+     */
+    migrateLegacyCatalog() {
+        const p0 = this.pager.readPage(0);
+        if (p0.readUInt32LE(Pager.CATALOG_MARKER_OFFSET) === Pager.CATALOG_MARKER) return 0;
+
         const numTables = p0.readUInt32LE(8);
-        const tables = [];
-        let offset = 12;
+        const legacy = [];
         for (let i = 0; i < numTables; i++) {
-            const tName = p0.toString('utf8', offset, offset + 32).replace(/\0/g, '');
-            if (!tName.startsWith('_')) { // Hide system tables
-                tables.push(tName);
-            }
-            offset += 40;
+            const offset = 12 + (i * 40);
+            legacy.push({
+                name: p0.toString('utf8', offset, offset + 32).replace(/\0/g, ''),
+                startPage: p0.readUInt32LE(offset + 32),
+                lastPage: p0.readUInt32LE(offset + 36)
+            });
         }
-        return tables;
+        const freeHead = p0.readUInt32LE(Pager.LEGACY_FREE_LIST_OFFSET);
+
+        // New header first: allocPage() relies on the new free list position
+        p0.fill(0, 8);
+        p0.writeUInt32LE(Pager.CATALOG_MARKER, Pager.CATALOG_MARKER_OFFSET);
+        p0.writeUInt32LE(freeHead, Pager.FREE_LIST_OFFSET);
+        this.pager.writePage(0, p0);
+
+        for (const entry of legacy) {
+            this._addCatalogEntry(entry.name, entry.startPage, entry.lastPage);
+        }
+
+        if (legacy.length > 0) {
+            console.log(`[TableManager] Migrated ${legacy.length} tables to the page catalog.`);
+        }
+        return legacy.length;
     }
 
     validateName(name, type = 'table', allowSystem = false) {
         if (!name || typeof name !== 'string') {
-            throw new Error(`${type} name tidak boleh kosong`);
+            throw SawitError.of('SAWIT_E_NAME_EMPTY', { type: SawitError.term(type) });
         }
-        if (name.length > 32) {
-            throw new Error(`${type} name max 32 karakter`);
+        if (name.length > MAX_NAME_LENGTH) {
+            throw SawitError.of('SAWIT_E_NAME_TOO_LONG', { type: SawitError.term(type), max: MAX_NAME_LENGTH });
         }
         // Only allow alphanumeric, underscore, and starting with letter or underscore
         if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
-            throw new Error(`${type} name hanya boleh huruf, angka, underscore, dan harus dimulai dengan huruf atau underscore`);
+            throw SawitError.of('SAWIT_E_NAME_INVALID', { type: SawitError.term(type) });
         }
         // Disallow reserved names for user tables (allow for internal system use)
         if (!allowSystem && type === 'table') {
-            const reserved = ['_indexes', '_system', '_schema', 'null', 'true', 'false'];
+            const reserved = ['_indexes', '_system', '_schema', '_sequences', 'null', 'true', 'false'];
             if (reserved.includes(name.toLowerCase())) {
-                throw new Error(`${type} name '${name}' adalah nama terproteksi`);
+                throw SawitError.of('SAWIT_E_NAME_RESERVED', { type: SawitError.term(type), name });
             }
         }
         return true;
     }
 
-    createTable(name, isSystemTable = false) {
+    /**
+     * @param {Object} definition - Optional { columns: [{ name, type, notNull, default }], checks: [criteria],
+     *   primaryKey: [fields], unique: [[fields], ...] }; columns and checks go to the schema catalog,
+     *   keys are backed by unique indexes
+     */
+    createTable(name, isSystemTable = false, definition = {}) {
         this.validateName(name, 'table', isSystemTable);
-        if (this.findTableEntry(name)) return `Kebun '${name}' sudah ada.`;
+        if (this.findTableEntry(name)) throw SawitError.of('SAWIT_E_TABLE_EXISTS', { table: name });
 
-        const p0 = this.pager.readPage(0);
-        const numTables = p0.readUInt32LE(8);
-        let offset = 12 + (numTables * 40);
-        if (offset + 40 > Pager.PAGE_SIZE) throw new Error("Lahan penuh (Page 0 full)");
+        const schema = definition.columns ? this.db.schemaManager.normalizeSchema(definition) : null;
 
         const newPageId = this.pager.allocPage();
+        this._addCatalogEntry(name, newPageId, newPageId);
 
-        const nameBuf = Buffer.alloc(32);
-        nameBuf.write(name);
-        nameBuf.copy(p0, offset);
-
-        p0.writeUInt32LE(newPageId, offset + 32);
-        p0.writeUInt32LE(newPageId, offset + 36);
-        p0.writeUInt32LE(numTables + 1, 8);
-
-        this.pager.writePage(0, p0);
+        if (schema) {
+            this.db.schemaManager.defineSchema(name, schema);
+        }
+        if (definition.primaryKey) {
+            this.db.indexManager.createIndex(name, definition.primaryKey, { primary: true });
+        }
+        for (const fields of definition.unique || []) {
+            this.db.indexManager.createIndex(name, fields, { unique: true });
+        }
 
         // Notify event handler
         if (this.db.dbevent && this.db.dbevent.OnTableCreated) {
@@ -92,10 +233,12 @@ class TableManager {
     }
 
     dropTable(name) {
-        if (name === '_indexes') return "Tidak boleh membakar catatan sistem.";
+        if (name === '_indexes') throw SawitError.of('SAWIT_E_SYSTEM_TABLE', { table: name });
 
         const entry = this.findTableEntry(name);
-        if (!entry) return `Kebun '${name}' tidak ditemukan.`;
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: name });
+
+        this.db.schemaManager.checkDrop(name);
 
         // Remove associated indexes
         const toRemove = [];
@@ -105,8 +248,14 @@ class TableManager {
             }
         }
 
-        // Remove from memory
-        toRemove.forEach(key => this.db.indexes.delete(key));
+        // Give the table's data + overflow pages back to the free list
+        this._freeTablePages(entry);
+
+        // Release index pages and remove from memory
+        toRemove.forEach(key => {
+            this.db.indexes.get(key).destroy();
+            this.db.indexes.delete(key);
+        });
 
         // Remove from _indexes table
         try {
@@ -123,39 +272,253 @@ class TableManager {
             }
         } catch (e) { /* Ignore if fails */ }
 
+        this.db.schemaManager.dropSchema(name);
 
-        const p0 = this.pager.readPage(0);
-        const numTables = p0.readUInt32LE(8);
+        this._removeCatalogEntry(this.findTableEntry(name));
 
-        // Move last entry to this spot to fill gap
-        if (numTables > 1 && entry.index < numTables - 1) {
-            const lastOffset = 12 + ((numTables - 1) * 40);
-            const lastEntryBuf = p0.slice(lastOffset, lastOffset + 40);
-            lastEntryBuf.copy(p0, entry.offset);
+        if (this.db.dbevent && this.db.dbevent.OnTableDropped) {
+            this.db.dbevent.OnTableDropped(name, entry, this.db.queryString);
         }
 
-        // Clear last spot
-        const lastOffset = 12 + ((numTables - 1) * 40);
-        p0.fill(0, lastOffset, lastOffset + 40);
+        return `Kebun '${name}' telah dibakar (Drop).`;
+    }
 
-        p0.writeUInt32LE(numTables - 1, 8);
-        this.pager.writePage(0, p0);
+    /**
+     * UBAH LAHAN / ALTER TABLE: RENAME TO, ADD COLUMN, DROP COLUMN, RENAME COLUMN.
+     * Column changes leave the records as they are: they are logged as a new schema version
+     * and applied to older records when those are read (SchemaManager.upgradeRow).
+     */
+    alterTable(cmd) {
+        const entry = this.findTableEntry(cmd.table);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: cmd.table });
+        if (cmd.table.startsWith('_')) throw SawitError.of('SAWIT_E_SYSTEM_TABLE', { table: cmd.table });
 
-        if (this.db.dbevent && this.db.dbevent.OnTableDropped) {
-            this.db.dbevent.OnTableDropped(name, entry, this.db.queryString);
+        switch (cmd.action) {
+            case 'RENAME_TABLE':
+                return this._renameTable(entry, cmd.newName);
+            case 'ADD_COLUMN':
+                return this._addColumn(cmd.table, cmd.definition);
+            case 'DROP_COLUMN':
+                return this._dropColumn(cmd.table, cmd.column);
+            case 'RENAME_COLUMN':
+                return this._renameColumn(cmd.table, cmd.column, cmd.newName);
+            default:
+                throw SawitError.of('SAWIT_E_ALTER_UNSUPPORTED');
         }
+    }
 
-        return `Kebun '${name}' telah dibakar (Drop).`;
+    _renameTable(entry, newName) {
+        const name = entry.name;
+        this.validateName(newName);
+        if (this.findTableEntry(newName) || this.db.viewManager.isView(newName)) {
+            throw SawitError.of('SAWIT_E_NAME_TAKEN', { name: newName });
+        }
+
+        // Same pages under a new catalog entry
+        this._removeCatalogEntry(entry);
+        this._addCatalogEntry(newName, entry.startPage, entry.lastPage);
+
+        this.db.indexManager.renameTable(name, newName);
+        this.db.schemaManager.renameTable(name, newName);
+        this.db.viewManager.renameTable(name, newName);
+        this.db.triggerManager.renameTable(name, newName);
+        this.db.securityManager.renameTable(name, newName);
+
+        return `Kebun '${name}' sekarang bernama '${newName}'.`;
+    }
+
+    _addColumn(name, definition) {
+        const column = definition.columns[0].name;
+        this.validateName(column, 'column');
+        if (definition.primaryKey) {
+            throw SawitError.of('SAWIT_E_ALTER_PRIMARY_KEY');
+        }
+
+        const schemaManager = this.db.schemaManager;
+        const schema = schemaManager.withColumn(name, definition);
+        const change = schemaManager.addColumnChange(name, schema);
+        const fill = schemaManager.columnFiller(name, schema, change);
+
+        // Every existing row must accept the column before anything is written
+        const rows = this.db._scanTable(this.findTableEntry(name), null).map(fill);
+        for (const fields of definition.unique || []) {
+            const seen = new Set();
+            for (const row of rows) {
+                if (row[column] === null || row[column] === undefined) continue;
+                const key = JSON.stringify(row[column]);
+                if (seen.has(key)) {
+                    throw SawitError.of('SAWIT_E_ALTER_UNIQUE_DUPLICATE', { columns: fields.join(','), key });
+                }
+                seen.add(key);
+            }
+        }
+
+        schemaManager.setSchema(name, schema);
+        schemaManager.logColumnChange(name, change);
+        for (const fields of definition.unique || []) {
+            this.db.indexManager.createIndex(name, fields, { unique: true });
+        }
+
+        return `Kolom '${column}' ditambahkan ke kebun '${name}'.`;
+    }
+
+    _dropColumn(name, column) {
+        const indexes = this.db.indexManager.indexesOn(name, column);
+        const primary = indexes.find(index => index.primary);
+        if (primary) throw SawitError.of('SAWIT_E_COLUMN_IN_PRIMARY_KEY', { column, key: primary.name });
+
+        const schema = this.db.schemaManager.withoutColumn(name, column);
+        const declared = this.db.schemaManager.getSchema(name);
+        const exists = (declared && declared.columns.some(col => col.name === column))
+            || this.db._scanTable(this.findTableEntry(name), null).some(row => Object.prototype.hasOwnProperty.call(row, column));
+        if (!exists) throw SawitError.of('SAWIT_E_COLUMN_NOT_FOUND', { column, table: name });
+
+        for (const index of indexes) {
+            this.db.indexManager.dropIndex(name, index.fields || [index.keyField]);
+        }
+        if (schema) this.db.schemaManager.setSchema(name, schema);
+        const dropped = declared && declared.columns.find(col => col.name === column);
+        if (dropped && dropped.autoIncrement) this.db.sequenceManager.dropOwnedSequence(dropped.default.sequence);
+        this.db.schemaManager.logColumnChange(name, { action: 'DROP', column });
+
+        return `Kolom '${column}' dibuang dari kebun '${name}'.`;
+    }
+
+    _renameColumn(name, column, newName) {
+        this.validateName(newName, 'column');
+        const declared = this.db.schemaManager.getSchema(name);
+        const rows = this.db._scanTable(this.findTableEntry(name), null);
+        const has = (field) => (declared && declared.columns.some(col => col.name === field))
+            || rows.some(row => Object.prototype.hasOwnProperty.call(row, field));
+        if (!has(column)) throw SawitError.of('SAWIT_E_COLUMN_NOT_FOUND', { column, table: name });
+        if (has(newName)) throw SawitError.of('SAWIT_E_COLUMN_EXISTS', { column: newName, table: name });
+
+        const schema = this.db.schemaManager.withRenamedColumn(name, column, newName);
+        this.db.indexManager.renameField(name, column, newName);
+        this.db.schemaManager.renameColumn(name, column, newName, schema);
+        this.db.schemaManager.logColumnChange(name, { action: 'RENAME', column, to: newName });
+
+        return `Kolom '${name}.${column}' sekarang bernama '${newName}'.`;
+    }
+
+    _freeTablePages(entry) {
+        let pageId = entry.startPage;
+        while (pageId !== 0) {
+            const buf = this.pager.readPage(pageId);
+            const count = buf.readUInt16LE(4);
+            let offset = 8;
+            for (let i = 0; i < count; i++) {
+                this.pager.releaseRecord(buf, offset);
+                offset += this.pager.recordSlotSize(buf, offset);
+            }
+            const next = buf.readUInt32LE(0);
+            this.pager.freePage(pageId);
+            pageId = next;
+        }
+    }
+
+    /**
+     * BAJAK LAHAN / VACUUM: repack records into as few pages as possible.
+     * Emptied pages go to the free list and free pages at the end of the file are cut off.
+     * @param {string|null} name - Table to compact (null = every table, including system tables)
+     */
+    vacuum(name) {
+        // Shrinking the file would pull pages from under open AKAD snapshots
+        if (this.pager.base) throw SawitError.of('SAWIT_E_VACUUM_WAITS');
+
+        let names;
+        if (name) {
+            if (!this.findTableEntry(name)) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: name });
+            names = [name];
+        } else {
+            names = this.listTables(true);
+        }
+
+        let freed = 0;
+        const compacted = [];
+        for (const tableName of names) {
+            const count = this._compactTable(tableName);
+            if (count > 0) {
+                freed += count;
+                compacted.push(tableName);
+            }
+        }
+
+        // Row locations changed: release index nodes before shrinking,
+        // then rebuild them into the lowest free pages
+        compacted.forEach(tableName => this.db.indexManager.clearIndexes(tableName));
+        const shrunk = this.pager.shrink();
+        compacted.forEach(tableName => this.db.indexManager.rebuildIndexes(tableName));
+
+        return `Lahan dibajak: ${freed} halaman dibebaskan, file menyusut ${shrunk} halaman.`;
+    }
+
+    _compactTable(name) {
+        const entry = this.findTableEntry(name);
+
+        // Collect the chain and its raw record slots (overflow pointers move as-is)
+        const pages = [];
+        const slots = [];
+        let pageId = entry.startPage;
+        while (pageId !== 0) {
+            const buf = this.pager.readPage(pageId);
+            const count = buf.readUInt16LE(4);
+            let offset = 8;
+            for (let i = 0; i < count; i++) {
+                const size = this.pager.recordSlotSize(buf, offset);
+                slots.push(Buffer.from(buf.slice(offset, offset + size)));
+                offset += size;
+            }
+            pages.push(pageId);
+            pageId = buf.readUInt32LE(0);
+        }
+
+        // Greedy packing in original order
+        const groups = [[]];
+        let used = 8;
+        for (const slot of slots) {
+            if (used + slot.length > this.pager.usableSize) {
+                groups.push([]);
+                used = 8;
+            }
+            groups[groups.length - 1].push(slot);
+            used += slot.length;
+        }
+
+        if (groups.length >= pages.length) return 0; // Already dense
+
+        // Rewrite the first pages of the chain, start page stays the same
+        for (let i = 0; i < groups.length; i++) {
+            const buf = Buffer.alloc(Pager.PAGE_SIZE);
+            let offset = 8;
+            for (const slot of groups[i]) {
+                slot.copy(buf, offset);
+                offset += slot.length;
+            }
+            buf.writeUInt32LE(i < groups.length - 1 ? pages[i + 1] : 0, 0);
+            buf.writeUInt16LE(groups[i].length, 4);
+            buf.writeUInt16LE(offset, 6);
+            this.pager.writePage(pages[i], buf);
+        }
+
+        const unused = pages.slice(groups.length);
+        for (const id of unused) {
+            this.pager.freePage(id);
+        }
+        this.updateTableLastPage(name, pages[groups.length - 1]);
+
+        return unused.length;
     }
 
     updateTableLastPage(name, newLastPageId) {
         const entry = this.findTableEntry(name);
         if (!entry) throw new Error("Internal Error: Table missing for update");
 
-        // Update Disk/Page 0
-        const p0 = this.pager.readPage(0);
-        p0.writeUInt32LE(newLastPageId, entry.offset + 36);
-        this.pager.writePage(0, p0);
+        // Update the catalog entry in place
+        const buf = this.pager.readPage(entry.catalogPage);
+        const nameLen = Buffer.byteLength(entry.name, 'utf8');
+        buf.writeUInt32LE(newLastPageId, entry.offset + 6 + nameLen);
+        this.pager.writePage(entry.catalogPage, buf);
     }
 }
 
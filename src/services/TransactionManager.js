@@ -1,116 +1,352 @@
+const TxnPager = require('../modules/TxnPager');
+const SawitError = require('../modules/SawitError');
+
 /**
  * TransactionManager - Manages ACID transactions for SawitDB
  * Implements "AKAD" (Agreement) semantics with MULAI AKAD, SAHKAN, BATALKAN
+ *
+ * Statements run immediately against a private page overlay (TxnPager) that
+ * replaces engine.pager while the transaction is active: reads see the
+ * transaction's own writes, SAHKAN publishes the touched pages at once and
+ * BATALKAN (or a failed statement) throws them away.
+ *
+ * Transactions belong to a session (a server ClientSession, or null for local use).
+ * Each query runs inside run(session, ...), which swaps in that session's overlay,
+ * so concurrent clients never see or commit each other's writes.
+ *
+ * Conflicts are decided per row: when another commit changed a page the transaction
+ * also wrote, SAHKAN still succeeds unless that commit changed one of the same rows
+ * (same primary key, or the same row content for tables without one).
  */
 class TransactionManager {
     constructor(engine) {
         this.engine = engine;
-        this.state = 'IDLE'; // IDLE | ACTIVE
-        this.transactionId = null;
-        this.buffer = []; // Buffered operations during transaction
-        this.snapshot = new Map(); // Table snapshots for isolation
+        this.transactions = new Map(); // session -> { id, pager, opCount }
+        this.session = null; // Session of the query being executed
+        this.depth = 0; // Nested queries (triggers, procedures) stay in the outer session
+        this.writeDepth = 0; // Nested write statements are left to the outermost one
+        this.commits = []; // { seq, keys } of rows published while snapshots were open
+    }
+
+    /**
+     * Execute fn on behalf of session, with its transaction overlay (if any) as engine.pager
+     */
+    run(session, fn) {
+        if (this.depth > 0) return fn();
+
+        const basePager = this.engine.pager;
+        const txn = this.transactions.get(session);
+        this.session = session;
+        if (txn) this.engine.pager = txn.pager;
+
+        this.depth++;
+        try {
+            return fn();
+        } finally {
+            this.depth--;
+            this.session = null;
+            // close() inside a query leaves the engine without a pager
+            if (this.engine.pager) this.engine.pager = basePager;
+        }
+    }
+
+    _current() {
+        return this.transactions.get(this.session) || null;
     }
 
     /**
      * Begin a new transaction
      */
     begin() {
-        if (this.state === 'ACTIVE') {
-            throw new Error('Transaction already active. SAHKAN or BATALKAN first.');
+        if (this._current()) {
+            throw SawitError.of('SAWIT_E_TXN_ACTIVE');
         }
 
-        this.state = 'ACTIVE';
-        this.transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.buffer = [];
-        this.snapshot.clear();
+        const txn = {
+            id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            pager: new TxnPager(this.engine.pager),
+            opCount: 0 // Write statements executed in this transaction
+        };
+        this.transactions.set(this.session, txn);
+        this.engine.pager = txn.pager;
 
-        return `Transaction started: ${this.transactionId}`;
+        return `Transaction started: ${txn.id}`;
     }
 
     /**
      * Commit the current transaction
      */
     commit() {
-        if (this.state !== 'ACTIVE') {
-            throw new Error('No active transaction to commit.');
+        const txn = this._current();
+        if (!txn) {
+            throw SawitError.of('SAWIT_E_TXN_NONE', { action: SawitError.term('commit') });
         }
 
+        this._end(txn);
         try {
-            // Execute all buffered operations
-            const results = [];
-            for (const op of this.buffer) {
-                let result;
-                switch (op.type) {
-                    case 'INSERT':
-                        result = this.engine.insertExecutor.execute(op.command);
-                        break;
-                    case 'UPDATE':
-                        result = this.engine.updateExecutor.execute(op.command);
-                        break;
-                    case 'DELETE':
-                        result = this.engine.deleteExecutor.execute(op.command);
-                        break;
-                    default:
-                        throw new Error(`Unknown operation type: ${op.type}`);
-                }
-                results.push(result);
-            }
-
-            // Save count before cleanup
-            const opCount = this.buffer.length;
-
-            // Clear transaction state
-            this._cleanup();
-
-            return `Transaction committed: ${opCount} operations executed.`;
+            this._publish(txn.pager);
         } catch (error) {
-            // Rollback on error
-            this._cleanup();
-            throw new Error(`Transaction commit failed: ${error.message}`);
+            // Nothing was published: the overlay is discarded as a whole
+            txn.pager.rollback();
+            throw SawitError.of('SAWIT_E_TXN_COMMIT_FAILED', { reason: SawitError.from(error) });
         }
+
+        return `Transaction committed: ${txn.opCount} operations executed.`;
     }
 
     /**
      * Rollback the current transaction
      */
     rollback() {
-        if (this.state !== 'ACTIVE') {
-            throw new Error('No active transaction to rollback.');
+        const txn = this._current();
+        if (!txn) {
+            throw SawitError.of('SAWIT_E_TXN_NONE', { action: SawitError.term('rollback') });
         }
 
-        const opCount = this.buffer.length;
-        this._cleanup();
+        this._end(txn);
+        txn.pager.rollback();
 
-        return `Transaction rolled back: ${opCount} operations discarded.`;
+        return `Transaction rolled back: ${txn.opCount} operations discarded.`;
     }
 
     /**
-     * Buffer an operation during active transaction
+     * Run a write statement inside the active transaction.
+     * A statement that fails halfway leaves the overlay inconsistent,
+     * so the whole transaction is rolled back. Statements fired from inside it
+     * (triggers) are left to the outermost one.
      */
-    bufferOperation(type, command) {
-        if (this.state !== 'ACTIVE') {
-            return null; // Not in transaction, execute normally
+    execute(fn) {
+        if (this.writeDepth > 0) return fn();
+
+        const txn = this._current();
+        this.writeDepth++;
+        try {
+            const result = fn();
+            txn.opCount++;
+            return result;
+        } catch (error) {
+            this.rollback();
+            throw SawitError.from(error).markRolledBack();
+        } finally {
+            this.writeDepth--;
         }
+    }
 
-        this.buffer.push({ type, command });
-        return `Operation buffered (${this.buffer.length} total).`;
+    /**
+     * Writes outside AKAD normally go straight to the base pager. While another
+     * session holds a snapshot they must not mutate cached pages in place,
+     * so the statement runs on a short-lived overlay instead.
+     */
+    needsAutocommit() {
+        const pager = this.engine.pager;
+        return !this.isActive() && !pager.base && pager.hasSnapshots();
     }
 
     /**
-     * Check if a transaction is currently active
+     * Run one statement on its own overlay and publish it.
+     * Nothing can commit in between (queries are synchronous), so this never conflicts.
+     */
+    autocommit(fn) {
+        const pager = new TxnPager(this.engine.pager);
+        this.engine.pager = pager;
+        try {
+            const result = fn();
+            pager.commit();
+            this._remember(pager);
+            return result;
+        } catch (error) {
+            pager.rollback();
+            throw error;
+        } finally {
+            this.engine.pager = pager.base;
+        }
+    }
+
+    /**
+     * Run fn against the committed pages, outside the current transaction (if any).
+     * For state that must not roll back with it, such as values handed out by a sequence.
+     */
+    outside(fn) {
+        const pager = this.engine.pager;
+        let base = pager;
+        while (base.base) base = base.base;
+
+        this.engine.pager = base;
+        try {
+            return base.hasSnapshots() ? this.autocommit(fn) : fn();
+        } finally {
+            this.engine.pager = pager;
+        }
+    }
+
+    /**
+     * Check if the current session has a transaction
      */
     isActive() {
-        return this.state === 'ACTIVE';
+        return this.transactions.has(this.session);
     }
 
     /**
-     * Cleanup transaction state
+     * Drop the transaction of a session that went away (client disconnect)
+     * @returns {boolean} - True if a transaction was rolled back
      */
-    _cleanup() {
-        this.state = 'IDLE';
-        this.transactionId = null;
-        this.buffer = [];
-        this.snapshot.clear();
+    release(session) {
+        const txn = this.transactions.get(session);
+        if (!txn) return false;
+
+        this.transactions.delete(session);
+        txn.pager.rollback();
+        return true;
+    }
+
+    releaseAll() {
+        for (const session of Array.from(this.transactions.keys())) {
+            this.release(session);
+        }
+    }
+
+    /**
+     * Remember the rows a statement changed on the current overlay (nothing to do
+     * when writing to the base pager directly)
+     */
+    trackRows(table, oldRows, newRows) {
+        const pager = this.engine.pager;
+        if (!pager.base) return;
+        const count = (oldRows || newRows).length;
+        for (let i = 0; i < count; i++) {
+            pager.rowChanges.push({
+                table,
+                old: oldRows ? { ...oldRows[i] } : null,
+                row: newRows ? { ...newRows[i] } : null
+            });
+        }
+    }
+
+    /**
+     * Publish an overlay. If another commit changed one of its pages after the snapshot,
+     * its row changes are merged instead: they fail only on a row that commit changed too,
+     * otherwise they are applied again on top of the committed pages and published.
+     */
+    _publish(pager) {
+        try {
+            pager.commit();
+        } catch (error) {
+            if (error.code !== 'SAWIT_E_TXN_CONFLICT') throw error;
+            pager = this._merge(pager);
+        }
+        this._remember(pager);
+    }
+
+    _merge(pager) {
+        const keys = new Map(); // row key -> { table, key } for the error message
+        for (const change of pager.rowChanges) {
+            for (const row of [change.old, change.row]) {
+                if (row) keys.set(this._rowKey(change.table, row), change.table);
+            }
+        }
+        for (const commit of this.commits) {
+            if (commit.seq <= pager.snapshot) continue;
+            for (const key of commit.keys) {
+                if (keys.has(key)) throw SawitError.of('SAWIT_E_TXN_ROW_CONFLICT', { table: keys.get(key), key: JSON.parse(key)[1] });
+            }
+        }
+        pager.rollback();
+
+        // Row changes only: triggers, events and NEXTVAL already ran with the statements
+        const merged = new TxnPager(pager.base);
+        const engine = this.engine;
+        const { dbevent } = engine;
+        engine.pager = merged;
+        engine.dbevent = null;
+        try {
+            for (const change of pager.rowChanges) this._applyRowChange(change);
+            merged.commit();
+            return merged;
+        } catch (error) {
+            merged.rollback();
+            throw error;
+        } finally {
+            engine.pager = merged.base;
+            engine.dbevent = dbevent;
+        }
+    }
+
+    /**
+     * Redo one row change on the current overlay; the changed row must still be there exactly once
+     */
+    _applyRowChange({ table, old, row }) {
+        const engine = this.engine;
+        if (!old) {
+            engine.indexManager.checkUnique(table, [row]);
+            engine.insertExecutor.appendRecords(table, [row]);
+            this.trackRows(table, null, [row]);
+            return;
+        }
+
+        const criteria = this._rowCriteria(table, old);
+        let count;
+        if (row) {
+            const updates = {};
+            for (const key in row) {
+                if (JSON.stringify(row[key]) !== JSON.stringify(old[key])) updates[key] = row[key];
+            }
+            count = engine.updateExecutor.updateRows(table, updates, criteria);
+        } else {
+            // ON DELETE actions were recorded as row changes of their own
+            count = engine.deleteExecutor.deleteRows(table, criteria, true);
+        }
+        if (count !== 1) {
+            throw SawitError.of('SAWIT_E_TXN_ROW_CONFLICT', { table, key: JSON.parse(this._rowKey(table, old))[1] });
+        }
+    }
+
+    /**
+     * Key identifying a row across commits: its primary key, or the whole row for tables without one
+     */
+    _rowKey(table, row) {
+        const fields = this._primaryFields(table);
+        return JSON.stringify([table, fields ? fields.map(field => row[field]) : row]);
+    }
+
+    _rowCriteria(table, row) {
+        const fields = this._primaryFields(table)
+            || Object.keys(row).filter(key => row[key] !== null && typeof row[key] !== 'object');
+        return {
+            type: 'compound',
+            logic: 'AND',
+            conditions: fields.map(key => ({ key, op: '=', val: row[key] }))
+        };
+    }
+
+    _primaryFields(table) {
+        for (const index of this.engine.indexes.values()) {
+            if (index.table !== table) continue;
+            if (index.primary) return index.fields || [index.keyField];
+        }
+        return null;
+    }
+
+    /**
+     * Keep the rows a published overlay changed for as long as an older snapshot is open
+     */
+    _remember(pager) {
+        const base = pager.base;
+        const oldest = base.oldestSnapshot();
+        this.commits = oldest === null ? [] : this.commits.filter(commit => commit.seq > oldest);
+        if (oldest === null || pager.rowChanges.length === 0) return;
+
+        const keys = new Set();
+        for (const change of pager.rowChanges) {
+            for (const row of [change.old, change.row]) {
+                if (row) keys.add(this._rowKey(change.table, row));
+            }
+        }
+        this.commits.push({ seq: base.writeSeq, keys });
+    }
+
+    _end(txn) {
+        this.transactions.delete(this.session);
+        this.engine.pager = txn.pager.base;
     }
 }
 
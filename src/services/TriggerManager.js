@@ -1,3 +1,5 @@
+const SawitError = require('../modules/SawitError');
+
 /**
  * TriggerManager - Manages Event Triggers (KENTONGAN) for SawitDB
  * Intercepts INSERT, UPDATE, DELETE and executes defined actions.
@@ -38,12 +40,12 @@ class TriggerManager {
     createTrigger(triggerName, event, table, actionQuery) {
         // 1. Check if trigger exists
         const exists = this.triggers.some(t => t.name === triggerName);
-        if (exists) throw new Error(`Trigger '${triggerName}' already exists.`);
+        if (exists) throw SawitError.of('SAWIT_E_TRIGGER_EXISTS', { trigger: triggerName });
 
         // 2. Validate event
         const validEvents = ['INSERT', 'UPDATE', 'DELETE'];
         if (!validEvents.includes(event.toUpperCase())) {
-            throw new Error(`Invalid trigger event: ${event}. Must be INSERT, UPDATE, or DELETE.`);
+            throw SawitError.of('SAWIT_E_TRIGGER_EVENT', { event });
         }
 
         // 3. Save to system table
@@ -73,7 +75,7 @@ class TriggerManager {
      */
     dropTrigger(triggerName) {
         const index = this.triggers.findIndex(t => t.name === triggerName);
-        if (index === -1) throw new Error(`Trigger '${triggerName}' not found.`);
+        if (index === -1) throw SawitError.of('SAWIT_E_TRIGGER_NOT_FOUND', { trigger: triggerName });
 
         // Remove from system table
         this.engine.deleteExecutor.execute({
@@ -88,6 +90,24 @@ class TriggerManager {
         return `Trigger '${triggerName}' dropped.`;
     }
 
+    /**
+     * ALTER TABLE ... RENAME TO: triggers follow the table, and their action
+     * queries are rewritten to use the new name (quoted strings are left alone)
+     */
+    renameTable(from, to) {
+        const pattern = new RegExp(`('(?:[^'\\\\]|\\\\.)*'|"(?:[^"\\\\]|\\\\.)*")|\\b${from}\\b`, 'g');
+        for (const trigger of this.triggers) {
+            const action = trigger.action.replace(pattern, (match, quoted) => quoted ? match : to);
+            if (trigger.table_name !== from && action === trigger.action) continue;
+
+            if (trigger.table_name === from) trigger.table_name = to;
+            trigger.action = action;
+            this.engine.updateExecutor.update('_triggers',
+                { table_name: trigger.table_name, action },
+                { key: 'name', op: '=', val: trigger.name });
+        }
+    }
+
     /**
      * Execute triggers for a specific event on a table
      * @param {string} event - INSERT, UPDATE, DELETE
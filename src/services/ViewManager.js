@@ -1,3 +1,5 @@
+const SawitError = require('../modules/SawitError');
+
 /**
  * ViewManager - Manages Virtual Views (TEROPONG) for SawitDB
  * Views are stored queries that can be queried like tables
@@ -15,12 +17,12 @@ class ViewManager {
      */
     createView(viewName, selectCommand) {
         if (this.views.has(viewName)) {
-            throw new Error(`View '${viewName}' already exists.`);
+            throw SawitError.of('SAWIT_E_VIEW_EXISTS', { view: viewName });
         }
 
         // Validate that it's a SELECT command
         if (selectCommand.type !== 'SELECT') {
-            throw new Error('Views can only be created from SELECT queries.');
+            throw SawitError.of('SAWIT_E_VIEW_NOT_SELECT');
         }
 
         // Store view definition
@@ -40,7 +42,7 @@ class ViewManager {
      */
     dropView(viewName) {
         if (!this.views.has(viewName)) {
-            throw new Error(`View '${viewName}' does not exist.`);
+            throw SawitError.of('SAWIT_E_VIEW_NOT_FOUND', { view: viewName });
         }
 
         this.views.delete(viewName);
@@ -54,7 +56,7 @@ class ViewManager {
      */
     executeView(viewName, additionalCriteria = null) {
         if (!this.views.has(viewName)) {
-            throw new Error(`View '${viewName}' does not exist.`);
+            throw SawitError.of('SAWIT_E_VIEW_NOT_FOUND', { view: viewName });
         }
 
         const viewDef = this.views.get(viewName);
@@ -97,6 +99,22 @@ class ViewManager {
         return this.views.has(name);
     }
 
+    /**
+     * ALTER TABLE ... RENAME TO: rewrite stored queries that read the table
+     * (FROM / JOIN table, and table-qualified columns like 'kebun.id')
+     */
+    renameTable(from, to) {
+        for (const [viewName, def] of this.views) {
+            const query = renameInQuery(def.query, from, to);
+            if (JSON.stringify(query) === JSON.stringify(def.query)) continue;
+
+            def.query = query;
+            this.engine.updateExecutor.update('_views',
+                { definition: JSON.stringify(query) },
+                { key: 'name', op: '=', val: viewName });
+        }
+    }
+
     /**
      * Load views from system table
      */
@@ -152,4 +170,23 @@ class ViewManager {
     }
 }
 
+/**
+ * Copy of a parsed query with table references renamed. Literal values ('val') are never touched.
+ */
+function renameInQuery(node, from, to, key = null) {
+    if (Array.isArray(node)) return node.map(item => renameInQuery(item, from, to, key));
+    if (node && typeof node === 'object') {
+        const copy = {};
+        for (const [k, v] of Object.entries(node)) {
+            copy[k] = k === 'val' ? v : renameInQuery(v, from, to, k);
+        }
+        return copy;
+    }
+    if (typeof node === 'string') {
+        if (key === 'table' && node === from) return to;
+        if (node.startsWith(from + '.')) return to + node.slice(from.length);
+    }
+    return node;
+}
+
 module.exports = ViewManager;
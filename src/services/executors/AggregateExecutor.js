@@ -1,17 +1,29 @@
 const getTermObj = require('../QueryExecutor');
 const QueryExecutor = require('../QueryExecutor');
 const SelectExecutor = require('./SelectExecutor');
-
+const ConditionEvaluator = require('../logic/ConditionEvaluator');
+const ExpressionEvaluator = require('../logic/ExpressionEvaluator');
+
+/**
+ * HITUNG FUNC(arg), for every aggregate of ExpressionEvaluator, answered with the function name as
+ * result key: { count } for COUNT(*), { sum, field }, { median, field }, ... or one { <group>, sum }
+ * row per group. Several aggregates or aliases are parsed into a grouped SELECT and return rows
+ * (see QueryParser.parseAggregate).
+ */
 class AggregateExecutor extends QueryExecutor {
     constructor(db) {
         super(db);
         // Depends on SelectExecutor logic to get filtered rows
         this.selectExecutor = new SelectExecutor(db);
+        this.conditionEvaluator = new ConditionEvaluator();
+        this.expressionEvaluator = new ExpressionEvaluator(db);
     }
 
     execute(cmd) {
-        // cmd = { table, func, field, criteria, groupBy, having }
-        const { table, func, field, criteria, groupBy, having } = cmd;
+        // cmd = { table, func, field, aggregate, criteria, groupBy, having }
+        const { table, aggregate, criteria, groupBy, having } = cmd;
+        this.expressionEvaluator.validate(aggregate, true);
+        this.expressionEvaluator.validateCriteria(having, true);
 
         // Reuse select executor logic to get rows matching criteria
         // We construct a select command.
@@ -29,120 +41,38 @@ class AggregateExecutor extends QueryExecutor {
         const records = this.selectExecutor.execute(selectCmd);
 
         if (groupBy) {
-            return this.groupedAggregate(records, func, field, groupBy, having);
+            return this.groupedAggregate(records, aggregate, groupBy, having);
         }
 
-        switch (func.toUpperCase()) {
-            case 'COUNT':
-                return { count: records.length };
-
-            case 'SUM':
-                if (!field) throw new Error("SUM requires a field");
-                const sum = records.reduce((acc, r) => acc + (Number(r[field]) || 0), 0);
-                return { sum, field };
-
-            case 'AVG': {
-                if (!field) throw new Error("AVG requires a field");
-                if (records.length === 0) {
-                    return { avg: null, field, count: 0 };
-                }
-                const avgSum = records.reduce((acc, r) => acc + (Number(r[field]) || 0), 0);
-                const avg = avgSum / records.length;
-                return { avg, field, count: records.length };
-            }
-
-            case 'MIN': {
-                if (!field) throw new Error("MIN requires a field");
-                if (records.length === 0) {
-                    return { min: null, field };
-                }
-                let min = Infinity;
-                for (const r of records) {
-                    const val = Number(r[field]);
-                    if (!isNaN(val) && val < min) min = val;
-                }
-                return { min: min === Infinity ? null : min, field };
-            }
-
-            case 'MAX': {
-                if (!field) throw new Error("MAX requires a field");
-                if (records.length === 0) {
-                    return { max: null, field };
-                }
-                let max = -Infinity;
-                for (const r of records) {
-                    const val = Number(r[field]);
-                    if (!isNaN(val) && val > max) max = val;
-                }
-                return { max: max === -Infinity ? null : max, field };
-            }
-
-            default:
-                throw new Error(`Unknown aggregate function: ${func}`);
-        }
+        const result = { [aggregate.func.toLowerCase()]: this.expressionEvaluator.aggregate(aggregate, records) };
+        if (aggregate.arg) result.field = ExpressionEvaluator.describe(aggregate.arg);
+        return result;
     }
 
-    groupedAggregate(records, func, field, groupBy, having) {
-        const groups = {};
+    groupedAggregate(records, aggregate, groupBy, having) {
+        // JSON keys as in SelectExecutor._groupRows: 2024 and '2024' stay apart and keep their type
+        const groups = new Map();
         for (const record of records) {
-            const key = record[groupBy];
-            if (!groups[key]) groups[key] = [];
-            groups[key].push(record);
-        }
-
-        const results = [];
-        for (const [key, groupRecords] of Object.entries(groups)) {
-            const result = { [groupBy]: key };
-            switch (func.toUpperCase()) {
-                case 'COUNT':
-                    result.count = groupRecords.length;
-                    break;
-                case 'SUM':
-                    result.sum = groupRecords.reduce((acc, r) => acc + (Number(r[field]) || 0), 0);
-                    break;
-                case 'AVG':
-                    if (groupRecords.length === 0) {
-                        result.avg = null;
-                    } else {
-                        result.avg = groupRecords.reduce((acc, r) => acc + (Number(r[field]) || 0), 0) / groupRecords.length;
-                    }
-                    break;
-                case 'MIN': {
-                    let min = Infinity;
-                    for (const r of groupRecords) {
-                        const val = Number(r[field]);
-                        if (!isNaN(val) && val < min) min = val;
-                    }
-                    result.min = min === Infinity ? null : min;
-                    break;
-                }
-                case 'MAX': {
-                    let max = -Infinity;
-                    for (const r of groupRecords) {
-                        const val = Number(r[field]);
-                        if (!isNaN(val) && val > max) max = val;
-                    }
-                    result.max = max === -Infinity ? null : max;
-                    break;
-                }
-            }
-            results.push(result);
+            const key = JSON.stringify(record[groupBy]);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
         }
 
-        // Apply HAVING filter on aggregated results
+        const groupList = [...groups.values()];
+        const results = groupList.map(groupRecords => {
+            // Rows without the column form the NULL group, which still gets its key
+            const key = groupRecords[0][groupBy];
+            return {
+                [groupBy]: key === undefined ? null : key,
+                [aggregate.func.toLowerCase()]: this.expressionEvaluator.aggregate(aggregate, groupRecords)
+            };
+        });
+
+        // HAVING sees the result keys (count > 5) and the rows of the group (SUM(ton) > 100)
         if (having) {
-            return results.filter(row => {
-                const val = row[having.field];
-                const target = having.val;
-                switch (having.op) {
-                    case '=': return val === target;
-                    case '!=': case '<>': return val !== target;
-                    case '>': return val > target;
-                    case '<': return val < target;
-                    case '>=': return val >= target;
-                    case '<=': return val <= target;
-                    default: return true;
-                }
+            return results.filter((result, i) => {
+                const row = Object.assign(ExpressionEvaluator.groupRow(groupList[i]), result);
+                return this.conditionEvaluator.checkMatch(row, having);
             });
         }
 
@@ -1,39 +1,61 @@
 const termObj = require('../QueryExecutor');
 const QueryExecutor = require('../QueryExecutor');
 const ConditionEvaluator = require('../logic/ConditionEvaluator');
+const SubqueryPlanner = require('../logic/SubqueryPlanner');
+const QueryResult = require('../../modules/QueryResult');
+const SawitError = require('../../modules/SawitError');
 
 class DeleteExecutor extends QueryExecutor {
     constructor(db) {
         super(db);
         this.conditionEvaluator = new ConditionEvaluator();
+        this.subqueryPlanner = new SubqueryPlanner(db);
     }
 
     execute(cmd) {
         // cmd = { table, criteria }
-        return this.delete(cmd.table, cmd.criteria);
+        cmd = this.subqueryPlanner.plan(cmd);
+        const deletedCount = this.deleteRows(cmd.table, cmd.criteria);
+        return new QueryResult({ message: this._message(deletedCount), affectedRows: deletedCount });
     }
 
-    delete(table, criteria, forceFullScan = false) {
+    delete(table, criteria) {
+        return this._message(this.deleteRows(table, criteria));
+    }
+
+    _message(deletedCount) {
+        return `Berhasil menggusur ${deletedCount} bibit.`;
+    }
+
+    /**
+     * Delete matching rows
+     * @returns {number} Number of rows deleted
+     */
+    deleteRows(table, criteria, forceFullScan = false) {
         const entry = this.db.tableManager
             ? this.db.tableManager.findTableEntry(table)
             : this.db._findTableEntry(table);
 
-        if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: table });
 
-        // OPTIMIZATION: Check Index Hint for simple equality delete
-        let hintPageId = -1;
-        if (!forceFullScan && criteria && criteria.op === '=' && criteria.key) {
-            const indexKey = `${table}.${criteria.key}`;
-            if (this.db.indexes.has(indexKey)) {
-                const index = this.db.indexes.get(indexKey);
-                const searchRes = index.search(criteria.val);
-                if (searchRes.length > 0 && searchRes[0]._pageId !== undefined) {
-                    hintPageId = searchRes[0]._pageId;
-                }
+        // Foreign keys pointing here: ON DELETE actions run first, and the whole chain
+        // is all-or-nothing (own overlay unless already inside AKAD / autocommit)
+        if (!forceFullScan && this.db.schemaManager.referencesTo(table).length > 0) {
+            if (!this.db.pager.base) {
+                return this.db.transactionManager.autocommit(() => this.deleteRows(table, criteria));
             }
+            const pages = this.db.indexManager.lookupPages(table, criteria);
+            const rows = pages
+                ? this.db.indexManager.fetchRows(table, pages, criteria)
+                : this.db._scanTable(entry, criteria);
+            this.db.schemaManager.applyDeleteActions(table, rows, criteria);
         }
 
-        let currentPageId = (hintPageId !== -1) ? hintPageId : entry.startPage;
+        // OPTIMIZATION: Check Index Hint for simple equality delete
+        const hintPages = forceFullScan ? null : this.db.indexManager.lookupPages(table, criteria);
+        let hintPos = 0;
+
+        let currentPageId = hintPages ? (hintPages[0] || 0) : entry.startPage;
         let deletedCount = 0;
         let deletedData = [];
 
@@ -45,13 +67,18 @@ class DeleteExecutor extends QueryExecutor {
             let pageModified = false;
 
             for (let i = 0; i < count; i++) {
-                const len = pData.readUInt16LE(offset);
-                const jsonStr = pData.toString('utf8', offset + 2, offset + 2 + len);
+                const record = this.db.pager.readRecord(pData, offset);
                 let shouldDelete = false;
                 let parsedObj = null;
 
                 try {
-                    parsedObj = JSON.parse(jsonStr);
+                    parsedObj = this.db.schemaManager.upgradeRow(table, JSON.parse(record.json));
+                    // Page hint: index entries are keyed by (value, pageId)
+                    Object.defineProperty(parsedObj, '_pageId', {
+                        value: currentPageId,
+                        enumerable: false,
+                        writable: true
+                    });
                     // Use ConditionEvaluator
                     if (this.conditionEvaluator.checkMatch(parsedObj, criteria)) shouldDelete = true;
                 } catch (e) {
@@ -60,6 +87,8 @@ class DeleteExecutor extends QueryExecutor {
 
                 if (shouldDelete) {
                     deletedCount++;
+                    // Overflow pages of the record go back to the free list
+                    if (record.overflowPage) this.db.pager.freeChain(record.overflowPage);
                     // Remove from Index if needed
                     if (table !== '_indexes' && parsedObj) {
                         if (this.db.indexManager) {
@@ -71,19 +100,19 @@ class DeleteExecutor extends QueryExecutor {
                     deletedData.push(parsedObj);
                     pageModified = true;
                 } else {
-                    recordsToKeep.push({ len, data: pData.slice(offset + 2, offset + 2 + len) });
+                    // Keep the raw slot (inline record or overflow pointer)
+                    recordsToKeep.push(pData.slice(offset, offset + record.slotSize));
                 }
-                offset += 2 + len;
+                offset += record.slotSize;
             }
 
             if (pageModified) {
                 let writeOffset = 8;
                 pData.writeUInt16LE(recordsToKeep.length, 4);
 
-                for (let rec of recordsToKeep) {
-                    pData.writeUInt16LE(rec.len, writeOffset);
-                    rec.data.copy(pData, writeOffset + 2);
-                    writeOffset += 2 + rec.len;
+                for (let slot of recordsToKeep) {
+                    slot.copy(pData, writeOffset);
+                    writeOffset += slot.length;
                 }
                 pData.writeUInt16LE(writeOffset, 6); // New free offset
                 pData.fill(0, writeOffset); // Zero out rest
@@ -92,42 +121,27 @@ class DeleteExecutor extends QueryExecutor {
             }
 
             // Next page logic
-            if (hintPageId !== -1) {
-                break; // Optimized single page scan done
+            if (hintPages) {
+                // Optimized scan: only pages the index points at
+                hintPos++;
+                currentPageId = hintPos < hintPages.length ? hintPages[hintPos] : 0;
+                continue;
             }
             currentPageId = pData.readUInt32LE(0);
         }
 
-        if (hintPageId !== -1 && deletedCount === 0) {
+        if (hintPages && hintPages.length > 0 && deletedCount === 0) {
             // Hint failed (maybe race condition or stale index?), fallback to full scan
-            return this.delete(table, criteria, true);
+            return this.deleteRows(table, criteria, true);
         }
 
-        if (this.db.dbevent && this.db.dbevent.OnTableInserted) { // Assuming OnTableDeleted event? using Inserted signature implies it might vary or I should check implementation
-            // WowoEngine.js used OnTableInserted for delete too?
-            // Line 955 in WowoEngine.js: this.dbevent.OnTableInserted(table, deletedData, this.queryString); 
-            // Wait, it says Inserted? That looks like a bug or copy paste in original code.
-            // Or maybe it meant OnTableDeleted.
-            // Line 309: OnTableCreated
-            // Line 358: OnTableDropped
-            // Line 451: OnTableInserted
-            // Line 955: OnTableInserted (for delete?!)
-            // Line 1069: OnTableUpdated
-
-            // I recall user context "OnTableInserted" for delete in line 955. 
-            // I will preserve this behavior but it looks wrong. 
-            // Actually let's check line 955 in `view_file` output.
-            // 955: this.dbevent.OnTableInserted(table,deletedData,this.queryString);
-            // Yes, it says Inserted. I should probably keep it to avoid breaking event consumers,
-            // or fix it if I'm sure. Given this is a refactor, I should replicate behavior unless I fix bugs.
-            // If I fix it, I should note it.
-            // Let's assume it's "OnTableDeleted" but defined as Inserted in code? 
-            // DBEventHandler likely has OnTableDeleted. 
-            // But if WowoEngine calls Inserted, I must call Inserted.
-            this.db.dbevent.OnTableInserted(table, deletedData, this.db.queryString);
+        this.db.transactionManager.trackRows(table, deletedData, null);
+
+        if (this.db.dbevent && this.db.dbevent.OnTableDeleted) {
+            this.db.dbevent.OnTableDeleted(table, deletedData, this.db.queryString);
         }
 
-        return `Berhasil menggusur ${deletedCount} bibit.`;
+        return deletedCount;
     }
 }
 
@@ -1,6 +1,8 @@
 const termObj = require('../QueryExecutor');
 const QueryExecutor = require('../QueryExecutor');
 const Pager = require('../../modules/Pager'); // Adjust path to modules/Pager
+const QueryResult = require('../../modules/QueryResult');
+const SawitError = require('../../modules/SawitError');
 
 class InsertExecutor extends QueryExecutor {
     constructor(db) {
@@ -16,22 +18,69 @@ class InsertExecutor extends QueryExecutor {
 
         const { table, data } = cmd;
         if (!data || Object.keys(data).length === 0) {
-            throw new Error("Data kosong / fiktif? Ini melanggar integritas (Korupsi Data).");
+            throw SawitError.of('SAWIT_E_EMPTY_DATA');
         }
 
         // Wrap in array for insertMany logic
         const dataArray = Array.isArray(data) ? data : [data];
-        return this.insertMany(table, dataArray);
+        const { rows, generated } = this.insertRows(table, dataArray);
+        // Generated values (AUTO_INCREMENT / NEXTVAL), otherwise the ids given by the caller
+        const idField = generated || 'id';
+        return new QueryResult({
+            message: this._message(rows, generated),
+            affectedRows: rows.length,
+            insertedIds: rows.filter(row => row[idField] !== undefined).map(row => row[idField])
+        });
     }
 
     insertMany(table, dataArray) {
         if (!dataArray || dataArray.length === 0) return "Tidak ada bibit untuk ditanam.";
+        const { rows, generated } = this.insertRows(table, dataArray);
+        return this._message(rows, generated);
+    }
+
+    _message(rows, generated) {
+        if (generated) {
+            return `${rows.length} bibit tertanam (${generated}: ${rows.map(row => row[generated]).join(', ')}).`;
+        }
+        return `${rows.length} bibit tertanam.`;
+    }
+
+    /**
+     * Prepare, check and store rows
+     * @returns {{rows: Object[], generated: string|null}} Stored rows and the AUTO_INCREMENT / NEXTVAL column
+     */
+    insertRows(table, dataArray) {
+
+        // AUTO_INCREMENT / NEXTVAL column: its new values are reported back
+        const generated = this.db.schemaManager.generatedColumn(table, dataArray[0]);
+
+        // Defaults, types, NOT NULL and CHECK: prepared copies, so cached commands keep their original values
+        dataArray = dataArray.map(row => this.db.schemaManager.prepareInsert(table, row));
+
+        // Checked for the whole batch first: nothing is written if one row violates a key
+        this.db.indexManager.checkUnique(table, dataArray);
+
+        this.appendRecords(table, dataArray);
+        this.db.transactionManager.trackRows(table, null, dataArray);
+
+        if (this.db.dbevent && this.db.dbevent.OnTableInserted) {
+            this.db.dbevent.OnTableInserted(table, dataArray, this.db.queryString);
+        }
+
+        return { rows: dataArray, generated };
+    }
 
+    /**
+     * Append records to the end of the table chain and index them (no events).
+     * Also used by UPDATE to relocate rows that outgrew their page.
+     */
+    appendRecords(table, dataArray) {
         const entry = this.db.tableManager
             ? this.db.tableManager.findTableEntry(table)
             : this.db._findTableEntry(table);
 
-        if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: table });
 
         let currentPageId = entry.lastPage;
         let pData = this.db.pager.readPage(currentPageId);
@@ -40,13 +89,12 @@ class InsertExecutor extends QueryExecutor {
         let startPageChanged = false;
 
         for (const data of dataArray) {
-            const dataStr = JSON.stringify(data);
-            const dataBuf = Buffer.from(dataStr, 'utf8');
-            const recordLen = dataBuf.length;
-            const totalLen = 2 + recordLen;
+            // Slot is [len][json], or an overflow pointer for oversized records
+            const slot = this.db.pager.encodeRecord(JSON.stringify(this.db.schemaManager.stampRow(table, data)));
+            const totalLen = slot.length;
 
             // Check if fits
-            if (freeOffset + totalLen > Pager.PAGE_SIZE) {
+            if (freeOffset + totalLen > this.db.pager.usableSize) {
                 // Write current full page
                 pData.writeUInt16LE(count, 4);
                 pData.writeUInt16LE(freeOffset, 6);
@@ -66,8 +114,7 @@ class InsertExecutor extends QueryExecutor {
             }
 
 
-            pData.writeUInt16LE(recordLen, freeOffset);
-            dataBuf.copy(pData, freeOffset + 2);
+            slot.copy(pData, freeOffset);
             freeOffset += totalLen;
             count++;
 
@@ -101,12 +148,6 @@ class InsertExecutor extends QueryExecutor {
                 this.db._updateTableLastPage(table, currentPageId);
             }
         }
-
-        if (this.db.dbevent && this.db.dbevent.OnTableInserted) {
-            this.db.dbevent.OnTableInserted(table, dataArray, this.db.queryString);
-        }
-
-        return `${dataArray.length} bibit tertanam.`;
     }
 }
 
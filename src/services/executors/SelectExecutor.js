@@ -1,25 +1,43 @@
 const QueryExecutor = require('../QueryExecutor');
 const JoinProcessor = require('../logic/JoinProcessor');
 const ConditionEvaluator = require('../logic/ConditionEvaluator');
+const ExpressionEvaluator = require('../logic/ExpressionEvaluator');
+const SubqueryPlanner = require('../logic/SubqueryPlanner');
+const SawitError = require('../../modules/SawitError');
+const BTreeIndex = require('../../modules/BTreeIndex');
 
 class SelectExecutor extends QueryExecutor {
     constructor(db) {
         super(db);
         this.joinProcessor = new JoinProcessor(db);
         this.conditionEvaluator = new ConditionEvaluator();
+        this.expressionEvaluator = new ExpressionEvaluator(db);
+        this.subqueryPlanner = new SubqueryPlanner(db);
     }
 
     execute(cmd) {
-        // cmd: { table, criteria, sort, limit, offset, joins, cols, distinct ... }
-
-        // 1. Get Rows (Scan or Join)
-        let rows = this._getRows(cmd);
-
-        // 2. Column Projection
+        // cmd: { table, criteria, sort, limit, offset, joins, cols, computed, groupBy, having, distinct ... }
+        cmd = this.subqueryPlanner.plan(cmd);
+        const computed = cmd.computed || {};
+        const grouped = Array.isArray(cmd.groupBy);
+        for (const name in computed) this.expressionEvaluator.validate(computed[name], grouped);
+        if (cmd.sort && cmd.sort.expr) this.expressionEvaluator.validate(cmd.sort.expr, grouped);
+        if (grouped) cmd.groupBy.forEach(node => this.expressionEvaluator.validate(node));
+        this.expressionEvaluator.validateCriteria(cmd.criteria);
+        this.expressionEvaluator.validateCriteria(cmd.having, true);
+
+        // 1. Get Rows (Scan or Join), or one row per group; a SELECT without FROM has one empty row
+        let rows = !cmd.table ? [{}] : (grouped ? this._groupRows(cmd) : this._getRows(cmd));
+
+        // 2. Column Projection (computed columns are evaluated per row)
         if (cmd.cols && !(cmd.cols.length === 1 && cmd.cols[0] === '*')) {
             rows = rows.map(r => {
                 const newRow = {};
-                cmd.cols.forEach(c => newRow[c] = r[c] !== undefined ? r[c] : null);
+                cmd.cols.forEach(c => {
+                    if (c === '*') Object.assign(newRow, r);
+                    else if (computed[c]) newRow[c] = this.expressionEvaluator.evaluate(computed[c], r);
+                    else newRow[c] = r[c] !== undefined ? r[c] : null;
+                });
                 return newRow;
             });
         }
@@ -43,8 +61,31 @@ class SelectExecutor extends QueryExecutor {
         return rows;
     }
 
+    /**
+     * GROUP BY / aggregates: WHERE picks the rows, then each group becomes one row (see
+     * ExpressionEvaluator.groupRow) that HAVING filters and ORDER BY / LIMIT apply to.
+     * Without GROUP BY the whole table is one group, even when it is empty.
+     */
+    _groupRows(cmd) {
+        const rows = this._getRows({ ...cmd, sort: null, limit: null, offset: null });
+
+        const groups = new Map();
+        if (cmd.groupBy.length === 0) groups.set('', rows);
+        for (const row of cmd.groupBy.length > 0 ? rows : []) {
+            const key = JSON.stringify(cmd.groupBy.map(node => this.expressionEvaluator.evaluate(node, row)));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+
+        let results = [...groups.values()].map(group => ExpressionEvaluator.groupRow(group));
+        if (cmd.having) results = results.filter(r => this.conditionEvaluator.checkMatch(r, cmd.having));
+
+        return this._sortAndLimit(results, cmd.sort, cmd.limit, cmd.offset);
+    }
+
     _getRows(cmd) {
-        const { table, criteria, sort, limit, offset, joins } = cmd;
+        const { table, criteria, limit, offset, joins } = cmd;
+        let sort = cmd.sort;
 
         let results = [];
 
@@ -54,7 +95,7 @@ class SelectExecutor extends QueryExecutor {
                 ? this.db.tableManager.findTableEntry(table)
                 : this.db._findTableEntry(table);
 
-            if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+            if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: table });
 
             // Scan main table
             // Use db._scanTable for now (it's the low level data access)
@@ -76,35 +117,48 @@ class SelectExecutor extends QueryExecutor {
                 ? this.db.tableManager.findTableEntry(table)
                 : this.db._findTableEntry(table);
 
-            if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+            if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: table });
 
-            // OPTIMIZATION: Index Usage logic
-            // Check if we can use index (Equality on indexed field and no sort or sort matches index?)
-            // For now, implementing exact logic from WowoEngine.js
+            const access = this.planAccess(cmd);
+            const indexManager = this.db.indexManager;
 
-            if (criteria && criteria.op === '=' && !sort) {
-                const indexKey = `${table}.${criteria.key}`;
-                if (this.db.indexes.has(indexKey)) {
-                    const index = this.db.indexes.get(indexKey);
-                    results = index.search(criteria.val);
-                } else {
-                    const scanLimit = sort ? null : limit;
-                    results = this.db._scanTable(entry, criteria, scanLimit);
+            if (access.order) {
+                // Stream in index order: no sort, and HANYA stops the walk early
+                const wanted = limit ? (offset || 0) + limit : Infinity;
+                const ranges = access.lookup ? access.lookup.ranges : [{ min: undefined, max: undefined }];
+                results = indexManager.orderedRows(access.order, ranges, criteria, sort.dir === 'desc', wanted);
+
+                if (!access.lookup && results.length < wanted) {
+                    // Rows without the sort field are not in the index; they sort last
+                    const rest = this.db._scanTable(entry, criteria).filter(r => !r.hasOwnProperty(sort.key));
+                    results = results.concat(rest);
                 }
+            } else if (access.lookup) {
+                // Index yields data page ids; read only those pages
+                const pageIds = indexManager.lookupPages(table, criteria);
+                results = indexManager.fetchRows(table, pageIds, criteria);
             } else {
                 const scanLimit = sort ? null : limit;
                 results = this.db._scanTable(entry, criteria, scanLimit);
             }
+
+            if (access.order) sort = null; // Already in order
         }
 
+        return this._sortAndLimit(results, sort, limit, offset);
+    }
+
+    _sortAndLimit(results, sort, limit, offset) {
         // Sorting
         if (sort) {
+            // Expression keys (ORDER BY estimasi, ORDER BY luas * 2) are evaluated once per row
+            const keys = sort.expr ? new Map(results.map(r => [r, this.expressionEvaluator.evaluate(sort.expr, r)])) : null;
             results.sort((a, b) => {
-                const valA = a[sort.key];
-                const valB = b[sort.key];
-                if (valA < valB) return sort.dir === 'asc' ? -1 : 1;
-                if (valA > valB) return sort.dir === 'asc' ? 1 : -1;
-                return 0;
+                const valA = keys ? keys.get(a) : a[sort.key];
+                const valB = keys ? keys.get(b) : b[sort.key];
+                // Index key order, as when the rows come from an index walk (NULL / missing first)
+                const c = BTreeIndex.compareKeys(valA, valB);
+                return sort.dir === 'asc' ? c : -c;
             });
         }
 
@@ -125,6 +179,25 @@ class SelectExecutor extends QueryExecutor {
 
         return results;
     }
+
+    /**
+     * Index use of a single-table SELECT:
+     * - lookup: index plan for the WHERE criteria (see IndexManager.planLookup)
+     * - order: index on the URUTKAN field; rows are streamed in its order,
+     *   within the lookup ranges when both are on the same field.
+     * A sort index on another field than the lookup only wins when HANYA limits the walk.
+     */
+    planAccess(cmd) {
+        const indexManager = this.db.indexManager;
+        const lookup = indexManager.planLookup(cmd.table, cmd.criteria);
+        const order = cmd.sort && !cmd.sort.expr ? indexManager.indexFor(cmd.table, cmd.sort.key) : null;
+
+        if (order) {
+            if (lookup && lookup.index === order) return { lookup, order };
+            if (!lookup || cmd.limit) return { lookup: null, order };
+        }
+        return { lookup, order: null };
+    }
 }
 
 module.exports = SelectExecutor;
@@ -1,155 +1,212 @@
 const termObj = require('../QueryExecutor');
 const QueryExecutor = require('../QueryExecutor');
 const ConditionEvaluator = require('../logic/ConditionEvaluator');
+const ExpressionEvaluator = require('../logic/ExpressionEvaluator');
+const SubqueryPlanner = require('../logic/SubqueryPlanner');
 const InsertExecutor = require('./InsertExecutor');
-const DeleteExecutor = require('./DeleteExecutor');
+const QueryResult = require('../../modules/QueryResult');
+const SawitError = require('../../modules/SawitError');
 
 class UpdateExecutor extends QueryExecutor {
     constructor(db) {
         super(db);
         this.conditionEvaluator = new ConditionEvaluator();
-        // We can lazily instantiate or keep references to other executors for fallback
+        this.expressionEvaluator = new ExpressionEvaluator(db);
+        this.subqueryPlanner = new SubqueryPlanner(db);
+        // Used to re-append rows that no longer fit on their page
         this.insertExecutor = new InsertExecutor(db);
-        this.deleteExecutor = new DeleteExecutor(db);
     }
 
     execute(cmd) {
-        // cmd = { table, updates, criteria }
-        return this.update(cmd.table, cmd.updates, cmd.criteria);
+        // cmd = { table, updates, criteria, expressions }
+        cmd = this.subqueryPlanner.plan(cmd);
+        const updatedCount = this.updateRows(cmd.table, cmd.updates, cmd.criteria, cmd.expressions);
+        return new QueryResult({ message: this._message(updatedCount), affectedRows: updatedCount });
     }
 
     update(table, updates, criteria) {
+        return this._message(this.updateRows(table, updates, criteria));
+    }
+
+    _message(updatedCount) {
+        return `Berhasil memupuk ${updatedCount} bibit.`;
+    }
+
+    /**
+     * Apply updates to matching rows
+     * @param {Object} expressions - { column: expression } evaluated against each matched row (SET stok = stok - 5)
+     * @returns {number} Number of rows updated
+     */
+    updateRows(table, updates, criteria, expressions = null) {
         const entry = this.db.tableManager
             ? this.db.tableManager.findTableEntry(table)
             : this.db._findTableEntry(table);
 
-        if (!entry) throw new Error(`Kebun '${table}' tidak ditemukan.`);
+        if (!entry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: table });
+
+        updates = this.db.schemaManager.prepareUpdate(table, updates);
+        const changesFor = this._changes(table, updates, expressions);
 
         // OPTIMIZATION: Check Index Hint for simple equality update
-        let hintPageId = -1;
-        if (criteria && criteria.op === '=' && criteria.key) {
-            const indexKey = `${table}.${criteria.key}`;
-            if (this.db.indexes.has(indexKey)) {
-                const index = this.db.indexes.get(indexKey);
-                const searchRes = index.search(criteria.val);
-                if (searchRes.length > 0 && searchRes[0]._pageId !== undefined) {
-                    hintPageId = searchRes[0]._pageId;
-                }
-            }
+        const hintPages = this.db.indexManager.lookupPages(table, criteria);
+
+        // Unique keys, CHECK and foreign keys are checked for all matching rows before any page is rewritten
+        const fields = [...Object.keys(updates), ...Object.keys(expressions || {})];
+        const checkUnique = this.db.indexManager.touchesUnique(table, fields);
+        if (checkUnique || this.db.schemaManager.validatesFields(table, fields)) {
+            const oldRows = hintPages
+                ? this.db.indexManager.fetchRows(table, hintPages, criteria)
+                : this.db._scanTable(entry, criteria);
+            const newRows = oldRows.map(row => ({ ...row, ...changesFor(row, true) }));
+            this.db.schemaManager.validateUpdate(table, oldRows, newRows);
+            if (checkUnique) this.db.indexManager.checkUnique(table, newRows, oldRows);
         }
 
-        let currentPageId = (hintPageId !== -1) ? hintPageId : entry.startPage;
+        let hintPos = 0;
+
+        let currentPageId = hintPages ? (hintPages[0] || 0) : entry.startPage;
         let updatedCount = 0;
         let updatedData = [];
+        const updatedRows = []; // { obj, originalObj }
+
+        // Pages are rebuilt in place: untouched slots are kept as-is, updated rows re-encoded.
+        // Rows that no longer fit on their page are moved to the end of the table.
+        const movedRows = [];
 
-        // OPTIMIZATION: In-place update instead of DELETE+INSERT
         while (currentPageId !== 0) {
-            let pData = this.db.pager.readPage(currentPageId);
+            const pData = this.db.pager.readPage(currentPageId);
             const count = pData.readUInt16LE(4);
             let offset = 8;
-            let modified = false;
+            const slots = []; // { slot, row } in original order; row is set for updated records
+            let updatedOnPage = 0;
 
             for (let i = 0; i < count; i++) {
-                const len = pData.readUInt16LE(offset);
-                const jsonStr = pData.toString('utf8', offset + 2, offset + 2 + len);
+                const record = this.db.pager.readRecord(pData, offset);
+                const rawSlot = Buffer.from(pData.slice(offset, offset + record.slotSize));
+                offset += record.slotSize;
 
+                let obj = null;
                 try {
-                    const obj = JSON.parse(jsonStr);
-
-                    if (this.conditionEvaluator.checkMatch(obj, criteria)) {
-                        // Store original values for index update (shallow copy)
-                        const originalObj = { ...obj };
-
-                        // Apply updates
-                        for (const k in updates) {
-                            obj[k] = updates[k];
-                        }
-
-                        // Update index if needed
-                        // Inject _pageId hint so the index knows where this record lives
-                        Object.defineProperty(obj, '_pageId', {
-                            value: currentPageId,
-                            enumerable: false,
-                            writable: true
-                        });
-
-                        // Use original object instead of re-parsing JSON
-                        if (this.db.indexManager) {
-                            this.db.indexManager.updateIndexes(table, obj, originalObj);
-                        } else {
-                            this.db._updateIndexes(table, obj, originalObj);
-                        }
-
-                        // Serialize updated object
-                        const newJsonStr = JSON.stringify(obj);
-                        const newLen = Buffer.byteLength(newJsonStr, 'utf8');
-
-                        // Check if it fits in same space
-                        if (newLen <= len) {
-                            // In-place update
-                            pData.writeUInt16LE(newLen, offset);
-                            pData.write(newJsonStr, offset + 2, newLen, 'utf8');
-                            // Zero out remaining space
-                            if (newLen < len) {
-                                pData.fill(0, offset + 2 + newLen, offset + 2 + len);
-                            }
-                            modified = true;
-                            updatedCount++;
-                        } else {
-                            // Fallback: DELETE + INSERT (rare case)
-                            // We use the executors directly
-                            this.deleteExecutor.delete(table, criteria);
-                            // WARNING: logic flaw in original code? 
-                            // _delete deletes ALL matching criteria. 
-                            // If we are iterating, we might be deleting more than current row?
-                            // But here we are iterating over rows. 
-                            // If we call delete(table, criteria), it scans the table AGAIN and deletes all matches.
-                            // Including THIS one. And subsequent ones.
-                            // So we break loop after this?
-                            // Original code (line 1043) does `break; // Exit loop which page structure changed`.
-                            // This implies that if ONE update overflows, we blindly `_delete(all matches)` and `_insert(this one)`.
-                            // What about other matches that didn't overflow?
-                            // They get deleted by `_delete` too.
-                            // And then we `_insert` ONLY the current obj?
-                            // This looks like a bug in original WowoEngine for bulk updates where one overflows.
-                            // But I must preserve behavior.
-                            // Wait, if `_delete` is called, it removes all matches.
-                            // Then `_insert` adds back the *current* modified object.
-                            // Any other matches are lost? No, they are deleted.
-                            // This seems to imply UPDATE with overflow only supports updating ONE record safely or assumes all overflow?
-                            // Actually, if `_delete` is called, it returns "Berhasil menggusur X bibit".
-                            // If `updatedCount` was incrementing, and now we delete everything...
-                            // It's messy. But I'm refactoring, not fixing logic bugs unless critical.
-                            // I'll stick to calling the executors.
-
-                            this.insertExecutor.insertMany(table, [obj]);
-                            updatedCount++;
-                            break; // Exit loop as page structure changed
-                        }
-
-                        updatedData.push(obj);
-                    }
+                    obj = this.db.schemaManager.upgradeRow(table, JSON.parse(record.json));
                 } catch (err) {
                     // Skip malformed JSON records
                 }
 
-                offset += 2 + len;
+                if (!obj || !this.conditionEvaluator.checkMatch(obj, criteria)) {
+                    slots.push({ slot: rawSlot, row: null });
+                    continue;
+                }
+
+                // Store original values for index update (shallow copy)
+                const originalObj = { ...obj };
+
+                // Apply updates
+                const changes = changesFor(originalObj);
+                for (const k in changes) {
+                    obj[k] = changes[k];
+                }
+
+                // Inject _pageId hint so the index knows where this record lives
+                for (const o of [obj, originalObj]) {
+                    Object.defineProperty(o, '_pageId', {
+                        value: currentPageId,
+                        enumerable: false,
+                        writable: true
+                    });
+                }
+
+                // Overflow records are rewritten inside their existing chain
+                const slot = this.db.pager.encodeRecord(JSON.stringify(this.db.schemaManager.stampRow(table, obj)), record.overflowPage);
+                slots.push({ slot, row: { obj, originalObj } });
+                updatedOnPage++;
             }
 
-            if (modified) {
+            if (updatedOnPage > 0) {
+                // Untouched records always keep their place; updated ones stay while they fit
+                let used = slots.reduce((sum, s) => sum + (s.row ? 0 : s.slot.length), 8);
+                const staying = slots.filter(s => {
+                    if (!s.row) return true;
+                    updatedData.push(s.row.obj);
+                    updatedRows.push(s.row);
+                    if (used + s.slot.length <= this.db.pager.usableSize) {
+                        used += s.slot.length;
+                        // Update index if needed (row stays on this page)
+                        this.db.indexManager.updateIndexes(table, s.row.obj, s.row.originalObj);
+                        return true;
+                    }
+                    movedRows.push({ ...s.row, slot: s.slot });
+                    return false;
+                });
+
+                let writeOffset = 8;
+                for (const s of staying) {
+                    s.slot.copy(pData, writeOffset);
+                    writeOffset += s.slot.length;
+                }
+                pData.writeUInt16LE(staying.length, 4);
+                pData.writeUInt16LE(writeOffset, 6); // New free offset
+                pData.fill(0, writeOffset); // Zero out rest
+
                 this.db.pager.writePage(currentPageId, pData);
+                updatedCount += updatedOnPage;
             }
 
-            if (hintPageId !== -1) break; // Scan only one page
+            if (hintPages) {
+                // Scan only pages the index points at
+                hintPos++;
+                currentPageId = hintPos < hintPages.length ? hintPages[hintPos] : 0;
+                continue;
+            }
 
             currentPageId = pData.readUInt32LE(0);
         }
 
+        // Rows that outgrew their page: drop old index entries, re-append at the table end
+        if (movedRows.length > 0) {
+            for (const row of movedRows) {
+                this.db.indexManager.removeFromIndexes(table, row.originalObj);
+                this.db.pager.releaseRecord(row.slot, 0);
+            }
+            this.insertExecutor.appendRecords(table, movedRows.map(row => row.obj));
+        }
+
+        this.db.transactionManager.trackRows(table, updatedRows.map(row => row.originalObj), updatedRows.map(row => row.obj));
+
         if (this.db.dbevent && this.db.dbevent.OnTableUpdated) {
             this.db.dbevent.OnTableUpdated(table, updatedData, this.db.queryString);
         }
 
-        return `Berhasil memupuk ${updatedCount} bibit.`;
+        return updatedCount;
+    }
+
+    /**
+     * Row -> values to write: the literal updates plus the expressions evaluated on that row,
+     * coerced and NOT NULL-checked like literals.
+     * Values computed with keep (constraint checks) are the ones written to that row later,
+     * so NEXTVAL() hands out one number per row.
+     */
+    _changes(table, updates, expressions) {
+        if (!expressions || Object.keys(expressions).length === 0) return () => updates;
+
+        for (const key in expressions) {
+            this.expressionEvaluator.validate(expressions[key]);
+        }
+        const kept = new Map(); // row JSON -> [changes] not written yet
+        return (row, keep = false) => {
+            const key = JSON.stringify(row);
+            const queue = kept.get(key);
+            if (!keep && queue && queue.length > 0) return queue.shift();
+
+            const changes = {
+                ...updates,
+                ...this.db.schemaManager.prepareUpdate(table, this.expressionEvaluator.evaluateAll(expressions, row))
+            };
+            if (keep) {
+                if (queue) queue.push(changes);
+                else kept.set(key, [changes]);
+            }
+            return changes;
+        };
     }
 }
 
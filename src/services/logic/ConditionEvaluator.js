@@ -1,10 +1,15 @@
+const ExpressionEvaluator = require('./ExpressionEvaluator');
+const BTreeIndex = require('../../modules/BTreeIndex');
+
 /**
  * ConditionEvaluator
  * Evaluates conditions against data objects
  * Extracted from WowoEngine.js
  */
 class ConditionEvaluator {
-    constructor() { }
+    constructor() {
+        this.expressionEvaluator = new ExpressionEvaluator();
+    }
 
     checkMatch(obj, criteria) {
         if (!criteria) return true;
@@ -33,8 +38,9 @@ class ConditionEvaluator {
     }
 
     checkSingleCondition(obj, criteria) {
-        const val = obj[criteria.key];
-        const target = criteria.val;
+        // expr / valExpr: expression on either side of the operator (see QueryParser.parseWhere)
+        const val = criteria.expr ? this.expressionEvaluator.evaluate(criteria.expr, obj) : obj[criteria.key];
+        const target = criteria.valExpr ? this.expressionEvaluator.evaluate(criteria.valExpr, obj) : criteria.val;
         switch (criteria.op) {
             // Use strict equality with type-aware comparison
             case '=':
@@ -48,12 +54,15 @@ class ConditionEvaluator {
                     return Number(val) !== Number(target);
                 }
                 return val !== target;
-            case '>': return val > target;
-            case '<': return val < target;
-            case '>=': return val >= target;
-            case '<=': return val <= target;
+            case '>': return this.compare(val, target) > 0;
+            case '<': return this.compare(val, target) < 0;
+            case '>=': return this.compare(val, target) >= 0;
+            case '<=': return this.compare(val, target) <= 0;
             case 'IN': return Array.isArray(target) && target.includes(val);
             case 'NOT IN': return Array.isArray(target) && !target.includes(val);
+            // EXISTS (subquery): target is whether the subquery found a row (see SubqueryPlanner)
+            case 'EXISTS': return target === true;
+            case 'NOT EXISTS': return target === false;
             case 'LIKE': {
                 // Escape regex metacharacters except % and _ which are SQL wildcards
                 const escaped = target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -62,7 +71,7 @@ class ConditionEvaluator {
                 return re.test(String(val));
             }
             case 'BETWEEN':
-                return val >= target[0] && val <= target[1];
+                return this.compare(val, target[0]) >= 0 && this.compare(val, target[1]) <= 0;
             case 'IS NULL':
                 return val === null || val === undefined;
             case 'IS NOT NULL':
@@ -70,6 +79,15 @@ class ConditionEvaluator {
             default: return false;
         }
     }
+
+    /**
+     * Order used by > < >= <= BETWEEN: the index key order, so a table scan and an
+     * index range return the same rows on mixed-type columns. NULL / missing never matches (NaN).
+     */
+    compare(val, target) {
+        if (val === null || val === undefined || target === null || target === undefined) return NaN;
+        return BTreeIndex.compareKeys(val, target);
+    }
 }
 
 module.exports = ConditionEvaluator;
@@ -0,0 +1,353 @@
+const SawitError = require('../../modules/SawitError');
+
+function toNumber(value, operator) {
+    const num = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (isNaN(num)) throw SawitError.of('SAWIT_E_NOT_A_NUMBER', { value, operator });
+    return num;
+}
+
+/**
+ * Function of one value that returns NULL for NULL input
+ */
+function scalar(fn) {
+    return (args, name) => args[0] === null ? null : fn(args, name);
+}
+
+/**
+ * SequenceManager of the engine running the expression (NEXTVAL / CURRVAL)
+ */
+function sequences(engine, name) {
+    if (!engine) throw SawitError.of('SAWIT_E_SEQUENCE_MISPLACED', { name });
+    return engine.sequenceManager;
+}
+
+/**
+ * Scalar functions: name -> { min, max, fn(args, name, engine) }
+ * Arguments are already evaluated; max = Infinity for variadic functions.
+ */
+const FUNCTIONS = {
+    COALESCE: { min: 1, max: Infinity, fn: (args) => args.find(v => v !== null && v !== undefined) ?? null },
+    NOW: { min: 0, max: 0, fn: () => new Date().toISOString() },
+    CURRENT_DATE: { min: 0, max: 0, fn: () => new Date().toISOString().slice(0, 10) },
+
+    // Sequences: one value per evaluated row
+    NEXTVAL: { min: 1, max: 1, fn: ([sequence], name, engine) => sequences(engine, name).nextval(String(sequence)) },
+    CURRVAL: { min: 1, max: 1, fn: ([sequence], name, engine) => sequences(engine, name).currval(String(sequence)) },
+
+    // Strings
+    UPPER: { min: 1, max: 1, fn: scalar(([s]) => String(s).toUpperCase()) },
+    LOWER: { min: 1, max: 1, fn: scalar(([s]) => String(s).toLowerCase()) },
+    TRIM: { min: 1, max: 1, fn: scalar(([s]) => String(s).trim()) },
+    LENGTH: { min: 1, max: 1, fn: scalar(([s]) => String(s).length) },
+    // 1-based start, as in SQL
+    SUBSTR: {
+        min: 2, max: 3, fn: scalar(([s, start, length], name) => {
+            const from = Math.max(toNumber(start, name) - 1, 0);
+            return length === undefined || length === null
+                ? String(s).substr(from)
+                : String(s).substr(from, Math.max(toNumber(length, name), 0));
+        })
+    },
+    // NULL arguments are skipped (|| returns NULL instead)
+    CONCAT: { min: 1, max: Infinity, fn: (args) => args.filter(v => v !== null && v !== undefined).map(String).join('') },
+    REPLACE: { min: 3, max: 3, fn: scalar(([s, search, replacement]) => String(s).split(String(search)).join(String(replacement))) },
+
+    // Math
+    ABS: { min: 1, max: 1, fn: scalar(([x], name) => Math.abs(toNumber(x, name))) },
+    ROUND: {
+        min: 1, max: 2, fn: scalar(([x, digits], name) => {
+            const factor = Math.pow(10, digits === undefined ? 0 : toNumber(digits, name));
+            return Math.round(toNumber(x, name) * factor) / factor;
+        })
+    },
+    CEIL: { min: 1, max: 1, fn: scalar(([x], name) => Math.ceil(toNumber(x, name))) },
+    FLOOR: { min: 1, max: 1, fn: scalar(([x], name) => Math.floor(toNumber(x, name))) },
+    SQRT: { min: 1, max: 1, fn: scalar(([x], name) => Math.sqrt(toNumber(x, name))) },
+    POWER: { min: 2, max: 2, fn: scalar(([x, y], name) => Math.pow(toNumber(x, name), toNumber(y, name))) },
+    MOD: { min: 2, max: 2, fn: (args, name) => binary('%', args[0], args[1], name) }
+};
+FUNCTIONS.SEKARANG = FUNCTIONS.NOW;
+FUNCTIONS.CURRENT_TIMESTAMP = FUNCTIONS.NOW;
+FUNCTIONS.SUBSTRING = FUNCTIONS.SUBSTR;
+FUNCTIONS.CEILING = FUNCTIONS.CEIL;
+FUNCTIONS.POW = FUNCTIONS.POWER;
+
+/**
+ * Continuous percentile (linear interpolation) of numbers, p in [0, 1]
+ */
+function percentile(values, name, p, descending = false) {
+    if (values.length === 0) return null;
+    const sorted = values.map(v => toNumber(v, name)).sort((a, b) => (descending ? b - a : a - b));
+    const pos = p * (sorted.length - 1);
+    const lower = Math.floor(pos);
+    return lower + 1 < sorted.length
+        ? sorted[lower] + (sorted[lower + 1] - sorted[lower]) * (pos - lower)
+        : sorted[lower];
+}
+
+/**
+ * Sample (n - 1) or population (n) variance
+ */
+function variance(values, name, sample) {
+    if (values.length < (sample ? 2 : 1)) return null;
+    const nums = values.map(v => toNumber(v, name));
+    const mean = nums.reduce((sum, v) => sum + v, 0) / nums.length;
+    return nums.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (nums.length - (sample ? 1 : 0));
+}
+
+/**
+ * Aggregate functions: name -> { fn(values, name, param, node), param, keepNulls }
+ * values are the non-NULL values of the group (all of them with keepNulls); COUNT(*) counts rows
+ * and never gets here. param: 'required' / 'optional' second argument (separator, fraction).
+ */
+const AGGREGATES = {
+    COUNT: { fn: (values) => values.length },
+    SUM: { fn: (values, name) => values.length === 0 ? null : values.reduce((sum, v) => sum + toNumber(v, name), 0) },
+    AVG: { fn: (values, name) => values.length === 0 ? null : values.reduce((sum, v) => sum + toNumber(v, name), 0) / values.length },
+    MIN: { fn: (values) => values.length === 0 ? null : values.reduce((min, v) => (v < min ? v : min)) },
+    MAX: { fn: (values) => values.length === 0 ? null : values.reduce((max, v) => (v > max ? v : max)) },
+    MEDIAN: { fn: (values, name) => percentile(values, name, 0.5) },
+    PERCENTILE_CONT: { param: 'required', fn: (values, name, p, node) => percentile(values, name, p, node.descending) },
+    // STDDEV / VARIANCE are the sample versions, as in PostgreSQL
+    VARIANCE: { fn: (values, name) => variance(values, name, true) },
+    VAR_POP: { fn: (values, name) => variance(values, name, false) },
+    STDDEV: { fn: (values, name) => values.length < 2 ? null : Math.sqrt(variance(values, name, true)) },
+    STDDEV_POP: { fn: (values, name) => values.length === 0 ? null : Math.sqrt(variance(values, name, false)) },
+    STRING_AGG: { param: 'required', fn: (values, name, separator) => values.length === 0 ? null : values.map(String).join(separator) },
+    GROUP_CONCAT: { param: 'optional', fn: (values, name, separator = ',') => values.length === 0 ? null : values.map(String).join(separator) },
+    ARRAY_AGG: { keepNulls: true, fn: (values) => values.length === 0 ? null : values }
+};
+
+// Binding strength for describe(): lower binds looser
+const PRECEDENCE = { '+': 1, '-': 1, '||': 1, '*': 2, '/': 2, '%': 2 };
+
+function binary(op, left, right, operator = op) {
+    if (left === null || left === undefined || right === null || right === undefined) return null;
+    if (op === '||') return String(left) + String(right);
+
+    const a = toNumber(left, operator);
+    const b = toNumber(right, operator);
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+            if (b === 0) throw SawitError.of('SAWIT_E_DIVISION_BY_ZERO');
+            return a / b;
+        case '%':
+            if (b === 0) throw SawitError.of('SAWIT_E_DIVISION_BY_ZERO');
+            return a % b;
+    }
+    return null;
+}
+
+/**
+ * ExpressionEvaluator
+ * Evaluates expression trees built by QueryParser._parseExpression against a row:
+ *   { type: 'literal', value } | { type: 'column', name } | { type: 'unary', op, operand }
+ *   { type: 'binary', op, left, right } | { type: 'call', name, args } | { type: 'aggregate', func, arg }
+ * NULL propagates through operators, as in SQL.
+ * Aggregates read the rows of the group, attached to the row being evaluated as _group (see groupRow).
+ * Subqueries ({ type: 'subquery', mode, query }) never reach evaluate: SubqueryPlanner replaces them
+ * with their result, or with a { type: 'subplan', run(row), label } node for correlated ones.
+ */
+class ExpressionEvaluator {
+    /**
+     * @param {Object} engine - Engine for NEXTVAL / CURRVAL; without one they are rejected
+     */
+    constructor(engine = null) {
+        this.engine = engine;
+    }
+
+    /**
+     * Reject unknown functions and wrong argument counts before any row is touched
+     * @param {boolean} allowAggregates - Grouped SELECT columns, HAVING and ORDER BY
+     */
+    validate(node, allowAggregates = false) {
+        if (node.type === 'subquery') throw SawitError.of('SAWIT_E_SUBQUERY_MISPLACED');
+        if (node.type === 'unary') return this.validate(node.operand, allowAggregates);
+        if (node.type === 'binary') {
+            this.validate(node.left, allowAggregates);
+            this.validate(node.right, allowAggregates);
+        } else if (node.type === 'aggregate') {
+            if (!allowAggregates) throw SawitError.of('SAWIT_E_AGGREGATE_MISPLACED', { func: node.func });
+            const func = AGGREGATES[node.func];
+            if (!func) throw SawitError.of('SAWIT_E_AGGREGATE_UNKNOWN', { func: node.func });
+            if (!node.arg && (node.func !== 'COUNT' || node.distinct)) throw SawitError.of('SAWIT_E_AGGREGATE_FIELD_REQUIRED', { func: node.func });
+            if (node.param ? !func.param : func.param === 'required') {
+                throw SawitError.of('SAWIT_E_FUNCTION_ARGS', { name: node.func, expected: func.param ? (func.param === 'required' ? 2 : '1-2') : 1 });
+            }
+            if (node.arg) this.validate(node.arg);
+            if (node.param) this.validate(node.param);
+        } else if (node.type === 'call') {
+            const func = FUNCTIONS[node.name];
+            if (!func) throw SawitError.of('SAWIT_E_UNKNOWN_FUNCTION', { name: node.name });
+            if (node.args.length < func.min || node.args.length > func.max) {
+                const expected = func.max === Infinity ? `${func.min}+` : (func.min === func.max ? func.min : `${func.min}-${func.max}`);
+                throw SawitError.of('SAWIT_E_FUNCTION_ARGS', { name: node.name, expected });
+            }
+            node.args.forEach(arg => this.validate(arg, allowAggregates));
+        }
+    }
+
+    /**
+     * Validate the expressions inside WHERE / HAVING criteria (see QueryParser.parseWhere)
+     */
+    validateCriteria(criteria, allowAggregates = false) {
+        if (!criteria) return;
+        if (criteria.type === 'compound') {
+            criteria.conditions.forEach(c => this.validateCriteria(c, allowAggregates));
+            return;
+        }
+        if (criteria.expr) this.validate(criteria.expr, allowAggregates);
+        if (criteria.valExpr) this.validate(criteria.valExpr, allowAggregates);
+    }
+
+    evaluate(node, row) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'column':
+                return this._column(row, node.name);
+            case 'unary': {
+                const value = this.evaluate(node.operand, row);
+                return value === null ? null : -toNumber(value, '-');
+            }
+            case 'binary':
+                return binary(node.op, this.evaluate(node.left, row), this.evaluate(node.right, row));
+            case 'call': {
+                const func = FUNCTIONS[node.name];
+                if (!func) throw SawitError.of('SAWIT_E_UNKNOWN_FUNCTION', { name: node.name });
+                return func.fn(node.args.map(arg => this.evaluate(arg, row)), node.name, this.engine);
+            }
+            case 'aggregate':
+                if (!row._group) throw SawitError.of('SAWIT_E_AGGREGATE_MISPLACED', { func: node.func });
+                return this.aggregate(node, row._group);
+            case 'subplan':
+                return node.run(row);
+            case 'subquery':
+                throw SawitError.of('SAWIT_E_SUBQUERY_MISPLACED');
+        }
+        return null;
+    }
+
+    /**
+     * Value of an aggregate node over the rows of a group
+     */
+    aggregate(node, rows) {
+        if (!node.arg) return rows.length;
+        const func = AGGREGATES[node.func];
+        let values = [];
+        for (const row of rows) {
+            const value = this.evaluate(node.arg, row);
+            if (func.keepNulls || (value !== null && value !== undefined)) values.push(value === undefined ? null : value);
+        }
+        if (node.distinct) values = [...new Set(values)];
+
+        let param;
+        if (node.param) {
+            param = this.evaluate(node.param, rows[0] || {});
+            if (node.func === 'PERCENTILE_CONT') {
+                param = toNumber(param, node.func);
+                if (param < 0 || param > 1) throw SawitError.of('SAWIT_E_PERCENTILE_RANGE', { value: param });
+            } else {
+                param = param === null ? '' : String(param);
+            }
+        }
+        return func.fn(values, node.func, param, node);
+    }
+
+    /**
+     * Row standing for a group: the group's first row, carrying all its rows for aggregates
+     */
+    static groupRow(rows) {
+        const row = { ...(rows[0] || {}) };
+        Object.defineProperty(row, '_group', { value: rows, enumerable: false });
+        return row;
+    }
+
+    /**
+     * Evaluate { key: node } against one row; every expression sees the row as it was before
+     */
+    evaluateAll(expressions, row) {
+        const values = {};
+        for (const key in expressions) {
+            values[key] = this.evaluate(expressions[key], row);
+        }
+        return values;
+    }
+
+    _column(row, name) {
+        let value = row[name];
+        // Qualified reference (kebun.stok) on a single-table row
+        if (value === undefined && name.includes('.')) value = row[name.split('.').pop()];
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Columns read by an expression
+     */
+    static columnsOf(node) {
+        switch (node.type) {
+            case 'column': return [node.name];
+            case 'unary': return ExpressionEvaluator.columnsOf(node.operand);
+            case 'binary': return [...ExpressionEvaluator.columnsOf(node.left), ...ExpressionEvaluator.columnsOf(node.right)];
+            case 'call': return node.args.flatMap(arg => ExpressionEvaluator.columnsOf(arg));
+            case 'aggregate': return node.arg ? ExpressionEvaluator.columnsOf(node.arg) : [];
+        }
+        return [];
+    }
+
+    /**
+     * Copy of the expression with column `from` renamed to `to` (ALTER TABLE RENAME COLUMN)
+     */
+    static renameColumn(node, from, to) {
+        switch (node.type) {
+            case 'column': return node.name === from ? { ...node, name: to } : node;
+            case 'unary': return { ...node, operand: ExpressionEvaluator.renameColumn(node.operand, from, to) };
+            case 'binary':
+                return {
+                    ...node,
+                    left: ExpressionEvaluator.renameColumn(node.left, from, to),
+                    right: ExpressionEvaluator.renameColumn(node.right, from, to)
+                };
+            case 'call': return { ...node, args: node.args.map(arg => ExpressionEvaluator.renameColumn(arg, from, to)) };
+            case 'aggregate': return node.arg ? { ...node, arg: ExpressionEvaluator.renameColumn(node.arg, from, to) } : node;
+        }
+        return node;
+    }
+
+    /**
+     * Expression back in query syntax: default column name, messages and EXPLAIN
+     */
+    static describe(node) {
+        switch (node.type) {
+            case 'literal':
+                if (node.value === null) return 'NULL';
+                return typeof node.value === 'string' && !node.value.startsWith('@') ? `'${node.value}'` : String(node.value);
+            case 'column': return node.name;
+            case 'unary': return `-${ExpressionEvaluator._describeOperand(node.operand, 3)}`;
+            case 'binary': {
+                const level = PRECEDENCE[node.op];
+                const left = ExpressionEvaluator._describeOperand(node.left, level);
+                const right = ExpressionEvaluator._describeOperand(node.right, level + 1);
+                return `${left} ${node.op} ${right}`;
+            }
+            case 'call': return `${node.name}(${node.args.map(arg => ExpressionEvaluator.describe(arg)).join(', ')})`;
+            case 'aggregate': {
+                const arg = `${node.distinct ? 'DISTINCT ' : ''}${node.arg ? ExpressionEvaluator.describe(node.arg) : '*'}`;
+                return `${node.func}(${arg}${node.param ? `, ${ExpressionEvaluator.describe(node.param)}` : ''})`;
+            }
+            case 'subquery': return `(PANEN ... DARI ${node.query.table})`;
+            case 'subplan': return node.label;
+        }
+        return '';
+    }
+
+    static _describeOperand(node, level) {
+        const text = ExpressionEvaluator.describe(node);
+        return node.type === 'binary' && PRECEDENCE[node.op] < level ? `(${text})` : text;
+    }
+}
+
+module.exports = ExpressionEvaluator;
@@ -1,3 +1,5 @@
+const SawitError = require('../../modules/SawitError');
+
 /**
  * JoinProcessor
  * Handles complex join logic (INNER, LEFT, RIGHT, FULL, CROSS)
@@ -27,7 +29,7 @@ class JoinProcessor {
                 ? this.db.tableManager.findTableEntry(join.table)
                 : this.db._findTableEntry(join.table);
 
-            if (!joinEntry) throw new Error(`Kebun '${join.table}' tidak ditemukan.`);
+            if (!joinEntry) throw SawitError.of('SAWIT_E_TABLE_NOT_FOUND', { table: join.table });
 
             const joinType = join.type || 'INNER';
             // Use scanTable from db (assuming it's still there or exposed)
@@ -0,0 +1,371 @@
+const ExpressionEvaluator = require('./ExpressionEvaluator');
+const SawitError = require('../../modules/SawitError');
+
+/**
+ * SubqueryPlanner
+ * Resolves the subqueries of a PANEN / PUPUK / GUSUR command before it runs
+ * (nodes { type: 'subquery', mode: 'scalar' | 'list' | 'exists', query }, see QueryParser._parseSubquery):
+ *  - uncorrelated: run once, replaced by its value (IN lists become a plain val, usable by indexes)
+ *  - correlated through outer = inner equalities in its WHERE: decorrelated into a hash
+ *    semi-join / lookup, built with one run of the subquery without those conditions
+ *  - any other correlation: re-run for every outer row, outer columns bound as values
+ * Outer columns are named with the outer table or its alias (panen.kebun_id = k.id).
+ */
+class SubqueryPlanner {
+    constructor(db) {
+        this.db = db; // Runs the subqueries through db.selectExecutor / db.viewManager
+        this.expressionEvaluator = new ExpressionEvaluator(db);
+    }
+
+    /**
+     * Command ready to execute: a copy with every subquery resolved, or cmd itself without any.
+     * Parsed commands are shared through the query cache, so they are never changed.
+     */
+    plan(cmd) {
+        const subqueries = this._subqueries(cmd);
+        if (subqueries.length === 0 && !cmd.alias) return cmd;
+        const scope = this._names(cmd);
+        return this._rewrite(this._unqualify(cmd), node => node.type === 'subquery' ? this._resolve(node, scope) : undefined);
+    }
+
+    /**
+     * EXPLAIN steps: how each subquery of cmd would run, without running it
+     */
+    explain(cmd) {
+        const scope = this._names(cmd);
+        return this._subqueries(cmd).map(node => {
+            const step = { operation: 'SUBQUERY', table: node.query.table, mode: node.mode.toUpperCase() };
+            const correlated = this._outerColumns(node.query, scope).length > 0;
+            const correlation = correlated ? this._correlation(node, scope) : null;
+            if (!correlated) step.method = 'Run once';
+            else if (!correlation) step.method = 'Nested Loop (re-run per row)';
+            else {
+                step.method = node.mode === 'scalar' ? 'Hash Join on subquery groups (decorrelated)' : 'Hash Semi Join (decorrelated)';
+                step.condition = correlation.inner.map((col, k) => `${col} = ${correlation.outer[k]}`).join(' AND ');
+            }
+            return step;
+        });
+    }
+
+    _resolve(node, scope) {
+        this._authorize(node.query);
+        if (this._outerColumns(node.query, scope).length === 0) {
+            return { type: 'literal', value: this._result(node.mode, this._run(node.query), node.query) };
+        }
+        const label = ExpressionEvaluator.describe(node);
+        const correlation = this._correlation(node, scope);
+        if (correlation) return { type: 'subplan', label, run: this._decorrelate(node, correlation) };
+        return { type: 'subplan', label, run: row => this._result(node.mode, this._run(this._bindOuter(node.query, scope, row)), node.query) };
+    }
+
+    /**
+     * Value of a subquery from its result rows
+     */
+    _result(mode, rows, query) {
+        if (mode === 'exists') return rows.length > 0;
+        const column = this._column(query);
+        if (mode === 'list') return rows.map(row => row[column] === undefined ? null : row[column]);
+        if (rows.length > 1) throw SawitError.of('SAWIT_E_SUBQUERY_ROWS', { table: query.table, count: rows.length });
+        return rows.length === 0 || rows[0][column] === undefined ? null : rows[0][column];
+    }
+
+    _column(query) {
+        if (!query.cols || query.cols.length !== 1 || query.cols[0] === '*') {
+            throw SawitError.of('SAWIT_E_SUBQUERY_COLUMNS', { table: query.table });
+        }
+        return query.cols[0];
+    }
+
+    /**
+     * POS RONDA: a subquery reads its tables (and views) as the user of the outer statement,
+     * checked before it runs in any of the three ways
+     */
+    _authorize(query) {
+        if (!this.db.securityManager) return;
+        const user = this.db.currentUser || 'admin';
+        for (const table of [query.table, ...(query.joins || []).map(join => join.table)]) {
+            if (table && !table.startsWith('_')) this.db.securityManager.check(user, table, 'read');
+        }
+    }
+
+    _run(query) {
+        const prepared = this._unqualify(query);
+        if (this.db.viewManager && this.db.viewManager.isView(prepared.table)) {
+            return this.db.viewManager.executeView(prepared.table, prepared.criteria);
+        }
+        return this.db.selectExecutor.execute(prepared);
+    }
+
+    /**
+     * Outer = inner equalities ANDed into the subquery's WHERE, when they are its only link to the
+     * outer row: { inner: [...], outer: [...], rest: criteria without them }. null when it cannot be
+     * decorrelated (other correlated conditions, LIMIT / OFFSET, GROUP BY, ...).
+     */
+    _correlation(node, scope) {
+        const query = node.query;
+        const own = this._names(query);
+        const isOuter = name => this._isOuter(name, scope, own);
+
+        if (query.limit || query.offset) return null;
+        const grouped = Array.isArray(query.groupBy);
+        if (grouped && (node.mode !== 'scalar' || query.groupBy.length > 0 || query.having)) return null;
+        if (node.mode === 'scalar' && !grouped && query.distinct) return null;
+
+        const elsewhere = [
+            ...Object.values(query.computed || {}),
+            ...(query.sort && query.sort.expr ? [query.sort.expr] : [])
+        ];
+        if (elsewhere.some(expr => this._columns(expr).some(isOuter))) return null;
+
+        const criteria = query.criteria;
+        const conjuncts = !criteria ? [] :
+            (criteria.type === 'compound' && criteria.logic === 'AND' ? criteria.conditions : [criteria]);
+        const inner = [];
+        const outer = [];
+        const rest = [];
+        for (const c of conjuncts) {
+            if (!this._criteriaColumns(c).some(isOuter)) {
+                rest.push(c);
+                continue;
+            }
+            if (c.type === 'compound' || c.op !== '=' || c.expr || !c.valExpr || c.valExpr.type !== 'column') return null;
+            const keyIsOuter = isOuter(c.key);
+            if (keyIsOuter === isOuter(c.valExpr.name)) return null;
+            inner.push(keyIsOuter ? c.valExpr.name : c.key);
+            outer.push(keyIsOuter ? c.key : c.valExpr.name);
+        }
+        if (inner.length === 0) return null;
+
+        return {
+            inner,
+            outer,
+            rest: rest.length === 0 ? null : (rest.length === 1 ? rest[0] : { type: 'compound', logic: 'AND', conditions: rest })
+        };
+    }
+
+    /**
+     * Run the subquery once without its correlated conditions and hash its rows by the inner
+     * columns; the returned function answers for one outer row by lookup
+     */
+    _decorrelate(node, correlation) {
+        const query = node.query;
+        const valueNode = node.mode === 'exists' ? null :
+            ((query.computed || {})[this._column(query)] || { type: 'column', name: this._column(query) });
+
+        const rows = this._run({
+            ...query,
+            criteria: correlation.rest,
+            cols: ['*'],
+            computed: undefined,
+            groupBy: undefined,
+            having: null,
+            sort: null,
+            distinct: false
+        });
+        const groups = new Map();
+        for (const row of rows) {
+            const key = this._key(row, correlation.inner);
+            if (key === null) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        }
+
+        const grouped = Array.isArray(query.groupBy);
+        return outerRow => {
+            const key = this._key(outerRow, correlation.outer);
+            const matches = (key !== null && groups.get(key)) || [];
+            if (node.mode === 'exists') return matches.length > 0;
+            if (node.mode === 'list') return matches.map(row => this.expressionEvaluator.evaluate(valueNode, row));
+            if (grouped) return this.expressionEvaluator.evaluate(valueNode, ExpressionEvaluator.groupRow(matches));
+            if (matches.length > 1) throw SawitError.of('SAWIT_E_SUBQUERY_ROWS', { table: query.table, count: matches.length });
+            return matches.length === 0 ? null : this.expressionEvaluator.evaluate(valueNode, matches[0]);
+        };
+    }
+
+    /**
+     * Hash key of the columns of a row; null when one is NULL (= never matches NULL).
+     * Numeric strings count as numbers, as in ConditionEvaluator's '='.
+     */
+    _key(row, columns) {
+        const values = [];
+        for (const column of columns) {
+            let value = this.expressionEvaluator._column(row, column);
+            if (value === null) return null;
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) value = Number(value);
+            values.push(value);
+        }
+        return JSON.stringify(values);
+    }
+
+    /**
+     * Copy of the subquery with the outer row's columns replaced by their values
+     */
+    _bindOuter(query, scope, row) {
+        const own = this._names(query);
+        const isOuter = name => this._isOuter(name, scope, own);
+        const value = name => this.expressionEvaluator._column(row, name);
+
+        return this._rewrite(query, node => {
+            if (node.type === 'column' && isOuter(node.name)) return { type: 'literal', value: value(node.name) };
+            if (node.type === 'subquery') return { ...node, query: this._bindOuter(node.query, scope, row) };
+            return undefined;
+        }, cond => {
+            if (cond.expr || !cond.key || !isOuter(cond.key)) return cond;
+            // k.id = panen.kebun_id: turned around, so the inner column can use an index
+            const mirrored = { '=': '=', '!=': '!=', '>': '<', '<': '>', '>=': '<=', '<=': '>=' }[cond.op];
+            if (mirrored && cond.valExpr && cond.valExpr.type === 'column') {
+                return { type: 'cond', key: cond.valExpr.name, op: mirrored, val: value(cond.key) };
+            }
+            return { ...cond, expr: { type: 'literal', value: value(cond.key) } };
+        });
+    }
+
+    /**
+     * Copy of cmd with replace(node) applied to every expression; replace returns the new node,
+     * or undefined to descend into the node's operands. condition(cond) may rewrite each condition.
+     */
+    _rewrite(cmd, replace, condition = cond => cond) {
+        const map = node => this._mapNode(node, replace);
+        const out = { ...cmd };
+        if (cmd.criteria) out.criteria = this._rewriteCriteria(cmd.criteria, map, condition);
+        if (cmd.having && cmd.having.type) out.having = this._rewriteCriteria(cmd.having, map, condition);
+        if (Array.isArray(cmd.groupBy)) out.groupBy = cmd.groupBy.map(map);
+        for (const part of ['computed', 'expressions']) {
+            if (!cmd[part]) continue;
+            out[part] = {};
+            for (const name in cmd[part]) out[part][name] = map(cmd[part][name]);
+        }
+        if (cmd.sort && cmd.sort.expr) {
+            // ORDER BY an output column shares its node: resolve it once
+            const name = Object.keys(cmd.computed || {}).find(k => cmd.computed[k] === cmd.sort.expr);
+            out.sort = { ...cmd.sort, expr: name !== undefined ? out.computed[name] : map(cmd.sort.expr) };
+        }
+        return out;
+    }
+
+    _rewriteCriteria(criteria, map, condition) {
+        if (criteria.type === 'compound') {
+            return { ...criteria, conditions: criteria.conditions.map(c => this._rewriteCriteria(c, map, condition)) };
+        }
+        const cond = { ...criteria };
+        if (cond.expr) cond.expr = map(cond.expr);
+        if (cond.valExpr) {
+            cond.valExpr = map(cond.valExpr);
+            // A subquery answered once is a plain value again (IN list, EXISTS result)
+            if (cond.valExpr.type === 'literal') {
+                cond.val = cond.valExpr.value;
+                delete cond.valExpr;
+            }
+        }
+        return condition(cond);
+    }
+
+    _mapNode(node, replace) {
+        const replaced = replace(node);
+        if (replaced !== undefined) return replaced;
+        switch (node.type) {
+            case 'unary': return { ...node, operand: this._mapNode(node.operand, replace) };
+            case 'binary': return { ...node, left: this._mapNode(node.left, replace), right: this._mapNode(node.right, replace) };
+            case 'call': return { ...node, args: node.args.map(arg => this._mapNode(arg, replace)) };
+            case 'aggregate':
+                return {
+                    ...node,
+                    arg: node.arg ? this._mapNode(node.arg, replace) : node.arg,
+                    param: node.param ? this._mapNode(node.param, replace) : node.param
+                };
+        }
+        return node;
+    }
+
+    /**
+     * Subquery nodes directly in cmd (not those nested inside them)
+     */
+    _subqueries(cmd) {
+        const found = [];
+        this._rewrite(cmd, node => {
+            if (node.type !== 'subquery') return undefined;
+            found.push(node);
+            return node;
+        });
+        return found;
+    }
+
+    /**
+     * Without joins, kebun.luas / k.luas in WHERE keys and selected columns is the plain column
+     */
+    _unqualify(cmd) {
+        if (cmd.joins && cmd.joins.length > 0) return cmd;
+        const own = this._names(cmd);
+        const qualified = name => typeof name === 'string' && name.includes('.') && own.includes(name.slice(0, name.indexOf('.')));
+        const strip = name => qualified(name) ? name.slice(name.indexOf('.') + 1) : name;
+
+        const out = this._rewrite(cmd, () => undefined, cond => (cond.expr || !qualified(cond.key) ? cond : { ...cond, key: strip(cond.key) }));
+        if (Array.isArray(cmd.cols) && cmd.cols.some(c => qualified(c) && !(cmd.computed && cmd.computed[c]))) {
+            out.computed = { ...(out.computed || {}) };
+            for (const c of cmd.cols) {
+                if (qualified(c) && !out.computed[c]) out.computed[c] = { type: 'column', name: strip(c) };
+            }
+        }
+        if (cmd.sort && !cmd.sort.expr && qualified(cmd.sort.key)) out.sort = { ...cmd.sort, key: strip(cmd.sort.key) };
+        return out;
+    }
+
+    /**
+     * Names a query's own columns can be qualified with; an alias hides the table name, so
+     * PANEN ... DARI kebun k2 DIMANA k2.luas > kebun.luas reads kebun.luas from the outer row
+     */
+    _names(cmd) {
+        return [cmd.alias || cmd.table, ...(cmd.joins || []).map(join => join.table)];
+    }
+
+    _isOuter(name, scope, own) {
+        if (typeof name !== 'string' || !name.includes('.')) return false;
+        const qualifier = name.slice(0, name.indexOf('.'));
+        return scope.includes(qualifier) && !own.includes(qualifier);
+    }
+
+    /**
+     * Columns of the outer query (scope) that a subquery reads
+     */
+    _outerColumns(query, scope) {
+        const own = this._names(query);
+        return this._references(query).filter(name => this._isOuter(name, scope, own));
+    }
+
+    /**
+     * Every column a query reads, including those of its own subqueries
+     */
+    _references(query) {
+        const names = [];
+        this._rewrite(query, node => {
+            names.push(...this._columns(node));
+            return node;
+        }, cond => {
+            if (!cond.expr && cond.key) names.push(cond.key);
+            return cond;
+        });
+        return names;
+    }
+
+    _criteriaColumns(criteria) {
+        if (criteria.type === 'compound') return criteria.conditions.flatMap(c => this._criteriaColumns(c));
+        return [
+            ...(criteria.expr ? this._columns(criteria.expr) : [criteria.key]),
+            ...(criteria.valExpr ? this._columns(criteria.valExpr) : [])
+        ];
+    }
+
+    _columns(node) {
+        switch (node.type) {
+            case 'column': return [node.name];
+            case 'unary': return this._columns(node.operand);
+            case 'binary': return [...this._columns(node.left), ...this._columns(node.right)];
+            case 'call': return node.args.flatMap(arg => this._columns(arg));
+            case 'aggregate': return [...(node.arg ? this._columns(node.arg) : []), ...(node.param ? this._columns(node.param) : [])];
+            case 'subquery': return this._references(node.query);
+        }
+        return [];
+    }
+}
+
+module.exports = SubqueryPlanner;